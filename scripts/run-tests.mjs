@@ -1,12 +1,36 @@
 import '../src/test/app/simulation.js';
 import '../src/test/app/app.js';
+import '../src/test/app/calibrate.js';
+import '../src/test/bikes/ant.js';
+import '../src/test/bikes/bikeerg.js';
+import '../src/test/bikes/cps.js';
+import '../src/test/bikes/echelon.js';
 import '../src/test/bikes/flywheel.js';
 import '../src/test/bikes/ic4.js';
+import '../src/test/bikes/ic8.js';
 import '../src/test/bikes/keiser.js';
 import '../src/test/bikes/peloton.js';
+import '../src/test/hr/ant-heart-rate-client.js';
+import '../src/test/servers/ant/bicycle-power.js';
+import '../src/test/servers/ant/heart-rate.js';
+import '../src/test/servers/ant/speed-cadence.js';
+import '../src/test/servers/ant/fitness-equipment.js';
+import '../src/test/servers/ble/fitness-machine.js';
+import '../src/test/speed/speed-sensor-client.js';
+import '../src/test/util/ant-device-id.js';
+import '../src/test/util/ant-hotplug.js';
+import '../src/test/util/ant-stick-manager.js';
 import '../src/test/util/ble-scan.js';
+import '../src/test/util/csc-measurement.js';
 import '../src/test/util/dropout-filter.js';
+import '../src/test/util/ftms-control-point.js';
+import '../src/test/util/heart-rate-measurement.js';
+import '../src/test/util/indoor-bike-data.js';
 import '../src/test/util/mac-address.js';
+import '../src/test/util/metric-blender.js';
+import '../src/test/util/power-calibration.js';
+import '../src/test/util/power-fit.js';
+import '../src/test/util/usb-serial.js';
 
 import tape from '../src/test/support/tape.js';
 
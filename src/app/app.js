@@ -14,13 +14,20 @@ import {execSync} from 'child_process'; // Spawn lightweight system probes (hcic
 import {GymnasticonServer} from '../servers/ble/index.js';
 import {MultiBleServer} from '../servers/ble/multi-server.js';
 import {AntServer} from '../servers/ant/index.js';
+import {AntHeartRateServer} from '../servers/ant/heart-rate.js';
+import {AntStickManager} from '../util/ant-stick-manager.js';
+import {AntHotplugWatcher} from '../util/ant-hotplug.js';
 
 // Bike and sensor integrations
 import {createBikeClient, getBikeTypes} from '../bikes/index.js';
 import {HeartRateClient} from '../hr/heart-rate-client.js';
+import {AntHeartRateClient} from '../hr/ant-heart-rate-client.js';
 import {SpeedSensorClient} from '../speed/speed-sensor-client.js';
 import {CadenceSensorClient} from '../cadence/cadence-sensor-client.js';
+import {CscSensorClaims} from '../util/csc-sensor-client.js';
 import {MetricsProcessor} from '../util/metrics-processor.js';
+import {MetricBlender} from '../util/metric-blender.js';
+import {loadPowerCalibration, selectPowerCalibration} from '../util/power-calibration.js';
 import {HealthMonitor} from '../util/health-monitor.js';
 import {BluetoothConnectionManager} from '../util/connection-manager.js';
 import {initializeBluetooth} from '../util/noble-wrapper.js';
@@ -37,6 +44,8 @@ import {createAntStick} from '../util/ant-stick.js'; // Factory for gd-ant-plus
 import {estimateSpeedMps} from '../util/speed-estimator.js'; // Helper that estimates speed when bikes do not report it.
 import {nowSeconds} from '../util/time.js'; // Helper to get monotonic-ish timestamps in seconds.
 import {loadDependency, toDefaultExport} from '../util/optional-deps.js'; // Optional dependency loader with stub fallback support.
+import {RESULT_SUCCESS, RESULT_OP_CODE_NOT_SUPPORTED, RESULT_OPERATION_FAILED} from '../util/ftms-control-point.js'; // FTMS control point result codes returned to apps.
+import {COMMAND_STATUS_PASS, COMMAND_STATUS_FAIL, COMMAND_STATUS_NOT_SUPPORTED, COMMAND_STATUS_REJECTED} from '../util/ant-fitness-equipment.js'; // ANT+ FE-C command status codes.
 import {defaults as sharedDefaults} from './defaults.js'; // Lightweight defaults kept separate so CLI can set env vars before loading Bluetooth deps.
 
 const nobleModule = loadDependency('@abandonware/noble', '../../stubs/noble.cjs', import.meta);
@@ -46,6 +55,11 @@ const debug = toDefaultExport(debugModule);
 
 const debuglog = debug('gym:app:app');
 
+const STRAP_HEART_RATE_STALE_MS = 5000; // Fall back to bike-reported HR after the strap has been silent this long.
+const SENSOR_STOPPED_MS = 2000; // A speed/cadence sensor repeating the same event this long means the wheel/crank stopped.
+const RESISTANCE_CHECK_STATS = 10; // Bike stats to wait for resistance before warning that a grid calibration cannot apply.
+const ANT_HOTPLUG_EVENT_LIMIT = 10; // Stick attach/remove events kept for status.
+
 export {getBikeTypes};
 export const defaults = sharedDefaults;
 
@@ -70,6 +84,20 @@ export class App {
     this.heartRateNoble = opts.heartRateNoble || this.noble;
     this.heartRateAdapter = normalizeAdapterName(opts.heartRateAdapter) || opts.heartRateAdapter;
     this.metricsProcessor = opts.metricsProcessor || new MetricsProcessor({ smoothingFactor: opts.powerSmoothing });
+    try {
+      this.powerCalibrations = loadPowerCalibration(opts.powerCalibration); // Per-bike power calibration tables (grid or curve), validated up front.
+    } catch (err) {
+      // Teaching note: a broken calibration file should not keep the bike
+      // offline; report it and run uncalibrated instead.
+      this.logger.error(`ignoring power calibration: ${err.message}`);
+      this.powerCalibrations = null;
+    }
+    this.resistanceChecksLeft = 0; // Stats left before warning that a grid calibration never saw resistance (see applyPowerCalibration()).
+    this.metricBlender = this.createMetricBlender(opts); // Chooses bike, external sensor or estimated speed/cadence per metric.
+    this.metricBlender.on('source', ({ metric, source, previous }) => {
+      this.logger.log(`${metric} source changed [${previous ?? 'none'} -> ${source ?? 'none'}]`);
+    });
+    this.sensorEventAt = { speed: null, cadence: null }; // Last time each external sensor reported a new wheel/crank event.
     this.healthMonitor = opts.healthMonitor || new HealthMonitor(opts.healthCheckInterval);
     this.connectionManager =
       opts.connectionManager ||
@@ -82,6 +110,12 @@ export class App {
     this.powerOffset = opts.powerOffset;
     this.power = 0; // Track the latest scaled power value in watts.
     this.currentCadence = 0; // Track the most recent cadence in RPM for ping updates and ANT+.
+    this.currentSpeed = 0; // Track the most recent speed in m/s for FTMS Indoor Bike Data.
+    this.currentResistance = null; // Latest bike-reported resistance level (null when the bike does not report it).
+    this.heartRate = null; // Latest heart rate in BPM so FTMS can include it alongside power.
+    this.lastStrapHeartRateAt = null; // When the HR strap last reported; bike-reported HR is only used while the strap is silent.
+    this.bikeTotals = {}; // Latest console-reported ride totals (distance, elapsedTime, calories) for recordings.
+    this.lastRideSummary = null; // Most recent end-of-ride summary from the bike console; survives bike reconnects.
     this.speedOptions = { ...defaults.speedFallback, ...(opts.speedFallback || {}) }; // Merge caller overrides with sensible defaults for speed estimation.
     this.kinematics = { // Maintain cumulative wheel/crank state for CSC notifications.
       lastTimestamp: null, // Last time we integrated cadence/speed samples.
@@ -91,24 +125,52 @@ export class App {
     this.crank = { timestamp: 0, revolutions: 0 }; // BLE-friendly crank snapshot (16-bit revolutions + seconds timestamp).
     this.wheel = { timestamp: 0, revolutions: 0 }; // BLE-friendly wheel snapshot (32-bit revolutions + seconds timestamp).
 
-    const antRequested = typeof opts.antEnabled === 'boolean' ? opts.antEnabled : Boolean(opts.antAuto ?? defaults.antAuto); // Respect explicit antEnabled, otherwise fall back to auto preference.
+    const antRequested = opts.bike === 'ant' // An ANT+ bike is read through the stick, so the stick (and broadcasting) comes with it.
+      || (typeof opts.antEnabled === 'boolean' ? opts.antEnabled : Boolean(opts.antAuto ?? defaults.antAuto)); // Respect explicit antEnabled, otherwise fall back to auto preference.
     this.antEnabled = antRequested; // Store the resolved ANT+ enable switch for later checks.
     if (this.antEnabled) { // Only create ANT+ resources when needed to avoid probing hardware unnecessarily.
-      this.antStick = createAntStick(); // Create the ANT+ stick interface (falls back to stubs during development).
+      this.antStick = opts.antStick || createAntStick(); // Create the ANT+ stick interface (falls back to stubs during development; tests inject a fake).
       this.antStickClosed = false; // Track whether we have manually closed the stick to avoid double-close errors.
-      this.antServer = new AntServer(this.antStick, { deviceId: opts.antDeviceId }); // ANT+ Bicycle Power broadcaster using gd-ant-plus APIs.
+      this.antStickManager = new AntStickManager(this.antStick); // Shares the stick: allocates channels and paces channel setup on acknowledgements.
+      this.antStickManager.on('channel', this.onAntChannelState.bind(this));
+      this.antServer = new AntServer(this.antStickManager, { // ANT+ Bicycle Power broadcaster using gd-ant-plus APIs.
+        deviceId: opts.antDeviceId,
+        speedCadence: opts.antSpeedCadence ?? defaults.antSpeedCadence, // Optional Bike Speed/Cadence sensor channels for older head units.
+        fitnessEquipment: Boolean(opts.antFec), // Optional FE-C trainer channel for ANT-only displays.
+        crankTorque: Boolean(opts.antCrankTorque), // Optional crank torque pages for head units that derive cadence from crank events.
+      });
+      this.antHeartRateServer = opts.antHeartRateBroadcast !== false // ANT+ Heart Rate Monitor broadcaster fed from updateHeartRate().
+        ? new AntHeartRateServer(this.antStickManager, { deviceId: opts.antDeviceId })
+        : null;
+      this.antHeartRate = opts.antHeartRate // Optional ANT+ strap receiver on the same stick; keeps HR off the Bluetooth radio.
+        ? new AntHeartRateClient(this.antStickManager, { deviceId: opts.antHeartRateDeviceId })
+        : null;
+      const hotplugInterval = opts.antHotplugInterval ?? defaults.antHotplugInterval;
+      this.antHotplug = opts.antHotplug // Watches sysfs so a stick plugged in (or back in) after boot resumes ANT+; tests inject one.
+        || (hotplugInterval > 0 ? new AntHotplugWatcher({ interval: hotplugInterval }) : null);
+      this.antHotplug?.on('attach', this.onAntStickAttached.bind(this));
+      this.antHotplug?.on('detach', this.onAntStickDetached.bind(this));
     } else {
       this.antStick = null; // Mark hardware resources as absent when ANT+ broadcasting is disabled.
       this.antStickClosed = true; // Treat the stick as already closed so stopAnt does nothing.
+      this.antStickManager = null;
       this.antServer = null; // No ANT+ broadcaster is created in this mode.
+      this.antHeartRateServer = null; // ANT+ heart-rate broadcasting shares the stick.
+      this.antHeartRate = null; // ANT+ heart-rate straps need the stick too.
+      this.antHotplug = null; // Nothing to recover when ANT+ is off.
     }
+    this.antActive = false; // Whether ANT+ broadcasting is wanted right now (bike connected), so a re-plugged stick knows to resume.
+    this.antHotplugEvents = []; // Recent stick attach/remove events for status.
 
     this.onAntStickStartup = this.onAntStickStartup.bind(this); // Bind ANT+ event handlers once so we can add/remove listeners cleanly.
     this.stopAnt = this.stopAnt.bind(this); // Bind stop helper for reuse across shutdown paths.
+    this.onAntStickShutdown = this.onAntStickShutdown.bind(this);
 
     if (this.antStick && typeof this.antStick.on === 'function') { // Register stick lifecycle hooks when running against real hardware.
-      this.antStick.on('startup', this.onAntStickStartup);
-      this.antStick.on('shutdown', this.stopAnt);
+      // Teaching note: 'startup' is awaited by openAntStick() instead of starting
+      // the broadcasters here, so an ANT+ bike can open the stick without
+      // advertising power before the bike is found.
+      this.antStick.on('shutdown', this.onAntStickShutdown);
     }
 
     this.statsTimeout = new Timer(opts.bikeReceiveTimeout, { repeats: false });
@@ -117,6 +179,8 @@ export class App {
     this.connectTimeout.on('timeout', this.onBikeConnectTimeout.bind(this));
     this.pingInterval = new Timer(opts.serverPingInterval);
     this.pingInterval.on('timeout', this.onPingInterval.bind(this));
+    this.statusInterval = new Timer(opts.statusInterval ?? defaults.statusInterval); // Periodic status line (metric sources, ANT+ stick) for journalctl.
+    this.statusInterval.on('timeout', this.onStatusInterval.bind(this));
 
     this.simulation = new Simulation();
     this.simulation.on('pedal', this.onPedalStroke.bind(this));
@@ -124,6 +188,10 @@ export class App {
     // Heart-rate capture: enable automatically only when we know two adapters are present.
     // Teaching note: keep a bound handler so we can reuse it when rebuilding the HR client.
     this.onHeartRateBound = this.onHeartRate.bind(this);
+    if (this.antHeartRate) { // ANT+ straps feed the same path as BLE straps so they also win over bike-reported HR.
+      this.antHeartRate.on('heartRate', this.onHeartRateBound);
+      this.antHeartRate.on('paired', this.onAntHeartRatePaired.bind(this));
+    }
     this.onSpeedSensorStatsBound = this.onSpeedSensorStats.bind(this);
     this.onCadenceSensorStatsBound = this.onCadenceSensorStats.bind(this);
     let heartRatePreference = null; // null => auto, true => force, false => disable.
@@ -159,14 +227,16 @@ export class App {
       }
     }
     
-    // Optional: Speed sensor (e.g., Wahoo Speed Sensor, any device with Cycling Speed Service 0x181a)
+    // Optional: Speed sensor (e.g., Wahoo Speed Sensor, any Cycling Speed and Cadence 0x1816 sensor)
     this.speedSensorEnabled = opts.speedSensorEnabled !== false;  // Enabled by default
     this.speedSensor = null;
     
-    // Optional: Cadence sensor (e.g., Wahoo Cadence Sensor, any device with Cycling Cadence Service 0x181b)
+    // Optional: Cadence sensor (e.g., Wahoo Cadence Sensor, any Cycling Speed and Cadence 0x1816 sensor)
     this.cadenceSensorEnabled = opts.cadenceSensorEnabled !== false;  // Enabled by default
     this.cadenceSensor = null;
     
+    this.sensorClaims = new CscSensorClaims(); // Sensors claimed by the speed/cadence clients, so a combo sensor is not connected twice.
+
     // Track sensor connection state for health monitoring
     this.speedSensorConnected = false;
     this.cadenceSensorConnected = false;
@@ -189,6 +259,10 @@ export class App {
     // attach/detach listeners safely across reconnect attempts.
     this.onBikeDisconnectBound = this.onBikeDisconnect.bind(this);
     this.onBikeStatsBound = this.onBikeStats.bind(this);
+    this.onBikeSummaryBound = this.onBikeSummary.bind(this);
+    this.onControlRequest = this.onControlRequest.bind(this); // Handed to every FTMS server so app control writes reach the bike.
+    this.antServer?.fitnessEquipmentServer?.on('control', this.onAntControlRequest.bind(this)); // FE-C displays control the bike the same way.
+    this.riderConfiguration = null; // Rider/bike weights and wheel size sent by an FE-C display (page 55).
 
     // Teaching note: track advertising separately so we can stop broadcasting
     // when the bike disconnects (per user expectation).
@@ -233,7 +307,9 @@ export class App {
     for (const adapter of adapters) {
       const { bleno } = await initializeBleno(adapter, { forceNewInstance: entries.length > 0 });
       const server = new GymnasticonServer(bleno, this.opts.serverName, {
-        includeHeartRate: this.heartRateAutoPreference,
+        includeHeartRate: this.heartRateAutoPreference || Boolean(this.antHeartRate),
+        includeFitnessMachine: this.opts.ftmsEnabled !== false,
+        onControlRequest: this.onControlRequest,
       });
       entries.push({ adapter, server });
     }
@@ -436,6 +512,7 @@ export class App {
     if (this.bike) {
       this.bike.off('disconnect', this.onBikeDisconnectBound);
       this.bike.off('stats', this.onBikeStatsBound);
+      this.bike.off('summary', this.onBikeSummaryBound);
       if (this.bike.disconnect) {
         await this.bike.disconnect().catch(() => {});
       }
@@ -675,6 +752,7 @@ export class App {
       this.restartSignal.resolve('app-stop');
     }
     this.pingInterval.cancel();
+    this.statusInterval.cancel();
     this.statsTimeout.cancel();
     this.connectTimeout.cancel();
     if (this.bike && this.bike.disconnect) {
@@ -683,6 +761,7 @@ export class App {
     // Teaching note: use the helper so the internal flag stays in sync.
     await this.stopServerAdvertising('app-stop');
     this.stopAnt();
+    this.antHotplug?.stop(); // Stop polling sysfs so the event loop can exit.
     if (this.hrClient) {
       await this.hrClient.disconnect();
     }
@@ -708,12 +787,11 @@ export class App {
       this.logger.error(e);
     }
     if (typeof this.antStick?.removeListener === 'function') {
-      this.antStick.removeListener('startup', this.onAntStickStartup);
-      this.antStick.removeListener('shutdown', this.stopAnt);
+      this.antStick.removeListener('shutdown', this.onAntStickShutdown);
     }
-    if (typeof this.antStick?.close === 'function' && !this.antStickClosed) {
+    if (this.antStickManager && !this.antStickClosed) {
       try {
-        this.antStick.close();
+        this.antStickManager.close();
         this.antStickClosed = true;
       } catch (e) {
         this.logger.error('Error closing ANT+ stick', e);
@@ -735,18 +813,28 @@ export class App {
       const retryDelayMs = Math.max(this.minimumRetryDelayMs, Number(this.opts.connectionRetryDelay ?? sharedDefaults.connectionRetryDelay ?? 5000)); // Guarantee a sensible retry floor in production while allowing tests to override it.
       const serverAdapterLabel = this.serverAdapters?.length ? this.serverAdapters.join(',') : this.opts.serverAdapter;
       this.logger.log(`[gym-app] startup opts: bike=${this.opts.bike} defaultBike=${this.opts.defaultBike} bikeAdapter=${this.opts.bikeAdapter} serverAdapter=${serverAdapterLabel}`);
+      if (this.antHotplug) { // Teaching note: ANT+ sticks come and go independently of the bike, so watch for them for the whole run.
+        this.antHotplug.start();
+        this.logger.log(`watching for ANT+ stick changes (stick ${this.antHotplug.isPresent ? 'present' : 'absent'})`);
+      }
+      this.statusInterval.reset(); // Status lines keep coming while we wait for a bike, so a missing ANT+ stick or sensor still shows up.
 
       while (this.keepRunning) { // Keep looping until shutdown or we successfully complete the full startup sequence.
         try {
           this.logger.log('connecting to bike...'); // Show progress on the console so headless installs still provide feedback.
-          this.bike = await this.createBikeClient(this.opts, this.noble); // Instantiate the bike client selected via config/CLI (autodetect, keiser, etc.).
+          if (this.opts.bike === 'ant' && !(await this.openAntStick())) { // The ANT+ bike needs the stick open before it can search.
+            throw new Error('ANT+ stick not available for --bike ant');
+          }
+          this.bike = await this.createBikeClient({ ...this.opts, antStick: this.antStickManager }, this.noble); // Instantiate the bike client selected via config/CLI (autodetect, keiser, etc.).
           // Teaching note: using bound handlers allows us to remove listeners when we reconnect.
           this.bike.on('disconnect', this.onBikeDisconnectBound); // Restart the app when the bike disconnects unexpectedly.
           this.bike.on('stats', this.onBikeStatsBound); // Stream bike telemetry into the BLE/ANT broadcasters.
+          this.bike.on('summary', this.onBikeSummaryBound); // Keep end-of-ride totals from consoles that broadcast them (Keiser review mode).
           this.connectTimeout.reset(); // Arm the watchdog so wedged BLE connections do not hang forever.
           await this.bike.connect(); // Begin scanning or connecting based on the specific bike implementation.
           this.connectTimeout.cancel(); // Clear the watchdog because the connect phase finished successfully.
           this.logger.log(`bike connected ${this.bike.address}`); // Log the MAC so users can confirm which console paired.
+          this.applyPowerCalibration(); // Address is only known once connected, so pick the calibration table now.
           // Teaching note: only advertise once the bike is connected so we do
           // not broadcast phantom sensors while idle.
           await this.ensureServerStarted('bike-connected');
@@ -779,6 +867,8 @@ export class App {
           await this.sleep(retryDelayMs); // Wait before the next attempt to avoid hammering the Bluetooth stack.
         }
       }
+      this.statusInterval.cancel(); // The loop only ends on shutdown; do not keep the process alive for status lines.
+      this.antHotplug?.stop();
     } catch (e) {
       this.logger.error(e);
       process.exit(1);
@@ -873,17 +963,22 @@ export class App {
       this.speedSensor = new SpeedSensorClient(this.noble, {
         logger: this.logger,
         connectionManager: this.connectionManager,
+        deviceName: this.opts.speedSensorName,
+        deviceAddress: this.opts.speedSensorAddress,
+        claims: this.sensorClaims, // Combo sensors are connected once and forward both metrics.
         connectTimeout: this.opts.sensorConnectTimeout || 30,
         statTimeout: this.opts.sensorStatTimeout || 5000,
       });
 
       this.speedSensor.on('stats', this.onSpeedSensorStatsBound);
+      this.speedSensor.on('cadence', this.onCadenceSensorStatsBound); // Cadence data from a combo speed/cadence sensor.
       this.speedSensor.on('connected', () => {
         this.speedSensorConnected = true;
         this.logger.log('[SpeedSensor] connected');
       });
       this.speedSensor.on('disconnect-detected', () => {
         this.speedSensorConnected = false;
+        this.metricBlender.clear('speed', 'sensor'); // Fall back right away instead of waiting for the reading to go stale.
         this.logger.warn('[SpeedSensor] disconnected, attempting reconnect...');
       });
       this.speedSensor.on('connection-failed', () => {
@@ -912,17 +1007,22 @@ export class App {
       this.cadenceSensor = new CadenceSensorClient(this.noble, {
         logger: this.logger,
         connectionManager: this.connectionManager,
+        deviceName: this.opts.cadenceSensorName,
+        deviceAddress: this.opts.cadenceSensorAddress,
+        claims: this.sensorClaims, // Combo sensors are connected once and forward both metrics.
         connectTimeout: this.opts.sensorConnectTimeout || 30,
         statTimeout: this.opts.sensorStatTimeout || 5000,
       });
 
       this.cadenceSensor.on('stats', this.onCadenceSensorStatsBound);
+      this.cadenceSensor.on('speed', this.onSpeedSensorStatsBound); // Speed data from a combo speed/cadence sensor.
       this.cadenceSensor.on('connected', () => {
         this.cadenceSensorConnected = true;
         this.logger.log('[CadenceSensor] connected');
       });
       this.cadenceSensor.on('disconnect-detected', () => {
         this.cadenceSensorConnected = false;
+        this.metricBlender.clear('cadence', 'sensor'); // Fall back right away instead of waiting for the reading to go stale.
         this.logger.warn('[CadenceSensor] disconnected, attempting reconnect...');
       });
       this.cadenceSensor.on('connection-failed', () => {
@@ -973,9 +1073,23 @@ export class App {
       this.server.ensureCscCapabilities({ supportWheel: true, supportCrank: true }); // Always advertise both wheel and crank data so speed shows up in apps.
       this.server.updatePower({ power: this.power, cadence: this.currentCadence, crank: this.crank }); // Send Cycling Power measurements including crank events.
       this.server.updateCsc({ wheel: this.wheel, crank: this.crank }); // Send CSC measurements with cumulative wheel/crank counters.
+      this.server.updateFitnessMachine({ // Send FTMS Indoor Bike Data for apps that prefer the Fitness Machine Service.
+        power: this.power,
+        cadence: this.currentCadence,
+        speed: this.currentSpeed,
+        resistance: this.currentResistance ?? undefined,
+        heartRate: this.heartRate ?? undefined,
+      });
     }
     if (this.antServer?.isRunning) { // Forward to ANT+ bicycle power profile when broadcasting is active.
-      this.antServer.updateMeasurement({ power: this.power, cadence: this.currentCadence });
+      this.antServer.updateMeasurement({
+        power: this.power,
+        cadence: this.currentCadence,
+        crank: this.crank,
+        wheel: this.wheel,
+        speed: this.currentSpeed, // FE-C general data page
+        heartRate: this.heartRate ?? undefined,
+      });
     }
   }
 
@@ -984,6 +1098,7 @@ export class App {
     const cadence = this.simulation.cadence ?? this.currentCadence; // Use simulated cadence when bot mode drives the app.
     const speed = estimateSpeedMps(cadence, this.speedOptions); // Estimate speed for simulation strokes so CSC stays alive.
     this.currentCadence = cadence; // Track cadence for ANT+/BLE ping intervals.
+    this.currentSpeed = speed; // Track speed so FTMS reports the same value CSC integrates.
     this.integrateKinematics(cadence, speed, timestamp); // Update cumulative crank/wheel counters based on the simulated stroke.
     this.logger.log(`pedal stroke [timestamp=${timestamp} revolutions=${this.crank.revolutions} power=${this.power}W]`);
     this.publishTelemetry(); // Push the updated measurement to BLE/ANT clients.
@@ -994,37 +1109,178 @@ export class App {
     this.publishTelemetry(); // Re-send the last known measurement so connected apps stay alive.
   }
 
-  onHeartRate(hr) {
+  onHeartRate(hr, measurement) {
+    this.lastStrapHeartRateAt = Date.now(); // A strap (or other dedicated HR source) is talking; it wins over bike-reported HR.
+    this.updateHeartRate(hr, measurement); // Pass the full measurement so RR intervals reach HRV-aware apps.
+  }
+
+  /**
+   * Handle heart rate reported by the bike console (grip sensors or a strap
+   * paired with the bike). Only rebroadcast it while no dedicated HR strap is
+   * reporting, so the strap always takes priority.
+   * @param {number} hr - heart rate (bpm)
+   */
+  onBikeHeartRate(hr) {
+    if (this.lastStrapHeartRateAt !== null && Date.now() - this.lastStrapHeartRateAt < STRAP_HEART_RATE_STALE_MS) {
+      return;
+    }
+    this.updateHeartRate(hr);
+  }
+
+  updateHeartRate(hr, measurement) {
+    this.heartRate = Number.isFinite(hr) && hr > 0 ? hr : null; // Remember the latest BPM so FTMS Indoor Bike Data can carry it.
+    this.antHeartRateServer?.updateHeartRate(this.heartRate); // ANT+ head units get the same BPM; beats are synthesized from it.
     if (!this.server) {
       return;
     }
-    this.server.updateHeartRate(hr);
+    this.server.updateHeartRate(measurement ?? hr); // Re-encode contact/energy/RR fields when the strap sent them.
+  }
+
+  /**
+   * Build the speed/cadence blender from the configured priorities and
+   * staleness timeouts. A bad priority list falls back to the defaults.
+   * @param {object} opts - app options
+   * @returns {MetricBlender}
+   */
+  createMetricBlender(opts) {
+    const staleMs = {
+      sensor: opts.sensorStaleTimeout,
+      bike: opts.bikeReceiveTimeout * 1000, // Bike readings stay usable for as long as we tolerate silence from the bike.
+    };
+    try {
+      return new MetricBlender({ priority: { speed: opts.speedPriority, cadence: opts.cadencePriority }, staleMs });
+    } catch (err) {
+      this.logger.error(`ignoring metric priority: ${err.message}`);
+      return new MetricBlender({ staleMs });
+    }
   }
 
   /**
    * Handle speed sensor data (from Wahoo Speed Sensor or equivalent).
    * Format: { wheelRevolutions, revolutionsSinceLastEvent, timeSinceLastEvent, timestamp }
-   * 
-   * For now: Just log it (metric blending not yet implemented).
-   * Future: Use to supplement or replace cadence-based speed estimation.
+   *
+   * The sensor speed is offered to the metric blender, which decides whether
+   * it replaces the bike's speed or the cadence-based estimate.
    */
   onSpeedSensorStats(stats) {
     debuglog(`[SpeedSensor] stats: wheelRevolutions=${stats.wheelRevolutions} revsSinceLastEvent=${stats.revolutionsSinceLastEvent} timeSinceLastEvent=${stats.timeSinceLastEvent.toFixed(3)}s`);
-    // TODO: Implement metric blending to use sensor speed vs bike speed estimation
-    // For now, log and monitor that sensor is reporting cleanly
+    const circumference = this.speedOptions.circumferenceM || defaults.speedFallback.circumferenceM;
+    this.onSensorReading('speed', stats, (stats.revolutionsSinceLastEvent * circumference) / stats.timeSinceLastEvent);
   }
 
   /**
    * Handle cadence sensor data (from Wahoo Cadence Sensor or equivalent).
    * Format: { crankRevolutions, revolutionsSinceLastEvent, timeSinceLastEvent, cadenceRpm, timestamp }
-   * 
-   * For now: Just log it (metric blending not yet implemented).
-   * Future: Use to supplement or replace bike-reported cadence.
+   *
+   * The sensor cadence is offered to the metric blender, which decides whether
+   * it replaces the bike's cadence.
    */
   onCadenceSensorStats(stats) {
     debuglog(`[CadenceSensor] stats: crankRevolutions=${stats.crankRevolutions} cadenceRpm=${stats.cadenceRpm} timeSinceLastEvent=${stats.timeSinceLastEvent.toFixed(3)}s`);
-    // TODO: Implement metric blending to use sensor cadence vs bike cadence
-    // For now, log and monitor that sensor is reporting cleanly
+    this.onSensorReading('cadence', stats, stats.cadenceRpm);
+  }
+
+  /**
+   * Record an external sensor reading. CSC sensors keep repeating their last
+   * event while the wheel/crank is stopped, so a sensor that has reported no
+   * new event for SENSOR_STOPPED_MS counts as reading zero.
+   * @param {string} metric - 'speed' or 'cadence'
+   * @param {object} stats - sensor stats ({timeSinceLastEvent} in seconds)
+   * @param {number} value - reading derived from a new event
+   * @private
+   */
+  onSensorReading(metric, stats, value) {
+    const now = Date.now();
+    if (stats.timeSinceLastEvent > 0 && Number.isFinite(value)) {
+      this.sensorEventAt[metric] = now;
+      this.metricBlender.update(metric, 'sensor', value);
+      return;
+    }
+    if (this.sensorEventAt[metric] == null) {
+      this.sensorEventAt[metric] = now; // First notification only establishes the baseline event.
+    }
+    if (now - this.sensorEventAt[metric] >= SENSOR_STOPPED_MS) {
+      this.metricBlender.update(metric, 'sensor', 0);
+    }
+  }
+
+  /**
+   * Snapshot of what the app is currently broadcasting and where each metric
+   * comes from.
+   * @returns {object} status
+   */
+  getStatus() {
+    return {
+      bike: this.bike ? { type: this.bike.bikeType ?? this.opts.bike, address: this.bike.address } : null,
+      power: this.power,
+      cadence: this.currentCadence,
+      speed: this.currentSpeed,
+      heartRate: this.heartRate,
+      metricSources: this.metricBlender.getStatus(),
+      sensors: {
+        speed: this.speedSensor?.getStatus?.() ?? null,
+        cadence: this.cadenceSensor?.getStatus?.() ?? null,
+        antHeartRate: this.antHeartRate
+          ? { deviceId: this.antHeartRate.deviceId || null, running: this.antHeartRate.isRunning }
+          : null,
+      },
+      ant: this.antStickManager
+        ? {
+            open: this.antStickManager.isOpen,
+            present: this.antHotplug?.isRunning ? this.antHotplug.isPresent : null, // null when nobody is watching the bus
+            channels: this.antStickManager.getStatus(),
+            events: this.antHotplugEvents,
+          }
+        : null,
+    };
+  }
+
+  onStatusInterval() {
+    this.logger.log(`status ${formatStatus(this.getStatus())}`);
+  }
+
+  /**
+   * Relay an FTMS Control Point command (ERG target, resistance, simulation)
+   * from a connected app to the bike.
+   * @param {object} command - decoded request, see parseControlPointRequest()
+   * @returns {Promise<number>} control point result code for the app
+   */
+  async onControlRequest(command) {
+    // Teaching note: only bikes that advertise the `controllable` capability
+    // (FTMS bikes with their own control point) can act on these requests;
+    // everything else tells the app the operation is not supported.
+    if (!this.bike?.controllable || typeof this.bike.sendControlCommand !== 'function') {
+      debuglog(`control request ${command.type} not supported by bike`);
+      return RESULT_OP_CODE_NOT_SUPPORTED;
+    }
+    try {
+      const result = await this.bike.sendControlCommand(command);
+      this.logger.log(`control request ${command.type} relayed to bike [result=${result}]`);
+      return result;
+    } catch (err) {
+      this.logger.log(`control request ${command.type} failed: ${err?.message || err}`);
+      return RESULT_OPERATION_FAILED;
+    }
+  }
+
+  /**
+   * Handle a control page from an ANT+ FE-C display. Target power and track
+   * resistance go through the same relay as FTMS requests; user
+   * configuration is kept for reference.
+   * @param {object} command - see AntFitnessEquipmentServer
+   * @param {function} respond - (status) => void, reports a COMMAND_STATUS_* code on page 71
+   */
+  async onAntControlRequest(command, respond) {
+    if (command.type === 'setUserConfiguration') {
+      const {userWeight, bikeWeight, wheelDiameter, gearRatio} = command;
+      const configuration = {userWeight, bikeWeight, wheelDiameter, gearRatio};
+      this.riderConfiguration = configuration;
+      this.logger.log(`ANT+ FE-C user configuration ${JSON.stringify(configuration)}`);
+      respond(COMMAND_STATUS_PASS);
+      return;
+    }
+    const result = await this.onControlRequest(command);
+    respond(commandStatusFromControlResult(result));
   }
 
   onHealthMetricStale(metricName) {
@@ -1034,38 +1290,108 @@ export class App {
     }
   }
 
-  onBikeStats({ power, cadence, speed }) {
+  onBikeStats({ power, cadence, speed, resistance, heartRate, distance, elapsedTime, calories }) {
     const scaledPower = power > 0 ? Math.max(0, Math.round(power * this.powerScale + this.powerOffset)) : 0; // Apply calibration and clamp to non-negative watts.
-    const safeCadence = Number.isFinite(cadence) ? Math.max(0, cadence) : 0; // Guard against undefined or negative cadence readings.
-    const nativeSpeed = Number.isFinite(speed) ? Math.max(0, speed) : null; // Use bike-provided speed when available.
-    const inferredSpeed = nativeSpeed ?? estimateSpeedMps(safeCadence, this.speedOptions); // Fall back to our cadence-based estimator when speed is absent.
-
+    const bikeCadence = Number.isFinite(cadence) ? Math.max(0, cadence) : 0; // Guard against undefined or negative cadence readings.
+    this.metricBlender.update('cadence', 'bike', bikeCadence);
+    if (Number.isFinite(speed)) {
+      this.metricBlender.update('speed', 'bike', speed); // Use bike-provided speed when available.
+    }
+    // Teaching note: the blender picks each metric's source by priority,
+    // skipping stale readings (e.g. a sensor that stopped reporting).
+    const cadenceChoice = this.metricBlender.resolve('cadence') ?? { value: bikeCadence, source: 'bike' };
+    const safeCadence = cadenceChoice.value;
+    const estimatedSpeed = estimateSpeedMps(safeCadence, this.speedOptions); // Cadence-based estimate for bikes (and moments) without a speed reading.
+    const speedChoice = this.metricBlender.resolve('speed', { estimate: estimatedSpeed }) ?? { value: estimatedSpeed, source: 'estimate' };
+    const inferredSpeed = speedChoice.value;
+
+    if (this.resistanceChecksLeft > 0) { // A grid calibration is active and the bike has not reported resistance yet.
+      this.resistanceChecksLeft = Number.isFinite(resistance) ? 0 : this.resistanceChecksLeft - 1;
+      if (this.resistanceChecksLeft === 0 && !Number.isFinite(resistance)) {
+        this.logger.error(`power calibration grid for ${this.bike?.bikeType ?? this.opts.bike} needs resistance, but the bike does not report it; power is left uncalibrated`);
+      }
+    }
     const processed = this.metricsProcessor.process({
       power: scaledPower,
       cadence: safeCadence,
       speed: inferredSpeed,
+      resistance: Number.isFinite(resistance) ? resistance : undefined, // Grid calibrations need the bike's resistance.
     });
 
-    this.logger.log(`received stats from bike [power=${processed.power}W cadence=${processed.cadence}rpm speed=${(processed.speed ?? inferredSpeed).toFixed(2)}m/s]`); // Log the normalized metrics for debugging.
+    this.logger.log(`received stats from bike [power=${processed.power}W cadence=${processed.cadence}rpm(${cadenceChoice.source}) speed=${(processed.speed ?? inferredSpeed).toFixed(2)}m/s(${speedChoice.source})]`); // Log the normalized metrics and where cadence/speed came from.
     this.statsTimeout.reset(); // Clear the bike stats timeout since we just received fresh data.
     this.power = processed.power; // Store the smoothed power for ping intervals and ANT+ updates.
     this.currentCadence = processed.cadence; // Track cadence for ANT+ and BLE keep-alives.
+    this.currentResistance = Number.isFinite(resistance) ? resistance : null; // Only forward resistance when the bike reports it.
     this.simulation.cadence = processed.cadence; // Keep the simulation helper in sync for manual pedal triggers.
+    for (const [key, value] of Object.entries({ distance, elapsedTime, calories })) {
+      if (Number.isFinite(value)) {
+        this.bikeTotals[key] = value; // Keep console totals (Keiser, BikeErg) so recordings can use the bike's own numbers.
+      }
+    }
     if (this.healthMonitor) {
-      this.healthMonitor.recordMetric('bikeStats', processed);
+      this.healthMonitor.recordMetric('bikeStats', {
+        ...processed,
+        ...this.bikeTotals,
+        cadenceSource: cadenceChoice.source,
+        speedSource: speedChoice.source,
+      });
+    }
+    if (Number.isFinite(heartRate) && heartRate > 0) {
+      this.onBikeHeartRate(heartRate);
     }
 
     const speedForKinematics = Number.isFinite(processed.speed) ? processed.speed : inferredSpeed;
+    this.currentSpeed = speedForKinematics; // Track speed for FTMS Indoor Bike Data.
     this.integrateKinematics(processed.cadence, speedForKinematics, nowSeconds()); // Update cumulative wheel/crank counters for CSC.
     this.publishTelemetry(); // Broadcast the updated metrics to BLE and ANT+ clients.
   }
 
+  /**
+   * Select the power calibration table for the connected bike (address entries
+   * win over bike type entries) and hand it to the metrics pipeline.
+   */
+  applyPowerCalibration() {
+    if (!this.powerCalibrations || typeof this.metricsProcessor.setCalibration !== 'function') {
+      return;
+    }
+    const bikeType = this.bike?.bikeType ?? this.opts.bike;
+    const calibration = selectPowerCalibration(this.powerCalibrations, { bikeType, address: this.bike?.address });
+    this.metricsProcessor.setCalibration(calibration);
+    this.resistanceChecksLeft = calibration?.needsResistance ? RESISTANCE_CHECK_STATS : 0; // So a grid on a bike without resistance does not fail silently.
+    if (calibration) {
+      this.logger.log(`power calibration active for ${bikeType} ${this.bike?.address ?? ''}`.trim());
+    }
+  }
+
+  /**
+   * Handle an end-of-ride summary from the bike console (e.g. Keiser review
+   * mode). Retained on the app so the console's totals survive even if the
+   * rider's app crashed mid-ride.
+   * @param {object} summary - see parse() in bikes/keiser.js
+   */
+  onBikeSummary(summary) {
+    this.lastRideSummary = { ...summary, receivedAt: Date.now() };
+    const parts = [
+      `duration=${summary.elapsedTime}s`,
+      `distance=${summary.distance}m`,
+      `calories=${summary.calories}kcal`,
+      `avgPower=${summary.averagePower}W`,
+      `avgCadence=${summary.averageCadence}rpm`,
+    ];
+    if (summary.averageHeartRate !== undefined) {
+      parts.push(`avgHeartRate=${summary.averageHeartRate}bpm`);
+    }
+    this.logger.log(`ride summary from bike [${parts.join(' ')}]`);
+  }
+
   onBikeStatsTimeout() {
     this.logger.log(`timed out waiting for bike stats after ${this.statsTimeout.interval}s`);
     // Teaching note: treat missing stats as a disconnect; zero metrics so we
     // do not broadcast stale power/cadence while we reconnect.
     this.power = 0;
     this.currentCadence = 0;
+    this.currentSpeed = 0;
     this.publishTelemetry();
     // Teaching note: stop ANT+ immediately so head units stop seeing stale data.
     this.stopAnt();
@@ -1087,6 +1413,7 @@ export class App {
     // showing stale power/cadence while we reconnect.
     this.power = 0;
     this.currentCadence = 0;
+    this.currentSpeed = 0;
     this.publishTelemetry();
     // Teaching note: stop ANT+ immediately so head units stop seeing stale data.
     this.stopAnt();
@@ -1122,28 +1449,42 @@ export class App {
     if (!this.antEnabled || !this.antStick || !this.antServer) { // Skip when ANT+ broadcasting is disabled or hardware unavailable.
       return;
     }
-    try {
-      if (!this.antStick.is_present()) { // If the stick is not detected, log and fall back to BLE-only mode.
-        this.logger.log('no ANT+ stick found');
-        return;
+    this.antActive = true; // Remembered so a stick plugged in later picks up broadcasting.
+    this.openAntStick().then((opened) => {
+      if (opened) {
+        this.onAntStickStartup(); // Already-open sticks (the ANT+ bike opened it) never fire 'startup' again.
       }
-    } catch (err) {
-      this.logger.error('failed to probe ANT+ stick; continuing without ANT+', err);
-      return;
+    });
+  }
+
+  /**
+   * Open the ANT+ stick once (see AntStickManager.open()) for the ANT+ bike
+   * and the broadcasters alike.
+   * @returns {Promise<boolean>} false when no stick is present or it failed to open
+   */
+  async openAntStick() {
+    if (!this.antStickManager) {
+      return false;
     }
     try {
-      const opened = this.antStick.open();
-      if (opened === false) {
-        this.logger.error('failed to open ANT+ stick');
-        return;
-      }
+      await this.antStickManager.open();
       this.antStickClosed = false;
-      const hasEventEmitter = typeof this.antStick.on === 'function';
-      if (!hasEventEmitter || opened === true) {
-        this.onAntStickStartup();
-      }
+      return true;
     } catch (err) {
-      this.logger.error('failed to open ANT+ stick', err);
+      this.logger.log(`${err.message}; continuing without ANT+${this.antHotplug ? ' until a stick is plugged in' : ''}`); // Fall back to BLE-only mode.
+      return false;
+    }
+  }
+
+  /**
+   * Log ANT+ channel setup progress and failures from the stick manager.
+   * @param {object} update - {channel, owner, state, attempts, lastError}
+   */
+  onAntChannelState({channel, owner, state, attempts, lastError}) {
+    if (state === 'retrying' || state === 'failed') {
+      this.logger.error(`ANT+ ${owner} channel ${channel} ${state} after ${attempts} attempt(s): ${lastError}`);
+    } else if (state === 'open') {
+      this.logger.log(`ANT+ ${owner} channel ${channel} open`);
     }
   }
 
@@ -1154,17 +1495,44 @@ export class App {
     this.logger.log('ANT+ stick opened');
     this.antStickClosed = false;
     this.antServer.start();
+    this.antHeartRateServer?.start(); // Heart rate goes out on its own channel next to power.
+    this.antHeartRate?.start(); // Open the strap receiver channel alongside the power channel.
+  }
+
+  /**
+   * Remember the ANT+ strap found by a wildcard search so the next start
+   * pairs with it directly instead of whichever strap is nearest.
+   * @param {number} deviceId - ANT+ device number of the strap
+   */
+  async onAntHeartRatePaired(deviceId) {
+    this.logger.log(`ANT+ heart-rate strap paired [deviceId=${deviceId}]`);
+    this.opts.antHeartRateDeviceId = deviceId;
+    const configManager = this.opts.configManager;
+    if (!configManager) { // Nothing to persist to when running without a config file (tests, one-off runs).
+      return;
+    }
+    try {
+      await configManager.load();
+      configManager.config.antHeartRateDeviceId = deviceId;
+      await configManager.save();
+      this.logger.log(`saved antHeartRateDeviceId=${deviceId} to ${configManager.configPath}`);
+    } catch (err) {
+      this.logger.error('failed to save ANT+ heart-rate pairing', err);
+    }
   }
 
   stopAnt() {
+    this.antActive = false;
     if (!this.antServer || !this.antServer.isRunning) { // Nothing to do when we never started broadcasting.
       return;
     }
     this.logger.log('stopping ANT+ server');
     this.antServer.stop();
-    if (typeof this.antStick?.close === 'function' && !this.antStickClosed) {
+    this.antHeartRateServer?.stop();
+    this.antHeartRate?.stop();
+    if (this.antStickManager && !this.antStickClosed) {
       try {
-        this.antStick.close();
+        this.antStickManager.close(); // Flushes the channels' close/unassign before releasing the stick.
         this.antStickClosed = true;
       } catch (err) {
         this.logger.error('failed to close ANT+ stick', err);
@@ -1172,6 +1540,75 @@ export class App {
     }
   }
 
+  /**
+   * The stick finished closing. Our own close() ends up here too; anything
+   * else means the stick went away underneath us.
+   */
+  onAntStickShutdown() {
+    if (this.antStickClosed) {
+      return;
+    }
+    this.stopAnt();
+  }
+
+  /**
+   * An ANT+ stick appeared on the USB bus: reopen it and restart every
+   * channel that was running, with the same device IDs, when a bike is
+   * connected. An ANT+ bike reconnects through the run loop instead.
+   * @param {object} stick - {path, id} from AntHotplugWatcher
+   */
+  onAntStickAttached({ path, id }) {
+    this.logger.log(`ANT+ stick attached ${id} at ${path}`);
+    this.recordAntHotplugEvent('attach', { path, id });
+    if (!this.opts.antStick && !this.antStick.is_present()) { // The stick probed at startup may be a different model (USB2 vs USB-m).
+      this.antStick.removeListener('shutdown', this.onAntStickShutdown);
+      this.antStick = createAntStick();
+      this.antStick.on('shutdown', this.onAntStickShutdown);
+      this.antStickManager.replaceStick(this.antStick);
+    }
+    if (this.antActive && !this.antServer.isRunning) {
+      this.startAnt();
+    }
+  }
+
+  /**
+   * The ANT+ stick was pulled out: tear the channels down without talking
+   * to the missing radio, but keep wanting them so they come back with it.
+   * @param {object} stick - {path, id} from AntHotplugWatcher
+   */
+  onAntStickDetached({ path, id }) {
+    this.logger.log(`ANT+ stick removed ${id} at ${path}`);
+    this.recordAntHotplugEvent('detach', { path, id });
+    if (this.antHotplug.isPresent) { // Another stick is still plugged in.
+      return;
+    }
+    if (this.antStickManager?.isOpen) {
+      this.antStickClosed = true;
+      try {
+        this.antStickManager.close({ removed: true }); // Drops queued setup and any writes until the stick is opened again.
+      } catch (err) {
+        this.logger.error('failed to release removed ANT+ stick', err);
+      }
+    }
+    const wasActive = this.antActive;
+    this.stopAnt(); // Profiles write their close/unassign to the manager, which drops them.
+    this.antActive = wasActive;
+    if (this.opts.bike === 'ant' && this.bike) {
+      if (this.bike.deviceId) {
+        this.opts.antBikeDeviceId = this.bike.deviceId; // Reconnect to the same power meter once the stick is back.
+      }
+      this.requestRestart('ant-stick-removed');
+    }
+  }
+
+  /**
+   * Keep the last few stick attach/remove events for status.
+   * @private
+   */
+  recordAntHotplugEvent(event, { path, id }) {
+    this.antHotplugEvents = [...this.antHotplugEvents, { event, id, path, at: Date.now() }].slice(-ANT_HOTPLUG_EVENT_LIMIT);
+  }
+
   onSigInt() {
     const listeners = process.listeners('SIGINT');
     if (listeners[listeners.length-1] === this.onSigInt) {
@@ -1187,6 +1624,47 @@ export class App {
 
 }
 
+// One-line summary of getStatus() for the periodic status log, e.g.
+// [bike=ic4 aa:bb:.. power=150W cadence=86rpm(sensor) speed=7.00m/s(bike) ant=open stick=present channels=power:1:open].
+function formatStatus({ bike, power, cadence, speed, heartRate, metricSources, ant }) {
+  const source = (metric) => metricSources?.[metric]?.source ?? 'none';
+  const parts = [
+    `bike=${bike ? `${bike.type} ${bike.address ?? ''}`.trim() : 'none'}`,
+    `power=${power}W`,
+    `cadence=${cadence}rpm(${source('cadence')})`,
+    `speed=${Number(speed || 0).toFixed(2)}m/s(${source('speed')})`,
+  ];
+  if (Number.isFinite(heartRate)) {
+    parts.push(`hr=${heartRate}bpm`);
+  }
+  if (ant) {
+    parts.push(`ant=${ant.open ? 'open' : 'closed'}`);
+    if (ant.present !== null) {
+      parts.push(`stick=${ant.present ? 'present' : 'absent'}`);
+    }
+    parts.push(`channels=${ant.channels.map(({ owner, channel, state }) => `${owner}:${channel}:${state}`).join(',') || 'none'}`);
+    const last = ant.events[ant.events.length - 1];
+    if (last) {
+      parts.push(`lastStickEvent=${last.event}@${new Date(last.at).toISOString()}`);
+    }
+  }
+  return `[${parts.join(' ')}]`;
+}
+
+// Translate an FTMS control point result into an FE-C command status.
+function commandStatusFromControlResult(result) {
+  switch (result) {
+    case RESULT_SUCCESS:
+      return COMMAND_STATUS_PASS;
+    case RESULT_OP_CODE_NOT_SUPPORTED:
+      return COMMAND_STATUS_NOT_SUPPORTED;
+    case RESULT_OPERATION_FAILED:
+      return COMMAND_STATUS_FAIL;
+    default:
+      return COMMAND_STATUS_REJECTED;
+  }
+}
+
 function normalizeAdapterList(value) {
   if (!value) {
     return [];
@@ -0,0 +1,202 @@
+/**
+ * `gymnasticon calibrate`
+ *
+ * Rides the bike alongside a reference power meter (any Bluetooth Cycling
+ * Power Service device), pairs the two power readings, fits a correction and
+ * saves it into the config file:
+ *   - a linear fit becomes powerScale/powerOffset
+ *   - a polynomial fit (--calibrate-degree 2 or 3) becomes a "curve" entry in
+ *     powerCalibration.bikes[<bike type>] (see util/power-calibration.js); when
+ *     powerCalibration names a file, the curve is written into that file
+ * The config is loaded before the ride, so a broken config fails up front
+ * instead of after the rider has done the work.
+ *
+ * `--calibrate-record <file>` keeps the paired samples and
+ * `--calibrate-samples <file>` refits a recording without any hardware.
+ */
+
+import fs from 'fs';
+import {ConfigManager} from '../config/index.js';
+import {createBikeClient} from '../bikes/index.js';
+import {CpsBikeClient} from '../bikes/cps.js';
+import {Logger} from '../util/logger.js';
+import {pairSamples, fitCalibration, loadSampleFile} from '../util/power-fit.js';
+import {defaults} from './defaults.js';
+
+// Guided effort steps; together they should cover the bike's whole power range.
+export const CALIBRATION_STEPS = [
+  {label: 'easy', instruction: 'spin easily at about 70 rpm on low resistance'},
+  {label: 'endurance', instruction: 'hold a steady 85 rpm on moderate resistance'},
+  {label: 'tempo', instruction: 'hold 90 rpm and add resistance until it feels hard'},
+  {label: 'threshold', instruction: 'hold 80 rpm on heavy resistance'},
+  {label: 'sprint', instruction: 'spin 100+ rpm on the heaviest resistance you can hold'},
+];
+const SETTLE_SECONDS = 5; // readings right after changing effort are discarded while both devices catch up
+
+/**
+ * Run the calibrate command.
+ * @param {object} options - parsed CLI options (bike options plus the calibrate-* ones)
+ * @param {object} [deps] - injectable collaborators (tests)
+ * @returns {Promise<object>} fit result, see fitCalibration()
+ */
+export async function runCalibrateCommand(options, deps = {}) {
+  const logger = deps.logger || new Logger();
+  const degree = options.calibrateDegree ?? 1;
+  const configManager = deps.configManager || new ConfigManager(options.configPath || '/etc/gymnasticon.json', {
+    bike: defaults.bike,
+    serverName: defaults.serverName,
+    powerScale: defaults.powerScale,
+  });
+  await configManager.load();
+
+  let bikeType = options.bike;
+  let pairs;
+  if (options.calibrateSamples) {
+    const recording = loadSampleFile(options.calibrateSamples, {fs: deps.fs});
+    bikeType = recording.bikeType || bikeType;
+    pairs = recording.pairs;
+    logger.log(`loaded ${pairs.length} paired samples from ${options.calibrateSamples}`);
+  } else {
+    const recording = await recordPairedSamples(options, {...deps, logger});
+    bikeType = recording.bikeType || bikeType;
+    pairs = recording.pairs;
+    if (options.calibrateRecord) {
+      (deps.fs || fs).writeFileSync(options.calibrateRecord, JSON.stringify({bikeType, pairs}, null, 2));
+      logger.log(`saved ${pairs.length} paired samples to ${options.calibrateRecord}`);
+    }
+  }
+
+  const result = fitCalibration(pairs, {degree});
+  logger.log(`uncorrected: ${formatStats(result.before)}`);
+  logger.log(`corrected:   ${formatStats(result.after)}`);
+
+  const calibrationFile = applyFitToConfig(configManager.config, result.config, bikeType, {fs: deps.fs});
+  await configManager.save();
+  if (result.config.curve) {
+    logger.log(`saved degree-${degree} power curve for ${bikeType} to ${calibrationFile || configManager.configPath}`);
+  } else {
+    logger.log(`saved powerScale=${result.config.powerScale} powerOffset=${result.config.powerOffset} to ${configManager.configPath}`);
+  }
+  return result;
+}
+
+/**
+ * Merge a fit into a config object. When powerCalibration is a path, the
+ * per-bike tables are updated in that file and the path stays in the config.
+ * @param {object} config - loaded config (mutated)
+ * @param {object} fit - result.config from fitCalibration()
+ * @param {string} bikeType - bike type key for curve tables
+ * @param {object} [options]
+ * @param {object} [options.fs] - fs implementation (tests)
+ * @returns {string|null} the calibration file written, if any
+ */
+export function applyFitToConfig(config, fit, bikeType, {fs: fsImpl = fs} = {}) {
+  config.powerScale = fit.powerScale;
+  config.powerOffset = fit.powerOffset;
+  if (typeof config.powerCalibration === 'string') {
+    const file = config.powerCalibration;
+    let tables;
+    try {
+      tables = JSON.parse(fsImpl.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`unable to update power calibration file ${file}: ${error.message}; ` +
+        `add the fitted curve to its "bikes.${bikeType}" entry by hand`);
+    }
+    const updated = applyFitToTables(tables, fit, bikeType);
+    if (updated !== tables) {
+      fsImpl.writeFileSync(file, JSON.stringify(updated, null, 2));
+      return file;
+    }
+    return null;
+  }
+  const existing = config.powerCalibration && typeof config.powerCalibration === 'object'
+    ? config.powerCalibration
+    : null;
+  const updated = applyFitToTables(existing, fit, bikeType);
+  if (updated !== existing) {
+    config.powerCalibration = updated;
+  }
+  return null;
+}
+
+/**
+ * @returns {object|null} new powerCalibration tables, or `tables` itself when unchanged
+ * @private
+ */
+function applyFitToTables(tables, fit, bikeType) {
+  if (fit.curve) {
+    return {
+      ...(tables || {}),
+      bikes: {...(tables?.bikes || {}), [bikeType]: fit.curve},
+    };
+  }
+  if (tables?.bikes?.[bikeType]) {
+    // A linear fit replaces an earlier curve for this bike; keeping both would correct twice.
+    const bikes = {...tables.bikes};
+    delete bikes[bikeType];
+    return {...tables, bikes};
+  }
+  return tables;
+}
+
+/**
+ * Connect to the bike and the reference meter and record paired samples
+ * while the rider follows CALIBRATION_STEPS.
+ * @private
+ */
+async function recordPairedSamples(options, {logger, noble = options.noble, sleep = defaultSleep, now = Date.now,
+  createBike = createBikeClient, createReference = createReferenceClient}) {
+  const stepSeconds = options.calibrateStepSeconds ?? 30;
+  const bike = await createBike(options, noble);
+  const reference = createReference(noble, options);
+  const bikeSeries = [];
+  const referenceSeries = [];
+  let recording = false;
+  bike.on('stats', ({power, cadence}) => {
+    if (recording) {
+      bikeSeries.push({t: now(), power, cadence});
+    }
+  });
+  reference.on('stats', ({power}) => {
+    if (recording) {
+      referenceSeries.push({t: now(), power});
+    }
+  });
+
+  try {
+    logger.log('connecting to bike...');
+    await bike.connect();
+    logger.log(`bike connected ${bike.address}`);
+    logger.log('connecting to reference power meter...');
+    await reference.connect();
+    logger.log(`reference power meter connected ${reference.address}`);
+
+    for (const [i, step] of CALIBRATION_STEPS.entries()) {
+      logger.log(`step ${i + 1}/${CALIBRATION_STEPS.length} (${step.label}): ${step.instruction}`);
+      recording = false;
+      await sleep(SETTLE_SECONDS * 1000);
+      logger.log(`recording for ${stepSeconds}s...`);
+      recording = true;
+      await sleep(stepSeconds * 1000);
+    }
+    recording = false;
+  } finally {
+    await Promise.all([bike, reference].map(client => client.disconnect?.().catch(() => {})));
+  }
+
+  const pairs = pairSamples(bikeSeries, referenceSeries);
+  logger.log(`recorded ${bikeSeries.length} bike and ${referenceSeries.length} reference readings (${pairs.length} pairs)`);
+  return {bikeType: bike.bikeType, pairs};
+}
+
+function createReferenceClient(noble, options) {
+  return new CpsBikeClient(noble, {name: options.referenceName, address: options.referenceAddress});
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function formatStats({count, meanError, rmse, maxAbsError, r2}) {
+  return `n=${count} bias=${meanError.toFixed(1)}W rmse=${rmse.toFixed(1)}W max=${maxAbsError.toFixed(1)}W r2=${r2.toFixed(3)}`;
+}
@@ -1,5 +1,7 @@
 import {defaults} from './defaults.js'; // Pull pure data defaults without triggering BLE initialization.
 import {getBikeTypes} from '../bikes/index.js'; // Import directly to avoid loading noble prematurely.
+import {PELOTON_MODES} from '../bikes/peloton.js'; // Valid --peloton-mode choices live next to the client.
+import {SPEED_CADENCE_MODES} from '../servers/ant/index.js'; // Valid --ant-speed-cadence choices live next to the ANT+ server.
 
 export const options = {
   'config': {
@@ -48,11 +50,38 @@ export const options = {
   'keiser-address': {
     describe: '<macaddr> optional MAC filter for Keiser discovery',
   },
+  'keiser-id': {
+    describe: '<ordinal> only follow the Keiser console with this equipment ordinal ID',
+    type: 'number',
+  },
+  'ftms-address': {
+    describe: '<macaddr> optional MAC filter for generic FTMS bikes',
+  },
+  'ftms-name': {
+    describe: '<name> optional advertised name filter for generic FTMS bikes',
+  },
+  'cps-address': {
+    describe: '<macaddr> optional MAC filter for external power meters (--bike cps)',
+  },
+  'cps-name': {
+    describe: '<name> optional advertised name filter for external power meters (--bike cps)',
+  },
+  'ant-bike-device-id': {
+    describe: '<id> ANT+ device number of the bike\'s power meter (--bike ant); 0 uses the first one found',
+    type: 'number',
+    default: defaults.antBikeDeviceId,
+  },
   'peloton-path': {
     describe: '<path> usb serial device path',
     type: 'string',
     default: defaults.pelotonPath,
   },
+  'peloton-mode': {
+    describe: '<mode> active polls the bike; passive listens to tablet traffic on a Y-split',
+    type: 'string',
+    choices: PELOTON_MODES,
+    default: defaults.pelotonMode,
+  },
   'bot-power': {
     describe: '<watts> initial bot power',
     type: 'number',
@@ -87,6 +116,11 @@ export const options = {
     type: 'boolean',
     default: defaults.bleMultiOutput,
   },
+  'ftms-enabled': {
+    describe: 'advertise the Fitness Machine Service (FTMS) alongside Cycling Power/CSC',
+    type: 'boolean',
+    default: defaults.ftmsEnabled,
+  },
   'server-name': {
     describe: '<name> used for Bluetooth advertisement',
     default: defaults.serverName,
@@ -96,8 +130,13 @@ export const options = {
     type: 'number',
     default: defaults.serverPingInterval,
   },
+  'status-interval': {
+    describe: '<seconds> log a status line (metric sources, ANT+ stick and channels); 0 disables',
+    type: 'number',
+    default: defaults.statusInterval,
+  },
   'ant-device-id': {
-    describe: '<id> ANT+ device id for bike power broadcast',
+    describe: '<id> ANT+ device id for bike power broadcast; the other ANT+ broadcasters add a fixed offset',
     type: 'number',
     default: defaults.antDeviceId,
   },
@@ -106,6 +145,41 @@ export const options = {
     type: 'boolean',
     default: defaults.antAuto,
   },
+  'ant-hotplug-interval': {
+    describe: '<seconds> how often to look for an ANT+ stick being plugged in or removed; 0 disables',
+    type: 'number',
+    default: defaults.antHotplugInterval,
+  },
+  'ant-speed-cadence': {
+    describe: 'also broadcast ANT+ speed/cadence sensor channels: combined (one S&C sensor) or separate (speed + cadence)',
+    choices: Object.keys(SPEED_CADENCE_MODES),
+    default: defaults.antSpeedCadence,
+  },
+  'ant-crank-torque': {
+    describe: 'also send ANT+ crank torque pages (0x12) on the power channel, derived from crank events',
+    type: 'boolean',
+    default: defaults.antCrankTorque,
+  },
+  'ant-fec': {
+    describe: 'also broadcast an ANT+ FE-C trainer; target power and track resistance are relayed to controllable bikes',
+    type: 'boolean',
+    default: defaults.antFec,
+  },
+  'ant-heart-rate-broadcast': {
+    describe: 'broadcast heart rate as an ANT+ heart-rate monitor alongside power',
+    type: 'boolean',
+    default: defaults.antHeartRateBroadcast,
+  },
+  'ant-heart-rate': {
+    describe: 'receive heart rate from an ANT+ strap on the ANT+ stick',
+    type: 'boolean',
+    default: defaults.antHeartRate,
+  },
+  'ant-heart-rate-device-id': {
+    describe: '<id> ANT+ device number of the heart-rate strap (0 pairs with the first one found)',
+    type: 'number',
+    default: defaults.antHeartRateDeviceId,
+  },
   'ant-plus': {
     describe: 'force-enable ANT+ broadcasting regardless of auto detection',
     type: 'boolean',
@@ -120,6 +194,10 @@ export const options = {
     type: 'number',
     default: defaults.powerOffset,
   },
+  'power-calibration': {
+    describe: '<path> JSON file with per-bike power calibration tables (grid or curve)',
+    type: 'string',
+  },
   'speed-circumference': {
     describe: '<meters> virtual wheel circumference for speed estimation',
     type: 'number',
@@ -140,6 +218,37 @@ export const options = {
     type: 'number',
     default: defaults.speedFallback.max,
   },
+  'speed-sensor-name': {
+    describe: '<name> speed sensor name filter',
+    type: 'string',
+  },
+  'speed-sensor-address': {
+    describe: '<mac> speed sensor address',
+    type: 'string',
+  },
+  'cadence-sensor-name': {
+    describe: '<name> cadence sensor name filter',
+    type: 'string',
+  },
+  'cadence-sensor-address': {
+    describe: '<mac> cadence sensor address',
+    type: 'string',
+  },
+  'speed-priority': {
+    describe: '<sources> speed source order (sensor, bike, estimate)',
+    type: 'string',
+    default: defaults.speedPriority,
+  },
+  'cadence-priority': {
+    describe: '<sources> cadence source order (sensor, bike)',
+    type: 'string',
+    default: defaults.cadencePriority,
+  },
+  'sensor-stale-timeout': {
+    describe: '<ms> ignore a speed/cadence sensor that has been silent this long',
+    type: 'number',
+    default: defaults.sensorStaleTimeout,
+  },
 
   'heart-rate-device': {
     describe: '<name> optional heart-rate monitor name filter',
@@ -179,3 +288,34 @@ export const options = {
     default: defaults.connectionRetryDelay,
   }
 };
+
+// Options of the `gymnasticon calibrate` command (see calibrate.js).
+export const calibrateOptions = {
+  'reference-name': {
+    describe: '<name> reference power meter name filter',
+    type: 'string',
+  },
+  'reference-address': {
+    describe: '<mac> reference power meter address',
+    type: 'string',
+  },
+  'calibrate-samples': {
+    describe: '<filename> refit a recorded sample file instead of riding',
+    type: 'string',
+  },
+  'calibrate-record': {
+    describe: '<filename> save the paired samples for later refitting',
+    type: 'string',
+  },
+  'calibrate-degree': {
+    describe: '<1-3> 1 saves power-scale/power-offset, 2 or 3 save a per-bike power curve',
+    type: 'number',
+    choices: [1, 2, 3],
+    default: 1,
+  },
+  'calibrate-step-seconds': {
+    describe: '<seconds> recording time per guided step',
+    type: 'number',
+    default: 30,
+  },
+};
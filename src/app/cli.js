@@ -28,7 +28,7 @@ import { hideBin } from 'yargs/helpers';  // Removes Node.js binary path from ar
 // Local Application Imports
 // ------------------------
 import fs from 'fs/promises'; // Read config early so adapter env vars match persisted settings.
-import { options as cliOptions } from './cli-options.js'; // Command line option definitions
+import { options as cliOptions, calibrateOptions } from './cli-options.js'; // Command line option definitions
 import { detectAdapters, supportsExtendedScan } from '../util/adapter-detect.js'; // Auto-detect Bluetooth and ANT+ adapters when the user does not specify them
 import { initializeBluetooth } from '../util/noble-wrapper.js'; // Bluetooth initialization (runs after we set adapter env vars)
 import { normalizeAdapterId, normalizeAdapterName } from '../util/adapter-id.js'; // Normalize hci0 -> 0 for noble/bleno env vars
@@ -209,6 +209,9 @@ const main = async () => {
     const argv = yargs(rawArgs)
         // Add all our custom command line options
         .options(cliOptions)
+        // `gymnasticon calibrate` fits bike power against a reference power meter
+        .command('calibrate', 'fit bike power against a reference Cycling Power meter and save the correction',
+            (y) => y.options(calibrateOptions))
         // Allow --my-option to be passed as --myOption
         .parserConfiguration({ 'camel-case-expansion': true })
         // Add --help option
@@ -223,6 +226,22 @@ const main = async () => {
     const configPath = argv.configPath || argv.config || '/etc/gymnasticon.json'; // Support both legacy --config and explicit --config-path.
     console.log('[gym-cli] Using config path:', configPath);
     const configOverrides = await loadConfigFile(configPath); // Teaching note: read config now so BLE env vars match the file.
+    const calibrating = argv._[0] === 'calibrate';
+    const calibrateCommandOptions = () => { // Teaching note: calibrate never builds a GymnasticonApp, so merge the config here.
+        const merged = buildAppOptions(argv);
+        for (const [key, value] of Object.entries(configOverrides)) {
+            if (!providedOptions.has(key)) {
+                merged[key] = value;
+            }
+        }
+        return { ...merged, configPath };
+    };
+    if (calibrating && argv.calibrateSamples) {
+        // Refitting a recorded sample file needs no Bluetooth at all.
+        const { runCalibrateCommand } = await import('./calibrate.js');
+        await runCalibrateCommand(calibrateCommandOptions());
+        process.exit(0);
+    }
 
     // Teaching note: only apply config defaults when the user did NOT explicitly pass the flag.
     if (!providedOptions.has('bikeAdapter') && configOverrides.bikeAdapter) {
@@ -386,6 +405,12 @@ const main = async () => {
     const { noble } = await initializeBluetooth(argv.bikeAdapter);
     console.log('[gym-cli] Bluetooth initialized; noble state:', noble?.state);
 
+    if (calibrating) {
+        const { runCalibrateCommand } = await import('./calibrate.js');
+        await runCalibrateCommand({ ...calibrateCommandOptions(), noble });
+        process.exit(0);
+    }
+
     // Delay importing the heavy Gymnasticon runtime until after the environment
     // variables above are set so noble/bleno honor the adapter overrides.
     const { GymnasticonApp } = await import('./gymnasticon-app.js');
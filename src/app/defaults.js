@@ -20,10 +20,23 @@ export const defaults = {
 
   // keiser bike options
   keiserAddress: undefined,      // optional MAC filter for Keiser discovery
+  keiserId: undefined,           // optional equipment ordinal ID for multi-bike rooms
   
 
+  // generic ftms bike options
+  ftmsAddress: undefined,        // optional MAC filter for generic FTMS discovery
+  ftmsName: undefined,           // optional advertised name filter for generic FTMS discovery
+
+  // external power meter (cps) options
+  cpsAddress: undefined,         // optional MAC filter for Cycling Power Service meters
+  cpsName: undefined,            // optional advertised name filter for Cycling Power Service meters
+
+  // ANT+ power meter (ant) options
+  antBikeDeviceId: 0,            // ANT+ device number of the bike's power meter (0 = first one found)
+
   // peloton bike options
   pelotonPath: '/dev/ttyUSB0',   // serial device path for Peloton consoles
+  pelotonMode: 'active',         // 'active' polls the bike; 'passive' only listens to the tablet's traffic
 
   // test bike options
   botPower: 0,                   // watts emitted by the bot simulator
@@ -35,16 +48,26 @@ export const defaults = {
   serverAdapter: 'hci0',         // BLE adapter used to advertise Gymnasticon
   serverName: 'GymnasticonV2',   // Distinguish this bridge from nearby legacy Gymnasticon instances on BLE scans.
   serverPingInterval: 1,         // seconds between keep-alive power frames
+  statusInterval: 60,            // seconds between status log lines (metric sources, ANT+ stick and channels); 0 = off
   bleMultiOutput: undefined,     // auto-enable multi-adapter BLE mirroring when possible
+  ftmsEnabled: true,             // advertise the Fitness Machine Service (0x1826) alongside CPS/CSC
 
   // ANT+ server options
   antDeviceId: 21234,            // deterministic default for ANT+ device ID
   antAuto: true,                 // auto-enable ANT+ when a stick is detected
+  antHotplugInterval: 2,         // seconds between USB scans for an ANT+ stick being plugged in or removed (0 = off)
   antEnabled: false,             // explicit override for ANT+ broadcasting
+  antSpeedCadence: 'off',        // ANT+ speed/cadence sensor channels: 'off', 'combined' (0x79) or 'separate' (0x7B + 0x7A)
+  antCrankTorque: false,         // interleave ANT+ crank torque pages (0x12) on the power channel for smoother head-unit cadence
+  antFec: false,                 // broadcast an ANT+ FE-C trainer and accept its control pages
+  antHeartRateBroadcast: true,   // broadcast heart rate as an ANT+ heart-rate monitor alongside power
+  antHeartRate: false,           // receive an ANT+ heart-rate strap on the ANT+ stick
+  antHeartRateDeviceId: 0,       // ANT+ device number of the strap (0 = pair with the first one found, then saved)
 
   // power adjustment (tune mis-calibrated bikes)
   powerScale: 1.0,               // multiplicative watt adjustment
   powerOffset: 0.0,              // additive watt adjustment
+  powerCalibration: undefined,   // calibration tables (object) or path to a JSON file; see util/power-calibration.js
 
   // speed estimation fallback parameters
   speedFallback: {
@@ -54,6 +77,17 @@ export const defaults = {
     max: 25                      // clamp maximum estimated speed (~90 km/h)
   },
 
+  // external speed/cadence sensor options (standard CSC 0x1816)
+  speedSensorName: undefined,    // optional advertised name filter for the speed sensor
+  speedSensorAddress: undefined, // optional MAC filter for the speed sensor
+  cadenceSensorName: undefined,  // optional advertised name filter for the cadence sensor
+  cadenceSensorAddress: undefined, // optional MAC filter for the cadence sensor
+
+  // metric blending (which source feeds speed/cadence; see util/metric-blender.js)
+  speedPriority: 'sensor,bike,estimate', // external speed sensor, then bike speed, then cadence-based estimate
+  cadencePriority: 'sensor,bike',        // external cadence sensor, then bike cadence
+  sensorStaleTimeout: 3000,      // milliseconds before a silent speed/cadence sensor is ignored
+
   // heart-rate options (auto = let runtime decide based on hardware)
   heartRateEnabled: undefined,
   heartRateAdapter: undefined,
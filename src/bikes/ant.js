@@ -0,0 +1,325 @@
+import {EventEmitter} from 'events';
+import {loadDependency, toDefaultExport} from '../util/optional-deps.js';
+import {allocateChannel} from '../util/ant-stick-manager.js';
+import {counterDelta} from '../util/csc-measurement.js';
+import {
+  POWER_DEVICE_TYPE,
+  POWER_PERIOD,
+  PAGE_POWER_ONLY,
+  PAGE_CRANK_TORQUE,
+  parseBicyclePowerPage,
+} from '../util/ant-bicycle-power.js';
+
+const antModule = loadDependency('gd-ant-plus', '../../stubs/gd-ant-plus.cjs', import.meta);
+const Ant = toDefaultExport(antModule);
+const debugModule = loadDependency('debug', '../../stubs/debug.cjs', import.meta);
+const debuglog = toDefaultExport(debugModule)('gym:bikes:ant');
+
+const RF_CHANNEL = 57; // 2457 MHz
+const TRANSMISSION_TYPE_WILDCARD = 0;
+const SEARCH_TIMEOUT_NEVER = 0xff; // the app's bike connect timeout bounds the search instead
+
+const MESSAGE_CHANNEL_EVENT = 0x40;
+const MESSAGE_CHANNEL_BROADCAST_DATA = 0x4e;
+const MESSAGE_CHANNEL_ACKNOWLEDGED_DATA = 0x4f;
+const MESSAGE_CHANNEL_ID = 0x51;
+const EVENT_RX_FAIL_GO_TO_SEARCH = 0x08;
+const EVENT_CHANNEL_CLOSED = 0x07;
+
+const EVENT_COUNT_MAX = 0x100;
+const ACCUMULATED_MAX = 0x10000;
+const PERIOD_RESOLUTION = 2048; // crank period is in 1/2048 s
+const TORQUE_RESOLUTION = 32; // accumulated torque is in 1/32 Nm
+const STALE_EVENT_MS = 3000; // treat power/cadence as zero when the event count stops moving for this long
+
+const defaults = {
+  deviceId: 0, // 0 = use the first power meter found
+  channel: 0,
+}
+
+/**
+ * Reads a bike's built-in ANT+ power meter (Bicycle Power profile, device
+ * type 0x0B) through the ANT+ stick: power from Power-Only pages (0x10) and
+ * cadence from either those or Crank Torque pages (0x12), so meters that only
+ * speak ANT+ can be rebroadcast over BLE.
+ *
+ * The stick must already be open (see App.openAntStick()); this client only
+ * owns its receive channel.
+ */
+export class AntBikeClient extends EventEmitter {
+  /**
+   * Create an AntBikeClient instance.
+   * @param {Ant.USBDevice|AntStickManager} antStick - ANT+ device instance, or the AntStickManager sharing it
+   * @param {object} [options]
+   * @param {number} [options.deviceId] - ANT+ device number of the power meter (0 = wildcard)
+   * @param {number} [options.channel] - ANT+ channel
+   */
+  constructor(antStick, options = {}) {
+    super();
+    const opts = {...defaults, ...options};
+    this.stick = antStick;
+    this.channel = allocateChannel(antStick, 'bike', opts.channel);
+    this.deviceId = Number.isInteger(opts.deviceId) && opts.deviceId > 0 ? opts.deviceId : 0;
+    this.state = 'disconnected';
+    this.pendingConnect = null;
+    this.onRead = this.onRead.bind(this);
+    this.resetPageState();
+  }
+
+  static get label() { // Friendly identifier shown in logs and error messages.
+    return 'ant';
+  }
+
+  /**
+   * Open the receive channel and wait until the power meter is found.
+   */
+  async connect() {
+    if (this.state === 'connected') {
+      throw new Error('Already connected');
+    }
+    if (!this.stick) {
+      throw new Error('ANT+ stick not available');
+    }
+
+    this.state = 'connecting';
+    const found = new Promise((resolve, reject) => {
+      this.pendingConnect = {resolve, reject};
+    });
+    const {stick, channel, deviceId} = this;
+    const messages = [
+      Ant.Messages.assignChannel(channel, 'receive'),
+      Ant.Messages.setDevice(channel, deviceId, POWER_DEVICE_TYPE, TRANSMISSION_TYPE_WILDCARD),
+      Ant.Messages.searchChannel(channel, SEARCH_TIMEOUT_NEVER),
+      Ant.Messages.setFrequency(channel, RF_CHANNEL),
+      Ant.Messages.setPeriod(channel, POWER_PERIOD),
+      Ant.Messages.openChannel(channel),
+    ];
+    debuglog(`ANT+ power meter search [deviceId=${deviceId || 'any'} channel=${channel}]`);
+    this.resetPageState();
+    stick.on('read', this.onRead);
+    for (let m of messages) {
+      stick.write(m);
+    }
+    await found;
+    this.state = 'connected';
+  }
+
+  /**
+   * Get the power meter's identity. ANT+ has no MAC address, so this is the
+   * device number, which is also what per-bike calibration is keyed on.
+   * @returns {string} e.g. "ant:12345"
+   */
+  get address() {
+    return this.deviceId ? `ant:${this.deviceId}` : undefined;
+  }
+
+  /**
+   * Handle a message read from the stick. Messages for other channels are ignored.
+   * @param {buffer} data - raw ANT message (sync, length, id, channel, payload..., checksum)
+   * @private
+   */
+  onRead(data) {
+    if (!Buffer.isBuffer(data) || data.length < 5 || data.readUInt8(3) !== this.channel) {
+      return;
+    }
+    const messageId = data.readUInt8(2);
+    if (messageId === MESSAGE_CHANNEL_BROADCAST_DATA || messageId === MESSAGE_CHANNEL_ACKNOWLEDGED_DATA) {
+      this.onPage(data.subarray(4, 12));
+    } else if (messageId === MESSAGE_CHANNEL_ID) {
+      this.onChannelId(data);
+    } else if (messageId === MESSAGE_CHANNEL_EVENT) {
+      this.onChannelEvent(data.readUInt8(5));
+    }
+  }
+
+  /**
+   * Decode a power meter page and emit stats.
+   * @param {buffer} payload - 8-byte page
+   * @emits BikeClient#data
+   * @emits BikeClient#stats
+   * @private
+   */
+  onPage(payload) {
+    this.emit('data', payload);
+    let page;
+    try {
+      page = parseBicyclePowerPage(payload);
+    } catch (e) {
+      debuglog(`ANT+ power page ignored: ${e.message}`);
+      return;
+    }
+    if (page.page !== PAGE_POWER_ONLY && page.page !== PAGE_CRANK_TORQUE) {
+      return; // common pages, calibration and other manufacturer pages
+    }
+    this.onFound();
+
+    const now = Date.now();
+    if (page.page === PAGE_POWER_ONLY) {
+      this.updatePowerOnly(page, now);
+    } else {
+      this.updateCrankTorque(page, now);
+    }
+    this.emit('stats', {power: this.power, cadence: this.cadence});
+  }
+
+  /**
+   * Average power over the events since the last page; the instantaneous
+   * field is only used for the first page.
+   * @private
+   */
+  updatePowerOnly({eventCount, cadence, accumulatedPower, power}, now) {
+    this.hasPowerOnly = true;
+    const last = this.lastPowerOnly;
+    if (!last) {
+      this.lastPowerOnly = {eventCount, accumulatedPower, receivedAt: now};
+      this.power = power;
+      this.cadence = cadence ?? this.cadence;
+      return;
+    }
+    const events = counterDelta(eventCount, last.eventCount, EVENT_COUNT_MAX);
+    if (events === 0) {
+      if (now - last.receivedAt > STALE_EVENT_MS) {
+        this.power = 0; // No new power event for a while: the rider stopped pedaling.
+        this.cadence = 0;
+      }
+      return;
+    }
+    this.lastPowerOnly = {eventCount, accumulatedPower, receivedAt: now};
+    this.power = Math.round(counterDelta(accumulatedPower, last.accumulatedPower, ACCUMULATED_MAX) / events);
+    if (cadence !== null) {
+      this.cadence = cadence;
+    }
+  }
+
+  /**
+   * Cadence (and, for meters without page 0x10, power) from the crank
+   * period and torque accumulated since the last page.
+   * @private
+   */
+  updateCrankTorque({eventCount, period, torque}, now) {
+    const last = this.lastCrankTorque;
+    this.lastCrankTorque = {eventCount, period, torque, receivedAt: now};
+    if (!last) {
+      return;
+    }
+    const events = counterDelta(eventCount, last.eventCount, EVENT_COUNT_MAX);
+    const seconds = counterDelta(period, last.period, ACCUMULATED_MAX) / PERIOD_RESOLUTION;
+    if (events === 0 || seconds === 0) {
+      this.lastCrankTorque = last; // keep measuring from the last real event
+      if (now - last.receivedAt > STALE_EVENT_MS) {
+        this.cadence = 0;
+        if (!this.hasPowerOnly) {
+          this.power = 0;
+        }
+      }
+      return;
+    }
+    this.cadence = Math.round(60 * events / seconds);
+    if (!this.hasPowerOnly) { // page 0x10 is authoritative for power when the meter sends both
+      const newtonMeters = counterDelta(torque, last.torque, ACCUMULATED_MAX) / TORQUE_RESOLUTION;
+      this.power = Math.round(2 * Math.PI * newtonMeters / seconds);
+    }
+  }
+
+  /**
+   * @private
+   */
+  onFound() {
+    if (!this.pendingConnect) {
+      return;
+    }
+    if (!this.deviceId) {
+      if (!this.channelIdRequested) {
+        // Wildcard search: ask the stick which meter we locked onto before reporting it connected.
+        this.channelIdRequested = true;
+        this.stick.write(Ant.Messages.requestMessage(this.channel, MESSAGE_CHANNEL_ID));
+      }
+      return;
+    }
+    const {resolve} = this.pendingConnect;
+    this.pendingConnect = null;
+    debuglog(`ANT+ power meter found [deviceId=${this.deviceId}]`);
+    resolve();
+  }
+
+  /**
+   * @private
+   */
+  onChannelId(data) {
+    if (data.length < 7) {
+      return;
+    }
+    const deviceId = data.readUInt16LE(4);
+    const deviceType = data.readUInt8(6) & 0x7f;
+    if (!deviceId || deviceType !== POWER_DEVICE_TYPE) {
+      return;
+    }
+    this.deviceId = deviceId;
+    this.onFound();
+  }
+
+  /**
+   * @private
+   */
+  onChannelEvent(event) {
+    if (event === EVENT_RX_FAIL_GO_TO_SEARCH && this.state === 'connected') {
+      // Meters sleep when the cranks stop; keep searching so it is picked up again when it wakes.
+      debuglog('ANT+ power meter lost; searching');
+      this.power = 0;
+      this.cadence = 0;
+      this.lastPowerOnly = null;
+      this.lastCrankTorque = null;
+      this.emit('stats', {power: 0, cadence: 0});
+    } else if (event === EVENT_CHANNEL_CLOSED && this.state !== 'disconnecting') {
+      this.onDisconnect();
+    }
+  }
+
+  resetPageState() {
+    this.lastPowerOnly = null;
+    this.lastCrankTorque = null;
+    this.hasPowerOnly = false;
+    this.channelIdRequested = false;
+    this.power = 0;
+    this.cadence = 0;
+  }
+
+  /**
+   * Close the receive channel.
+   */
+  async disconnect() {
+    if (this.state === 'disconnected') {
+      return;
+    }
+    this.state = 'disconnecting';
+    try {
+      this.stick.write(Ant.Messages.closeChannel(this.channel));
+      this.stick.write(Ant.Messages.unassignChannel(this.channel));
+    } catch (err) {
+      debuglog('error closing power meter channel', err);
+    } finally {
+      this.onDisconnect();
+    }
+  }
+
+  /**
+   * Handle power meter disconnection.
+   * @emits BikeClient#disconnect
+   * @private
+   */
+  onDisconnect() {
+    if (this.state === 'disconnected') {
+      return;
+    }
+    this.state = 'disconnected';
+    this.stick.removeListener('read', this.onRead);
+    if (this.pendingConnect) {
+      const {reject} = this.pendingConnect;
+      this.pendingConnect = null;
+      reject(new Error('Unable to find ANT+ power meter'));
+    }
+    const address = this.address;
+    this.resetPageState();
+    this.emit('disconnect', {address});
+  }
+}
@@ -0,0 +1,298 @@
+import {EventEmitter} from 'events';
+import {scan} from '../util/ble-scan.js';
+import {macAddress} from '../util/mac-address.js';
+import {loadDependency, toDefaultExport} from '../util/optional-deps.js';
+
+const debugModule = loadDependency('debug', '../../stubs/debug.cjs', import.meta);
+const debuglog = toDefaultExport(debugModule)('gym:bikes:bikeerg');
+
+// PM5 monitors advertise names such as "PM5 430123456 Bike".
+const PM5_NAME_PATTERN = /^pm5/i;
+
+// GATT service/characteristic UUIDs (PM5 Bluetooth Smart Interface Definition)
+const PM5_UUID = short => `ce06${short}43e511e4916c0800200c9a66`;
+const ROWING_SERVICE_UUID = PM5_UUID('0030');
+const GENERAL_STATUS_UUID = PM5_UUID('0031');
+const ADDITIONAL_STATUS_UUID = PM5_UUID('0032');
+const ADDITIONAL_STROKE_DATA_UUID = PM5_UUID('0036');
+
+const GENERAL_STATUS_LENGTH = 19;
+const ADDITIONAL_STATUS_LENGTH = 17;
+const ADDITIONAL_STROKE_DATA_LENGTH = 15;
+const HEART_RATE_INVALID = 255; // reported when no strap is paired with the PM5
+const PACE_POWER_CONSTANT = 2.8; // Concept2 watts = 2.8 * (m/s)^3
+
+/**
+ * Check whether a peripheral advertises a Concept2 PM5 name.
+ * @param {Peripheral} peripheral - noble peripheral
+ * @returns {boolean}
+ */
+export function matchesPm5Name(peripheral) {
+  return PM5_NAME_PATTERN.test(peripheral?.advertisement?.localName ?? '');
+}
+
+/**
+ * Handles communication with a Concept2 BikeErg through the PM5 monitor's
+ * rowing service (general status, additional status and stroke data).
+ */
+export class BikeErgBikeClient extends EventEmitter {
+  /**
+   * Create a BikeErgBikeClient instance.
+   * @param {Noble} noble - a Noble instance.
+   * @param {function} [filter] - filter to specify bike when more than one is present
+   */
+  constructor(noble, filter = matchesPm5Name) {
+    super();
+    this.noble = noble;
+    this.filter = filter;
+    this.state = 'disconnected';
+    this.characteristics = [];
+    this.resetMetrics();
+    this.onGeneralStatus = this.onGeneralStatus.bind(this);
+    this.onAdditionalStatus = this.onAdditionalStatus.bind(this);
+    this.onStrokeData = this.onStrokeData.bind(this);
+    this.onDisconnect = this.onDisconnect.bind(this);
+  }
+
+  static get label() { // Friendly identifier shown in logs and error messages.
+    return 'bikeerg';
+  }
+
+  /**
+   * Establish a connection to the PM5 and subscribe to its status characteristics.
+   */
+  async connect() {
+    if (this.state === 'connected') {
+      throw new Error('Already connected');
+    }
+
+    this.state = 'connecting';
+    this.peripheral = await scan(this.noble, null, this.filter, {allowDuplicates: false, active: true});
+    if (!this.peripheral) {
+      this.state = 'disconnected';
+      throw new Error('Unable to find Concept2 BikeErg');
+    }
+    await this.peripheral.connectAsync({timeout: 10000});
+    this.peripheral.on('disconnect', this.onDisconnect);
+
+    // discover services/characteristics
+    const {characteristics} = await this.peripheral.discoverSomeServicesAndCharacteristicsAsync(
+      [ROWING_SERVICE_UUID], [GENERAL_STATUS_UUID, ADDITIONAL_STATUS_UUID, ADDITIONAL_STROKE_DATA_UUID]);
+    const handlers = {
+      [GENERAL_STATUS_UUID]: this.onGeneralStatus,
+      [ADDITIONAL_STATUS_UUID]: this.onAdditionalStatus,
+      [ADDITIONAL_STROKE_DATA_UUID]: this.onStrokeData,
+    };
+    if (!characteristics.some(c => c.uuid == ADDITIONAL_STATUS_UUID)) {
+      throw new Error('PM5 additional status characteristic not found');
+    }
+
+    // subscribe to receive data
+    for (const characteristic of characteristics) {
+      const handler = handlers[characteristic.uuid];
+      if (!handler) {
+        continue;
+      }
+      characteristic.on('data', handler);
+      await characteristic.subscribeAsync();
+      this.characteristics.push({characteristic, handler});
+    }
+
+    this.state = 'connected';
+  }
+
+  /**
+   * Get the bike's MAC address.
+   * @returns {string} mac address
+   */
+  get address() {
+    return this.peripheral ? macAddress(this.peripheral.address) : undefined;
+  }
+
+  /**
+   * Handle a General Status notification (distance, elapsed time).
+   * @param {buffer} data - raw characteristic value
+   * @private
+   */
+  onGeneralStatus(data) {
+    this.emit('data', data);
+    const status = tryParse(parseGeneralStatus, data);
+    if (status) {
+      this.distance = status.distance;
+      this.elapsedTime = status.elapsedTime;
+    }
+  }
+
+  /**
+   * Handle an Additional Status notification (speed, stroke rate) and emit stats.
+   * @param {buffer} data - raw characteristic value
+   * @emits BikeClient#stats
+   * @private
+   */
+  onAdditionalStatus(data) {
+    this.emit('data', data);
+    const status = tryParse(parseAdditionalStatus, data);
+    if (!status) {
+      return;
+    }
+    const {speed, cadence, heartRate} = status;
+    // Prefer the PM5's per-stroke watts; fall back to Concept2's pace formula
+    // until the first stroke data notification arrives.
+    const power = speed > 0
+      ? (this.strokePower ?? Math.round(PACE_POWER_CONSTANT * speed ** 3))
+      : 0;
+    const stats = {power, cadence, speed};
+    if (heartRate !== undefined) {
+      stats.heartRate = heartRate;
+    }
+    if (this.distance !== undefined) {
+      stats.distance = this.distance;
+    }
+    if (this.elapsedTime !== undefined) {
+      stats.elapsedTime = this.elapsedTime;
+    }
+    this.emit('stats', stats);
+  }
+
+  /**
+   * Handle an Additional Stroke Data notification (stroke power).
+   * @param {buffer} data - raw characteristic value
+   * @private
+   */
+  onStrokeData(data) {
+    this.emit('data', data);
+    const stroke = tryParse(parseAdditionalStrokeData, data);
+    if (stroke) {
+      this.strokePower = stroke.power;
+    }
+  }
+
+  resetMetrics() {
+    this.strokePower = undefined;
+    this.distance = undefined;
+    this.elapsedTime = undefined;
+  }
+
+  /**
+   * Disconnect from the bike.
+   */
+  async disconnect() {
+    if (this.state === 'disconnected' || !this.peripheral) {
+      return;
+    }
+    this.state = 'disconnecting';
+    try {
+      await this.peripheral.disconnectAsync();
+    } catch (err) {
+      debuglog('error disconnecting from BikeErg', err);
+    } finally {
+      if (this.state !== 'disconnected') {
+        this.onDisconnect();
+      }
+    }
+  }
+
+  /**
+   * Handle bike disconnection.
+   * @emits BikeClient#disconnect
+   * @private
+   */
+  onDisconnect() {
+    if (this.state === 'disconnected') {
+      return;
+    }
+    this.state = 'disconnected';
+    let address;
+    if (this.peripheral) {
+      this.peripheral.off('disconnect', this.onDisconnect);
+      address = this.peripheral.address;
+      this.peripheral = null;
+    }
+    for (const {characteristic, handler} of this.characteristics) {
+      characteristic.off('data', handler);
+    }
+    this.characteristics = [];
+    this.resetMetrics();
+    this.emit('disconnect', {address});
+  }
+}
+
+function tryParse(parser, data) {
+  try {
+    return parser(data);
+  } catch (e) {
+    if (!/unable to parse message/.test(e)) {
+      throw e;
+    }
+    return null;
+  }
+}
+
+function assertLength(data, length) {
+  if (!Buffer.isBuffer(data) || data.length < length) {
+    throw new Error('unable to parse message');
+  }
+}
+
+/**
+ * Parse a PM5 General Status (0x0031) value.
+ * @param {buffer} data - raw characteristic value
+ * @returns {object} status
+ * @returns {number} status.elapsedTime - seconds
+ * @returns {number} status.distance - meters
+ * @returns {number} status.workoutState - PM5 workout state enum
+ * @returns {boolean} status.active - true while the flywheel is moving (rowing state)
+ * @returns {number} status.dragFactor - drag factor
+ */
+export function parseGeneralStatus(data) {
+  assertLength(data, GENERAL_STATUS_LENGTH);
+  return {
+    elapsedTime: data.readUIntLE(0, 3) / 100,
+    distance: data.readUIntLE(3, 3) / 10,
+    workoutState: data.readUInt8(8),
+    active: data.readUInt8(9) === 1,
+    dragFactor: data.readUInt8(18),
+  };
+}
+
+/**
+ * Parse a PM5 Additional Status (0x0032) value.
+ * @param {buffer} data - raw characteristic value
+ * @returns {object} status
+ * @returns {number} status.elapsedTime - seconds
+ * @returns {number} status.speed - m/s
+ * @returns {number} status.cadence - stroke rate (rpm on the BikeErg)
+ * @returns {number} [status.heartRate] - bpm, omitted when no strap is paired
+ * @returns {number} status.pace - current pace (seconds per 500 m)
+ */
+export function parseAdditionalStatus(data) {
+  assertLength(data, ADDITIONAL_STATUS_LENGTH);
+  const heartRate = data.readUInt8(6);
+  const status = {
+    elapsedTime: data.readUIntLE(0, 3) / 100,
+    speed: data.readUInt16LE(3) / 1000,
+    cadence: data.readUInt8(5),
+    pace: data.readUInt16LE(7) / 100,
+  };
+  if (heartRate !== HEART_RATE_INVALID && heartRate > 0) {
+    status.heartRate = heartRate;
+  }
+  return status;
+}
+
+/**
+ * Parse a PM5 Additional Stroke Data (0x0036) value.
+ * @param {buffer} data - raw characteristic value
+ * @returns {object} stroke
+ * @returns {number} stroke.power - stroke power (watts)
+ * @returns {number} stroke.calories - stroke calories (cal/hr)
+ * @returns {number} stroke.count - stroke count
+ */
+export function parseAdditionalStrokeData(data) {
+  assertLength(data, ADDITIONAL_STROKE_DATA_LENGTH);
+  return {
+    power: data.readUInt16LE(3),
+    calories: data.readUInt16LE(5),
+    count: data.readUInt16LE(7),
+  };
+}
@@ -0,0 +1,303 @@
+import {EventEmitter} from 'events';
+import {scan, createFilter} from '../util/ble-scan.js';
+import {macAddress} from '../util/mac-address.js';
+import {loadDependency, toDefaultExport} from '../util/optional-deps.js';
+
+const debugModule = loadDependency('debug', '../../stubs/debug.cjs', import.meta);
+const debuglog = toDefaultExport(debugModule)('gym:bikes:cps');
+
+// GATT service/characteristic UUIDs
+const CPS_SERVICE_UUID = '1818';
+const CPS_MEASUREMENT_UUID = '2a63';
+
+// Cycling Power Measurement flags (only the fields up to crank data are needed)
+const FLAG_PEDAL_POWER_BALANCE = 1 << 0;
+const FLAG_ACCUMULATED_TORQUE = 1 << 2;
+const FLAG_WHEEL_REVOLUTION_DATA = 1 << 4;
+const FLAG_CRANK_REVOLUTION_DATA = 1 << 5;
+
+const WHEEL_TIME_RESOLUTION = 2048; // wheel event time is in 1/2048 s
+const CRANK_TIME_RESOLUTION = 1024; // crank event time is in 1/1024 s
+const STALE_EVENT_MS = 3000; // treat cadence/speed as zero when no new event arrives for this long
+const DEFAULT_WHEEL_CIRCUMFERENCE = 2.1; // meters, matches the speed estimator default
+
+/**
+ * Handles communication with an external power meter (pedals, crank or hub)
+ * exposing the standard Bluetooth LE GATT Cycling Power Service.
+ */
+export class CpsBikeClient extends EventEmitter {
+  /**
+   * Create a CpsBikeClient instance.
+   * @param {Noble} noble - a Noble instance.
+   * @param {object} [options]
+   * @param {string} [options.name] - only connect to a power meter advertising this name.
+   * @param {string} [options.address] - only connect to a power meter with this MAC address.
+   * @param {number} [options.wheelCircumference] - meters per wheel revolution for wheel data.
+   */
+  constructor(noble, {name, address, wheelCircumference = DEFAULT_WHEEL_CIRCUMFERENCE} = {}) {
+    super();
+    this.noble = noble;
+    this.filter = name || address ? createFilter({name, address}) : advertisesCps;
+    this.wheelCircumference = wheelCircumference;
+    this.state = 'disconnected';
+    this.resetRevolutionState();
+    this.onReceive = this.onReceive.bind(this);
+    this.onDisconnect = this.onDisconnect.bind(this);
+  }
+
+  static get label() { // Friendly identifier shown in logs and error messages.
+    return 'cps';
+  }
+
+  /**
+   * Connect to the power meter and subscribe to Cycling Power Measurement.
+   */
+  async connect() {
+    if (this.state === 'connected') {
+      throw new Error('Already connected');
+    }
+
+    this.state = 'connecting';
+    this.peripheral = await scan(this.noble, [CPS_SERVICE_UUID], this.filter, {allowDuplicates: false, active: true});
+    if (!this.peripheral) {
+      this.state = 'disconnected';
+      throw new Error('Unable to find cycling power meter');
+    }
+    try {
+      await this.peripheral.connectAsync({timeout: 10000});
+      this.peripheral.on('disconnect', this.onDisconnect);
+
+      const {characteristics} = await this.peripheral.discoverSomeServicesAndCharacteristicsAsync(
+        [CPS_SERVICE_UUID], [CPS_MEASUREMENT_UUID]);
+      const measurement = characteristics.find(c => c.uuid == CPS_MEASUREMENT_UUID);
+      if (!measurement) {
+        throw new Error('Cycling Power Measurement characteristic not found');
+      }
+      this.measurement = measurement;
+      this.measurement.on('data', this.onReceive);
+      await this.measurement.subscribeAsync();
+    } catch (err) {
+      await this.abortConnect();
+      throw err;
+    }
+
+    this.state = 'connected';
+  }
+
+  /**
+   * Drop a half-made connection so the next connect() starts over.
+   * @private
+   */
+  async abortConnect() {
+    const peripheral = this.peripheral;
+    peripheral.off('disconnect', this.onDisconnect);
+    if (this.measurement) {
+      this.measurement.off('data', this.onReceive);
+      this.measurement = null;
+    }
+    this.peripheral = null;
+    this.state = 'disconnected';
+    try {
+      await peripheral.disconnectAsync();
+    } catch (err) {
+      debuglog('error disconnecting from power meter', err);
+    }
+  }
+
+  /**
+   * Get the power meter's MAC address.
+   * @returns {string} mac address
+   */
+  get address() {
+    return this.peripheral ? macAddress(this.peripheral.address) : undefined;
+  }
+
+  /**
+   * Handle a Cycling Power Measurement notification.
+   * @param {buffer} data - raw characteristic value.
+   * @emits BikeClient#data
+   * @emits BikeClient#stats
+   * @private
+   */
+  onReceive(data) {
+    this.emit('data', data);
+
+    let measurement;
+    try {
+      measurement = parse(data);
+    } catch (e) {
+      if (!/unable to parse message/.test(e)) {
+        throw e;
+      }
+      return;
+    }
+
+    const now = Date.now();
+    if (measurement.crank) {
+      this.updateCadence(measurement.crank, now);
+    }
+    if (measurement.wheel) {
+      this.updateSpeed(measurement.wheel, now);
+    }
+
+    const stats = {power: measurement.power, cadence: this.cadence};
+    if (measurement.wheel) {
+      stats.speed = this.speed;
+    }
+    this.emit('stats', stats);
+  }
+
+  /**
+   * Derive cadence from cumulative crank revolutions, like the CSC math in
+   * Ic8BikeClient.updateCadence().
+   * @param {object} crank - {revolutions, eventTime}
+   * @param {number} now - current time (ms)
+   * @private
+   */
+  updateCadence({revolutions, eventTime}, now) {
+    const last = this.lastCrank;
+    if (!last) {
+      this.lastCrank = {revolutions, eventTime, receivedAt: now};
+      return;
+    }
+    const deltaRevs = (revolutions - last.revolutions + 0x10000) % 0x10000; // Handle 16-bit wrap.
+    const deltaTime = (eventTime - last.eventTime + 0x10000) % 0x10000; // Handle 16-bit wrap.
+    if (deltaRevs === 0 || deltaTime === 0) {
+      if (now - last.receivedAt > STALE_EVENT_MS) {
+        this.cadence = 0; // No crank event for a while: the rider stopped pedaling.
+      }
+      return;
+    }
+    this.lastCrank = {revolutions, eventTime, receivedAt: now};
+    this.cadence = Math.round((deltaRevs / (deltaTime / CRANK_TIME_RESOLUTION)) * 60);
+  }
+
+  /**
+   * Derive speed from cumulative wheel revolutions.
+   * @param {object} wheel - {revolutions, eventTime}
+   * @param {number} now - current time (ms)
+   * @private
+   */
+  updateSpeed({revolutions, eventTime}, now) {
+    const last = this.lastWheel;
+    if (!last) {
+      this.lastWheel = {revolutions, eventTime, receivedAt: now};
+      return;
+    }
+    const deltaRevs = (revolutions - last.revolutions) >>> 0; // Handle 32-bit wrap.
+    const deltaTime = (eventTime - last.eventTime + 0x10000) % 0x10000; // Handle 16-bit wrap.
+    if (deltaRevs === 0 || deltaTime === 0) {
+      if (now - last.receivedAt > STALE_EVENT_MS) {
+        this.speed = 0;
+      }
+      return;
+    }
+    this.lastWheel = {revolutions, eventTime, receivedAt: now};
+    this.speed = (deltaRevs * this.wheelCircumference) / (deltaTime / WHEEL_TIME_RESOLUTION);
+  }
+
+  resetRevolutionState() {
+    this.lastCrank = null;
+    this.lastWheel = null;
+    this.cadence = 0;
+    this.speed = 0;
+  }
+
+  /**
+   * Disconnect from the power meter.
+   */
+  async disconnect() {
+    if (this.state === 'disconnected' || !this.peripheral) {
+      return;
+    }
+    this.state = 'disconnecting';
+    try {
+      await this.peripheral.disconnectAsync();
+    } catch (err) {
+      debuglog('error disconnecting from power meter', err);
+    } finally {
+      if (this.state !== 'disconnected') {
+        this.onDisconnect();
+      }
+    }
+  }
+
+  /**
+   * Handle power meter disconnection.
+   * @emits BikeClient#disconnect
+   * @private
+   */
+  onDisconnect() {
+    if (this.state === 'disconnected') {
+      return;
+    }
+    this.state = 'disconnected';
+    let address;
+    if (this.peripheral) {
+      this.peripheral.off('disconnect', this.onDisconnect);
+      address = this.peripheral.address;
+      this.peripheral = null;
+    }
+    if (this.measurement) {
+      this.measurement.off('data', this.onReceive);
+      this.measurement = null;
+    }
+    this.resetRevolutionState();
+    this.emit('disconnect', {address});
+  }
+}
+
+function advertisesCps(peripheral) { // Default matcher: any peripheral advertising the Cycling Power Service.
+  const uuids = peripheral?.advertisement?.serviceUuids ?? [];
+  return uuids.some(uuid => `${uuid}`.toLowerCase() === CPS_SERVICE_UUID);
+}
+
+/**
+ * Parse a Cycling Power Measurement characteristic value.
+ * @param {buffer} data - raw characteristic value.
+ * @returns {object} measurement
+ * @returns {number} measurement.power - instantaneous power (watts)
+ * @returns {number} [measurement.balance] - pedal power balance (percent)
+ * @returns {object} [measurement.wheel] - {revolutions, eventTime (1/2048 s)}
+ * @returns {object} [measurement.crank] - {revolutions, eventTime (1/1024 s)}
+ */
+export function parse(data) {
+  if (!Buffer.isBuffer(data) || data.length < 4) {
+    throw new Error('unable to parse message');
+  }
+  const flags = data.readUInt16LE(0);
+  const measurement = {power: data.readInt16LE(2)};
+  let offset = 4;
+  const need = size => {
+    if (offset + size > data.length) {
+      throw new Error('unable to parse message');
+    }
+  };
+
+  if (flags & FLAG_PEDAL_POWER_BALANCE) {
+    need(1);
+    measurement.balance = data.readUInt8(offset) / 2;
+    offset += 1;
+  }
+  if (flags & FLAG_ACCUMULATED_TORQUE) {
+    need(2);
+    offset += 2;
+  }
+  if (flags & FLAG_WHEEL_REVOLUTION_DATA) {
+    need(6);
+    measurement.wheel = {
+      revolutions: data.readUInt32LE(offset),
+      eventTime: data.readUInt16LE(offset + 4),
+    };
+    offset += 6;
+  }
+  if (flags & FLAG_CRANK_REVOLUTION_DATA) {
+    need(4);
+    measurement.crank = {
+      revolutions: data.readUInt16LE(offset),
+      eventTime: data.readUInt16LE(offset + 2),
+    };
+    offset += 4;
+  }
+  return measurement;
+}
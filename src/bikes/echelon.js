@@ -0,0 +1,295 @@
+import {EventEmitter} from 'events';
+import {Timer} from '../util/timer.js';
+import {scan} from '../util/ble-scan.js';
+import {macAddress} from '../util/mac-address.js';
+import {loadDependency, toDefaultExport} from '../util/optional-deps.js';
+
+const debugModule = loadDependency('debug', '../../stubs/debug.cjs', import.meta);
+const debuglog = toDefaultExport(debugModule)('gym:bikes:echelon');
+
+// Echelon consoles advertise names such as "ECH-SPORT-1A2B", "ECH-UK-..." or "ECHEX-...";
+// a bare "ech" prefix would also pick up e.g. Echo speakers.
+const ECHELON_NAME_PATTERN = /^ech(ex)?-/i;
+
+// GATT service/characteristic UUIDs
+const ECHELON_SERVICE_UUID = '0bf669f145f211e795980800200c9a66';
+const ECHELON_WRITE_UUID = '0bf669f245f211e795980800200c9a66';
+const ECHELON_NOTIFY_UUID = '0bf669f445f211e795980800200c9a66';
+
+// Packet framing: 0xf0, command, payload length, payload..., checksum (sum of preceding bytes & 0xff)
+const PKT_HEADER = 0xf0;
+const PKT_IDX_COMMAND = 1;
+const PKT_IDX_LENGTH = 2;
+const PKT_IDX_PAYLOAD = 3;
+
+const CMD_DEVICE_INFO = 0xa1;
+const CMD_REQUEST_STATUS = 0xa3;
+const CMD_ENABLE_SENSOR_NOTIFICATIONS = 0xb0;
+const CMD_KEEPALIVE = 0xa0;
+const NOTIFY_METRICS = 0xd1; // elapsed time, distance and cadence
+const NOTIFY_RESISTANCE = 0xd2; // resistance level
+
+const METRICS_IDX_CADENCE = 9; // 16-bit big-endian cadence (rpm) offset within a 0xd1 packet
+const RESISTANCE_IDX_LEVEL = 3; // 8-bit resistance level (1-32) offset within a 0xd2 packet
+
+const ECHELON_MAX_RESISTANCE = 32;
+const KEEPALIVE_INTERVAL = 1; // seconds between keep-alive commands; the console stops notifying without them
+
+// Approximate watts at reference cadences (columns) for reference resistance
+// levels (rows), gathered from riders comparing against a power meter.
+// Values in between are interpolated linearly in both directions.
+const POWER_TABLE_CADENCES = [40, 60, 80, 100, 120];
+const POWER_TABLE = [
+  {resistance: 1, watts: [15, 30, 50, 75, 105]},
+  {resistance: 8, watts: [30, 55, 90, 130, 180]},
+  {resistance: 16, watts: [50, 95, 150, 215, 290]},
+  {resistance: 24, watts: [80, 145, 225, 320, 430]},
+  {resistance: 32, watts: [115, 205, 320, 450, 600]},
+];
+
+/**
+ * Check whether a peripheral advertises an Echelon console name.
+ * @param {Peripheral} peripheral - noble peripheral
+ * @returns {boolean}
+ */
+export function matchesEchelonName(peripheral) {
+  return ECHELON_NAME_PATTERN.test(peripheral?.advertisement?.localName ?? '');
+}
+
+/**
+ * Handles communication with Echelon Connect bikes using the console's
+ * proprietary command/notification protocol.
+ */
+export class EchelonBikeClient extends EventEmitter {
+  /**
+   * Create an EchelonBikeClient instance.
+   * @param {Noble} noble - a Noble instance.
+   * @param {function} [filter] - filter to specify bike when more than one is present
+   */
+  constructor(noble, filter = matchesEchelonName) {
+    super();
+    this.noble = noble;
+    this.filter = filter;
+    this.state = 'disconnected';
+    this.cadence = 0;
+    this.resistance = 0;
+    this.keepalive = new Timer(KEEPALIVE_INTERVAL);
+    this.keepalive.on('timeout', this.onKeepalive.bind(this));
+    this.onReceive = this.onReceive.bind(this);
+    this.onDisconnect = this.onDisconnect.bind(this);
+  }
+
+  static get label() { // Friendly identifier shown in logs and error messages.
+    return 'echelon';
+  }
+
+  /**
+   * Establish a connection to the bike and start the notification stream.
+   */
+  async connect() {
+    if (this.state === 'connected') {
+      throw new Error('Already connected');
+    }
+
+    this.state = 'connecting';
+    this.peripheral = await scan(this.noble, [ECHELON_SERVICE_UUID], this.filter, {allowDuplicates: false, active: true});
+    if (!this.peripheral) {
+      this.state = 'disconnected';
+      throw new Error('Unable to find Echelon bike');
+    }
+    await this.peripheral.connectAsync({timeout: 10000});
+    this.peripheral.on('disconnect', this.onDisconnect);
+
+    // discover services/characteristics
+    const {characteristics} = await this.peripheral.discoverSomeServicesAndCharacteristicsAsync(
+      [ECHELON_SERVICE_UUID], [ECHELON_WRITE_UUID, ECHELON_NOTIFY_UUID]);
+    this.writer = characteristics.find(c => c.uuid == ECHELON_WRITE_UUID);
+    this.notifier = characteristics.find(c => c.uuid == ECHELON_NOTIFY_UUID);
+    if (!this.writer || !this.notifier) {
+      throw new Error('Echelon characteristics not found');
+    }
+
+    // subscribe to receive data
+    this.notifier.on('read', this.onReceive);
+    await this.notifier.subscribeAsync();
+
+    // The console only streams metrics after this command sequence.
+    await this.writer.writeAsync(encodeCommand(CMD_DEVICE_INFO), false);
+    await this.writer.writeAsync(encodeCommand(CMD_REQUEST_STATUS), false);
+    await this.writer.writeAsync(encodeCommand(CMD_ENABLE_SENSOR_NOTIFICATIONS, [0x01]), false);
+    this.keepalive.reset();
+
+    this.state = 'connected';
+  }
+
+  /**
+   * Get the bike's MAC address.
+   * @returns {string} mac address
+   */
+  get address() {
+    return this.peripheral ? macAddress(this.peripheral.address) : undefined;
+  }
+
+  /**
+   * Handle data received from the bike.
+   * @param {buffer} data - raw data encoded in proprietary format.
+   * @emits BikeClient#data
+   * @emits BikeClient#stats
+   * @private
+   */
+  onReceive(data) {
+    this.emit('data', data);
+
+    let message;
+    try {
+      message = parse(data);
+    } catch (e) {
+      if (!/unable to parse message/.test(e)) {
+        throw e;
+      }
+      return;
+    }
+
+    if (message.type === 'metrics') {
+      this.cadence = message.payload.cadence;
+    } else if (message.type === 'resistance') {
+      this.resistance = message.payload.resistance;
+    } else {
+      return;
+    }
+    const power = estimateEchelonPower(this.cadence, this.resistance);
+    this.emit('stats', {power, cadence: this.cadence, resistance: this.resistance});
+  }
+
+  /**
+   * Send the periodic keep-alive command.
+   * @private
+   */
+  onKeepalive() {
+    if (this.state !== 'connected' || !this.writer) {
+      return;
+    }
+    this.writer.writeAsync(encodeCommand(CMD_KEEPALIVE, [0x01]), false).catch(err => {
+      debuglog('failed to send Echelon keep-alive', err);
+    });
+  }
+
+  /**
+   * Disconnect from the bike.
+   */
+  async disconnect() {
+    if (this.state === 'disconnected' || !this.peripheral) {
+      return;
+    }
+    this.state = 'disconnecting';
+    try {
+      await this.peripheral.disconnectAsync();
+    } catch (err) {
+      debuglog('error disconnecting from Echelon bike', err);
+    } finally {
+      if (this.state !== 'disconnected') {
+        this.onDisconnect();
+      }
+    }
+  }
+
+  /**
+   * Handle bike disconnection.
+   * @emits BikeClient#disconnect
+   * @private
+   */
+  onDisconnect() {
+    if (this.state === 'disconnected') {
+      return;
+    }
+    this.state = 'disconnected';
+    this.keepalive.cancel();
+    let address;
+    if (this.peripheral) {
+      this.peripheral.off('disconnect', this.onDisconnect);
+      address = this.peripheral.address;
+      this.peripheral = null;
+    }
+    if (this.notifier) {
+      this.notifier.off('read', this.onReceive);
+      this.notifier = null;
+    }
+    this.writer = null;
+    this.cadence = 0;
+    this.resistance = 0;
+    this.emit('disconnect', {address});
+  }
+}
+
+function checksum(bytes) {
+  return bytes.reduce((sum, byte) => sum + byte, 0) & 0xff;
+}
+
+/**
+ * Build an Echelon command packet.
+ * @param {number} command - command byte
+ * @param {number[]} [payload] - payload bytes
+ * @returns {Buffer} framed packet including checksum
+ */
+export function encodeCommand(command, payload = []) {
+  const bytes = [PKT_HEADER, command, payload.length, ...payload];
+  return Buffer.from([...bytes, checksum(bytes)]);
+}
+
+/**
+ * Parse an Echelon notification.
+ * @param {buffer} data - raw data encoded in proprietary format
+ * @returns {object} message - parsed message
+ * @returns {string} message.type - 'metrics', 'resistance' or 'other'
+ * @returns {object} message.payload - message payload
+ */
+export function parse(data) {
+  if (!Buffer.isBuffer(data) || data.length < PKT_IDX_PAYLOAD + 1 || data[0] !== PKT_HEADER) {
+    throw new Error('unable to parse message');
+  }
+  const length = data[PKT_IDX_LENGTH];
+  const end = PKT_IDX_PAYLOAD + length;
+  if (data.length < end + 1 || checksum([...data.subarray(0, end)]) !== data[end]) {
+    throw new Error('unable to parse message');
+  }
+  const command = data[PKT_IDX_COMMAND];
+  if (command === NOTIFY_METRICS && end >= METRICS_IDX_CADENCE + 2) {
+    return {type: 'metrics', payload: {cadence: data.readUInt16BE(METRICS_IDX_CADENCE)}};
+  }
+  if (command === NOTIFY_RESISTANCE && end > RESISTANCE_IDX_LEVEL) {
+    return {type: 'resistance', payload: {resistance: data.readUInt8(RESISTANCE_IDX_LEVEL)}};
+  }
+  return {type: 'other', payload: {command}};
+}
+
+/**
+ * Estimate power from cadence and resistance using the Echelon power table.
+ * @param {number} cadence - rpm
+ * @param {number} resistance - console resistance level (1-32)
+ * @returns {number} estimated power (watts)
+ */
+export function estimateEchelonPower(cadence, resistance) {
+  if (!(cadence > 0)) {
+    return 0;
+  }
+  const level = Math.min(ECHELON_MAX_RESISTANCE, Math.max(POWER_TABLE[0].resistance, resistance || 0));
+  const upper = POWER_TABLE.findIndex(row => row.resistance >= level);
+  const lower = Math.max(0, upper - 1);
+  const low = POWER_TABLE[lower];
+  const high = POWER_TABLE[upper];
+  const weight = high.resistance === low.resistance ? 0 : (level - low.resistance) / (high.resistance - low.resistance);
+  const wattsAt = row => interpolateCadence(row.watts, cadence);
+  return Math.round(wattsAt(low) + (wattsAt(high) - wattsAt(low)) * weight);
+}
+
+function interpolateCadence(watts, cadence) {
+  const cadences = [0, ...POWER_TABLE_CADENCES]; // Anchor the curve at 0 W for 0 rpm.
+  const values = [0, ...watts];
+  let i = cadences.findIndex(c => c >= cadence);
+  if (i === -1) {
+    i = cadences.length - 1; // Extrapolate along the last segment above the table.
+  }
+  const c0 = cadences[i - 1];
+  const c1 = cadences[i];
+  return values[i - 1] + ((values[i] - values[i - 1]) * (cadence - c0)) / (c1 - c0);
+}
@@ -14,9 +14,20 @@ const UART_RX_UUID = '6e400002b5a3f393e0a9e50e24dcca9e';
 const UART_TX_UUID = '6e400003b5a3f393e0a9e50e24dcca9e';
 
 // stats packet parsing
+// A full stats packet is 34 bytes: ff, length (0x1f), 0x0c, 29 data bytes,
+// an XOR checksum of bytes 1-31 and a 0x55 trailer. With the default BLE MTU
+// it arrives split over two notifications, so the fields past the first 20
+// bytes are only decoded once the packet has been reassembled.
 const STATS_PKT_MAGIC = Buffer.from([0xff, 0x1f, 0x0c]); // identifies a stats packet
+const STATS_PKT_IDX_LENGTH = 1; // 8-bit count of bytes after the 3-byte header (data, checksum and trailer)
+const STATS_PKT_HEADER_LENGTH = 3;
 const STATS_PKT_IDX_POWER = 3; // 16-bit power (watts) data offset within packet
 const STATS_PKT_IDX_CADENCE = 12; // 8-bit cadence (rpm) data offset within packet
+const STATS_PKT_IDX_HEART_RATE = 15; // 8-bit heart rate (bpm), 0 when no strap is paired with the bike
+const STATS_PKT_IDX_DISTANCE = 16; // 32-bit trip distance (meters)
+const STATS_PKT_IDX_CALORIES = 20; // 16-bit calories (kcal)
+const STATS_PKT_IDX_RESISTANCE = 27; // 8-bit brake (torque) level shown on the console
+const STATS_PKT_TRAILER = 0x55;
 
 // the bike's desired LE connection parameters (needed for BlueZ workaround)
 const LE_MIN_INTERVAL = 16*1.25;
@@ -44,6 +55,7 @@ export class FlywheelBikeClient extends EventEmitter {
     this.noble = noble;
     this.filter = filter;
     this.state = 'disconnected';
+    this.partial = null; // first fragment of a stats packet split across notifications
     this.onReceive = this.onReceive.bind(this);
     this.onDisconnect = this.onDisconnect.bind(this);
   }
@@ -135,22 +147,48 @@ export class FlywheelBikeClient extends EventEmitter {
      */
     this.emit('data', data);
 
-    try {
-      const {type, payload} = parse(data);
-      if (type === 'stats') {
-        const fixed = this.fixPowerDropout(payload);
-        if (fixed.power !== payload.power) {
-          debuglog(`*** replaced zero power with previous power ${fixed.power}`);
+    for (const packet of this.reassemble(data)) {
+      try {
+        const {type, payload} = parse(packet);
+        if (type === 'stats') {
+          const fixed = {...payload, ...this.fixPowerDropout(payload)};
+          if (fixed.power !== payload.power) {
+            debuglog(`*** replaced zero power with previous power ${fixed.power}`);
+          }
+          this.emit(type, fixed);
+        }
+      } catch (e) {
+        if (!/unable to parse message/.test(e)) {
+          throw e;
         }
-        this.emit(type, fixed);
-      }
-    } catch (e) {
-      if (!/unable to parse message/.test(e)) {
-        throw e;
       }
     }
   }
 
+  /**
+   * Join a stats packet that the bike split across two notifications.
+   * A first fragment that is never continued is still passed on when the
+   * next packet starts, since it carries power and cadence on its own.
+   * @param {buffer} data - notification value
+   * @returns {buffer[]} messages ready to parse
+   * @private
+   */
+  reassemble(data) {
+    const pending = this.partial;
+    this.partial = null;
+    const isStats = data.indexOf(STATS_PKT_MAGIC) === 0;
+    if (pending && !isStats) {
+      return [Buffer.concat([pending, data])];
+    }
+    const ready = pending ? [pending] : [];
+    if (isStats && data.length < statsPacketLength(data)) {
+      this.partial = data;
+    } else {
+      ready.push(data);
+    }
+    return ready;
+  }
+
   /**
    * Send data to the bike.
    * @param {buffer} data - raw data encoded in proprietary format.
@@ -192,6 +230,7 @@ export class FlywheelBikeClient extends EventEmitter {
       return;
     }
     this.state = 'disconnected';
+    this.partial = null;
     let address;
     if (this.peripheral) {
       this.peripheral.off('disconnect', this.onDisconnect);
@@ -210,22 +249,60 @@ export class FlywheelBikeClient extends EventEmitter {
 }
 
 
+function statsPacketLength(data) {
+  return STATS_PKT_HEADER_LENGTH + data.readUInt8(STATS_PKT_IDX_LENGTH);
+}
+
 /**
  * Parse Flywheel protocol message.
+ * Power and cadence are always present; the remaining fields are decoded
+ * when the (reassembled) packet is long enough to contain them.
  * @param {buffer} data - raw data encoded in proprietary format
  * @returns {object} message - parsed message
  * @returns {string} message.type - message type
  * @returns {object} message.payload - message payload
+ * @returns {number} message.payload.power - watts
+ * @returns {number} message.payload.cadence - rpm
+ * @returns {number} [message.payload.heartRate] - bpm, omitted when no strap is paired
+ * @returns {number} [message.payload.distance] - trip distance (meters)
+ * @returns {number} [message.payload.calories] - kcal
+ * @returns {number} [message.payload.resistance] - brake (torque) level
  */
 export function parse(data) {
-  if (data.indexOf(STATS_PKT_MAGIC) === 0) {
+  if (data.indexOf(STATS_PKT_MAGIC) === 0 && data.length > STATS_PKT_IDX_CADENCE) {
+    const length = statsPacketLength(data);
+    if (data.length >= length && !hasValidChecksum(data, length)) {
+      throw new Error('unable to parse message');
+    }
     const power = data.readUInt16BE(STATS_PKT_IDX_POWER);
     const cadence = data.readUInt8(STATS_PKT_IDX_CADENCE);
-    return {type: 'stats', payload: {power, cadence}};
+    const payload = {power, cadence};
+    const has = (offset, size) => data.length >= offset + size && offset + size <= length - 2;
+    if (has(STATS_PKT_IDX_HEART_RATE, 1) && data.readUInt8(STATS_PKT_IDX_HEART_RATE) > 0) {
+      payload.heartRate = data.readUInt8(STATS_PKT_IDX_HEART_RATE);
+    }
+    if (has(STATS_PKT_IDX_DISTANCE, 4)) {
+      payload.distance = data.readUInt32BE(STATS_PKT_IDX_DISTANCE);
+    }
+    if (has(STATS_PKT_IDX_CALORIES, 2)) {
+      payload.calories = data.readUInt16BE(STATS_PKT_IDX_CALORIES);
+    }
+    if (has(STATS_PKT_IDX_RESISTANCE, 1)) {
+      payload.resistance = data.readUInt8(STATS_PKT_IDX_RESISTANCE);
+    }
+    return {type: 'stats', payload};
   }
   throw new Error('unable to parse message');
 }
 
+function hasValidChecksum(data, length) { // XOR of everything between the ff marker and the checksum byte.
+  let checksum = 0;
+  for (let i = 1; i < length - 2; i++) {
+    checksum ^= data[i];
+  }
+  return data[length - 2] === checksum && data[length - 1] === STATS_PKT_TRAILER;
+}
+
 
 /**
  * Workaround for an issue with BlueZ.
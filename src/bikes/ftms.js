@@ -0,0 +1,27 @@
+import {Ic4BikeClient} from './ic4.js'; // The IC4 client already speaks FTMS Indoor Bike Data; reuse its connect/notify flow.
+import {createFilter} from '../util/ble-scan.js'; // Name/address filter helper shared with the other BLE profiles.
+
+const FTMS_SERVICE_UUID = '1826'; // Fitness Machine Service UUID advertised by standards-compliant bikes.
+
+function advertisesFtms(peripheral) { // Default matcher: any peripheral that lists FTMS among its advertised services.
+  const uuids = peripheral?.advertisement?.serviceUuids ?? [];
+  return uuids.some(uuid => `${uuid}`.toLowerCase() === FTMS_SERVICE_UUID);
+}
+
+export class FtmsBikeClient extends Ic4BikeClient { // Generic profile for any bike exposing FTMS Indoor Bike Data.
+  /**
+   * Create an FtmsBikeClient instance.
+   * @param {Noble} noble - a Noble instance.
+   * @param {object} [options]
+   * @param {string} [options.name] - only connect to a bike advertising this name.
+   * @param {string} [options.address] - only connect to a bike with this MAC address.
+   */
+  constructor(noble, {name, address} = {}) {
+    const filter = name || address ? createFilter({name, address}) : advertisesFtms; // Narrow the scan when the user pins a bike.
+    super(noble, filter);
+  }
+
+  static get label() { // Provide a stable label so logs and UI can identify the bike profile.
+    return 'ftms';
+  }
+}
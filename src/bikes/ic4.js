@@ -4,6 +4,12 @@ import {execFile} from 'child_process';
 const execFileAsync = util.promisify(execFile);
 import {scan} from '../util/ble-scan.js';
 import {macAddress} from '../util/mac-address.js';
+import {parseIndoorBikeData, toBikeStats} from '../util/indoor-bike-data.js';
+import {
+  RESULT_SUCCESS,
+  encodeControlPointRequest,
+  parseControlPointResponse,
+} from '../util/ftms-control-point.js';
 
 export const IC4_LOCALNAME = 'IC Bike';
 
@@ -21,12 +27,9 @@ export function matchesIc4OrSchwinn290(peripheral) {
 // GATT service/characteristic UUIDs
 const FTMS_SERVICE_UUID = '1826';
 const INDOOR_BIKE_DATA_UUID = '2ad2';
+const CONTROL_POINT_UUID = '2ad9';
 
-// indoor bike data characteristic value parsing
-const IBD_VALUE_MAGIC = Buffer.from([0x44]); // identifies indoor bike data message
-const IBD_VALUE_IDX_SPEED = 2; // 16-bit instantaneous speed (0.01 km/h units) offset within packet
-const IBD_VALUE_IDX_CADENCE = 4; // 16-bit cadence (1/2 rpm) data offset within packet
-const IBD_VALUE_IDX_POWER = 6; // 16-bit power (watts) data offset within packet
+const CONTROL_RESPONSE_TIMEOUT = 3000; // ms to wait for the bike to indicate a control point response
 
 import {loadDependency, toDefaultExport} from '../util/optional-deps.js';
 
@@ -50,10 +53,28 @@ export class Ic4BikeClient extends EventEmitter {
     this.noble = noble;
     this.filter = filter;
     this.state = 'disconnected';
+    this.controlPoint = null;
+    this.hasControl = false;
+    this.pendingControl = null;
+    this.controlQueue = Promise.resolve(); // Control point writes run one at a time (FTMS and FE-C relays share the bike).
+    this.reading = {}; // Latest value of every Indoor Bike Data field, merged across notifications.
     this.onReceive = this.onReceive.bind(this);
+    this.onControlPointResponse = this.onControlPointResponse.bind(this);
     this.onDisconnect = this.onDisconnect.bind(this);
   }
 
+  /**
+   * Whether the bike exposes an FTMS Control Point we can relay app commands to.
+   * @returns {boolean}
+   */
+  get controllable() {
+    return !!this.controlPoint;
+  }
+
+  static get label() { // Friendly identifier shown in logs and error messages.
+    return 'schwinn-ic4';
+  }
+
   /**
    * Establish a connection to the bike's Bluetooth LE GATT Fitness Machine Service.
    */
@@ -68,19 +89,19 @@ export class Ic4BikeClient extends EventEmitter {
     };
 
     this.state = 'connecting';
+    this.reading = {};
     this.peripheral = await scan(this.noble, [FTMS_SERVICE_UUID], this.filter, scanOptions);
     if (!this.peripheral) {
       this.state = 'disconnected';
-      throw new Error('Unable to find IC4 bike');
+      throw new Error(`Unable to find ${this.constructor.label} bike`);
     }
     await this.peripheral.connectAsync({timeout: 10000});
     this.peripheral.on('disconnect', this.onDisconnect);
 
     // discover services/characteristics
     const {characteristics} = await this.peripheral.discoverSomeServicesAndCharacteristicsAsync(
-      [FTMS_SERVICE_UUID], [INDOOR_BIKE_DATA_UUID]);
-    const [indoorBikeData] = characteristics;
-    this.indoorBikeData = indoorBikeData;
+      [FTMS_SERVICE_UUID], [INDOOR_BIKE_DATA_UUID, CONTROL_POINT_UUID]);
+    this.indoorBikeData = characteristics.find(c => c.uuid == INDOOR_BIKE_DATA_UUID);
 
     // subscribe to receive data
     this.indoorBikeData.on('read', this.onReceive);
@@ -109,9 +130,116 @@ export class Ic4BikeClient extends EventEmitter {
     const cccd = this.indoorBikeData.descriptors.find(d => d.uuid == '2902');
     await cccd.writeValueAsync(Buffer.from([1,0])); // 0100 <- enable notifications
 
+    const controlPoint = characteristics.find(c => c.uuid == CONTROL_POINT_UUID);
+    if (controlPoint) {
+      try {
+        await this.enableControlPoint(controlPoint);
+      } catch (err) {
+        debuglog('control point unavailable, bike will not be controllable', err);
+      }
+    }
+
     this.state = 'connected';
   }
 
+  /**
+   * Enable indications on the bike's control point so we can read responses.
+   * Uses the same descriptor write workaround as Indoor Bike Data above.
+   * @param {Characteristic} controlPoint - noble characteristic for 0x2AD9
+   * @private
+   */
+  async enableControlPoint(controlPoint) {
+    controlPoint.on('read', this.onControlPointResponse);
+    await controlPoint.discoverDescriptorsAsync();
+    const cccd = controlPoint.descriptors.find(d => d.uuid == '2902');
+    await cccd.writeValueAsync(Buffer.from([2,0])); // 0200 <- enable indications
+    this.controlPoint = controlPoint;
+    this.hasControl = false;
+  }
+
+  /**
+   * Relay an FTMS control point command to the bike. Request Control is sent
+   * first when we have not been granted control yet. Commands are queued:
+   * the bike answers one request at a time, and responses only carry the
+   * op code, so overlapping requests could not be told apart.
+   * @param {object} command - see parseControlPointRequest()
+   * @returns {Promise<number>} result code reported by the bike
+   */
+  sendControlCommand(command) {
+    const result = this.controlQueue.then(() => this.runControlCommand(command));
+    this.controlQueue = result.catch(() => {}); // A failed command must not block the ones behind it.
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  async runControlCommand(command) {
+    if (!this.controlPoint) {
+      throw new Error('bike is not controllable');
+    }
+    if (command.type !== 'requestControl' && !this.hasControl) {
+      const granted = await this.runControlCommand({type: 'requestControl'});
+      if (granted !== RESULT_SUCCESS) {
+        return granted;
+      }
+    }
+    const request = encodeControlPointRequest(command);
+    const response = this.waitForControlResponse(request[0]);
+    try {
+      await this.controlPoint.writeAsync(request, false);
+    } catch (err) {
+      response.catch(() => {}); // Nothing will answer a write that never went out; let its timer lapse quietly.
+      throw err;
+    }
+    const result = await response;
+    if (command.type === 'requestControl') {
+      this.hasControl = result === RESULT_SUCCESS;
+    } else if (command.type === 'reset') {
+      this.hasControl = false; // Reset revokes control per the FTMS spec.
+    }
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  waitForControlResponse(opCode) {
+    return new Promise((resolve, reject) => {
+      const pending = {opCode, resolve: result => {
+        clearTimeout(timer);
+        this.clearPendingControl(pending);
+        resolve(result);
+      }};
+      const timer = setTimeout(() => {
+        this.clearPendingControl(pending);
+        reject(new Error('timed out waiting for control point response'));
+      }, CONTROL_RESPONSE_TIMEOUT);
+      this.pendingControl = pending;
+    });
+  }
+
+  /**
+   * @private
+   */
+  clearPendingControl(pending) {
+    if (this.pendingControl === pending) { // Never clear a newer request's slot.
+      this.pendingControl = null;
+    }
+  }
+
+  /**
+   * Handle a control point indication from the bike.
+   * @param {buffer} data - raw response value
+   * @private
+   */
+  onControlPointResponse(data) {
+    const response = parseControlPointResponse(data);
+    if (response && this.pendingControl && this.pendingControl.opCode === response.requestOpCode) {
+      this.pendingControl.resolve(response.result);
+    }
+  }
+
   /**
    * Get the bike's MAC address.
    * @returns {string} mac address
@@ -137,8 +265,11 @@ export class Ic4BikeClient extends EventEmitter {
     this.emit('data', data);
 
     try {
-      const payload = parse(data); // Decode power/cadence and optional speed from the FTMS payload.
-      this.emit('stats', payload); // Forward the parsed stats so downstream services can consume speed when present.
+      // Bikes may split one reading over several notifications (FTMS "More
+      // Data"), each with only some fields; carry the others forward so
+      // power and cadence do not drop to zero between frames.
+      this.reading = {...this.reading, ...parseIndoorBikeData(data)};
+      this.emit('stats', toBikeStats(this.reading)); // Forward the merged stats so downstream services can consume speed when present.
     } catch (e) {
       if (!/unable to parse message/.test(e)) {
         throw e;
@@ -181,6 +312,11 @@ export class Ic4BikeClient extends EventEmitter {
       address = this.peripheral.address;
       this.peripheral = null;
     }
+    if (this.controlPoint) {
+      this.controlPoint.off('read', this.onControlPointResponse);
+      this.controlPoint = null;
+      this.hasControl = false;
+    }
 
     /**
      * Disconnect event.
@@ -195,33 +331,15 @@ export class Ic4BikeClient extends EventEmitter {
 
 /**
  * Parse Indoor Bike Data characteristic value.
+ *
+ * The spec allows many optional fields, so the offset of power or cadence
+ * varies with the flags field. Older IC4 firmware always sent the same
+ * layout (0x0244: speed, cadence, power, heart rate) but newer firmwares and
+ * other FTMS bikes add fields such as resistance level or elapsed time, so we
+ * walk the flags rather than relying on fixed offsets.
  * @param {buffer} data - raw characteristic value.
- * @returns {object} message - parsed message
- * @returns {string} message.type - message type
- * @returns {object} message.payload - message payload
+ * @returns {object} stats - power, cadence and any optional fields present
  */
 export function parse(data) {
-  // In the spec, this value can have a lot of optional fields which means
-  // the offset of power or cadence can vary depending on what other data is
-  // present.
-  //
-  // However this bike always uses the same format:
-  //
-  // 0x02      0x44
-  // 0b0000001001000100
-  //         H  C   P S
-  // H - heartrate (present when flag is 1)
-  // C - cadence (present when flag is 1)
-  // P - power (present when flag is 1)
-  // S - speed (present when flag is 0)
-  //
-  // So we can simplify the decoding to:
-  if (data.indexOf(IBD_VALUE_MAGIC) === 0) {
-    const power = data.readInt16LE(IBD_VALUE_IDX_POWER); // Power is reported as a signed 16-bit integer (watts).
-    const cadence = Math.round(data.readUInt16LE(IBD_VALUE_IDX_CADENCE) / 2); // Cadence is expressed in half RPM increments.
-    const speedRaw = data.readUInt16LE(IBD_VALUE_IDX_SPEED); // Instantaneous speed in 0.01 km/h per FTMS specification.
-    const speed = speedRaw > 0 ? (speedRaw / 100) * (1000 / 3600) : undefined; // Convert to meters per second when non-zero.
-    return speed !== undefined ? {power, cadence, speed} : {power, cadence}; // Include speed only when the bike actually reports it.
-  }
-  throw new Error('unable to parse message');
+  return toBikeStats(parseIndoorBikeData(data));
 }
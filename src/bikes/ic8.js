@@ -33,7 +33,7 @@ export class Ic8BikeClient extends EventEmitter { // Schwinn IC8 / Bowflex C6 cl
     this.log = log; // Logger interface (console by default).
     this.config = config; // Optional calibration config for power estimation.
     this.device = null; // Active noble peripheral once connected.
-    this.state = { rpm: 0, resistance: 0, watts: 0 }; // Track the latest cadence/resistance/power values.
+    this.state = { rpm: 0, resistance: 0, level: null, watts: 0 }; // Track the latest cadence/resistance/power values (level stays null until the bike reports one).
     this.powerFilter = new Ewma(0.25); // Smooth power readings to reduce jitter for downstream apps.
   }
 
@@ -96,6 +96,7 @@ export class Ic8BikeClient extends EventEmitter { // Schwinn IC8 / Bowflex C6 cl
       return;
     }
     const level = Math.max(0, Math.min(100, buf.readUInt8(0))); // Normalize the reported resistance level into 0..100 range.
+    this.state.level = level; // Raw level is what riders (and calibration grids) know the bike by.
     this.state.resistance = level / 100; // Convert to 0..1 fraction for the estimator.
     this.publish();
   }
@@ -132,8 +133,8 @@ export class Ic8BikeClient extends EventEmitter { // Schwinn IC8 / Bowflex C6 cl
     this.state.rpm = Math.max(0, Math.round(rpm));
   }
 
-  publish() { // Emit smoothed power/cadence whenever either input changes.
-    const { rpm, resistance } = this.state;
+  publish() { // Emit smoothed power/cadence (and resistance once known) whenever either input changes.
+    const { rpm, resistance, level } = this.state;
     const estimated = estimatePower(rpm, resistance, {
       scale: this.config.powerScale ?? 1.0,
       offset: this.config.powerOffset ?? 0,
@@ -141,6 +142,10 @@ export class Ic8BikeClient extends EventEmitter { // Schwinn IC8 / Bowflex C6 cl
       maxWatts: 2000
     });
     this.state.watts = this.powerFilter.push(estimated);
-    this.emit('stats', { power: this.state.watts, cadence: rpm });
+    const stats = { power: this.state.watts, cadence: rpm };
+    if (level !== null) {
+      stats.resistance = level; // Feeds cadence x resistance calibration grids.
+    }
+    this.emit('stats', stats);
   }
 }
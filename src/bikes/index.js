@@ -1,21 +1,29 @@
 import fs from 'fs'; // Check for Peloton USB serial presence during autodetect.
 import {BikeAutoDetector} from './auto-detect.js'; // Helper that centralizes BLE scan + classification logic.
 import {FlywheelBikeClient, FLYWHEEL_LOCALNAME} from './flywheel.js'; // Flywheel BLE profile.
-import {PelotonBikeClient} from './peloton.js'; // Peloton USB profile.
+import {PelotonBikeClient, findPelotonPort} from './peloton.js'; // Peloton USB profile.
 import {Ic4BikeClient, matchesIc4OrSchwinn290} from './ic4.js'; // Schwinn IC4 profile.
 import {Ic5BikeClient} from './ic5.js'; // LifeFitness IC5 profile built atop the IC4 implementation.
 import {KeiserBikeClient, KEISER_LOCALNAME, matchesKeiserName} from './keiser.js'; // Keiser broadcast profile.
 import {BotBikeClient} from './bot.js'; // Simulation/bot mode profile.
+import {isAntUsbStick, listSerialCandidates} from '../util/usb-serial.js'; // Heuristic to avoid misclassifying ANT+ sticks as Peloton consoles.
 import {macAddress} from '../util/mac-address.js'; // MAC normalization helper used when targeting specific peripherals.
 import {scan, createNameFilter, createAddressFilter} from '../util/ble-scan.js'; // BLE scanning utilities.
 import {Ic8BikeClient} from './ic8.js'; // Schwinn IC8 / Bowflex C6 profile.
+import {FtmsBikeClient} from './ftms.js'; // Generic FTMS Indoor Bike Data profile.
+import {EchelonBikeClient, matchesEchelonName} from './echelon.js'; // Echelon Connect profile.
+import {BikeErgBikeClient, matchesPm5Name} from './bikeerg.js'; // Concept2 BikeErg (PM5) profile.
+import {CpsBikeClient} from './cps.js'; // External Cycling Power Service meter (pedals/crank) profile.
+import {AntBikeClient} from './ant.js'; // Built-in ANT+ power meter read through the ANT+ stick.
 
 const NAME_MATCHERS = { // Heuristics used during autodetect to match advertising names.
   flywheel: createNameFilter(FLYWHEEL_LOCALNAME), // Flywheel bikes advertise a fixed prefix.
   ic4: matchesIc4OrSchwinn290, // Schwinn IC4 advertises "IC Bike" but Schwinn 290 variants reuse the same FTMS payloads.
   ic5: peripheral => /ic5|life ?fitness/i.test(peripheral?.advertisement?.localName ?? ''), // LifeFitness IC5 patterns.
+  echelon: matchesEchelonName, // Echelon consoles advertise "ECH-..."; checked before ic8 because suffixes like "1C6A" contain "c6".
   ic8: peripheral => /ic8|c6|schwinn|bowflex/i.test(peripheral?.advertisement?.localName ?? ''), // Schwinn IC8 / Bowflex C6 patterns.
   keiser: matchesKeiserName, // Keiser M series broadcasts names that start with "M3".
+  bikeerg: matchesPm5Name, // Concept2 PM5 monitors advertise "PM5 <serial>".
 };
 
 function createFlywheelBikeClient(options, noble) { // Factory for Flywheel bikes using optional MAC filter override.
@@ -26,7 +34,7 @@ function createFlywheelBikeClient(options, noble) { // Factory for Flywheel bike
 }
 
 function createPelotonBikeClient(options) { // Factory for Peloton bikes using USB serial connection.
-  return new PelotonBikeClient(options.pelotonPath);
+  return new PelotonBikeClient(options.pelotonPath, {mode: options.pelotonMode}); // Passive mode sniffs a Y-split instead of polling.
 }
 
 function createIc4BikeClient(_options, noble) { // Factory for Schwinn IC4 bikes.
@@ -41,9 +49,40 @@ function createIc8BikeClient(_options, noble) { // Factory for Schwinn IC8 / Bow
   return new Ic8BikeClient({ noble }); // Construct the dedicated IC8 client with the shared noble instance.
 }
 
+function createEchelonBikeClient(_options, noble) { // Factory for Echelon Connect bikes.
+  return new EchelonBikeClient(noble); // The client matches Echelon advertising names by default.
+}
+
+function createBikeErgBikeClient(_options, noble) { // Factory for Concept2 BikeErg via the PM5 monitor.
+  return new BikeErgBikeClient(noble); // The client matches PM5 advertising names by default.
+}
+
+function createFtmsBikeClient(options, noble) { // Factory for any bike exposing the standard FTMS Indoor Bike Data characteristic.
+  return new FtmsBikeClient(noble, {
+    name: options.ftmsName,
+    address: options.ftmsAddress ? macAddress(options.ftmsAddress) : undefined, // Normalize user-supplied MACs like the Flywheel factory does.
+  });
+}
+
+function createCpsBikeClient(options, noble) { // Factory for external power meters advertising the Cycling Power Service.
+  return new CpsBikeClient(noble, {
+    name: options.cpsName,
+    address: options.cpsAddress ? macAddress(options.cpsAddress) : undefined,
+    wheelCircumference: options.speedFallback?.circumferenceM, // Reuse the configured wheel size for meters that report wheel data.
+  });
+}
+
+function createAntBikeClient(options) { // Factory for bikes with a built-in ANT+ power meter; the App passes its (already open) stick.
+  return new AntBikeClient(options.antStick, {
+    deviceId: options.antBikeDeviceId, // 0 = first meter found
+  });
+}
+
 function createKeiserBikeClient(options, noble) { // Factory for Keiser bikes that broadcast as beacons.
   return new KeiserBikeClient(noble, {
     address: options.keiserAddress,
+    ordinal: options.keiserId, // Equipment ordinal set on the console; survives address rotation.
+    speedOptions: options.speedFallback, // Reuse the speed estimator tuning; the console's gear sets the gear factor.
   });
 }
 
@@ -51,39 +90,17 @@ function createBotBikeClient(options) { // Factory for the simulation/bot profil
   return new BotBikeClient(options.botPower, options.botCadence, options.botHost, options.botPort);
 }
 
-function isAntUsbStick(devicePath) { // Heuristic to avoid misclassifying ANT+ sticks as Peloton consoles.
-  try {
-    const real = fs.realpathSync(devicePath); // Resolve /dev/serial/by-id links when present.
-    const tty = real.replace('/dev/', '');
-    const devDir = `/sys/class/tty/${tty}/device`;
-    const vendorPath = `${devDir}/../idVendor`;
-    const productPath = `${devDir}/../idProduct`;
-    if (!fs.existsSync(vendorPath) || !fs.existsSync(productPath)) {
-      return false;
-    }
-    const vendor = fs.readFileSync(vendorPath, 'utf8').trim().toLowerCase();
-    const product = fs.readFileSync(productPath, 'utf8').trim().toLowerCase();
-    const antPairs = new Set([
-      '0fcf:1008', // Garmin/ANT USB-m (common)
-      '0fcf:1009',
-      '0fcf:1019',
-      '0fcf:101f',
-      '0fcf:1021',
-      '0fcf:1025',
-      '0fcf:1031',
-    ]);
-    return antPairs.has(`${vendor}:${product}`);
-  } catch (_err) {
-    return false;
-  }
-}
-
 const factories = { // Map CLI bike types to factory functions.
   flywheel: createFlywheelBikeClient,
   peloton: createPelotonBikeClient,
   ic4: createIc4BikeClient,
   ic5: createIc5BikeClient,
   ic8: createIc8BikeClient,
+  echelon: createEchelonBikeClient,
+  bikeerg: createBikeErgBikeClient,
+  ftms: createFtmsBikeClient, // Not in NAME_MATCHERS: other Gymnasticon instances advertise FTMS too.
+  cps: createCpsBikeClient, // Not in NAME_MATCHERS for the same reason (Gymnasticon advertises CPS).
+  ant: createAntBikeClient, // Not a BLE device, so autodetect never sees it.
   keiser: createKeiserBikeClient,
   bot: createBotBikeClient,
   autodetect: autodetectBikeClient,
@@ -102,15 +119,28 @@ export function createBikeClient(options, noble) { // Main factory selector used
   }
   if (type !== 'autodetect') {
     console.log('[gym-cli] Fixed bike mode selected:', type);
+    return withBikeType(factory(options, noble), type);
   }
   return factory(options, noble);
 }
 
+function withBikeType(client, type) { // Record the profile key so per-bike settings (power calibration) can find it.
+  client.bikeType = type;
+  return client;
+}
+
 async function autodetectBikeClient(options, noble) { // Attempt to identify the connected bike automatically.
   console.log('[gym-cli] Autodetect mode selected; scanning for supported bikes...');
   if (options.pelotonPath && fs.existsSync(options.pelotonPath) && !isAntUsbStick(options.pelotonPath)) { // If the Peloton USB serial device is present, prefer that profile immediately unless it's an ANT+ stick.
     console.log('[gym-cli] Peloton USB detected at', options.pelotonPath);
-    return createPelotonBikeClient(options, noble);
+    return withBikeType(createPelotonBikeClient(options, noble), 'peloton');
+  }
+  if (listSerialCandidates().length) { // The adapter may have re-enumerated (ttyUSB1, ...); probe the other USB serial devices.
+    const pelotonPath = await findPelotonPort({preferred: options.pelotonPath, mode: options.pelotonMode});
+    if (pelotonPath) {
+      console.log('[gym-cli] Peloton USB discovered at', pelotonPath);
+      return withBikeType(createPelotonBikeClient({...options, pelotonPath}, noble), 'peloton');
+    }
   }
 
   const detector = new BikeAutoDetector(noble, NAME_MATCHERS); // Reuse the shared detector so matcher updates live in one place.
@@ -122,7 +152,7 @@ async function autodetectBikeClient(options, noble) { // Attempt to identify the
       const advertName = match.peripheral?.advertisement?.localName;
       const addr = match.peripheral?.address;
       console.log(`[gym-cli] Autodetect matched ${match.type} (name=${advertName ?? 'unknown'} address=${addr ?? 'unknown'})`);
-      return factory(options, noble, match.peripheral);
+      return withBikeType(factory(options, noble, match.peripheral), match.type);
     }
   }
 
@@ -132,5 +162,5 @@ async function autodetectBikeClient(options, noble) { // Attempt to identify the
     throw new Error(`Unknown default bike type: ${fallback}`);
   }
   console.log('[gym-cli] Autodetect falling back to default bike:', fallback);
-  return fallbackFactory(options, noble);
+  return withBikeType(fallbackFactory(options, noble), fallback);
 }
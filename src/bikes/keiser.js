@@ -3,6 +3,7 @@ import {Timer} from '../util/timer.js';
 import {scan} from '../util/ble-scan.js';
 import {macAddress} from '../util/mac-address.js';
 import {createDropoutFilter} from '../util/dropout-filter.js';
+import {estimateSpeedMps} from '../util/speed-estimator.js';
 
 export const KEISER_LOCALNAME = "M3";
 // Teaching note: Keiser has shipped two different "magic" prefixes over time.
@@ -12,6 +13,21 @@ const KEISER_VALUE_MAGIC_NEW = Buffer.from([0x03]); // newer Keiser data message
 const KEISER_VALUE_IDX_POWER = 10; // 16-bit power (watts) data offset within packet
 const KEISER_VALUE_IDX_CADENCE = 6; // 16-bit cadence (1/10 rpm) data offset within packet
 const KEISER_VALUE_IDX_REALTIME = 4; // Indicates whether the data present is realtime (0, or 128 to 227)
+const KEISER_VALUE_IDX_ORDINAL = 5; // 8-bit equipment ordinal ID (the number set on the console)
+const KEISER_VALUE_IDX_HEART_RATE = 8; // 16-bit heart rate (1/10 bpm), 0 when no strap/grip contact
+const KEISER_VALUE_IDX_CALORIES = 12; // 16-bit caloric burn (kcal)
+const KEISER_VALUE_IDX_DURATION_MIN = 14; // 8-bit duration minutes
+const KEISER_VALUE_IDX_DURATION_SEC = 15; // 8-bit duration seconds
+const KEISER_VALUE_IDX_DISTANCE = 16; // 16-bit trip distance (1/10 unit); bit 15 set means km, clear means miles
+const KEISER_VALUE_IDX_GEAR = 18; // 8-bit gear (1-24)
+const KEISER_DISTANCE_METRIC_FLAG = 0x8000;
+const KEISER_METERS_PER_MILE = 1609.344;
+const KEISER_MAX_GEAR = 24;
+// Teaching note: Keiser does not publish the M3i's drivetrain ratios, so gear
+// 1-24 is mapped linearly onto a virtual gear factor for the speed estimator.
+// Gear 16 lands close to the estimator's default factor of 3.0.
+const KEISER_GEAR_FACTOR_MIN = 1.0;
+const KEISER_GEAR_FACTOR_MAX = 4.0;
 const KEISER_VALUE_IDX_VER_MAJOR = 2; // 8-bit Version Major data offset within packet
 const KEISER_VALUE_IDX_VER_MINOR = 3; // 8-bit Version Major data offset within packet
 const KEISER_STATS_NEWVER_MINOR = 30; // Version Minor when broadcast interval was changed from ~ 2 sec to ~ 0.3 sec
@@ -112,10 +128,21 @@ export function matchesKeiserName(peripheral) {
  */
 
 export class KeiserBikeClient extends EventEmitter {
+  /**
+   * Create a KeiserBikeClient instance.
+   * @param {Noble} noble - a Noble instance.
+   * @param {object} [options]
+   * @param {string} [options.address] - only accept broadcasts from this MAC address.
+   * @param {number} [options.ordinal] - only accept broadcasts carrying this equipment ordinal ID.
+   * @param {object} [options.speedOptions] - speed estimator options (circumference, clamps); the gear factor comes from the console's gear.
+   */
   constructor(noble, options = {}) {
     super();
     this.noble = noble;
     this.targetAddress = normalizeAddress(options.address);
+    this.targetOrdinal = Number.isInteger(options.ordinal) ? options.ordinal : null;
+    this.seenOrdinals = new Set(); // Teaching note: other consoles in the room, logged once each so operators can map bikes to Pis.
+    this.speedOptions = options.speedOptions || {};
     this.state = 'disconnected';
     this.onReceive = this.onReceive.bind(this);
     this.restartScan = this.restartScan.bind(this);
@@ -133,6 +160,7 @@ export class KeiserBikeClient extends EventEmitter {
     this.peripheralSignature = null; // Teaching note: capture a small signature from the payload to match rotating addresses.
     this.fixDropout = null;
     this.ignoredPackets = 0; // Teaching note: small counter to avoid log spam when we ignore packets.
+    this.summaryKeys = new Map(); // Teaching note: de-duplicates the review frames the console repeats after a ride.
   }
 
   async startScanWithFallback(serviceUuids = null, allowDuplicates = true) {
@@ -170,6 +198,9 @@ export class KeiserBikeClient extends EventEmitter {
     this.state = 'connecting';
 
     const filter = (peripheral) => {
+      if (this.targetOrdinal !== null) {
+        return this.matchesTargetOrdinal(peripheral);
+      }
       if (this.targetAddress) {
         const candidate = normalizeAddress(peripheral?.address);
         if (candidate && candidate === this.targetAddress) {
@@ -183,7 +214,9 @@ export class KeiserBikeClient extends EventEmitter {
     const scanTimeoutMs = Number.isFinite(scanTimeoutFromEnv) && scanTimeoutFromEnv > 0
       ? scanTimeoutFromEnv
       : 20000;
-    if (this.targetAddress) {
+    if (this.targetOrdinal !== null) {
+      console.log(`[keiser] Starting Keiser bike scan (timeout: ${scanTimeoutMs}ms, ordinal=${this.targetOrdinal})...`);
+    } else if (this.targetAddress) {
       console.log(`[keiser] Starting Keiser bike scan (timeout: ${scanTimeoutMs}ms, address=${this.targetAddress})...`);
     } else {
       console.log(`[keiser] Starting Keiser bike scan (timeout: ${scanTimeoutMs}ms)...`);
@@ -301,11 +334,21 @@ export class KeiserBikeClient extends EventEmitter {
       }
 
       const {type, payload: statsPayload} = parse(payload);
+      if (type === 'summary') {
+        this.onReviewSummary(statsPayload);
+        return;
+      }
       if (type !== 'stats') {
         return;
       }
+      this.summaryKeys.clear(); // Riding again: the next review screen is a new ride.
 
-      const fixed = this.fixDropout(statsPayload);
+      // Teaching note: the dropout filter only knows power and cadence; keep
+      // the console's other fields (HR, gear, totals) alongside its output.
+      const fixed = {...statsPayload, ...this.fixDropout(statsPayload)};
+      if (fixed.gear !== undefined) {
+        fixed.speed = estimateKeiserSpeed(fixed.cadence, fixed.gear, this.speedOptions);
+      }
       this.emit(type, fixed);
       if (this.statsTimeout) this.statsTimeout.reset();
       if (this.bikeTimeout) this.bikeTimeout.reset();
@@ -315,6 +358,24 @@ export class KeiserBikeClient extends EventEmitter {
       }
     }
   }
+  /**
+   * Emit a review-mode summary. The console repeats review frames (one per
+   * interval) for as long as it shows the summary screen, so each interval
+   * is only emitted when its values change.
+   * @param {object} summary - see parse()
+   * @emits KeiserBikeClient#summary
+   * @private
+   */
+  onReviewSummary(summary) {
+    const key = JSON.stringify(summary);
+    if (this.summaryKeys.get(summary.interval) === key) {
+      return;
+    }
+    this.summaryKeys.set(summary.interval, key);
+    debuglog('Keiser review summary', summary);
+    this.emit('summary', summary);
+  }
+
   /**
    * Set power & cadence to 0 when the bike dissapears
    */
@@ -377,6 +438,7 @@ export class KeiserBikeClient extends EventEmitter {
     this.peripheralSignature = null;
     this.fixDropout = null;
     this.ignoredPackets = 0;
+    this.summaryKeys.clear();
 
     this.state = 'disconnected';
     this.emit('disconnect', {address});
@@ -406,10 +468,36 @@ export class KeiserBikeClient extends EventEmitter {
     }
   }
 
+  /**
+   * Check whether an advertisement carries the requested equipment ordinal.
+   * Other ordinals are logged the first time they are seen.
+   * @param {Peripheral} peripheral - noble peripheral
+   * @returns {boolean}
+   */
+  matchesTargetOrdinal(peripheral) {
+    const ordinal = readOrdinal(extractKeiserPayload(peripheral?.advertisement));
+    if (ordinal === null) {
+      return false;
+    }
+    if (ordinal !== this.targetOrdinal) {
+      if (!this.seenOrdinals.has(ordinal)) {
+        this.seenOrdinals.add(ordinal);
+        console.log(`[keiser] Ignoring Keiser ordinal ${ordinal} (address=${peripheral?.address || 'unknown'}); following ordinal ${this.targetOrdinal}`);
+      }
+      return false;
+    }
+    return true;
+  }
+
   isMatchingPeripheral(peripheral) {
     if (!peripheral) {
       return false;
     }
+    // Teaching note: with --keiser-id the ordinal is the identity; it stays
+    // put while the console rotates its address.
+    if (this.targetOrdinal !== null) {
+      return this.matchesTargetOrdinal(peripheral);
+    }
     // Teaching note: prefer the stable noble id when available.
     if (this.peripheralId && peripheral.id === this.peripheralId) {
       return true;
@@ -444,6 +532,12 @@ export class KeiserBikeClient extends EventEmitter {
   }
 }
 
+function readOrdinal(payload) {
+  return Buffer.isBuffer(payload) && payload.length > KEISER_VALUE_IDX_ORDINAL
+    ? payload.readUInt8(KEISER_VALUE_IDX_ORDINAL)
+    : null;
+}
+
 function normalizeAddress(address) {
   if (!address) {
     return null;
@@ -481,14 +575,43 @@ export function bikeVersion(data) {
   return { version, timeout };
 }
 
+/**
+ * Map a Keiser console gear (1-24) onto a virtual gear factor.
+ * @param {number} gear - console gear
+ * @returns {number} gear factor for estimateSpeedMps()
+ */
+export function keiserGearFactor(gear) {
+  const clamped = Math.min(KEISER_MAX_GEAR, Math.max(1, gear));
+  return KEISER_GEAR_FACTOR_MIN + ((KEISER_GEAR_FACTOR_MAX - KEISER_GEAR_FACTOR_MIN) * (clamped - 1)) / (KEISER_MAX_GEAR - 1);
+}
+
+/**
+ * Estimate road speed from cadence and the console's gear.
+ * @param {number} cadence - rpm
+ * @param {number} gear - console gear (1-24)
+ * @param {object} [speedOptions] - see estimateSpeedMps()
+ * @returns {number} speed (m/s)
+ */
+export function estimateKeiserSpeed(cadence, gear, speedOptions = {}) {
+  return estimateSpeedMps(cadence, {...speedOptions, gearFactor: keiserGearFactor(gear)});
+}
+
 /**
  * Parse Keiser Bike Data characteristic value.
  * Consider if provided value are realtime or review mode
  * See https://dev.keiser.com/mseries/direct/#data-type
  * @param {buffer} data - raw characteristic value.
  * @returns {object} message - parsed message
- * @returns {string} message.type - message type
- * @returns {object} message.payload - message payload
+ * @returns {string} message.type - 'stats' for realtime data, 'summary' for review mode
+ * @returns {object} message.payload - message payload (see parseReview() for summaries)
+ * @returns {number} message.payload.power - watts
+ * @returns {number} message.payload.cadence - rpm
+ * @returns {number} message.payload.ordinal - equipment ordinal ID
+ * @returns {number} [message.payload.heartRate] - bpm, omitted when the console reports none
+ * @returns {number} [message.payload.calories] - kcal
+ * @returns {number} [message.payload.elapsedTime] - ride duration (seconds)
+ * @returns {number} [message.payload.distance] - trip distance (meters)
+ * @returns {number} [message.payload.gear] - console gear (1-24)
  */
 export function parse(data) {
   // Teaching note: validate the header and ensure we have enough bytes to read
@@ -504,7 +627,71 @@ export function parse(data) {
     // Realtime data received
     const power = data.readUInt16LE(KEISER_VALUE_IDX_POWER);
     const cadence = Math.round(data.readUInt16LE(KEISER_VALUE_IDX_CADENCE) / 10);
-    return {type: 'stats', payload: {power, cadence}};
+    const payload = {power, cadence, ordinal: data.readUInt8(KEISER_VALUE_IDX_ORDINAL)};
+    const heartRate = Math.round(data.readUInt16LE(KEISER_VALUE_IDX_HEART_RATE) / 10);
+    if (heartRate > 0) {
+      payload.heartRate = heartRate;
+    }
+    // Teaching note: some firmwares send shorter frames; only decode the
+    // trailing fields that are actually present.
+    if (data.length >= KEISER_VALUE_IDX_CALORIES + 2) {
+      payload.calories = data.readUInt16LE(KEISER_VALUE_IDX_CALORIES);
+    }
+    if (data.length >= KEISER_VALUE_IDX_DURATION_SEC + 1) {
+      payload.elapsedTime = data.readUInt8(KEISER_VALUE_IDX_DURATION_MIN) * 60 + data.readUInt8(KEISER_VALUE_IDX_DURATION_SEC);
+    }
+    if (data.length >= KEISER_VALUE_IDX_DISTANCE + 2) {
+      payload.distance = decodeDistance(data.readUInt16LE(KEISER_VALUE_IDX_DISTANCE));
+    }
+    if (data.length >= KEISER_VALUE_IDX_GEAR + 1) {
+      payload.gear = data.readUInt8(KEISER_VALUE_IDX_GEAR);
+    }
+    return {type: 'stats', payload};
+  }
+  if (realtime >= 1 && realtime <= 128) {
+    return {type: 'summary', payload: parseReview(data)};
   }
   throw new Error('unable to parse message');
 }
+
+/**
+ * Decode a review-mode frame, broadcast by the console after a ride. The
+ * power, cadence and heart rate fields carry ride averages; calories,
+ * duration and distance carry totals.
+ * @param {buffer} data - raw Keiser payload with a review-mode data type
+ * @returns {object} summary
+ * @returns {number} summary.interval - review interval number (1-128)
+ * @returns {number} summary.ordinal - equipment ordinal ID
+ * @returns {number} summary.averagePower - watts
+ * @returns {number} summary.averageCadence - rpm
+ * @returns {number} [summary.averageHeartRate] - bpm, omitted when the console recorded none
+ * @returns {number} summary.calories - kcal
+ * @returns {number} summary.elapsedTime - ride duration (seconds)
+ * @returns {number} summary.distance - trip distance (meters)
+ * @private
+ */
+function parseReview(data) {
+  if (data.length < KEISER_VALUE_IDX_DISTANCE + 2) {
+    throw new Error('unable to parse message'); // A summary without its totals is not worth reporting.
+  }
+  const summary = {
+    interval: data.readUInt8(KEISER_VALUE_IDX_REALTIME),
+    ordinal: data.readUInt8(KEISER_VALUE_IDX_ORDINAL),
+    averagePower: data.readUInt16LE(KEISER_VALUE_IDX_POWER),
+    averageCadence: Math.round(data.readUInt16LE(KEISER_VALUE_IDX_CADENCE) / 10),
+    calories: data.readUInt16LE(KEISER_VALUE_IDX_CALORIES),
+    elapsedTime: data.readUInt8(KEISER_VALUE_IDX_DURATION_MIN) * 60 + data.readUInt8(KEISER_VALUE_IDX_DURATION_SEC),
+    distance: decodeDistance(data.readUInt16LE(KEISER_VALUE_IDX_DISTANCE)),
+  };
+  const averageHeartRate = Math.round(data.readUInt16LE(KEISER_VALUE_IDX_HEART_RATE) / 10);
+  if (averageHeartRate > 0) {
+    summary.averageHeartRate = averageHeartRate;
+  }
+  return summary;
+}
+
+function decodeDistance(raw) { // Convert the console's tenths of a mile/km into meters.
+  const tenths = raw & ~KEISER_DISTANCE_METRIC_FLAG;
+  const metersPerUnit = raw & KEISER_DISTANCE_METRIC_FLAG ? 1000 : KEISER_METERS_PER_MILE;
+  return Math.round((tenths / 10) * metersPerUnit);
+}
@@ -1,7 +1,9 @@
 import {once, EventEmitter} from 'events';
+import defaultFs from 'fs';
 import {Timer} from '../util/timer.js';
 import util from 'util';
 import {loadDependency, toDefaultExport} from '../util/optional-deps.js';
+import {listSerialCandidates, isAntUsbStick, stableSerialPath} from '../util/usb-serial.js';
 
 /**
  * Cadence and Power are both direct values returned by the bike.
@@ -16,7 +18,19 @@ const MEASUREMENTS_HEX_ENUM = {
   RESISTANCE: Buffer.from("f6f54a3f", 'hex')
 }
 const PACKET_DELIMITER = Buffer.from('f6', 'hex');
+const REQUEST_HEADER = 0xf6; // Tablet -> bike: f6 f5 <metric> <checksum>
+const REQUEST_MARKER = 0xf5;
+const RESPONSE_HEADER = 0xf1; // Bike -> tablet: f1 <metric> <length> <ascii digits...> <checksum>
+const REQUEST_LENGTH = 4;
+const MAX_RESPONSE_DIGITS = 16; // Guard against treating noise as a huge length field.
+export const PELOTON_MODES = ['active', 'passive'];
+const CADENCE_METRIC = 0x41;
 const POLL_RATE = 100;
+const PROBE_TIMEOUT_MS = 1000; // wait this long for the bike to answer a probe cadence request
+const PASSIVE_PROBE_TIMEOUT_MS = 2000; // passive probes can only listen for the tablet's traffic
+const DISCOVERY_POLL_MS = 1000; // how often to look for the serial device while it is missing
+const DISCOVERY_TIMEOUT_MS = 20000; // give up connect() before the App's 30 s connect timeout
+const REOPEN_WINDOW_MS = 8000; // reopen silently if the device returns before the App's 10 s stats timeout
 const STATS_TIMEOUT = 1.0;
 const CSC_FLAG_CRANK_PRESENT = 1 << 1; // Cycling Speed & Cadence bitfield for “crank data included”.
 const CRANK_TIME_SCALE = 1024; // Spec: timestamps are expressed in 1/1024 second units.
@@ -31,17 +45,37 @@ const debugFactory = toDefaultExport(debugModule);
 const debuglog = debugFactory('gym:bikes:peloton');
 const tracelog = debugFactory('gym:bikes:peloton:trace');
 
+// Remember the last device that answered like a Peloton so the next client
+// (the App recreates bike clients on every reconnect) tries it first.
+let rememberedPath = null;
+
 export class PelotonBikeClient extends EventEmitter {
   /**
    * Create a PelotonBikeClient instance.
    * @param {string} path - device path to usb serial device
+   * @param {object} [options]
+   * @param {string} [options.mode=active] - 'active' polls the bike for
+   *   metrics; 'passive' never writes and instead sniffs the tablet's polling
+   *   traffic on a Y-split cable.
+   * @param {function} [options.SerialPortClass] - serial port implementation (tests)
+   * @param {object} [options.fs] - fs implementation used for discovery (tests)
    */
-  constructor(path) {
+  constructor(path, {mode = 'active', SerialPortClass = SerialPort, fs} = {}) {
     super();
     this.path = path;
+    if (!PELOTON_MODES.includes(mode)) {
+      throw new Error(`Unknown Peloton mode: ${mode}`);
+    }
+    this.mode = mode;
+    this.SerialPortClass = SerialPortClass;
+    this.fs = fs;
+    this.decoder = new PelotonStreamDecoder();
+    this.state = 'disconnected';
+    this.reopenTimer = null;
 
     this.onStatsUpdate = this.onStatsUpdate.bind(this);
     this.onSerialMessage = this.onSerialMessage.bind(this);
+    this.onSerialData = this.onSerialData.bind(this);
     this.onSerialClose = this.onSerialClose.bind(this);
     this.pollMetric = this.pollMetric.bind(this);
 
@@ -72,11 +106,57 @@ export class PelotonBikeClient extends EventEmitter {
       throw new Error('Already connected');
     }
 
-    this._port = new SerialPort(this.path, {baudRate: 19200, autoOpen: false});
+    this.state = 'connecting';
+    const deadline = Date.now() + DISCOVERY_TIMEOUT_MS;
+    let path = await this.findPort();
+    while (!path && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, DISCOVERY_POLL_MS)); // Wait for the adapter to (re)enumerate.
+      path = await this.findPort();
+    }
+    if (!path) {
+      this.state = 'disconnected';
+      throw new Error('Unable to find Peloton serial device');
+    }
+    await this.openPort(path);
+  }
+
+  /**
+   * Locate the Peloton serial device (configured path first, then the
+   * remembered match, then every other USB serial candidate).
+   * @returns {Promise<string|null>} device path
+   * @private
+   */
+  findPort() {
+    return findPelotonPort({
+      preferred: this.path,
+      mode: this.mode,
+      SerialPortClass: this.SerialPortClass,
+      fs: this.fs,
+    });
+  }
+
+  /**
+   * Open the serial port and start polling (active) or listening (passive).
+   * @param {string} path - device path
+   * @private
+   */
+  async openPort(path) {
+    this.path = path;
+    this._port = new this.SerialPortClass(path, {baudRate: 19200, autoOpen: false});
     const open = util.promisify(this._port.open.bind(this._port));
     await open();
-    tracelog("Serial Opened");
+    tracelog("Serial Opened", path);
     this._port.on('close', this.onSerialClose);
+
+    if (this.mode === 'passive') {
+      // The tablet's requests and the bike's responses share the line, so
+      // frame the raw byte stream ourselves instead of splitting on 0xf6.
+      this._port.on('data', this.onSerialData);
+      this.state = 'connected';
+      tracelog("Serial Connected (passive)");
+      return;
+    }
+
     this._parser = this._port.pipe(new Delimiter({ delimiter: PACKET_DELIMITER }));
     this._parser.on('data', this.onSerialMessage);
 
@@ -87,12 +167,34 @@ export class PelotonBikeClient extends EventEmitter {
     tracelog("Serial Connected");
   }
 
+  /**
+   * Close the serial port.
+   */
+  async disconnect() {
+    this.cancelReopen();
+    if (!this._port || this.state === 'disconnected') {
+      this.state = 'disconnected';
+      return;
+    }
+    this.state = 'disconnecting';
+    clearInterval(this.intervalHandles['poll']);
+    const close = util.promisify(this._port.close.bind(this._port));
+    try {
+      await close();
+    } catch (err) {
+      debuglog('error closing Peloton serial port', err);
+    }
+    if (this.state !== 'disconnected') {
+      this.onSerialClose();
+    }
+  }
+
   /**
    * Get the bike's MAC address.
    * @returns {string} mac address
    */
   get address() {
-    return this._port.path;
+    return this._port?.path ?? this.path;
   }
 
   /**
@@ -164,10 +266,79 @@ export class PelotonBikeClient extends EventEmitter {
       }
   }
 
+  /**
+   * Handle raw bytes sniffed from the shared line in passive mode.
+   * @param {buffer} chunk - raw serial data
+   * @private
+   */
+  onSerialData(chunk) {
+    for (const frame of this.decoder.push(chunk)) {
+      if (frame.type === 'request') {
+        tracelog("tablet requested metric: ", frame.metric);
+        continue;
+      }
+      this.onSerialMessage(frame.data);
+    }
+  }
+
   onSerialClose() {
-    this.emit('disconnect', {address: this.address});
     clearInterval(this.intervalHandles['poll']);
     tracelog("Serial Closed");
+    if (this._port) {
+      this._port.off?.('close', this.onSerialClose);
+    }
+    if (this.state === 'connected') {
+      // Unexpected close, e.g. the adapter re-enumerated after a power blip.
+      // Look for it again for a few seconds before reporting a disconnect.
+      this.state = 'reopening';
+      this.reopenDeadline = Date.now() + REOPEN_WINDOW_MS;
+      this.scheduleReopen();
+      return;
+    }
+    this.state = 'disconnected';
+    this.emit('disconnect', {address: this.address});
+  }
+
+  scheduleReopen() {
+    this.cancelReopen();
+    this.reopenTimer = setTimeout(() => {
+      this.tryReopen().catch(err => debuglog('error reopening Peloton serial port', err));
+    }, DISCOVERY_POLL_MS);
+  }
+
+  cancelReopen() {
+    clearTimeout(this.reopenTimer);
+    this.reopenTimer = null;
+  }
+
+  /**
+   * Try to reopen the serial device after it disappeared.
+   * @private
+   */
+  async tryReopen() {
+    this.cancelReopen();
+    if (this.state !== 'reopening') {
+      return;
+    }
+    const path = await this.findPort();
+    if (this.state !== 'reopening') {
+      return; // disconnect() was called while we were probing
+    }
+    if (path) {
+      try {
+        await this.openPort(path);
+        debuglog('reopened Peloton serial device', path);
+        return;
+      } catch (err) {
+        debuglog('failed to reopen Peloton serial device', err);
+      }
+    }
+    if (Date.now() >= this.reopenDeadline) {
+      this.state = 'disconnected';
+      this.emit('disconnect', {address: this.address});
+      return;
+    }
+    this.scheduleReopen();
   }
 
   onStatsTimeout() {
@@ -194,6 +365,161 @@ export class PelotonBikeClient extends EventEmitter {
 
 }
 
+/**
+ * Check whether a serial device answers like a Peloton bike. In active mode a
+ * cadence request is sent and a valid cadence (0x41) response is expected; in
+ * passive mode we never write and wait for any valid frame from the tablet or bike.
+ * @param {string} path - device path
+ * @param {object} [options]
+ * @param {string} [options.mode=active] - 'active' or 'passive'
+ * @param {function} [options.SerialPortClass] - serial port implementation (tests)
+ * @param {number} [options.timeoutMs] - how long to wait for an answer
+ * @returns {Promise<boolean>}
+ */
+export async function probePelotonPort(path, {mode = 'active', SerialPortClass = SerialPort, timeoutMs} = {}) {
+  const port = new SerialPortClass(path, {baudRate: 19200, autoOpen: false});
+  try {
+    await util.promisify(port.open.bind(port))();
+  } catch (err) {
+    debuglog(`unable to open ${path} for probing`, err);
+    return false;
+  }
+  const decoder = new PelotonStreamDecoder();
+  const answered = await new Promise(resolve => {
+    let timer = null;
+    const finish = (result) => {
+      clearTimeout(timer);
+      port.off('data', onData);
+      resolve(result);
+    };
+    const onData = (chunk) => {
+      const frames = decoder.push(chunk);
+      const valid = mode === 'passive'
+        ? frames.length > 0
+        : frames.some(f => f.type === 'response' && f.metric === CADENCE_METRIC && decodePeloton(f.data, f.data[2], false) !== undefined);
+      if (valid) {
+        finish(true);
+      }
+    };
+    timer = setTimeout(finish, timeoutMs ?? (mode === 'passive' ? PASSIVE_PROBE_TIMEOUT_MS : PROBE_TIMEOUT_MS), false);
+    port.on('data', onData);
+    if (mode !== 'passive') {
+      port.write(MEASUREMENTS_HEX_ENUM.CADENCE);
+    }
+  });
+  try {
+    await util.promisify(port.close.bind(port))();
+  } catch (err) {
+    debuglog(`error closing ${path} after probing`, err);
+  }
+  return answered;
+}
+
+/**
+ * Find the serial device the Peloton bike is attached to.
+ * @param {object} [options]
+ * @param {string} [options.preferred] - configured path, tried first
+ * @param {string} [options.mode=active] - see probePelotonPort()
+ * @param {function} [options.SerialPortClass] - serial port implementation (tests)
+ * @param {object} [options.fs] - fs implementation (tests)
+ * @returns {Promise<string|null>} matching device path
+ */
+export async function findPelotonPort({preferred, mode = 'active', SerialPortClass = SerialPort, fs} = {}) {
+  const candidates = [...new Set([preferred, rememberedPath, ...listSerialCandidates({fs})].filter(Boolean))];
+  for (const candidate of candidates) {
+    if (!exists(candidate, fs) || isAntUsbStick(candidate, {fs})) {
+      continue;
+    }
+    // Passive mode cannot make the bike talk, and the tablet may be idle, so
+    // trust an explicitly configured device that is present.
+    const trusted = mode === 'passive' && candidate === preferred;
+    if (trusted || await probePelotonPort(candidate, {mode, SerialPortClass})) {
+      rememberedPath = stableSerialPath(candidate, {fs});
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Forget the remembered device (tests).
+ */
+export function resetRememberedPelotonPort() {
+  rememberedPath = null;
+}
+
+function exists(path, fsImpl) {
+  try {
+    return (fsImpl ?? defaultFs).existsSync(path);
+  } catch (_err) {
+    return false;
+  }
+}
+
+/**
+ * Split a raw Peloton serial byte stream into request and response frames.
+ * Used in passive mode, where both directions of the tablet <-> bike
+ * conversation arrive on the same line and chunk boundaries are arbitrary.
+ */
+export class PelotonStreamDecoder {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Append bytes and return every complete frame found so far.
+   * @param {buffer} chunk - raw serial data
+   * @returns {object[]} frames - {type: 'request'|'response', metric, data}
+   */
+  push(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    const frames = [];
+    let offset = 0;
+    while (offset < this.buffer.length) {
+      const header = this.buffer[offset];
+      if (header === REQUEST_HEADER) {
+        if (this.buffer.length - offset < REQUEST_LENGTH) {
+          break; // wait for the rest of the request
+        }
+        const request = this.buffer.subarray(offset, offset + REQUEST_LENGTH);
+        if (request[1] === REQUEST_MARKER && checksum(request, 1, 3) === request[3]) {
+          frames.push({type: 'request', metric: request[2], data: Buffer.from(request)});
+          offset += REQUEST_LENGTH;
+          continue;
+        }
+      } else if (header === RESPONSE_HEADER) {
+        if (this.buffer.length - offset < 3) {
+          break; // wait for the length byte
+        }
+        const length = this.buffer[offset + 2];
+        if (length <= MAX_RESPONSE_DIGITS) {
+          const end = offset + 3 + length;
+          if (this.buffer.length <= end) {
+            break; // wait for the digits and checksum
+          }
+          if (checksum(this.buffer, offset, end) === this.buffer[end]) {
+            const data = Buffer.from(this.buffer.subarray(offset, end + 1));
+            frames.push({type: 'response', metric: data[1], data});
+            offset = end + 1;
+            continue;
+          }
+        }
+      }
+      offset++; // not the start of a valid frame (e.g. a trailing 0xf6); resync on the next byte
+    }
+    this.buffer = this.buffer.subarray(offset);
+    return frames;
+  }
+}
+
+function checksum(buffer, start, end) {
+  let sum = 0;
+  for (let i = start; i < end; i++) {
+    sum += buffer[i];
+  }
+  return sum & 0xff;
+}
+
 export function decodePeloton(bufferArray, byteLength, isPower) {
   let decimalPlace = 1;
   let precision = 0.0;
@@ -0,0 +1,190 @@
+import {EventEmitter} from 'events';
+import {loadDependency, toDefaultExport} from '../util/optional-deps.js';
+import {allocateChannel} from '../util/ant-stick-manager.js';
+import {counterDelta} from '../util/csc-measurement.js';
+import {
+  HEART_RATE_DEVICE_TYPE,
+  HEART_RATE_PERIOD,
+  BEAT_COUNT_MAX,
+  BEAT_TIME_MAX,
+  BEAT_TIME_UNIT,
+  parseAntHeartRatePage,
+} from '../util/ant-heart-rate.js';
+
+const antModule = loadDependency('gd-ant-plus', '../../stubs/gd-ant-plus.cjs', import.meta);
+const Ant = toDefaultExport(antModule);
+const debugModule = loadDependency('debug', '../../stubs/debug.cjs', import.meta);
+const debuglog = toDefaultExport(debugModule)('gym:hr:ant');
+
+const RF_CHANNEL = 57; // 2457 MHz
+const TRANSMISSION_TYPE_WILDCARD = 0;
+const SEARCH_TIMEOUT_NEVER = 0xff;
+
+const MESSAGE_CHANNEL_EVENT = 0x40;
+const MESSAGE_CHANNEL_BROADCAST_DATA = 0x4e;
+const MESSAGE_CHANNEL_ACKNOWLEDGED_DATA = 0x4f;
+const MESSAGE_CHANNEL_ID = 0x51;
+const EVENT_CHANNEL_CLOSED = 0x07;
+
+const defaults = {
+  deviceId: 0, // 0 = pair with the first strap found
+  channel: 2,
+}
+
+/**
+ * Receives heart rate from an ANT+ chest strap (Heart Rate Monitor profile)
+ * on the ANT+ stick that AntServer broadcasts from, so HR does not compete
+ * with the bike for the Bluetooth radio.
+ *
+ * Emits 'heartRate' (bpm, measurement) on every new beat, where measurement
+ * is {heartRate, rrIntervals?} like HeartRateClient, and 'paired' (deviceId)
+ * once a wildcard search has locked onto a strap.
+ */
+export class AntHeartRateClient extends EventEmitter {
+  /**
+   * Create an AntHeartRateClient instance.
+   * @param {Ant.USBDevice|AntStickManager} antStick - ANT+ device instance, or the AntStickManager sharing it
+   * @param {object} options
+   * @param {number} options.channel - ANT+ channel
+   * @param {number} options.deviceId - ANT+ device number of the strap (0 = wildcard)
+   */
+  constructor(antStick, options = {}) {
+    super();
+    const opts = {...defaults, ...options};
+    this.stick = antStick;
+    this.channel = allocateChannel(antStick, 'heart-rate', opts.channel);
+    this.deviceId = Number.isInteger(opts.deviceId) && opts.deviceId > 0 ? opts.deviceId : 0;
+    this.onRead = this.onRead.bind(this);
+    this.reset();
+    this._isRunning = false;
+  }
+
+  /**
+   * Open the receive channel and start searching for the strap.
+   */
+  start() {
+    if (this._isRunning) {
+      return;
+    }
+    const {stick, channel, deviceId} = this;
+    const messages = [
+      Ant.Messages.assignChannel(channel, 'receive'),
+      Ant.Messages.setDevice(channel, deviceId, HEART_RATE_DEVICE_TYPE, TRANSMISSION_TYPE_WILDCARD),
+      Ant.Messages.searchChannel(channel, SEARCH_TIMEOUT_NEVER),
+      Ant.Messages.setFrequency(channel, RF_CHANNEL),
+      Ant.Messages.setPeriod(channel, HEART_RATE_PERIOD),
+      Ant.Messages.openChannel(channel),
+    ];
+    debuglog(`ANT+ heart rate receiver start [deviceId=${deviceId || 'any'} channel=${channel}]`);
+    this.reset();
+    stick.on('read', this.onRead);
+    for (let m of messages) {
+      stick.write(m);
+    }
+    this._isRunning = true;
+  }
+
+  get isRunning() {
+    return this._isRunning;
+  }
+
+  /**
+   * Close and unassign the receive channel.
+   */
+  stop() {
+    if (!this._isRunning) {
+      return;
+    }
+    const {stick, channel} = this;
+    this._isRunning = false;
+    stick.removeListener('read', this.onRead);
+    const messages = [
+      Ant.Messages.closeChannel(channel),
+      Ant.Messages.unassignChannel(channel),
+    ];
+    for (let m of messages) {
+      stick.write(m);
+    }
+  }
+
+  /**
+   * Handle a message read from the stick. Messages for other channels are ignored.
+   * @param {buffer} data - raw ANT message (sync, length, id, channel, payload..., checksum)
+   */
+  onRead(data) {
+    if (!Buffer.isBuffer(data) || data.length < 5 || data.readUInt8(3) !== this.channel) {
+      return;
+    }
+    const messageId = data.readUInt8(2);
+    if (messageId === MESSAGE_CHANNEL_BROADCAST_DATA || messageId === MESSAGE_CHANNEL_ACKNOWLEDGED_DATA) {
+      this.onPage(data.subarray(4, 12));
+    } else if (messageId === MESSAGE_CHANNEL_ID) {
+      this.onChannelId(data);
+    } else if (messageId === MESSAGE_CHANNEL_EVENT && data.readUInt8(5) === EVENT_CHANNEL_CLOSED && this._isRunning) {
+      // The stick closed the channel underneath us (e.g. search gave up); search again.
+      debuglog('ANT+ heart rate channel closed; reopening');
+      this.stick.write(Ant.Messages.openChannel(this.channel));
+    }
+  }
+
+  /**
+   * @private
+   */
+  onPage(payload) {
+    let page;
+    try {
+      page = parseAntHeartRatePage(payload);
+    } catch (e) {
+      debuglog(`ANT+ heart rate page ignored: ${e.message}`);
+      return;
+    }
+    if (!this.deviceId && !this.channelIdRequested) {
+      // Wildcard search: ask the stick which strap we locked onto so it can be pinned.
+      this.channelIdRequested = true;
+      this.stick.write(Ant.Messages.requestMessage(this.channel, MESSAGE_CHANNEL_ID));
+    }
+    const isNewBeat = this.beatCount === null || page.beatCount !== this.beatCount;
+    const measurement = {heartRate: page.heartRate};
+    const previousBeatTime = page.previousBeatTime ?? this.beatTime;
+    const beats = this.beatCount === null ? 0 : counterDelta(page.beatCount, this.beatCount, BEAT_COUNT_MAX);
+    if (isNewBeat && previousBeatTime !== null && (beats === 1 || page.previousBeatTime !== undefined)) {
+      const rr = counterDelta(page.beatTime, previousBeatTime, BEAT_TIME_MAX) * BEAT_TIME_UNIT;
+      if (rr > 0) {
+        measurement.rrIntervals = [rr];
+      }
+    }
+    this.beatCount = page.beatCount;
+    this.beatTime = page.beatTime;
+    if (!isNewBeat || page.heartRate === 0) {
+      return;
+    }
+    debuglog(`ANT+ heart rate ${page.heartRate}bpm beatCount=${page.beatCount}`);
+    this.emit('heartRate', page.heartRate, measurement);
+  }
+
+  /**
+   * @private
+   */
+  onChannelId(data) {
+    if (data.length < 7) {
+      return;
+    }
+    const deviceId = data.readUInt16LE(4);
+    const deviceType = data.readUInt8(6) & 0x7f;
+    if (!deviceId || deviceType !== HEART_RATE_DEVICE_TYPE || deviceId === this.deviceId) {
+      return;
+    }
+    this.deviceId = deviceId;
+    debuglog(`ANT+ heart rate strap paired [deviceId=${deviceId}]`);
+    this.emit('paired', deviceId);
+  }
+
+  /**
+   * @private
+   */
+  reset() {
+    this.beatCount = null;
+    this.beatTime = null;
+    this.channelIdRequested = false;
+  }
+}
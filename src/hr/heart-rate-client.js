@@ -1,6 +1,7 @@
 import {EventEmitter} from 'events';
 import {createNameFilter} from '../util/ble-scan.js';
 import {BluetoothConnectionManager} from '../util/connection-manager.js';
+import {parseHeartRateMeasurement} from '../util/heart-rate-measurement.js';
 
 const HEART_RATE_SERVICE = '180d';
 const HEART_RATE_CHARACTERISTIC = '2a37';
@@ -138,16 +139,19 @@ export class HeartRateClient extends EventEmitter {
     }
   }
 
+  /**
+   * Decode a Heart Rate Measurement notification.
+   * @emits HeartRateClient#heartRate with (bpm, measurement); the measurement
+   *   carries sensor contact, energy expended and RR intervals when present
+   */
   onCharData(data) {
-    if (!data || data.length < 2) {
+    let measurement;
+    try {
+      measurement = parseHeartRateMeasurement(data);
+    } catch (_error) {
       return; // Guard against malformed packets.
     }
-    const flags = data.readUInt8(0);
-    const has16Bit = Boolean(flags & 0x01); // Bit 0 indicates whether HR is 16-bit.
-    const heartRate = has16Bit
-      ? data.readUInt16LE(1) // Little-endian 16-bit heart rate.
-      : data.readUInt8(1); // 8-bit heart rate.
-    this.emit('heartRate', heartRate);
+    this.emit('heartRate', measurement.heartRate, measurement);
   }
 
   onPeripheralDisconnect() {
@@ -0,0 +1,341 @@
+import {EventEmitter} from 'events';
+import {Timer} from '../../util/timer.js';
+import {loadDependency, toDefaultExport} from '../../util/optional-deps.js';
+import {allocateChannel} from '../../util/ant-stick-manager.js';
+import {profileDeviceId, profileSerialNumber} from '../../util/ant-device-id.js';
+import {encodeManufacturerInfoPage, encodeProductInfoPage, PAGE_MANUFACTURER_INFO, PAGE_PRODUCT_INFO} from '../../util/ant-common-pages.js';
+import {
+  FITNESS_EQUIPMENT_DEVICE_TYPE,
+  FITNESS_EQUIPMENT_PERIOD,
+  PAGE_GENERAL_FE_DATA,
+  PAGE_TRAINER_DATA,
+  PAGE_TARGET_POWER,
+  PAGE_TRACK_RESISTANCE,
+  PAGE_USER_CONFIGURATION,
+  PAGE_FE_CAPABILITIES,
+  PAGE_REQUEST_DATA_PAGE,
+  PAGE_COMMAND_STATUS,
+  FE_STATE_READY,
+  FE_STATE_IN_USE,
+  CAPABILITY_TARGET_POWER,
+  CAPABILITY_SIMULATION,
+  COMMAND_STATUS_PENDING,
+  COMMAND_STATUS_NOT_SUPPORTED,
+  COMMAND_STATUS_UNINITIALIZED,
+  encodeGeneralFePage,
+  encodeTrainerDataPage,
+  encodeFeCapabilitiesPage,
+  encodeCommandStatusPage,
+  parseFeControlPage,
+} from '../../util/ant-fitness-equipment.js';
+
+const antModule = loadDependency('gd-ant-plus', '../../../stubs/gd-ant-plus.cjs', import.meta);
+const Ant = toDefaultExport(antModule);
+const debugModule = loadDependency('debug', '../../../stubs/debug.cjs', import.meta);
+const debuglog = toDefaultExport(debugModule)('gym:servers:ant:fec');
+
+const TRANSMISSION_TYPE = 5; // FE-C uses an independent channel with the global data pages flag
+const RF_CHANNEL = 57; // 2457 MHz
+const BROADCAST_INTERVAL = FITNESS_EQUIPMENT_PERIOD / 32768; // seconds
+
+const MESSAGE_CHANNEL_BROADCAST_DATA = 0x4e;
+const MESSAGE_CHANNEL_ACKNOWLEDGED_DATA = 0x4f;
+
+// Pages 16 and 25 alternate in pairs for 64 messages, then a common page
+// (80 or 81, alternating each cycle) is sent twice.
+const DATA_PAGE_MESSAGES = 64;
+const COMMON_PAGE_MESSAGES = 2;
+
+// Displays resend an acknowledged page until the stick acks it; the same page
+// again within this window is a retransmit, not a new command.
+const CONTROL_RETRANSMIT_WINDOW = 2000; // ms
+
+const DEFAULT_WIND_RESISTANCE = 0.51; // kg/m, FE-C default used until the display sends wind data
+const MODEL_NUMBER = 1;
+const HARDWARE_REVISION = 1;
+const SOFTWARE_REVISION = 1;
+
+const defaults = {
+  deviceId: 21234,
+  channel: 6,
+}
+
+/**
+ * Broadcasts the ANT+ Fitness Equipment (FE-C) profile as a trainer/
+ * stationary bike and receives the display's control pages.
+ *
+ * Control pages are emitted as 'control' (command, respond) where command
+ * uses the same shapes as FTMS control point requests (see
+ * util/ftms-control-point.js) so the app can relay them to controllable
+ * bikes:
+ *   page 49 -> {type: 'setTargetPower', power}
+ *   page 51 -> {type: 'setIndoorBikeSimulation', simulation: {windSpeed, grade, crr, cw}}
+ *   page 55 -> {type: 'setUserConfiguration', userWeight, bikeWeight, wheelDiameter, gearRatio}
+ * and respond(status) takes a COMMAND_STATUS_* code, reported back to the
+ * display on page 71.
+ */
+export class AntFitnessEquipmentServer extends EventEmitter {
+  /**
+    * Create an AntFitnessEquipmentServer instance.
+    * @param {Ant.USBDevice|AntStickManager} antStick - ANT+ device instance, or the AntStickManager sharing it
+    * @param {object} options
+    * @param {number} options.channel - ANT+ channel
+    * @param {number} options.deviceId - configured ANT+ device id (see util/ant-device-id.js)
+    */
+  constructor(antStick, options = {}) {
+    super();
+    const opts = {...defaults, ...options};
+    this.stick = antStick;
+    this.deviceId = profileDeviceId(opts.deviceId, 'fitness-equipment');
+    this.serialNumber = profileSerialNumber(opts.deviceId, 'fitness-equipment');
+    this.channel = allocateChannel(antStick, 'fitness-equipment', opts.channel);
+
+    this.broadcastInterval = new Timer(BROADCAST_INTERVAL);
+    this.broadcastInterval.on('timeout', this.onBroadcastInterval.bind(this));
+    this.onRead = this.onRead.bind(this);
+    this.now = Date.now;
+
+    this.power = 0;
+    this.cadence = 0;
+    this.speed = 0;
+    this.heartRate = null;
+    this.reset();
+
+    this._isRunning = false;
+  }
+
+  /**
+   * Start the FE-C channel (setup channel, start broadcasting and listening).
+   */
+  start() {
+    if (this._isRunning) {
+      return;
+    }
+    const {stick, channel, deviceId} = this;
+    const messages = [
+      Ant.Messages.assignChannel(channel, 'transmit'),
+      Ant.Messages.setDevice(channel, deviceId, FITNESS_EQUIPMENT_DEVICE_TYPE, TRANSMISSION_TYPE),
+      Ant.Messages.setFrequency(channel, RF_CHANNEL),
+      Ant.Messages.setPeriod(channel, FITNESS_EQUIPMENT_PERIOD),
+      Ant.Messages.openChannel(channel),
+    ];
+    debuglog(`ANT+ FE-C server start [deviceId=${deviceId} channel=${channel}]`);
+    this.reset();
+    if (typeof stick.on === 'function') {
+      stick.on('read', this.onRead);
+    }
+    for (let m of messages) {
+      stick.write(m);
+    }
+    this.broadcastInterval.reset();
+    this._isRunning = true;
+  }
+
+  get isRunning() {
+    return this._isRunning;
+  }
+
+  /**
+   * Stop the FE-C channel (stop broadcasting and unassign channel).
+   */
+  stop() {
+    if (!this._isRunning) {
+      return;
+    }
+    const {stick, channel} = this;
+    this.broadcastInterval.cancel();
+    if (typeof stick.removeListener === 'function') {
+      stick.removeListener('read', this.onRead);
+    }
+    const messages = [
+      Ant.Messages.closeChannel(channel),
+      Ant.Messages.unassignChannel(channel),
+    ];
+    for (let m of messages) {
+      stick.write(m);
+    }
+    this._isRunning = false;
+  }
+
+  /**
+   * Update the trainer measurement.
+   * @param {object} measurement
+   * @param {number} measurement.power - power in watts
+   * @param {number} measurement.cadence - cadence in rpm
+   * @param {number} [measurement.speed] - speed in m/s
+   * @param {number} [measurement.heartRate] - heart rate in bpm
+   */
+  updateMeasurement({power, cadence, speed, heartRate}) {
+    this.power = Number.isFinite(power) ? Math.max(0, power) : 0;
+    this.cadence = Number.isFinite(cadence) ? Math.max(0, cadence) : 0;
+    this.speed = Number.isFinite(speed) ? Math.max(0, speed) : 0;
+    this.heartRate = Number.isFinite(heartRate) && heartRate > 0 ? heartRate : null;
+  }
+
+  /**
+   * Broadcast the next page: pages requested by the display first, then the
+   * regular 16/25 rotation with common pages interleaved.
+   */
+  onBroadcastInterval() {
+    const {stick, channel} = this;
+    this.elapsedTime += BROADCAST_INTERVAL;
+    this.distance += this.speed * BROADCAST_INTERVAL;
+    const pageNumber = this.nextPageNumber();
+    const page = this.encodePage(pageNumber);
+    const message = Ant.Messages.broadcastData([channel, ...page]);
+    debuglog(`ANT+ FE-C broadcast page=${pageNumber} power=${this.power}W cadence=${this.cadence}rpm message=${message.toString('hex')}`);
+    stick.write(message);
+    this.messageCount++;
+  }
+
+  /**
+   * Handle a message read from the stick. Only data on our channel is used.
+   * @param {buffer} data - raw ANT message (sync, length, id, channel, payload..., checksum)
+   */
+  onRead(data) {
+    if (!Buffer.isBuffer(data) || data.length < 12 || data.readUInt8(3) !== this.channel) {
+      return;
+    }
+    const messageId = data.readUInt8(2);
+    if (messageId !== MESSAGE_CHANNEL_ACKNOWLEDGED_DATA && messageId !== MESSAGE_CHANNEL_BROADCAST_DATA) {
+      return;
+    }
+    this.onControlPage(data.subarray(4, 12));
+  }
+
+  /**
+   * Decode a page sent by the display and surface control commands.
+   * @param {buffer} payload - 8-byte page
+   */
+  onControlPage(payload) {
+    let request;
+    try {
+      request = parseFeControlPage(payload);
+    } catch (e) {
+      debuglog(`ANT+ FE-C page ignored: ${e.message}`);
+      return;
+    }
+    if (request.page === PAGE_REQUEST_DATA_PAGE) {
+      if (request.isDataPageRequest) {
+        debuglog(`ANT+ FE-C page ${request.requestedPage} requested x${request.transmissions}`);
+        this.requestedPages.push({page: request.requestedPage, remaining: request.transmissions});
+      }
+      return;
+    }
+    const command = toCommand(request);
+    if (!command) {
+      debuglog(`ANT+ FE-C page ${request.page} not handled`);
+      return;
+    }
+    const page = payload.toString('hex');
+    const now = this.now();
+    if (this.lastControl && this.lastControl.page === page && now - this.lastControl.at < CONTROL_RETRANSMIT_WINDOW) {
+      debuglog(`ANT+ FE-C page ${request.page} retransmit ignored`);
+      return;
+    }
+    this.lastControl = {page, at: now};
+    const sequence = (this.commandStatus.sequence + 1) & 0xff;
+    this.commandStatus = {
+      lastCommand: request.page,
+      sequence,
+      status: COMMAND_STATUS_PENDING,
+      data: [...payload.subarray(4, 8)],
+    };
+    const respond = (status) => {
+      if (this.commandStatus.sequence === sequence) { // a newer command supersedes this one
+        this.commandStatus = {...this.commandStatus, status};
+      }
+    };
+    if (!this.emit('control', command, respond)) {
+      respond(COMMAND_STATUS_NOT_SUPPORTED);
+    }
+  }
+
+  /**
+   * @private
+   */
+  nextPageNumber() {
+    const requested = this.requestedPages[0];
+    if (requested) {
+      requested.remaining--;
+      if (requested.remaining <= 0) {
+        this.requestedPages.shift();
+      }
+      return requested.page;
+    }
+    const cycle = DATA_PAGE_MESSAGES + COMMON_PAGE_MESSAGES;
+    const position = this.messageCount % cycle;
+    if (position >= DATA_PAGE_MESSAGES) {
+      return Math.floor(this.messageCount / cycle) % 2 === 0 ? PAGE_MANUFACTURER_INFO : PAGE_PRODUCT_INFO;
+    }
+    return Math.floor(position / 2) % 2 === 0 ? PAGE_GENERAL_FE_DATA : PAGE_TRAINER_DATA;
+  }
+
+  /**
+   * @private
+   */
+  encodePage(pageNumber) {
+    const state = this.power > 0 || this.cadence > 0 ? FE_STATE_IN_USE : FE_STATE_READY;
+    switch (pageNumber) {
+      case PAGE_TRAINER_DATA:
+        this.eventCount = (this.eventCount + 1) & 0xff;
+        this.accumulatedPower = (this.accumulatedPower + Math.round(this.power)) & 0xffff;
+        return encodeTrainerDataPage({
+          eventCount: this.eventCount,
+          cadence: this.cadence,
+          accumulatedPower: this.accumulatedPower,
+          power: this.power,
+          state,
+        });
+      case PAGE_FE_CAPABILITIES:
+        return encodeFeCapabilitiesPage({modes: CAPABILITY_TARGET_POWER | CAPABILITY_SIMULATION});
+      case PAGE_COMMAND_STATUS:
+        return encodeCommandStatusPage(this.commandStatus);
+      case PAGE_MANUFACTURER_INFO:
+        return encodeManufacturerInfoPage({hardwareRevision: HARDWARE_REVISION, modelNumber: MODEL_NUMBER});
+      case PAGE_PRODUCT_INFO:
+        return encodeProductInfoPage({softwareRevision: SOFTWARE_REVISION, serialNumber: this.serialNumber});
+      case PAGE_GENERAL_FE_DATA:
+      default: // unsupported requests get the general page rather than silence
+        return encodeGeneralFePage({
+          elapsedTime: this.elapsedTime,
+          distance: this.distance,
+          speed: this.speed,
+          heartRate: this.heartRate,
+          state,
+        });
+    }
+  }
+
+  /**
+   * @private
+   */
+  reset() {
+    this.messageCount = 0;
+    this.elapsedTime = 0; // seconds
+    this.distance = 0; // meters
+    this.eventCount = 0;
+    this.accumulatedPower = 0;
+    this.requestedPages = [];
+    this.lastControl = null; // {page (hex), at} of the last control page relayed
+    this.commandStatus = {lastCommand: 0xff, sequence: 0xff, status: COMMAND_STATUS_UNINITIALIZED, data: [0xff, 0xff, 0xff, 0xff]};
+  }
+}
+
+function toCommand(request) {
+  switch (request.page) {
+    case PAGE_TARGET_POWER:
+      return {type: 'setTargetPower', power: request.targetPower};
+    case PAGE_TRACK_RESISTANCE:
+      return {
+        type: 'setIndoorBikeSimulation',
+        simulation: {windSpeed: 0, grade: request.grade, crr: request.rollingResistance, cw: DEFAULT_WIND_RESISTANCE},
+      };
+    case PAGE_USER_CONFIGURATION: {
+      const {userWeight, bikeWeight, wheelDiameter, gearRatio} = request;
+      return {type: 'setUserConfiguration', userWeight, bikeWeight, wheelDiameter, gearRatio};
+    }
+    default:
+      return null;
+  }
+}
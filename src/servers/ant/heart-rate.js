@@ -0,0 +1,182 @@
+import {Timer} from '../../util/timer.js';
+import {loadDependency, toDefaultExport} from '../../util/optional-deps.js';
+import {allocateChannel} from '../../util/ant-stick-manager.js';
+import {profileDeviceId, profileSerialNumber} from '../../util/ant-device-id.js';
+import {
+  HEART_RATE_DEVICE_TYPE,
+  HEART_RATE_PERIOD,
+  HEART_RATE_PAGE_PREVIOUS_BEAT,
+  encodeAntHeartRatePage,
+} from '../../util/ant-heart-rate.js';
+import {pageForMessage} from '../../util/ant-sensor-pages.js';
+
+const antModule = loadDependency('gd-ant-plus', '../../../stubs/gd-ant-plus.cjs', import.meta);
+const Ant = toDefaultExport(antModule);
+const debugModule = loadDependency('debug', '../../../stubs/debug.cjs', import.meta);
+const debuglog = toDefaultExport(debugModule)('gym:servers:ant:hr');
+
+const TRANSMISSION_TYPE = 1; // independent channel, no shared address
+const RF_CHANNEL = 57; // 2457 MHz
+const BROADCAST_INTERVAL = HEART_RATE_PERIOD / 32768; // seconds
+
+const MANUFACTURER_ID = 255; // development
+const MODEL_NUMBER = 1;
+const HARDWARE_VERSION = 1;
+const SOFTWARE_VERSION = 1;
+
+const defaults = {
+  deviceId: 21234,
+  channel: 3,
+}
+
+/**
+ * Broadcasts heart rate to head units and ANT-only apps using the ANT+
+ * Heart Rate Monitor profile. Beats are synthesized from the latest heart
+ * rate so the event time and beat count advance like a real strap.
+ */
+export class AntHeartRateServer {
+  /**
+    * Create an AntHeartRateServer instance.
+    * @param {Ant.USBDevice|AntStickManager} antStick - ANT+ device instance, or the AntStickManager sharing it
+    * @param {object} options
+    * @param {number} options.channel - ANT+ channel
+    * @param {number} options.deviceId - configured ANT+ device id (see util/ant-device-id.js)
+    */
+  constructor(antStick, options = {}) {
+    const opts = {...defaults, ...options};
+    this.stick = antStick;
+    this.deviceId = profileDeviceId(opts.deviceId, 'heart-rate');
+    this.serialNumber = profileSerialNumber(opts.deviceId, 'heart-rate');
+    this.channel = allocateChannel(antStick, 'heart-rate-broadcast', opts.channel);
+
+    this.broadcastInterval = new Timer(BROADCAST_INTERVAL);
+    this.broadcastInterval.on('timeout', this.onBroadcastInterval.bind(this));
+
+    this.heartRate = 0;
+    this.reset();
+
+    this._isRunning = false;
+  }
+
+  /**
+   * Start the ANT+ heart rate channel (setup channel and start broadcasting).
+   */
+  start() {
+    if (this._isRunning) {
+      return;
+    }
+    const {stick, channel, deviceId} = this;
+    const messages = [
+      Ant.Messages.assignChannel(channel, 'transmit'),
+      Ant.Messages.setDevice(channel, deviceId, HEART_RATE_DEVICE_TYPE, TRANSMISSION_TYPE),
+      Ant.Messages.setFrequency(channel, RF_CHANNEL),
+      Ant.Messages.setPeriod(channel, HEART_RATE_PERIOD),
+      Ant.Messages.openChannel(channel),
+    ];
+    debuglog(`ANT+ heart rate server start [deviceId=${deviceId} channel=${channel}]`);
+    for (let m of messages) {
+      stick.write(m);
+    }
+    this.reset();
+    this.broadcastInterval.reset();
+    this._isRunning = true;
+  }
+
+  get isRunning() {
+    return this._isRunning;
+  }
+
+  /**
+   * Stop the ANT+ heart rate channel (stop broadcasting and unassign channel).
+   */
+  stop() {
+    if (!this._isRunning) {
+      return;
+    }
+    const {stick, channel} = this;
+    this.broadcastInterval.cancel();
+    const messages = [
+      Ant.Messages.closeChannel(channel),
+      Ant.Messages.unassignChannel(channel),
+    ];
+    for (let m of messages) {
+      stick.write(m);
+    }
+    this._isRunning = false;
+  }
+
+  /**
+   * Update heart rate.
+   * @param {number} heartRate - heart rate in bpm (0 or null when unknown)
+   */
+  updateHeartRate(heartRate) {
+    this.heartRate = Number.isFinite(heartRate) && heartRate > 0 ? Math.round(heartRate) : 0;
+  }
+
+  /**
+   * Advance the synthesized beats and broadcast the next page.
+   */
+  onBroadcastInterval() {
+    const {stick, channel} = this;
+    this.advanceBeats(BROADCAST_INTERVAL);
+    const page = encodeAntHeartRatePage({
+      ...pageForMessage(this.messageCount, HEART_RATE_PAGE_PREVIOUS_BEAT), // main page 4 with background pages interleaved
+      beatTime: this.toEventTime(this.beatTime),
+      previousBeatTime: this.toEventTime(this.previousBeatTime),
+      beatCount: this.beatCount,
+      heartRate: this.heartRate,
+      operatingTime: this.elapsed,
+      manufacturerId: MANUFACTURER_ID,
+      serialNumber: this.serialNumber,
+      hardwareVersion: HARDWARE_VERSION,
+      softwareVersion: SOFTWARE_VERSION,
+      modelNumber: MODEL_NUMBER,
+    });
+    const message = Ant.Messages.broadcastData([channel, ...page]);
+    debuglog(`ANT+ broadcast heartRate=${this.heartRate}bpm beatCount=${this.beatCount & 0xff} message=${message.toString('hex')}`);
+    stick.write(message);
+    this.messageCount++;
+  }
+
+  /**
+   * Move the clock forward and add a beat every 60/heartRate seconds.
+   * @param {number} seconds - time since the previous broadcast
+   * @private
+   */
+  advanceBeats(seconds) {
+    this.elapsed += seconds;
+    if (!this.heartRate) {
+      this.nextBeatAt = null; // No heart rate: hold the last beat until one arrives.
+      return;
+    }
+    const beatPeriod = 60 / this.heartRate;
+    if (this.nextBeatAt === null) {
+      this.nextBeatAt = this.elapsed;
+    }
+    while (this.nextBeatAt <= this.elapsed) {
+      this.previousBeatTime = this.beatTime;
+      this.beatTime = this.nextBeatAt;
+      this.beatCount++;
+      this.nextBeatAt += beatPeriod;
+    }
+  }
+
+  /**
+   * @private
+   */
+  toEventTime(seconds) {
+    return Math.round(seconds * 1024) & 0xffff;
+  }
+
+  /**
+   * @private
+   */
+  reset() {
+    this.messageCount = 0;
+    this.elapsed = 0; // seconds since start
+    this.beatCount = 0;
+    this.beatTime = 0; // seconds since start
+    this.previousBeatTime = 0;
+    this.nextBeatAt = null;
+  }
+}
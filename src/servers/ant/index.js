@@ -1,44 +1,89 @@
 import {Timer} from '../../util/timer.js';
 import {loadDependency, toDefaultExport} from '../../util/optional-deps.js';
+import {allocateChannel} from '../../util/ant-stick-manager.js';
+import {profileDeviceId, profileSerialNumber} from '../../util/ant-device-id.js';
+import {AntSpeedCadenceServer} from './speed-cadence.js';
+import {AntFitnessEquipmentServer} from './fitness-equipment.js';
+import {
+  encodeManufacturerInfoPage,
+  encodeProductInfoPage,
+  encodeBatteryStatusPage,
+  PAGE_MANUFACTURER_INFO,
+  PAGE_PRODUCT_INFO,
+  PAGE_BATTERY_STATUS,
+} from '../../util/ant-common-pages.js';
+import {
+  POWER_DEVICE_TYPE,
+  POWER_PERIOD,
+  CALIBRATION_MANUAL_ZERO,
+  encodePowerOnlyPage,
+  encodeCrankTorquePage,
+  encodeCalibrationResponsePage,
+  parseCalibrationRequest,
+} from '../../util/ant-bicycle-power.js';
 
 const antModule = loadDependency('gd-ant-plus', '../../../stubs/gd-ant-plus.cjs', import.meta);
 const Ant = toDefaultExport(antModule);
 const debugModule = loadDependency('debug', '../../../stubs/debug.cjs', import.meta);
 const debuglog = toDefaultExport(debugModule)('gym:servers:ant');
 
-const DEVICE_TYPE = 0x0b; // power meter
 const DEVICE_NUMBER = 1;
-const PERIOD = 8182; // 8182/32768 ~4hz
 const RF_CHANNEL = 57; // 2457 MHz
-const BROADCAST_INTERVAL = PERIOD / 32768; // seconds
+const BROADCAST_INTERVAL = POWER_PERIOD / 32768; // seconds
+
+const MESSAGE_CHANNEL_BROADCAST_DATA = 0x4e;
+const MESSAGE_CHANNEL_ACKNOWLEDGED_DATA = 0x4f;
+
+// Every 30th message is a common page, rotating 80, 81, 82 so each one goes
+// out every 90 messages (~22 s), inside the 121-message limit of the spec.
+const COMMON_PAGE_INTERVAL = 30;
+const COMMON_PAGES = [PAGE_MANUFACTURER_INFO, PAGE_PRODUCT_INFO, PAGE_BATTERY_STATUS];
+
+const MODEL_NUMBER = 1;
+const HARDWARE_REVISION = 1;
+const SOFTWARE_REVISION = 1;
+
+// Extra channels opened for each speedCadence mode: [profile, channel].
+export const SPEED_CADENCE_MODES = {
+  off: [],
+  combined: [['speed-cadence', 4]],
+  separate: [['speed', 4], ['cadence', 5]],
+};
 
 const defaults = {
   deviceId: 21234,
   channel: 1,
+  speedCadence: 'off',
+  fitnessEquipment: false,
+  fitnessEquipmentChannel: 6,
+  crankTorque: false,
 }
 
 /**
  * Handles communication with apps (e.g. Zwift) using the ANT+ Bicycle Power
- * profile (instantaneous cadence and power).
+ * profile (instantaneous cadence and power, common pages 80/81/82 and
+ * calibration responses), optionally alongside Bike Speed
+ * and Cadence sensor channels for head units that only pair with those, and
+ * a Fitness Equipment (FE-C) channel for displays that expect a trainer.
  */
 export class AntServer {
   /**
     * Create an AntServer instance.
-    * @param {Ant.USBDevice} antStick - ANT+ device instance
+    * @param {Ant.USBDevice|AntStickManager} antStick - ANT+ device instance, or the AntStickManager sharing it
     * @param {object} options
     * @param {number} options.channel - ANT+ channel
-    * @param {number} options.deviceId - ANT+ device id
+    * @param {number} options.deviceId - configured ANT+ device id (see util/ant-device-id.js)
+    * @param {string} [options.speedCadence] - 'off', 'combined' (one 0x79 channel) or 'separate' (0x7B + 0x7A)
+    * @param {boolean} [options.fitnessEquipment] - also broadcast FE-C; see fitnessEquipmentServer for control events
+    * @param {number} [options.fitnessEquipmentChannel] - ANT+ channel for FE-C
+    * @param {boolean} [options.crankTorque] - interleave crank torque pages (0x12) derived from crank events
     */
   constructor(antStick, options = {}) {
     const opts = {...defaults, ...options};
     this.stick = antStick;
-    this.deviceId = opts.deviceId;
-    
-    // Add retry mechanism for ANT+ connections
-    this.maxRetries = 3;
-    this.retryDelay = 1000;
-    this.currentRetry = 0;
-    
+    this.deviceId = profileDeviceId(opts.deviceId, 'power');
+    this.serialNumber = profileSerialNumber(opts.deviceId, 'power');
+
     // Modern timing parameters
     this.broadcastInterval = new Timer(BROADCAST_INTERVAL, {
       immediate: true,
@@ -47,12 +92,28 @@ export class AntServer {
 
     this.eventCount = 0;
     this.accumulatedPower = 0;
-    this.channel = opts.channel;
+    this.channel = allocateChannel(antStick, 'power', opts.channel);
 
     this.power = 0;
     this.cadence = 0;
 
+    this.crankTorque = opts.crankTorque;
+    this.messageCount = 0;
+    this.calibrationResponse = null;
+    this.resetCrankTorque();
+
     this.broadcastInterval.on('timeout', this.onBroadcastInterval.bind(this));
+    this.onRead = this.onRead.bind(this);
+
+    const speedCadenceChannels = SPEED_CADENCE_MODES[opts.speedCadence];
+    if (!speedCadenceChannels) {
+      throw new Error(`unknown ANT+ speed/cadence mode "${opts.speedCadence}" (expected ${Object.keys(SPEED_CADENCE_MODES).join(', ')})`);
+    }
+    this.speedCadenceServers = speedCadenceChannels.map(([type, channel]) =>
+      new AntSpeedCadenceServer(antStick, {type, channel, deviceId: opts.deviceId}));
+    this.fitnessEquipmentServer = opts.fitnessEquipment
+      ? new AntFitnessEquipmentServer(antStick, {channel: opts.fitnessEquipmentChannel, deviceId: opts.deviceId})
+      : null;
 
     this._isRunning = false;
   }
@@ -66,15 +127,24 @@ export class AntServer {
     const {stick, channel, deviceId} = this;
     const messages = [
       Ant.Messages.assignChannel(channel, 'transmit'),
-      Ant.Messages.setDevice(channel, deviceId, DEVICE_TYPE, DEVICE_NUMBER),
+      Ant.Messages.setDevice(channel, deviceId, POWER_DEVICE_TYPE, DEVICE_NUMBER),
       Ant.Messages.setFrequency(channel, RF_CHANNEL),
-      Ant.Messages.setPeriod(channel, PERIOD),
+      Ant.Messages.setPeriod(channel, POWER_PERIOD),
       Ant.Messages.openChannel(channel),
     ];
     debuglog(`ANT+ server start [deviceId=${deviceId} channel=${channel}]`);
+    this.messageCount = 0;
+    this.calibrationResponse = null;
+    this.resetCrankTorque();
+    if (typeof stick.on === 'function') {
+      stick.on('read', this.onRead);
+    }
     for (let m of messages) {
       stick.write(m);
     }
+    for (let server of this.extraServers) {
+      server.start();
+    }
     this.broadcastInterval.reset();
     this._isRunning = true;
   }
@@ -83,6 +153,14 @@ export class AntServer {
     return this._isRunning;
   }
 
+  /**
+   * Channels opened alongside the power channel.
+   * @private
+   */
+  get extraServers() {
+    return [...this.speedCadenceServers, this.fitnessEquipmentServer].filter(Boolean);
+  }
+
   /**
    * Stop the ANT+ server (stop broadcasting and unassign channel).
    */
@@ -92,6 +170,9 @@ export class AntServer {
     }
     const {stick, channel} = this;
     this.broadcastInterval.cancel();
+    if (typeof stick.removeListener === 'function') {
+      stick.removeListener('read', this.onRead);
+    }
     const messages = [
       Ant.Messages.closeChannel(channel),
       Ant.Messages.unassignChannel(channel),
@@ -99,6 +180,9 @@ export class AntServer {
     for (let m of messages) {
       stick.write(m);
     }
+    for (let server of this.extraServers) {
+      server.stop();
+    }
     this._isRunning = false;
   }
 
@@ -107,32 +191,142 @@ export class AntServer {
    * @param {object} measurement
    * @param {number} measurement.power - power in watts
    * @param {number} measurement.cadence - cadence in rpm
+   * @param {object} [measurement.crank] - {revolutions, timestamp} for crank torque and speed/cadence channels
+   * @param {object} [measurement.wheel] - {revolutions, timestamp} for speed/cadence channels
+   * @param {number} [measurement.speed] - speed in m/s for FE-C
+   * @param {number} [measurement.heartRate] - heart rate in bpm for FE-C
    */
-  updateMeasurement({ power, cadence }) {
+  updateMeasurement({ power, cadence, crank, wheel, speed, heartRate }) {
     this.power = power;
     this.cadence = cadence;
+    if (crank) {
+      this.updateCrankTorque(crank);
+    }
+    for (let server of this.speedCadenceServers) {
+      server.updateMeasurement({crank, wheel});
+    }
+    this.fitnessEquipmentServer?.updateMeasurement({power, cadence, speed, heartRate});
   }
 
   /**
-   * Broadcast instantaneous power and cadence.
+   * Broadcast the next page: a pending calibration response first, then
+   * power-only (alternating with crank torque when enabled) with a common
+   * page every COMMON_PAGE_INTERVAL messages.
    */
   onBroadcastInterval() {
-    const {stick, channel, power, cadence} = this;
-    this.accumulatedPower += power;
-    this.accumulatedPower &= 0xffff;
-    const data = [
-      channel,
-      0x10, // power only
-      this.eventCount,
-      0xff, // pedal power not used
-      cadence,
-      ...Ant.Messages.intToLEHexArray(this.accumulatedPower, 2),
-      ...Ant.Messages.intToLEHexArray(power, 2),
-    ];
-    const message = Ant.Messages.broadcastData(data);
-    debuglog(`ANT+ broadcast power=${power}W cadence=${cadence}rpm accumulatedPower=${this.accumulatedPower}W eventCount=${this.eventCount} message=${message.toString('hex')}`);
+    const {stick, channel} = this;
+    const page = this.nextPage();
+    const message = Ant.Messages.broadcastData([channel, ...page]);
+    debuglog(`ANT+ broadcast page=${page[0]} power=${this.power}W cadence=${this.cadence}rpm accumulatedPower=${this.accumulatedPower}W eventCount=${this.eventCount} message=${message.toString('hex')}`);
     stick.write(message);
+    this.messageCount++;
+  }
+
+  /**
+   * Handle a message read from the stick. Calibration requests on our
+   * channel are answered with a manual zero success: the bikes report
+   * calibrated power already, so there is no offset to zero.
+   * @param {buffer} data - raw ANT message (sync, length, id, channel, payload..., checksum)
+   */
+  onRead(data) {
+    if (!Buffer.isBuffer(data) || data.length < 12 || data.readUInt8(3) !== this.channel) {
+      return;
+    }
+    const messageId = data.readUInt8(2);
+    if (messageId !== MESSAGE_CHANNEL_ACKNOWLEDGED_DATA && messageId !== MESSAGE_CHANNEL_BROADCAST_DATA) {
+      return;
+    }
+    const request = parseCalibrationRequest(data.subarray(4, 12));
+    if (!request) {
+      return;
+    }
+    const success = request.calibrationId === CALIBRATION_MANUAL_ZERO;
+    debuglog(`ANT+ calibration request 0x${request.calibrationId.toString(16)} -> ${success ? 'success' : 'failure'}`);
+    this.calibrationResponse = encodeCalibrationResponsePage({success});
+  }
+
+  /**
+   * @private
+   */
+  nextPage() {
+    if (this.calibrationResponse) {
+      const response = this.calibrationResponse;
+      this.calibrationResponse = null;
+      return response;
+    }
+    if (this.messageCount % COMMON_PAGE_INTERVAL === COMMON_PAGE_INTERVAL - 1) {
+      const common = Math.floor(this.messageCount / COMMON_PAGE_INTERVAL) % COMMON_PAGES.length;
+      return this.encodeCommonPage(COMMON_PAGES[common]);
+    }
+    if (this.crankTorque && this.messageCount % 2 === 1) {
+      const {eventCount, ticks, period, torque} = this.torque;
+      return encodeCrankTorquePage({
+        eventCount,
+        ticks,
+        cadence: this.cadence,
+        period: Math.round(period),
+        torque: Math.round(torque),
+      });
+    }
+    this.accumulatedPower += Math.round(this.power);
+    this.accumulatedPower &= 0xffff;
+    const page = encodePowerOnlyPage({
+      eventCount: this.eventCount,
+      cadence: this.cadence,
+      accumulatedPower: this.accumulatedPower,
+      power: this.power,
+    });
     this.eventCount++;
     this.eventCount &= 0xff;
+    return page;
+  }
+
+  /**
+   * @private
+   */
+  encodeCommonPage(pageNumber) {
+    switch (pageNumber) {
+      case PAGE_MANUFACTURER_INFO:
+        return encodeManufacturerInfoPage({hardwareRevision: HARDWARE_REVISION, modelNumber: MODEL_NUMBER});
+      case PAGE_PRODUCT_INFO:
+        return encodeProductInfoPage({softwareRevision: SOFTWARE_REVISION, serialNumber: this.serialNumber});
+      case PAGE_BATTERY_STATUS:
+      default:
+        return encodeBatteryStatusPage({operatingTime: this.messageCount * BROADCAST_INTERVAL});
+    }
+  }
+
+  /**
+   * Accumulate crank ticks, period and torque for page 0x12. The event count
+   * advances once per revolution, so receivers get cadence from
+   * 60 * events / period and power from 2pi * torque / (32 * period); the
+   * torque added is whatever gives back the current power over the period.
+   * @private
+   */
+  updateCrankTorque({revolutions, timestamp}) {
+    const last = this.lastCrank;
+    if (!last || revolutions < last.revolutions || timestamp < last.timestamp) {
+      this.lastCrank = {revolutions, timestamp};
+      return; // first event, or the bike reset its counters
+    }
+    const revs = revolutions - last.revolutions;
+    const dt = timestamp - last.timestamp;
+    if (revs <= 0 || dt <= 0) {
+      return; // keep the last revolution: the period runs until the next one
+    }
+    this.lastCrank = {revolutions, timestamp};
+    const power = Number.isFinite(this.power) ? Math.max(0, this.power) : 0;
+    this.torque.eventCount = (this.torque.eventCount + revs) & 0xff;
+    this.torque.ticks = (this.torque.ticks + revs) & 0xff;
+    this.torque.period += dt * 2048;
+    this.torque.torque += 32 * power * dt / (2 * Math.PI);
+  }
+
+  /**
+   * @private
+   */
+  resetCrankTorque() {
+    this.lastCrank = null;
+    this.torque = {eventCount: 0, ticks: 0, period: 0, torque: 0};
   }
 }
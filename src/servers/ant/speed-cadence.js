@@ -0,0 +1,183 @@
+import {Timer} from '../../util/timer.js';
+import {loadDependency, toDefaultExport} from '../../util/optional-deps.js';
+import {allocateChannel} from '../../util/ant-stick-manager.js';
+import {profileDeviceId, profileSerialNumber} from '../../util/ant-device-id.js';
+import {pageForMessage} from '../../util/ant-sensor-pages.js';
+import {
+  SPEED_CADENCE_DEVICE_TYPE,
+  SPEED_CADENCE_PERIOD,
+  SPEED_DEVICE_TYPE,
+  SPEED_PERIOD,
+  CADENCE_DEVICE_TYPE,
+  CADENCE_PERIOD,
+  SPEED_CADENCE_PAGE_DEFAULT,
+  encodeAntSpeedCadencePage,
+  encodeAntRevolutionPage,
+} from '../../util/ant-speed-cadence.js';
+
+const antModule = loadDependency('gd-ant-plus', '../../../stubs/gd-ant-plus.cjs', import.meta);
+const Ant = toDefaultExport(antModule);
+const debugModule = loadDependency('debug', '../../../stubs/debug.cjs', import.meta);
+const debuglog = toDefaultExport(debugModule)('gym:servers:ant:csc');
+
+const TRANSMISSION_TYPE = 1; // independent channel, no shared address
+const RF_CHANNEL = 57; // 2457 MHz
+
+const MANUFACTURER_ID = 255; // development
+const MODEL_NUMBER = 1;
+const HARDWARE_VERSION = 1;
+const SOFTWARE_VERSION = 1;
+
+export const SPEED_CADENCE_TYPES = {
+  'speed-cadence': {deviceType: SPEED_CADENCE_DEVICE_TYPE, period: SPEED_CADENCE_PERIOD},
+  'speed': {deviceType: SPEED_DEVICE_TYPE, period: SPEED_PERIOD},
+  'cadence': {deviceType: CADENCE_DEVICE_TYPE, period: CADENCE_PERIOD},
+};
+
+const defaults = {
+  deviceId: 21234,
+  channel: 4,
+  type: 'speed-cadence',
+}
+
+/**
+ * Broadcasts crank and/or wheel revolutions using the ANT+ Bike Speed and
+ * Cadence profiles, for head units that pair with speed/cadence sensors
+ * rather than a power meter. One instance drives one channel: a combined
+ * speed & cadence sensor, a speed sensor or a cadence sensor.
+ */
+export class AntSpeedCadenceServer {
+  /**
+    * Create an AntSpeedCadenceServer instance.
+    * @param {Ant.USBDevice|AntStickManager} antStick - ANT+ device instance, or the AntStickManager sharing it
+    * @param {object} options
+    * @param {number} options.channel - ANT+ channel
+    * @param {number} options.deviceId - configured ANT+ device id (see util/ant-device-id.js)
+    * @param {string} options.type - 'speed-cadence', 'speed' or 'cadence'
+    */
+  constructor(antStick, options = {}) {
+    const opts = {...defaults, ...options};
+    if (!SPEED_CADENCE_TYPES[opts.type]) {
+      throw new Error(`unknown ANT+ speed/cadence channel type "${opts.type}" (expected ${Object.keys(SPEED_CADENCE_TYPES).join(', ')})`);
+    }
+    this.stick = antStick;
+    this.deviceId = profileDeviceId(opts.deviceId, opts.type);
+    this.serialNumber = profileSerialNumber(opts.deviceId, opts.type);
+    this.channel = allocateChannel(antStick, opts.type, opts.channel);
+    this.type = opts.type;
+    this.deviceType = SPEED_CADENCE_TYPES[opts.type].deviceType;
+    this.period = SPEED_CADENCE_TYPES[opts.type].period;
+
+    this.broadcastInterval = new Timer(this.period / 32768);
+    this.broadcastInterval.on('timeout', this.onBroadcastInterval.bind(this));
+
+    this.crank = {revolutions: 0, eventTime: 0};
+    this.wheel = {revolutions: 0, eventTime: 0};
+    this.messageCount = 0;
+
+    this._isRunning = false;
+  }
+
+  /**
+   * Start the channel (setup channel and start broadcasting).
+   */
+  start() {
+    if (this._isRunning) {
+      return;
+    }
+    const {stick, channel, deviceId, deviceType, period} = this;
+    const messages = [
+      Ant.Messages.assignChannel(channel, 'transmit'),
+      Ant.Messages.setDevice(channel, deviceId, deviceType, TRANSMISSION_TYPE),
+      Ant.Messages.setFrequency(channel, RF_CHANNEL),
+      Ant.Messages.setPeriod(channel, period),
+      Ant.Messages.openChannel(channel),
+    ];
+    debuglog(`ANT+ ${this.type} server start [deviceId=${deviceId} channel=${channel}]`);
+    for (let m of messages) {
+      stick.write(m);
+    }
+    this.messageCount = 0;
+    this.broadcastInterval.reset();
+    this._isRunning = true;
+  }
+
+  get isRunning() {
+    return this._isRunning;
+  }
+
+  /**
+   * Stop the channel (stop broadcasting and unassign channel).
+   */
+  stop() {
+    if (!this._isRunning) {
+      return;
+    }
+    const {stick, channel} = this;
+    this.broadcastInterval.cancel();
+    const messages = [
+      Ant.Messages.closeChannel(channel),
+      Ant.Messages.unassignChannel(channel),
+    ];
+    for (let m of messages) {
+      stick.write(m);
+    }
+    this._isRunning = false;
+  }
+
+  /**
+   * Update cumulative crank and wheel revolutions. The event time only moves
+   * when the revolution count does, so receivers see coasting as coasting.
+   * @param {object} measurement
+   * @param {object} [measurement.crank] - {revolutions, timestamp (seconds)}
+   * @param {object} [measurement.wheel] - {revolutions, timestamp (seconds)}
+   */
+  updateMeasurement({crank, wheel}) {
+    if (crank) {
+      this.crank = nextEvent(this.crank, crank);
+    }
+    if (wheel) {
+      this.wheel = nextEvent(this.wheel, wheel);
+    }
+  }
+
+  /**
+   * Broadcast the latest revolution counts.
+   */
+  onBroadcastInterval() {
+    const {stick, channel, crank, wheel} = this;
+    let page;
+    if (this.type === 'speed-cadence') {
+      page = encodeAntSpeedCadencePage({
+        cadenceEventTime: crank.eventTime,
+        cadenceRevolutions: crank.revolutions,
+        speedEventTime: wheel.eventTime,
+        speedRevolutions: wheel.revolutions,
+      });
+    } else {
+      const event = this.type === 'speed' ? wheel : crank;
+      page = encodeAntRevolutionPage({
+        ...pageForMessage(this.messageCount, SPEED_CADENCE_PAGE_DEFAULT),
+        eventTime: event.eventTime,
+        revolutions: event.revolutions,
+        operatingTime: this.messageCount * this.broadcastInterval.interval,
+        manufacturerId: MANUFACTURER_ID,
+        serialNumber: this.serialNumber,
+        hardwareVersion: HARDWARE_VERSION,
+        softwareVersion: SOFTWARE_VERSION,
+        modelNumber: MODEL_NUMBER,
+      });
+    }
+    const message = Ant.Messages.broadcastData([channel, ...page]);
+    debuglog(`ANT+ broadcast ${this.type} crank=${crank.revolutions} wheel=${wheel.revolutions} message=${message.toString('hex')}`);
+    stick.write(message);
+    this.messageCount++;
+  }
+}
+
+function nextEvent(previous, {revolutions, timestamp}) {
+  if (revolutions === previous.revolutions) {
+    return previous;
+  }
+  return {revolutions, eventTime: Math.round(timestamp * 1024) & 0xffff};
+}
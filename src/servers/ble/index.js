@@ -3,6 +3,7 @@ import {CyclingSpeedAndCadenceService} from './services/cycling-speed-and-cadenc
 import {BleServer} from '../../util/ble-server.js'; // Base helper that wires our bleno services together.
 import {once} from 'events'; // Used to await bleno state changes before advertising.
 import {HeartRateService} from './services/heart-rate/index.js'; // Import HR service to forward heart rate metrics.
+import {FitnessMachineService} from './services/fitness-machine/index.js'; // Import FTMS so apps that prefer it see speed/resistance too.
 
 export const DEFAULT_NAME = 'GymnasticonV2';
 
@@ -96,7 +97,7 @@ function buildAdvertisingPayload(name, options, uuids) {
   return { advertisementData, scanData };
 }
 
-export function createServices({ includeHeartRate = true } = {}) { // Factory that builds the standard Gymnasticon service list.
+export function createServices({ includeHeartRate = true, includeFitnessMachine = true, onControlRequest } = {}) { // Factory that builds the standard Gymnasticon service list.
   const services = [
     new CyclingPowerService(), // Cycling Power Service (UUID 1818).
     new CyclingSpeedAndCadenceService(), // Cycling Speed and Cadence Service (UUID 1816).
@@ -104,28 +105,36 @@ export function createServices({ includeHeartRate = true } = {}) { // Factory th
   if (includeHeartRate) { // Teaching note: only include HR when we intend to rebroadcast it.
     services.push(new HeartRateService()); // Heart Rate Service (UUID 180d).
   }
+  if (includeFitnessMachine) { // Teaching note: FTMS can be switched off for apps that misbehave when it is present.
+    services.push(new FitnessMachineService({ onControlRequest })); // Fitness Machine Service (UUID 1826) with control point relay.
+  }
   return services;
 }
 
 export class GymnasticonServer extends BleServer {
   constructor(bleno, name = DEFAULT_NAME, options = {}) {
-    const services = createServices({ includeHeartRate: options.includeHeartRate }); // Instantiate services before handing them to the base BleServer.
+    const services = createServices({ // Instantiate services before handing them to the base BleServer.
+      includeHeartRate: options.includeHeartRate,
+      includeFitnessMachine: options.includeFitnessMachine,
+      onControlRequest: options.onControlRequest, // App-supplied relay for FTMS Control Point writes.
+    });
     super(bleno, name, services);
 
     this.cpsService = services.find(service => service.uuid === '1818'); // Cache the CPS instance for quick lookups.
     this.cscService = services.find(service => service.uuid === '1816'); // Cache the CSC instance so we can update features dynamically.
     this.hrService = services.find(service => service.uuid === '180d'); // Cache the HR service to forward sensor data efficiently.
+    this.ftmsService = services.find(service => service.uuid === '1826'); // Cache the FTMS instance so indoor bike data can be pushed directly.
     this.cscCapabilities = { supportWheel: false, supportCrank: true }; // Track which optional CSC fields we currently advertise.
     // Teaching note: rely on bleno's standard startAdvertising path so we match
     // the proven behavior in the original ptx2 project.
     this.advertisingOptions = null;
   }
 
-  updateHeartRate(hr) { // Push heart rate notifications to subscribed clients.
+  updateHeartRate(measurement) { // Push heart rate notifications (bpm or a full measurement with RR intervals) to subscribed clients.
     if (!this.hrService) { // Bail out silently if the service has been removed or failed to initialize.
       return;
     }
-    this.hrService.updateHeartRate(hr); // Delegate encoding to the service implementation.
+    this.hrService.updateHeartRate(measurement); // Delegate encoding to the service implementation.
   }
 
   updatePower(payload) { // Broadcast a Cycling Power Service measurement.
@@ -135,6 +144,13 @@ export class GymnasticonServer extends BleServer {
     this.cpsService.updateMeasurement(payload); // Let the CPS service handle characteristic encoding.
   }
 
+  updateFitnessMachine(payload) { // Broadcast an FTMS Indoor Bike Data measurement.
+    if (!this.ftmsService) { // Skip when FTMS is disabled for this deployment.
+      return;
+    }
+    this.ftmsService.updateMeasurement(payload); // Let the FTMS service handle flag/field encoding.
+  }
+
   ensureCscCapabilities(capabilities) { // Update the CSC feature characteristic when wheel support toggles.
     if (!this.cscService) { // No CSC service means nothing to update.
       return;
@@ -48,14 +48,18 @@ export class MultiBleServer {
     this.activeEntries = null;
   }
 
-  updateHeartRate(hr) {
-    this.forEachServer(server => server.updateHeartRate(hr));
+  updateHeartRate(measurement) {
+    this.forEachServer(server => server.updateHeartRate(measurement));
   }
 
   updatePower(payload) {
     this.forEachServer(server => server.updatePower(payload));
   }
 
+  updateFitnessMachine(payload) {
+    this.forEachServer(server => server.updateFitnessMachine(payload));
+  }
+
   ensureCscCapabilities(capabilities) {
     this.forEachServer(server => server.ensureCscCapabilities(capabilities));
   }
@@ -0,0 +1,111 @@
+import {Characteristic} from '../../../bleno-deps.js'; // reuse the shared bleno exports so stub resolution stays consistent
+import {
+  OP_REQUEST_CONTROL,
+  RESULT_SUCCESS,
+  RESULT_OP_CODE_NOT_SUPPORTED,
+  RESULT_INVALID_PARAMETER,
+  RESULT_OPERATION_FAILED,
+  RESULT_CONTROL_NOT_PERMITTED,
+  parseControlPointRequest,
+  encodeControlPointResponse,
+} from '../../../../../util/ftms-control-point.js';
+
+// ATT result codes; the bleno stub does not define the RESULT_* constants.
+const ATT_SUCCESS = Characteristic.RESULT_SUCCESS ?? 0x00;
+const ATT_ATTRIBUTE_NOT_LONG = Characteristic.RESULT_ATTR_NOT_LONG ?? 0x0b;
+const ATT_CCCD_IMPROPERLY_CONFIGURED = 0xfd; // FTMS spec 4.16.2: write before indications are enabled
+
+/**
+ * Bluetooth LE GATT Fitness Machine Control Point Characteristic implementation.
+ *
+ * Requests are validated here (control permission, parameter length and
+ * supported ranges) and then passed to the `onCommand` handler, which returns
+ * one of the RESULT_* codes. The result is indicated back to the app.
+ */
+export class FitnessMachineControlPointCharacteristic extends Characteristic {
+  /**
+   * @param {object} [options]
+   * @param {function} [options.onCommand] - async (command) => result code
+   * @param {object} [options.powerRange] - {min, max} accepted target power (watts)
+   * @param {object} [options.resistanceRange] - {min, max} accepted target resistance level
+   */
+  constructor({onCommand, powerRange = {min: 0, max: 2000}, resistanceRange = {min: 0, max: 100}} = {}) {
+    super({
+      uuid: '2ad9',
+      properties: ['write', 'indicate'],
+    })
+    this.onCommand = onCommand;
+    this.powerRange = powerRange;
+    this.resistanceRange = resistanceRange;
+    this.controlGranted = false;
+  }
+
+  onSubscribe(maxValueSize, updateValueCallback) {
+    this.updateValueCallback = updateValueCallback;
+  }
+
+  onUnsubscribe() {
+    this.updateValueCallback = null;
+    this.controlGranted = false; // The app went away; the next one has to request control again.
+  }
+
+  onWriteRequest(data, offset, withoutResponse, callback) {
+    if (offset) {
+      callback(ATT_ATTRIBUTE_NOT_LONG);
+      return;
+    }
+    if (!this.updateValueCallback) {
+      callback(ATT_CCCD_IMPROPERLY_CONFIGURED);
+      return;
+    }
+    callback(ATT_SUCCESS);
+    this.handleRequest(data).catch(() => {});
+  }
+
+  /**
+   * Process a control point request and indicate the response.
+   * @param {Buffer} data - raw request value
+   * @returns {Promise<number>} result code sent to the app
+   */
+  async handleRequest(data) {
+    const opCode = data.length ? data[0] : OP_REQUEST_CONTROL;
+    const result = await this.evaluate(data);
+    if (result === RESULT_SUCCESS && opCode === OP_REQUEST_CONTROL) {
+      this.controlGranted = true;
+    }
+    if (this.updateValueCallback) {
+      this.updateValueCallback(encodeControlPointResponse(opCode, result));
+    }
+    return result;
+  }
+
+  async evaluate(data) {
+    let command;
+    try {
+      command = parseControlPointRequest(data);
+    } catch (e) {
+      return RESULT_INVALID_PARAMETER;
+    }
+    if (!command.type) {
+      return RESULT_OP_CODE_NOT_SUPPORTED;
+    }
+    if (command.opCode !== OP_REQUEST_CONTROL && !this.controlGranted) {
+      return RESULT_CONTROL_NOT_PERMITTED;
+    }
+    if (!inRange(command.power, this.powerRange) || !inRange(command.resistance, this.resistanceRange)) {
+      return RESULT_INVALID_PARAMETER;
+    }
+    if (!this.onCommand) {
+      return RESULT_OP_CODE_NOT_SUPPORTED;
+    }
+    try {
+      return await this.onCommand(command);
+    } catch (e) {
+      return RESULT_OPERATION_FAILED;
+    }
+  }
+}
+
+function inRange(value, {min, max}) {
+  return value === undefined || (value >= min && value <= max);
+}
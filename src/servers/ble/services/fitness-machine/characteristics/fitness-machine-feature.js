@@ -0,0 +1,51 @@
+import {Characteristic, Descriptor} from '../../../bleno-deps.js'; // reuse the shared bleno exports so stub resolution stays consistent
+
+// Fitness Machine Features field (FTMS spec 4.3.1.1)
+export const FEATURE_CADENCE = 1 << 1;
+export const FEATURE_RESISTANCE_LEVEL = 1 << 7;
+export const FEATURE_HEART_RATE = 1 << 10;
+export const FEATURE_POWER_MEASUREMENT = 1 << 14;
+
+// Target Setting Features field (FTMS spec 4.3.1.2)
+export const TARGET_RESISTANCE_LEVEL = 1 << 2;
+export const TARGET_POWER = 1 << 3;
+export const TARGET_INDOOR_BIKE_SIMULATION = 1 << 13;
+
+/**
+ * Build the Fitness Machine Feature characteristic value.
+ * @param {object} [options]
+ * @param {number} [options.machineFeatures] - Fitness Machine Features bitfield
+ * @param {number} [options.targetSettingFeatures] - Target Setting Features bitfield
+ * @returns {Buffer} 8-byte feature value
+ */
+export function buildFeatureValue({machineFeatures = 0, targetSettingFeatures = 0} = {}) {
+  const value = Buffer.alloc(8);
+  value.writeUInt32LE(machineFeatures >>> 0, 0);
+  value.writeUInt32LE(targetSettingFeatures >>> 0, 4);
+  return value;
+}
+
+/**
+ * Bluetooth LE GATT Fitness Machine Feature Characteristic implementation.
+ */
+export class FitnessMachineFeatureCharacteristic extends Characteristic {
+  /**
+   * @param {object} [options] - see buildFeatureValue()
+   */
+  constructor(options = {}) {
+    super({
+      uuid: '2acc',
+      properties: ['read'],
+      descriptors: [
+        new Descriptor({
+          uuid: '2901',
+          value: 'Fitness Machine Feature'
+        })
+      ],
+      value: buildFeatureValue({
+        machineFeatures: FEATURE_CADENCE | FEATURE_RESISTANCE_LEVEL | FEATURE_HEART_RATE | FEATURE_POWER_MEASUREMENT,
+        ...options,
+      })
+    })
+  }
+}
@@ -0,0 +1,39 @@
+import {Characteristic, Descriptor} from '../../../bleno-deps.js'; // reuse the shared bleno exports so stub resolution stays consistent
+
+// Fitness Machine Status op codes (FTMS spec 4.17)
+export const STATUS_RESET = 0x01;
+export const STATUS_STOPPED_OR_PAUSED = 0x02;
+export const STATUS_STARTED_OR_RESUMED = 0x04;
+export const STATUS_TARGET_RESISTANCE_CHANGED = 0x07;
+export const STATUS_TARGET_POWER_CHANGED = 0x08;
+export const STATUS_INDOOR_BIKE_SIMULATION_CHANGED = 0x12;
+export const STATUS_CONTROL_PERMISSION_LOST = 0xff;
+
+/**
+ * Bluetooth LE GATT Fitness Machine Status Characteristic implementation.
+ */
+export class FitnessMachineStatusCharacteristic extends Characteristic {
+  constructor() {
+    super({
+      uuid: '2ada',
+      properties: ['notify'],
+      descriptors: [
+        new Descriptor({
+          uuid: '2903',
+          value: Buffer.alloc(2)
+        })
+      ]
+    })
+  }
+
+  /**
+   * Notify subscribers of a machine status change.
+   * @param {number} opCode - status op code
+   * @param {Buffer} [parameter] - op code specific parameter bytes
+   */
+  notifyStatus(opCode, parameter = Buffer.alloc(0)) {
+    if (this.updateValueCallback) {
+      this.updateValueCallback(Buffer.concat([Buffer.from([opCode]), parameter]));
+    }
+  }
+}
@@ -0,0 +1,85 @@
+import {Characteristic, Descriptor} from '../../../bleno-deps.js'; // reuse the shared bleno exports so stub resolution stays consistent
+
+// Indoor Bike Data flags (FTMS spec 4.9.1.1). Bit 0 is "More Data": when it is
+// clear the instantaneous speed field is present.
+const FLAG_INSTANTANEOUS_CADENCE = 1 << 2;
+const FLAG_RESISTANCE_LEVEL = 1 << 5;
+const FLAG_INSTANTANEOUS_POWER = 1 << 6;
+const FLAG_HEART_RATE = 1 << 9;
+
+const MPS_TO_KPH = 3.6;
+
+/**
+ * Encode an Indoor Bike Data characteristic value.
+ * @param {object} measurement
+ * @param {number} [measurement.speed] - instantaneous speed (m/s)
+ * @param {number} [measurement.cadence] - instantaneous cadence (rpm)
+ * @param {number} [measurement.power] - instantaneous power (watts)
+ * @param {number} [measurement.resistance] - resistance level (unitless), omitted when unknown
+ * @param {number} [measurement.heartRate] - heart rate (bpm), omitted when unknown
+ * @returns {Buffer} encoded characteristic value
+ */
+export function encodeIndoorBikeData({speed, cadence, power, resistance, heartRate} = {}) {
+  let flags = 0;
+  const value = Buffer.alloc(12);
+  let offset = 2;
+
+  // instantaneous speed is mandatory unless "More Data" is set
+  const kph = Number.isFinite(speed) ? Math.max(0, speed) * MPS_TO_KPH : 0;
+  value.writeUInt16LE(clamp(Math.round(kph * 100), 0, 0xffff), offset); offset += 2;
+
+  if (Number.isFinite(cadence)) {
+    flags |= FLAG_INSTANTANEOUS_CADENCE;
+    value.writeUInt16LE(clamp(Math.round(Math.max(0, cadence) * 2), 0, 0xffff), offset); offset += 2;
+  }
+
+  if (Number.isFinite(resistance)) {
+    flags |= FLAG_RESISTANCE_LEVEL;
+    value.writeInt16LE(clamp(Math.round(resistance), -0x8000, 0x7fff), offset); offset += 2;
+  }
+
+  if (Number.isFinite(power)) {
+    flags |= FLAG_INSTANTANEOUS_POWER;
+    value.writeInt16LE(clamp(Math.round(power), -0x8000, 0x7fff), offset); offset += 2;
+  }
+
+  if (Number.isFinite(heartRate) && heartRate > 0) {
+    flags |= FLAG_HEART_RATE;
+    value.writeUInt8(clamp(Math.round(heartRate), 0, 0xff), offset); offset += 1;
+  }
+
+  value.writeUInt16LE(flags, 0);
+  return value.slice(0, offset);
+}
+
+/**
+ * Bluetooth LE GATT Indoor Bike Data Characteristic implementation.
+ */
+export class IndoorBikeDataCharacteristic extends Characteristic {
+  constructor() {
+    super({
+      uuid: '2ad2',
+      properties: ['notify'],
+      descriptors: [
+        new Descriptor({
+          uuid: '2903',
+          value: Buffer.alloc(2)
+        })
+      ]
+    })
+  }
+
+  /**
+   * Notify subscriber (e.g. Zwift) of new Indoor Bike Data.
+   * @param {object} measurement - see encodeIndoorBikeData()
+   */
+  updateMeasurement(measurement) {
+    if (this.updateValueCallback) {
+      this.updateValueCallback(encodeIndoorBikeData(measurement));
+    }
+  }
+}
+
+function clamp(value, lo, hi) {
+  return Math.min(hi, Math.max(lo, value));
+}
@@ -0,0 +1,30 @@
+import {Characteristic, Descriptor} from '../../../bleno-deps.js'; // reuse the shared bleno exports so stub resolution stays consistent
+
+/**
+ * Bluetooth LE GATT Supported Power Range Characteristic implementation.
+ */
+export class SupportedPowerRangeCharacteristic extends Characteristic {
+  /**
+   * @param {object} [range]
+   * @param {number} [range.min=0] - minimum power (watts)
+   * @param {number} [range.max=2000] - maximum power (watts)
+   * @param {number} [range.increment=1] - minimum increment (watts)
+   */
+  constructor({min = 0, max = 2000, increment = 1} = {}) {
+    const value = Buffer.alloc(6);
+    value.writeInt16LE(min, 0);
+    value.writeInt16LE(max, 2);
+    value.writeUInt16LE(increment, 4);
+    super({
+      uuid: '2ad8',
+      properties: ['read'],
+      descriptors: [
+        new Descriptor({
+          uuid: '2901',
+          value: 'Supported Power Range'
+        })
+      ],
+      value
+    })
+  }
+}
@@ -0,0 +1,31 @@
+import {Characteristic, Descriptor} from '../../../bleno-deps.js'; // reuse the shared bleno exports so stub resolution stays consistent
+
+/**
+ * Bluetooth LE GATT Supported Resistance Level Range Characteristic
+ * implementation. Values are expressed in the spec's 0.1 resolution.
+ */
+export class SupportedResistanceLevelRangeCharacteristic extends Characteristic {
+  /**
+   * @param {object} [range]
+   * @param {number} [range.min=0] - minimum resistance level
+   * @param {number} [range.max=100] - maximum resistance level
+   * @param {number} [range.increment=1] - minimum increment
+   */
+  constructor({min = 0, max = 100, increment = 1} = {}) {
+    const value = Buffer.alloc(6);
+    value.writeInt16LE(Math.round(min * 10), 0);
+    value.writeInt16LE(Math.round(max * 10), 2);
+    value.writeUInt16LE(Math.round(increment * 10), 4);
+    super({
+      uuid: '2ad6',
+      properties: ['read'],
+      descriptors: [
+        new Descriptor({
+          uuid: '2901',
+          value: 'Supported Resistance Level Range'
+        })
+      ],
+      value
+    })
+  }
+}
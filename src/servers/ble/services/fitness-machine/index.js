@@ -0,0 +1,127 @@
+import {PrimaryService} from '../../bleno-deps.js'; // import the shared bleno PrimaryService so the fallback logic lives in one helper
+import {FitnessMachineFeatureCharacteristic} from './characteristics/fitness-machine-feature.js';
+import {IndoorBikeDataCharacteristic} from './characteristics/indoor-bike-data.js';
+import {SupportedPowerRangeCharacteristic} from './characteristics/supported-power-range.js';
+import {SupportedResistanceLevelRangeCharacteristic} from './characteristics/supported-resistance-level-range.js';
+import {
+  FitnessMachineStatusCharacteristic,
+  STATUS_RESET,
+  STATUS_STOPPED_OR_PAUSED,
+  STATUS_STARTED_OR_RESUMED,
+  STATUS_TARGET_RESISTANCE_CHANGED,
+  STATUS_TARGET_POWER_CHANGED,
+  STATUS_INDOOR_BIKE_SIMULATION_CHANGED,
+} from './characteristics/fitness-machine-status.js';
+import {FitnessMachineControlPointCharacteristic} from './characteristics/fitness-machine-control-point.js';
+import {
+  TARGET_RESISTANCE_LEVEL,
+  TARGET_POWER,
+  TARGET_INDOOR_BIKE_SIMULATION,
+} from './characteristics/fitness-machine-feature.js';
+import {RESULT_SUCCESS, RESULT_OP_CODE_NOT_SUPPORTED, encodeControlPointRequest} from '../../../../util/ftms-control-point.js';
+
+const POWER_RANGE = {min: 0, max: 2000, increment: 1};
+const RESISTANCE_RANGE = {min: 0, max: 100, increment: 1};
+
+/**
+ * Bluetooth LE GATT Fitness Machine Service implementation (indoor bike).
+ */
+export class FitnessMachineService extends PrimaryService {
+  /**
+   * Create a FitnessMachineService instance.
+   * @param {object} [options]
+   * @param {function} [options.onControlRequest] - async (command) => result
+   *   code; called for validated control point requests. When omitted every
+   *   request is answered "op code not supported".
+   */
+  constructor({onControlRequest} = {}) {
+    const indoorBikeData = new IndoorBikeDataCharacteristic();
+    const status = new FitnessMachineStatusCharacteristic();
+    const controlPoint = new FitnessMachineControlPointCharacteristic({
+      powerRange: POWER_RANGE,
+      resistanceRange: RESISTANCE_RANGE,
+    });
+    super({
+      uuid: '1826',
+      characteristics: [
+        new FitnessMachineFeatureCharacteristic({
+          targetSettingFeatures: TARGET_RESISTANCE_LEVEL | TARGET_POWER | TARGET_INDOOR_BIKE_SIMULATION,
+        }),
+        indoorBikeData,
+        new SupportedPowerRangeCharacteristic(POWER_RANGE),
+        new SupportedResistanceLevelRangeCharacteristic(RESISTANCE_RANGE),
+        status,
+        controlPoint,
+      ]
+    })
+    this.indoorBikeData = indoorBikeData;
+    this.status = status;
+    this.controlPoint = controlPoint;
+    this.onControlRequest = onControlRequest;
+    controlPoint.onCommand = command => this.handleControlCommand(command);
+  }
+
+  /**
+   * Relay a validated control point command and announce accepted changes on
+   * the Fitness Machine Status characteristic.
+   * @param {object} command - see parseControlPointRequest()
+   * @returns {Promise<number>} control point result code
+   * @private
+   */
+  async handleControlCommand(command) {
+    if (!this.onControlRequest) {
+      return RESULT_OP_CODE_NOT_SUPPORTED;
+    }
+    const result = await this.onControlRequest(command);
+    if (result === RESULT_SUCCESS) {
+      this.notifyCommandStatus(command);
+    }
+    return result;
+  }
+
+  notifyCommandStatus(command) {
+    const parameter = encodeControlPointRequest(command).subarray(1); // Status parameters mirror the request parameters.
+    switch (command.type) {
+      case 'reset':
+        this.notifyStatus(STATUS_RESET);
+        break;
+      case 'setTargetResistance':
+        this.notifyStatus(STATUS_TARGET_RESISTANCE_CHANGED, parameter);
+        break;
+      case 'setTargetPower':
+        this.notifyStatus(STATUS_TARGET_POWER_CHANGED, parameter);
+        break;
+      case 'setIndoorBikeSimulation':
+        this.notifyStatus(STATUS_INDOOR_BIKE_SIMULATION_CHANGED, parameter);
+        break;
+      case 'startOrResume':
+        this.notifyStatus(STATUS_STARTED_OR_RESUMED);
+        break;
+      case 'stopOrPause':
+        this.notifyStatus(STATUS_STOPPED_OR_PAUSED, parameter);
+        break;
+    }
+  }
+
+  /**
+   * Notify subscriber (e.g. Zwift) of new Indoor Bike Data.
+   * @param {object} measurement - new indoor bike measurement.
+   * @param {number} measurement.power - current power (watts)
+   * @param {number} measurement.cadence - current cadence (rpm)
+   * @param {number} measurement.speed - current speed (m/s)
+   * @param {number} [measurement.resistance] - resistance level, when known
+   * @param {number} [measurement.heartRate] - heart rate (bpm), when known
+   */
+  updateMeasurement(measurement) {
+    this.indoorBikeData.updateMeasurement(measurement);
+  }
+
+  /**
+   * Notify subscribers of a Fitness Machine Status change.
+   * @param {number} opCode - status op code
+   * @param {Buffer} [parameter] - op code specific parameter bytes
+   */
+  notifyStatus(opCode, parameter) {
+    this.status.notifyStatus(opCode, parameter);
+  }
+}
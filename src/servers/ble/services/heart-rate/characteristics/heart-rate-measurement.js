@@ -1,4 +1,61 @@
 import {Characteristic, Descriptor} from '../../../bleno-deps.js'; // reuse the centralized bleno exports so stub resolution stays consistent
+import {
+  FLAG_HEART_RATE_16BIT,
+  FLAG_CONTACT_DETECTED,
+  FLAG_CONTACT_SUPPORTED,
+  FLAG_ENERGY_EXPENDED,
+  FLAG_RR_INTERVALS,
+} from '../../../../../util/heart-rate-measurement.js';
+
+const MAX_VALUE_LENGTH = 20; // default ATT MTU (23) minus the notification header
+const RR_TICKS_PER_SECOND = 1024;
+
+/**
+ * Encode a Heart Rate Measurement characteristic value.
+ * @param {object|number} measurement - heart rate (bpm), or a measurement as
+ *   returned by parseHeartRateMeasurement() in util/heart-rate-measurement.js
+ * @param {number} measurement.heartRate - heart rate (bpm)
+ * @param {boolean} [measurement.sensorContact] - skin contact, omitted when unknown
+ * @param {number} [measurement.energyExpended] - cumulative energy (kJ)
+ * @param {number[]} [measurement.rrIntervals] - RR intervals (seconds), oldest first
+ * @returns {Buffer} encoded characteristic value
+ */
+export function encodeHeartRateMeasurement(measurement) {
+  const {heartRate, sensorContact, energyExpended, rrIntervals} =
+    typeof measurement === 'number' ? {heartRate: measurement} : (measurement || {});
+  let flags = 0;
+  const value = Buffer.alloc(MAX_VALUE_LENGTH);
+  let offset = 1;
+
+  const bpm = clamp(Math.round(Number.isFinite(heartRate) ? heartRate : 0), 0, 0xffff);
+  if (bpm > 0xff) {
+    flags |= FLAG_HEART_RATE_16BIT;
+    value.writeUInt16LE(bpm, offset); offset += 2;
+  } else {
+    value.writeUInt8(bpm, offset); offset += 1;
+  }
+
+  if (typeof sensorContact === 'boolean') {
+    flags |= FLAG_CONTACT_SUPPORTED | (sensorContact ? FLAG_CONTACT_DETECTED : 0);
+  }
+
+  if (Number.isFinite(energyExpended)) {
+    flags |= FLAG_ENERGY_EXPENDED;
+    value.writeUInt16LE(clamp(Math.round(energyExpended), 0, 0xffff), offset); offset += 2;
+  }
+
+  if (Array.isArray(rrIntervals) && rrIntervals.length) {
+    flags |= FLAG_RR_INTERVALS;
+    // Keep the most recent intervals when they do not all fit in one notification.
+    const room = Math.floor((MAX_VALUE_LENGTH - offset) / 2);
+    for (const interval of rrIntervals.slice(-room)) {
+      value.writeUInt16LE(clamp(Math.round(interval * RR_TICKS_PER_SECOND), 0, 0xffff), offset); offset += 2;
+    }
+  }
+
+  value.writeUInt8(flags, 0);
+  return value.slice(0, offset);
+}
 
 /**
  * Bluetooth LE Heart Rate Measurement characteristic.
@@ -14,13 +71,18 @@ export class HeartRateMeasurementCharacteristic extends Characteristic {
     });
   }
 
-  updateHeartRate(heartRate) {
-    const flags = 0; // 8-bit HR
-    const value = Buffer.alloc(2);
-    value.writeUInt8(flags, 0);
-    value.writeUInt8(heartRate & 0xff, 1);
+  /**
+   * Notify subscribers of a new measurement.
+   * @param {object|number} measurement - see encodeHeartRateMeasurement()
+   */
+  updateHeartRate(measurement) {
+    const value = encodeHeartRateMeasurement(measurement);
     if (this.updateValueCallback) {
       this.updateValueCallback(value);
     }
   }
 }
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
@@ -12,7 +12,7 @@ export class HeartRateService extends PrimaryService {
     });
   }
 
-  updateHeartRate(hr) {
-    this.characteristics[0].updateHeartRate(hr);
+  updateHeartRate(measurement) { // bpm, or a full measurement with contact/energy/RR intervals
+    this.characteristics[0].updateHeartRate(measurement);
   }
 }
@@ -3,8 +3,11 @@ import {EventEmitter} from 'events';
 import test from '../support/tape.js';
 import {App} from '../../app/app.js';
 import {DEFAULT_NAME as DEFAULT_SERVER_NAME} from '../../servers/ble/index.js';
+import {AntHotplugWatcher} from '../../util/ant-hotplug.js';
+import {createFakeFs} from '../support/fake-fs.js';
+import {createFakeStick} from '../support/fake-ant-stick.js';
 
-function createTestApp() {
+function createTestApp(overrides = {}) {
   const noble = new EventEmitter();
   noble.state = 'poweredOn';
 
@@ -20,6 +23,7 @@ function createTestApp() {
     healthMonitor,
     bleMultiOutput: false,
     serverAdapters: ['hci0'],
+    ...overrides,
   });
 }
 
@@ -73,6 +77,30 @@ test('App.clearRestartRequest() removes stale restart state after a failed start
   t.end();
 });
 
+test('App.onControlRequest() relays commands only to controllable bikes', async (t) => {
+  const app = createTestApp();
+  try {
+    const sent = [];
+    app.bike = new EventEmitter();
+    t.equal(await app.onControlRequest({type: 'setTargetPower', power: 200}), 0x02, 'non-controllable bike answers op code not supported');
+
+    app.bike.controllable = true;
+    app.bike.sendControlCommand = async (command) => {
+      sent.push(command);
+      return 0x01;
+    };
+    t.equal(await app.onControlRequest({type: 'setTargetPower', power: 200}), 0x01, 'bike result returned to the app');
+    t.deepEqual(sent, [{type: 'setTargetPower', power: 200}], 'command forwarded to the bike');
+
+    app.bike.sendControlCommand = async () => { throw new Error('timed out'); };
+    t.equal(await app.onControlRequest({type: 'setTargetPower', power: 200}), 0x04, 'relay failure answers operation failed');
+  } finally {
+    app.bike = null;
+    destroyTestApp(app);
+  }
+  t.end();
+});
+
 test('App defaults use the GymnasticonV2 BLE advertisement name', (t) => {
   const app = createTestApp();
   try {
@@ -153,3 +181,313 @@ test('App.run() retries cold-start bike discovery until a bike appears, then sta
     destroyTestApp(app);
   }
 });
+
+test('App.onBikeStats() rebroadcasts console heart rate only while no strap reports', (t) => {
+  const app = createTestApp();
+  const sent = [];
+  app.server = {updateHeartRate: (hr) => sent.push(hr)};
+  app.publishTelemetry = () => {};
+  try {
+    app.onBikeStats({power: 100, cadence: 80, heartRate: 120, distance: 161, elapsedTime: 279, calories: 13});
+    t.deepEqual(sent, [120], 'bike HR used when no strap is present');
+    t.deepEqual(app.bikeTotals, {distance: 161, elapsedTime: 279, calories: 13}, 'console totals retained');
+
+    app.onHeartRate(140);
+    app.onBikeStats({power: 100, cadence: 80, heartRate: 121});
+    t.deepEqual(sent, [120, 140], 'strap HR wins while it is reporting');
+    t.equal(app.heartRate, 140, 'FTMS keeps the strap value');
+
+    app.lastStrapHeartRateAt = Date.now() - 60000;
+    app.onBikeStats({power: 100, cadence: 80, heartRate: 122});
+    t.deepEqual(sent, [120, 140, 122], 'bike HR resumes after the strap goes silent');
+  } finally {
+    app.simulation.cadence = 0; // stop the pedal-stroke timer started by the cadence update
+    app.statsTimeout.cancel();
+    destroyTestApp(app);
+  }
+  t.end();
+});
+
+test('App.onHeartRate() forwards the full strap measurement to the BLE server', (t) => {
+  const app = createTestApp();
+  const sent = [];
+  app.server = {updateHeartRate: (measurement) => sent.push(measurement)};
+  try {
+    const measurement = {heartRate: 72, sensorContact: true, rrIntervals: [820 / 1024]};
+    app.onHeartRate(72, measurement);
+    t.deepEqual(sent, [measurement], 'RR intervals passed through');
+    t.equal(app.heartRate, 72, 'bpm kept for FTMS');
+  } finally {
+    destroyTestApp(app);
+  }
+  t.end();
+});
+
+test('App receives an ANT+ heart-rate strap on the ANT+ stick and saves its pairing', async (t) => {
+  const stick = new EventEmitter();
+  stick.written = [];
+  stick.write = (message) => stick.written.push(message);
+  stick.close = () => {};
+  const saved = [];
+  const configManager = {
+    config: {},
+    configPath: '/tmp/gymnasticon.json',
+    async load() { this.config = {bike: 'keiser', serverName: 'Gym'}; return this.config; },
+    async save() { saved.push({...this.config}); },
+  };
+  const app = createTestApp({antEnabled: true, antStick: stick, antHeartRate: true, configManager});
+  try {
+    app.onAntStickStartup();
+    t.ok(app.antHeartRate.isRunning, 'strap receiver opened with the power channel');
+    t.ok(app.antHeartRateServer.isRunning, 'heart-rate broadcast opened with the power channel');
+    stick.emit('read', Buffer.from('a4094e0200ffffff0004053c00', 'hex'));
+    t.equal(app.heartRate, 60, 'strap heart rate reaches the app');
+    t.equal(app.antHeartRateServer.heartRate, 60, 'and is rebroadcast over ANT+');
+    t.ok(app.lastStrapHeartRateAt, 'counts as a strap so it wins over bike-reported HR');
+
+    stick.emit('read', Buffer.from('a40551020104780100', 'hex'));
+    await new Promise(resolve => setImmediate(resolve));
+    t.deepEqual(saved, [{bike: 'keiser', serverName: 'Gym', antHeartRateDeviceId: 0x401}], 'pairing persisted in config');
+    t.equal(app.getStatus().sensors.antHeartRate.deviceId, 0x401, 'paired strap visible in status');
+
+    app.stopAnt();
+    t.notOk(app.antHeartRate.isRunning, 'strap receiver closed with the power channel');
+    t.notOk(app.antHeartRateServer.isRunning, 'heart-rate broadcast closed with the power channel');
+  } finally {
+    app.stopAnt();
+    destroyTestApp(app);
+  }
+  t.end();
+});
+
+test('App relays ANT+ FE-C control pages to a controllable bike', async (t) => {
+  const stick = new EventEmitter();
+  stick.written = [];
+  stick.write = (message) => stick.written.push(message);
+  stick.close = () => {};
+  const app = createTestApp({antEnabled: true, antStick: stick, antFec: true});
+  const fec = app.antServer.fitnessEquipmentServer;
+  try {
+    const sent = [];
+    app.bike = new EventEmitter();
+    app.bike.controllable = true;
+    app.bike.sendControlCommand = async (command) => {
+      sent.push(command);
+      return 0x01;
+    };
+    app.onAntStickStartup();
+    t.ok(fec.isRunning, 'FE-C channel opened with the power channel');
+
+    stick.emit('read', Buffer.from('a4094f0631ffffffffffe80300', 'hex'));
+    await new Promise(resolve => setImmediate(resolve));
+    t.deepEqual(sent, [{type: 'setTargetPower', power: 250}], 'target power page forwarded to the bike');
+    t.equal(fec.commandStatus.status, 0, 'bike success reported as pass on page 71');
+
+    app.bike.sendControlCommand = async () => 0x02;
+    stick.emit('read', Buffer.from('a4094f0633ffffffff14505000', 'hex'));
+    await new Promise(resolve => setImmediate(resolve));
+    t.equal(fec.commandStatus.status, 2, 'unsupported bike command reported as not supported');
+
+    stick.emit('read', Buffer.from('a4094f06374c1dff850c465000', 'hex'));
+    await new Promise(resolve => setImmediate(resolve));
+    t.deepEqual(app.riderConfiguration, {userWeight: 75, bikeWeight: 10, wheelDiameter: 0.705, gearRatio: 2.4},
+      'user configuration kept by the app');
+    t.equal(fec.commandStatus.status, 0, 'and acknowledged');
+
+    app.stopAnt();
+    t.notOk(fec.isRunning, 'FE-C channel closed with the power channel');
+  } finally {
+    app.stopAnt();
+    app.bike = null;
+    destroyTestApp(app);
+  }
+  t.end();
+});
+
+test('App opens the ANT+ stick once for an ANT+ bike and its broadcasters', async (t) => {
+  const stick = createFakeStick();
+  const app = createTestApp({bike: 'ant', antEnabled: false, antStick: stick});
+  try {
+    t.ok(app.antEnabled, 'an ANT+ bike brings the stick with it');
+    t.equal(await app.openAntStick(), true, 'stick opened');
+    t.notOk(app.antServer.isRunning, 'no broadcasting before the bike is found');
+
+    app.startAnt();
+    await app.openAntStick();
+    t.equal(stick.opened, 1, 'the broadcasters reuse the open stick');
+    t.ok(app.antServer.isRunning, 'power channel started on the open stick');
+    const {ant} = app.getStatus();
+    t.ok(ant.open, 'stick state in status');
+    t.deepEqual(ant.channels.map(({channel, owner}) => [channel, owner]), [[1, 'power'], [3, 'heart-rate-broadcast']],
+      'channels allocated by the stick manager');
+    t.equal(ant.channels[0].state, 'opening', 'setup waits for the stick to acknowledge');
+
+    app.stopAnt();
+    t.notOk(app.antStickManager.isOpen, 'closing the stick lets the next start open it again');
+  } finally {
+    app.stopAnt();
+    destroyTestApp(app);
+  }
+  t.end();
+});
+
+test('App resumes ANT+ when the stick is plugged back in and tears down on removal', async (t) => {
+  const stick = createFakeStick();
+  stick.present = false;
+  const usbStick = '/sys/bus/usb/devices/1-1';
+  const plugged = createFakeFs({devices: [usbStick], files: {[`${usbStick}/idVendor`]: '0fcf', [`${usbStick}/idProduct`]: '1009'}});
+  const watcher = new AntHotplugWatcher({fs: createFakeFs(), interval: 60});
+  const app = createTestApp({antEnabled: true, antStick: stick, antHotplug: watcher});
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  const plug = async (present) => {
+    stick.present = present;
+    watcher.fs = present ? plugged : createFakeFs();
+    watcher.poll();
+    await tick();
+  };
+  try {
+    watcher.start();
+    app.startAnt();
+    await tick();
+    t.notOk(app.antServer.isRunning, 'no stick at boot: BLE only');
+
+    await plug(true);
+    t.equal(stick.opened, 1, 'stick opened when plugged in');
+    t.ok(app.antServer.isRunning, 'power channel started');
+    t.ok(app.antHeartRateServer.isRunning, 'heart-rate channel started');
+    const {ant} = app.getStatus();
+    t.ok(ant.present, 'stick presence in status');
+    t.deepEqual(ant.events.map(({event, id}) => [event, id]), [['attach', '0fcf:1009']], 'attach event in status');
+
+    const written = stick.written.length;
+    await plug(false);
+    t.notOk(app.antServer.isRunning, 'channels stopped on removal');
+    t.equal(stick.closed, 1, 'stick released');
+    t.equal(stick.written.length, written, 'nothing written to the missing stick');
+    t.notOk(app.getStatus().ant.open, 'closed in status');
+    t.equal(app.getStatus().ant.events.slice(-1)[0].event, 'detach', 'removal event in status');
+
+    const logs = [];
+    app.logger.log = (message) => logs.push(message);
+    app.onStatusInterval();
+    t.match(logs[0], /^status \[.* ant=closed stick=absent channels=power:1:unassigned,heart-rate-broadcast:3:unassigned lastStickEvent=detach@/,
+      'removal visible in the status line');
+    delete app.logger.log;
+
+    await plug(true);
+    t.equal(stick.opened, 2, 'reopened when plugged back in');
+    t.ok(app.antServer.isRunning, 'channels restarted');
+    t.equal(stick.written.slice(-1)[0].toString('hex'), 'a40342011000f4', 'power channel assigned again on channel 1');
+
+    app.stopAnt();
+    await plug(false);
+    await plug(true);
+    t.equal(stick.opened, 2, 'no broadcasting wanted without a bike: left closed');
+  } finally {
+    watcher.stop();
+    app.stopAnt();
+    destroyTestApp(app);
+  }
+  t.end();
+});
+
+test('App.onBikeSummary() retains the console ride summary', (t) => {
+  const app = createTestApp();
+  try {
+    app.onBikeSummary({interval: 1, averagePower: 115, averageCadence: 82, calories: 13, elapsedTime: 279, distance: 161});
+    t.equal(app.lastRideSummary.calories, 13, 'summary retained');
+    t.equal(app.lastRideSummary.elapsedTime, 279, 'duration retained');
+    t.ok(Number.isFinite(app.lastRideSummary.receivedAt), 'receive time recorded');
+  } finally {
+    destroyTestApp(app);
+  }
+  t.end();
+});
+
+test('App.onBikeStats() blends external sensor speed/cadence with bike metrics', (t) => {
+  const app = createTestApp();
+  let clock = 1000000;
+  app.metricBlender.now = () => clock;
+  app.publishTelemetry = () => {};
+  try {
+    app.onBikeStats({power: 150, cadence: 80, speed: 7});
+    t.equal(app.currentCadence, 80, 'bike cadence without a sensor');
+    t.equal(app.currentSpeed, 7, 'bike speed without a sensor');
+
+    app.onSpeedSensorStats({wheelRevolutions: 10, revolutionsSinceLastEvent: 4, timeSinceLastEvent: 1});
+    app.onCadenceSensorStats({crankRevolutions: 5, revolutionsSinceLastEvent: 1, timeSinceLastEvent: 0.7, cadenceRpm: 86});
+    app.onBikeStats({power: 150, cadence: 80, speed: 7});
+    t.equal(app.currentCadence, 86, 'sensor cadence wins');
+    t.ok(Math.abs(app.currentSpeed - 4 * app.speedOptions.circumferenceM) < 1e-9, 'sensor speed wins');
+    t.equal(app.getStatus().metricSources.speed.source, 'sensor', 'status reports the active speed source');
+
+    clock += app.opts.sensorStaleTimeout + 1;
+    app.onBikeStats({power: 150, cadence: 80, speed: 7});
+    t.equal(app.currentCadence, 80, 'stale sensor cadence falls back to the bike');
+    t.equal(app.currentSpeed, 7, 'stale sensor speed falls back to the bike');
+    t.equal(app.getStatus().metricSources.cadence.source, 'bike', 'status reports the fallback');
+
+    app.onBikeStats({power: 150, cadence: 90});
+    t.equal(app.getStatus().metricSources.speed.source, 'bike', 'recent bike speed still preferred over the estimate');
+    clock += app.opts.bikeReceiveTimeout * 1000 + 1;
+    app.onBikeStats({power: 150, cadence: 90});
+    t.equal(app.getStatus().metricSources.speed.source, 'estimate', 'estimate once the bike stops reporting speed');
+
+    const logs = [];
+    app.logger.log = (message) => logs.push(message);
+    app.onStatusInterval();
+    t.equal(logs[0], 'status [bike=none power=150W cadence=90rpm(bike) speed=' + app.currentSpeed.toFixed(2) + 'm/s(estimate)]',
+      'active sources in the periodic status line');
+  } finally {
+    app.simulation.cadence = 0; // stop the pedal-stroke timer started by the cadence update
+    app.statsTimeout.cancel();
+    destroyTestApp(app);
+  }
+  t.end();
+});
+
+test('App warns when a grid calibration is active but the bike never reports resistance', (t) => {
+  const grid = {type: 'grid', cadence: [60, 90], resistance: [20, 60], watts: [[70, 120], [150, 260]]};
+  const app = createTestApp({bike: 'ic8', powerCalibration: {bikes: {ic8: grid}}});
+  const errors = [];
+  app.logger.error = (message) => errors.push(message);
+  app.publishTelemetry = () => {};
+  try {
+    app.bike = {bikeType: 'ic8'};
+    app.applyPowerCalibration();
+    app.onBikeStats({power: 100, cadence: 75});
+    t.deepEqual(errors, [], 'no warning before the bike had a chance to report resistance');
+    app.onBikeStats({power: 100, cadence: 75, resistance: 40});
+    t.ok(app.power > 100, 'grid applied once resistance arrives');
+    for (let i = 0; i < 20; i++) {
+      app.onBikeStats({power: 100, cadence: 75});
+    }
+    t.deepEqual(errors, [], 'a bike that reported resistance is not warned about');
+
+    app.applyPowerCalibration();
+    for (let i = 0; i < 20; i++) {
+      app.onBikeStats({power: 100, cadence: 75});
+    }
+    t.equal(errors.length, 1, 'warned once');
+    t.match(errors[0], /grid for ic8 needs resistance/, 'names the bike');
+  } finally {
+    app.bike = null;
+    app.simulation.cadence = 0;
+    app.statsTimeout.cancel();
+    destroyTestApp(app);
+  }
+  t.end();
+});
+
+test('App.onSpeedSensorStats() reads zero once the wheel stops', (t) => {
+  const app = createTestApp();
+  try {
+    app.onSpeedSensorStats({wheelRevolutions: 10, revolutionsSinceLastEvent: 2, timeSinceLastEvent: 1});
+    app.sensorEventAt.speed -= 5000;
+    app.onSpeedSensorStats({wheelRevolutions: 10, revolutionsSinceLastEvent: 0, timeSinceLastEvent: 0});
+    t.equal(app.metricBlender.resolve('speed').value, 0, 'repeated event counts as stopped');
+  } finally {
+    destroyTestApp(app);
+  }
+  t.end();
+});
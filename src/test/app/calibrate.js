@@ -0,0 +1,142 @@
+import {EventEmitter} from 'events';
+import test from '../support/tape.js';
+import {runCalibrateCommand, applyFitToConfig, CALIBRATION_STEPS} from '../../app/calibrate.js';
+import {createFakeFs} from '../support/fake-fs.js';
+
+const silentLogger = {log() {}, error() {}, debug() {}};
+
+function createFakeConfigManager(config) {
+  return {
+    configPath: '/etc/gymnasticon.json',
+    config,
+    saved: 0,
+    async load() { return this.config; },
+    async save() { this.saved++; },
+  };
+}
+
+class FakeClient extends EventEmitter {
+  constructor(address) {
+    super();
+    this.address = address;
+    this.connected = false;
+  }
+  async connect() { this.connected = true; }
+  async disconnect() { this.connected = false; }
+}
+
+test('applyFitToConfig stores a linear fit as power scale and offset', t => {
+  const config = {
+    bike: 'keiser',
+    powerCalibration: {bikes: {keiser: {type: 'curve', points: [[0, 0], [100, 90]]}, ic4: {type: 'curve', points: [[0, 0], [100, 95]]}}},
+  };
+  applyFitToConfig(config, {powerScale: 1.08, powerOffset: -3}, 'keiser');
+  t.equal(config.powerScale, 1.08);
+  t.equal(config.powerOffset, -3);
+  t.deepEqual(Object.keys(config.powerCalibration.bikes), ['ic4'], 'earlier curve for this bike removed');
+  t.end();
+});
+
+test('applyFitToConfig stores a polynomial fit as a per-bike curve', t => {
+  const curve = {type: 'curve', points: [[0, 0], [100, 110]]};
+  const config = {powerScale: 1.2, powerCalibration: {addresses: {'aa:bb:cc:dd:ee:ff': curve}}};
+  applyFitToConfig(config, {powerScale: 1, powerOffset: 0, curve}, 'ic8');
+  t.equal(config.powerScale, 1);
+  t.deepEqual(config.powerCalibration, {addresses: {'aa:bb:cc:dd:ee:ff': curve}, bikes: {ic8: curve}});
+  t.end();
+});
+
+test('applyFitToConfig writes into a path-valued powerCalibration file', t => {
+  const curve = {type: 'curve', points: [[0, 0], [100, 110]]};
+  const other = {type: 'curve', points: [[0, 0], [100, 95]]};
+  const files = {'/etc/power.json': JSON.stringify({bikes: {ic4: other, ic8: other}})};
+  const fs = {
+    readFileSync: (path) => files[path],
+    writeFileSync: (path, data) => { files[path] = data; },
+  };
+  const config = {powerCalibration: '/etc/power.json'};
+  t.equal(applyFitToConfig(config, {powerScale: 1, powerOffset: 0, curve}, 'ic8', {fs}), '/etc/power.json',
+    'reports the file written');
+  t.equal(config.powerCalibration, '/etc/power.json', 'path kept in the config');
+  t.deepEqual(JSON.parse(files['/etc/power.json']), {bikes: {ic4: other, ic8: curve}}, 'other tables kept');
+
+  t.equal(applyFitToConfig(config, {powerScale: 1.1, powerOffset: 2}, 'ic8', {fs}), '/etc/power.json');
+  t.deepEqual(JSON.parse(files['/etc/power.json']), {bikes: {ic4: other}}, 'linear fit drops the earlier curve from the file');
+  t.equal(applyFitToConfig(config, {powerScale: 1.1, powerOffset: 2}, 'keiser', {fs}), null, 'nothing to change');
+
+  const missing = {powerCalibration: '/etc/missing.json'};
+  t.throws(() => applyFitToConfig(missing, {powerScale: 1, powerOffset: 0, curve}, 'ic8', {fs}),
+    /unable to update power calibration file \/etc\/missing\.json.*bikes\.ic8/, 'unreadable file: clear error');
+  t.equal(missing.powerCalibration, '/etc/missing.json', 'path not overwritten');
+  t.end();
+});
+
+test('runCalibrateCommand loads the config before the ride', async t => {
+  const configManager = createFakeConfigManager({});
+  configManager.load = async () => { throw new Error('Missing required config field(s): bike'); };
+  let bikeCreated = false;
+  try {
+    await runCalibrateCommand({bike: 'keiser'}, {
+      configManager,
+      logger: silentLogger,
+      createBike: async () => { bikeCreated = true; return new FakeClient('11:22:33:44:55:66'); },
+    });
+    t.fail('should reject');
+  } catch (e) {
+    t.match(e.message, /Missing required config field/);
+  }
+  t.notOk(bikeCreated, 'no ride recorded with a broken config');
+  t.end();
+});
+
+test('runCalibrateCommand refits a recorded sample file', async t => {
+  const pairs = [100, 150, 200, 250].map(bike => ({bike, reference: 0.95 * bike}));
+  const fs = createFakeFs({files: {'/tmp/ride.json': JSON.stringify({bikeType: 'flywheel', pairs})}});
+  const configManager = createFakeConfigManager({bike: 'autodetect', serverName: 'Gymnasticon'});
+  const result = await runCalibrateCommand({calibrateSamples: '/tmp/ride.json', bike: 'autodetect'},
+    {fs, configManager, logger: silentLogger});
+  t.equal(result.degree, 1);
+  t.equal(configManager.saved, 1, 'config saved');
+  t.equal(configManager.config.powerScale, 0.95);
+  t.equal(configManager.config.powerOffset, 0);
+  t.end();
+});
+
+test('runCalibrateCommand records paired samples through the guided steps', async t => {
+  const bike = new FakeClient('11:22:33:44:55:66');
+  bike.bikeType = 'keiser';
+  const reference = new FakeClient('aa:bb:cc:dd:ee:ff');
+  let referenceOptions;
+  let recorded;
+  let sleeps = 0;
+  const configManager = createFakeConfigManager({bike: 'keiser', serverName: 'Gymnasticon'});
+  const fs = {writeFileSync: (path, data) => { recorded = {path, data: JSON.parse(data)}; }};
+  await runCalibrateCommand({
+    bike: 'autodetect',
+    referenceName: 'Assioma',
+    calibrateRecord: '/tmp/out.json',
+    calibrateStepSeconds: 1,
+  }, {
+    fs,
+    configManager,
+    logger: silentLogger,
+    createBike: async () => bike,
+    createReference: (_noble, options) => { referenceOptions = options; return reference; },
+    now: () => sleeps * 1000,
+    sleep: async () => {
+      sleeps++;
+      const watts = 50 * sleeps; // Both devices report during settle and recording windows.
+      bike.emit('stats', {power: watts, cadence: 80});
+      reference.emit('stats', {power: 1.1 * watts + 5});
+    },
+  });
+  t.equal(referenceOptions.referenceName, 'Assioma', 'reference filter passed through');
+  t.equal(sleeps, CALIBRATION_STEPS.length * 2, 'settle and record per step');
+  t.notOk(bike.connected || reference.connected, 'both devices disconnected');
+  t.equal(recorded.path, '/tmp/out.json');
+  t.equal(recorded.data.bikeType, 'keiser');
+  t.equal(recorded.data.pairs.length, CALIBRATION_STEPS.length, 'settle readings are not recorded');
+  t.equal(configManager.config.powerScale, 1.1);
+  t.equal(configManager.config.powerOffset, 5);
+  t.end();
+});
@@ -0,0 +1,118 @@
+import test from '../support/tape.js';
+import {createFakeStick, antMessage} from '../support/fake-ant-stick.js';
+import {AntBikeClient} from '../../bikes/ant.js';
+import {parseBicyclePowerPage, encodeCrankTorquePage} from '../../util/ant-bicycle-power.js';
+import {AntServer} from '../../servers/ant/index.js';
+
+function page(channel, payloadHex) {
+  return antMessage(0x4e, channel, payloadHex);
+}
+
+async function connectedClient(options = {deviceId: 1234}) {
+  const stick = createFakeStick();
+  const client = new AntBikeClient(stick, options);
+  const stats = [];
+  client.on('stats', s => stats.push(s));
+  const connecting = client.connect();
+  stick.emit('read', page(0, '10feff58a0ffc800'));
+  await connecting;
+  return {stick, client, stats};
+}
+
+test('parseBicyclePowerPage() decodes power-only and crank torque pages', t => {
+  t.deepEqual(parseBicyclePowerPage(Buffer.from('1005ff5a3412fa00', 'hex')),
+    {page: 0x10, eventCount: 5, cadence: 90, accumulatedPower: 0x1234, power: 250}, 'power-only');
+  t.deepEqual(parseBicyclePowerPage(Buffer.from('10050aff3412fa00', 'hex')).cadence, null, 'cadence not sent');
+  t.deepEqual(parseBicyclePowerPage(Buffer.from('12022c5a00100005', 'hex')),
+    {page: 0x12, eventCount: 2, ticks: 0x2c, cadence: 90, period: 0x1000, torque: 0x0500}, 'crank torque');
+  t.deepEqual(parseBicyclePowerPage(Buffer.from('50ffff01ff000100', 'hex')), {page: 0x50}, 'other pages only carry the page number');
+  t.throws(() => parseBicyclePowerPage(Buffer.from('10', 'hex')), /unable to parse message/);
+  t.end();
+});
+
+test('AntBikeClient opens a receive channel for a pinned power meter', async t => {
+  const {stick, client, stats} = await connectedClient({deviceId: 1234, channel: 0});
+  t.equal(stick.written[1].readUInt8(6), 0x0b, 'bicycle power device type');
+  t.equal(stick.written[1].readUInt16LE(4), 1234, 'pinned device number');
+  t.equal(client.state, 'connected', 'connected once the meter is heard');
+  t.equal(client.address, 'ant:1234', 'identified by device number');
+  t.deepEqual(stats, [{power: 200, cadence: 88}], 'first page uses the instantaneous values');
+
+  stick.emit('read', page(1, '1000ff5a4401d200')); // another channel
+  t.equal(stats.length, 1, 'other channels ignored');
+  await client.disconnect();
+  t.deepEqual(stick.written.slice(-2).map(m => m.readUInt8(2)), [0x4c, 0x41], 'close and unassign');
+  t.equal(stick.listenerCount('read'), 0, 'stops listening');
+  t.end();
+});
+
+test('AntBikeClient learns the device number after a wildcard search', async t => {
+  const stick = createFakeStick();
+  const client = new AntBikeClient(stick);
+  let connected = false;
+  const connecting = client.connect().then(() => { connected = true; });
+  t.equal(stick.written[1].readUInt16LE(4), 0, 'wildcard device number');
+  stick.emit('read', page(0, '10feff58a0ffc800'));
+  stick.emit('read', page(0, '10feff58a0ffc800'));
+  t.equal(stick.written.filter(m => m.readUInt8(2) === 0x4d).length, 1, 'channel ID requested once');
+  await Promise.resolve();
+  t.notOk(connected, 'waits for the channel ID');
+  stick.emit('read', antMessage(0x51, 0, 'd2040b01'));
+  await connecting;
+  t.equal(client.address, 'ant:1234', 'device number from the channel ID');
+  await client.disconnect();
+  t.end();
+});
+
+test('AntBikeClient averages power over event count deltas', async t => {
+  const {stick, client, stats} = await connectedClient();
+  stick.emit('read', page(0, '1000ff5a4401d200')); // 2 events, +420 W accumulated across 16-bit wrap
+  t.deepEqual(stats[1], {power: 210, cadence: 90}, 'average power and cadence');
+  stick.emit('read', page(0, '1000ff5a4401d200'));
+  t.deepEqual(stats[2], {power: 210, cadence: 90}, 'repeated event holds the last values');
+  client.lastPowerOnly.receivedAt -= 4000;
+  stick.emit('read', page(0, '1000ff5a4401d200'));
+  t.deepEqual(stats[3], {power: 0, cadence: 0}, 'zero once events stop');
+
+  stick.emit('read', antMessage(0x40, 0, '0108'));
+  t.deepEqual(stats[4], {power: 0, cadence: 0}, 'losing the meter reads zero');
+  t.equal(client.state, 'connected', 'and keeps searching rather than disconnecting');
+  await client.disconnect();
+  t.end();
+});
+
+test('AntBikeClient derives cadence and power from crank torque pages', async t => {
+  const server = new AntServer(createFakeStick(), {crankTorque: true});
+  server.updateMeasurement({power: 240, cadence: 120, crank: {revolutions: 10, timestamp: 100}});
+  server.updateMeasurement({power: 240, cadence: 120, crank: {revolutions: 12, timestamp: 101}}); // 2 revs in 1 s
+  const {eventCount, ticks, period, torque} = server.torque;
+  const broadcast = encodeCrankTorquePage({eventCount, ticks, cadence: 120, period: Math.round(period), torque: Math.round(torque)});
+
+  const stick = createFakeStick();
+  const client = new AntBikeClient(stick, {deviceId: 1234});
+  const stats = [];
+  client.on('stats', s => stats.push(s));
+  const connecting = client.connect();
+  stick.emit('read', page(0, '1200005a00000000'));
+  await connecting;
+  stick.emit('read', page(0, Buffer.from(broadcast).toString('hex')));
+  t.deepEqual(stats[1], {power: 240, cadence: 120}, 'round trip through the AntServer crank torque encoder');
+
+  stick.emit('read', page(0, '1005ff5a3412fa00'));
+  stick.emit('read', page(0, '1204045a00180010'));
+  t.deepEqual(stats[3], {power: 250, cadence: 60}, 'once power-only pages arrive they set power; crank torque only sets cadence');
+  await client.disconnect();
+  t.end();
+});
+
+test('AntBikeClient.disconnect() while searching fails the connect', async t => {
+  const stick = createFakeStick();
+  const client = new AntBikeClient(stick, {deviceId: 1234});
+  const disconnects = [];
+  client.on('disconnect', d => disconnects.push(d));
+  const connecting = client.connect();
+  await client.disconnect();
+  await connecting.then(() => t.fail('should not connect'), err => t.match(err.message, /Unable to find ANT\+ power meter/));
+  t.deepEqual(disconnects, [{address: 'ant:1234'}], 'disconnect emitted');
+  t.end();
+});
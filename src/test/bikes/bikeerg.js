@@ -0,0 +1,57 @@
+import test from '../support/tape.js';
+import {
+  parseGeneralStatus,
+  parseAdditionalStatus,
+  parseAdditionalStrokeData,
+  matchesPm5Name,
+  BikeErgBikeClient,
+} from '../../bikes/bikeerg.js';
+
+// Captured PM5 notifications
+const GENERAL_STATUS = '393000823b000000010100000000000000006e'; // 123.45 s, 1523.4 m, active, drag 110
+const ADDITIONAL_STATUS = '3930003a20558e592f0000000000000000'; // 8.25 m/s, 85 rpm, 142 bpm
+const ADDITIONAL_STATUS_NO_HR = '3930003a2055ff592f0000000000000000';
+const STROKE_DATA = '393000d40084034101000000000000'; // 212 W
+
+test('parseGeneralStatus() decodes elapsed time and distance', t => {
+  const status = parseGeneralStatus(Buffer.from(GENERAL_STATUS, 'hex'));
+  t.equal(status.elapsedTime, 123.45, 'elapsed time (s)');
+  t.equal(status.distance, 1523.4, 'distance (m)');
+  t.ok(status.active, 'flywheel active');
+  t.equal(status.dragFactor, 110, 'drag factor');
+  t.end();
+});
+
+test('parseAdditionalStatus() decodes speed, stroke rate and heart rate', t => {
+  const status = parseAdditionalStatus(Buffer.from(ADDITIONAL_STATUS, 'hex'));
+  t.equal(status.speed, 8.25, 'speed (m/s)');
+  t.equal(status.cadence, 85, 'stroke rate (rpm)');
+  t.equal(status.heartRate, 142, 'heart rate (bpm)');
+  t.notOk('heartRate' in parseAdditionalStatus(Buffer.from(ADDITIONAL_STATUS_NO_HR, 'hex')), '255 means no strap');
+  t.end();
+});
+
+test('parseAdditionalStrokeData() decodes stroke power', t => {
+  t.equal(parseAdditionalStrokeData(Buffer.from(STROKE_DATA, 'hex')).power, 212, 'stroke power (watts)');
+  t.throws(() => parseAdditionalStrokeData(Buffer.alloc(4)), /unable to parse message/, 'truncated value');
+  t.end();
+});
+
+test('matchesPm5Name() recognises PM5 advertisements', t => {
+  t.ok(matchesPm5Name({advertisement: {localName: 'PM5 430123456 Bike'}}), 'PM5 name');
+  t.notOk(matchesPm5Name({advertisement: {localName: 'Flywheel 1'}}), 'other bikes');
+  t.end();
+});
+
+test('BikeErgBikeClient emits stats with native speed and stroke power', t => {
+  const client = new BikeErgBikeClient({});
+  const stats = [];
+  client.on('stats', s => stats.push(s));
+  client.onAdditionalStatus(Buffer.from(ADDITIONAL_STATUS, 'hex'));
+  client.onGeneralStatus(Buffer.from(GENERAL_STATUS, 'hex'));
+  client.onStrokeData(Buffer.from(STROKE_DATA, 'hex'));
+  client.onAdditionalStatus(Buffer.from(ADDITIONAL_STATUS, 'hex'));
+  t.equal(stats[0].power, Math.round(2.8 * 8.25 ** 3), 'pace-derived watts before stroke data');
+  t.deepEqual(stats[1], {power: 212, cadence: 85, speed: 8.25, heartRate: 142, distance: 1523.4, elapsedTime: 123.45}, 'stroke watts plus general status');
+  t.end();
+});
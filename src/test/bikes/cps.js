@@ -0,0 +1,93 @@
+import {EventEmitter} from 'events';
+import test from '../support/tape.js';
+import {parse, CpsBikeClient} from '../../bikes/cps.js';
+
+test('parse() decodes power-only Cycling Power Measurement values', t => {
+  t.deepEqual(parse(Buffer.from('0000fa00', 'hex')), {power: 250}, 'power (watts)');
+  t.throws(() => parse(Buffer.from('0000', 'hex')), /unable to parse message/, 'truncated value');
+  t.end();
+});
+
+test('parse() walks balance, torque, wheel and crank fields', t => {
+  // flags 0x0035: balance, accumulated torque, wheel data, crank data
+  const buf = Buffer.from([
+    0x35, 0x00,
+    0x2c, 0x01, // power 300 W
+    0x64, // balance 50 %
+    0x10, 0x00, // accumulated torque (skipped)
+    0x0a, 0x00, 0x00, 0x00, 0x00, 0x08, // wheel revs 10, event time 2048
+    0x05, 0x00, 0x00, 0x04, // crank revs 5, event time 1024
+  ]);
+  t.deepEqual(parse(buf), {
+    power: 300,
+    balance: 50,
+    wheel: {revolutions: 10, eventTime: 2048},
+    crank: {revolutions: 5, eventTime: 1024},
+  }, 'decoded measurement');
+  t.throws(() => parse(buf.subarray(0, buf.length - 1)), /unable to parse message/, 'truncated crank data');
+  t.end();
+});
+
+function crankMeasurement(power, revolutions, eventTime) {
+  const buf = Buffer.alloc(8);
+  buf.writeUInt16LE(0x20, 0);
+  buf.writeInt16LE(power, 2);
+  buf.writeUInt16LE(revolutions, 4);
+  buf.writeUInt16LE(eventTime, 6);
+  return buf;
+}
+
+test('CpsBikeClient derives cadence from crank deltas across 16-bit wrap', t => {
+  const client = new CpsBikeClient({});
+  const stats = [];
+  client.on('stats', s => stats.push(s));
+  client.onReceive(crankMeasurement(200, 0xffff, 0xfc00)); // baseline
+  client.onReceive(crankMeasurement(210, 0x0000, 0x0000)); // +1 rev in 1 s (wraps)
+  client.onReceive(crankMeasurement(220, 0x0001, 0x0200)); // +1 rev in 0.5 s
+  t.deepEqual(stats.map(s => s.power), [200, 210, 220], 'power forwarded');
+  t.deepEqual(stats.map(s => s.cadence), [0, 60, 120], 'cadence (rpm)');
+  t.notOk('speed' in stats[0], 'no speed without wheel data');
+  t.end();
+});
+
+test('CpsBikeClient derives speed from wheel data', t => {
+  const client = new CpsBikeClient({}, {wheelCircumference: 2});
+  const stats = [];
+  client.on('stats', s => stats.push(s));
+  const wheel = (revolutions, eventTime) => {
+    const buf = Buffer.alloc(10);
+    buf.writeUInt16LE(0x10, 0);
+    buf.writeInt16LE(150, 2);
+    buf.writeUInt32LE(revolutions, 4);
+    buf.writeUInt16LE(eventTime, 8);
+    return buf;
+  };
+  client.onReceive(wheel(100, 0));
+  client.onReceive(wheel(105, 2048)); // 5 revs x 2 m in 1 s
+  t.equal(stats[1].speed, 10, 'speed (m/s)');
+  t.end();
+});
+
+test('CpsBikeClient.connect() resets its state when the meter lacks Cycling Power Measurement', async t => {
+  const peripheral = new EventEmitter();
+  peripheral.address = 'aa:bb:cc:dd:ee:ff';
+  peripheral.advertisement = {serviceUuids: ['1818']};
+  peripheral.disconnects = 0;
+  peripheral.connectAsync = async () => {};
+  peripheral.disconnectAsync = async () => { peripheral.disconnects++; };
+  peripheral.discoverSomeServicesAndCharacteristicsAsync = async () => ({characteristics: []});
+  const noble = new EventEmitter();
+  noble.startScanningAsync = async () => { setImmediate(() => noble.emit('discover', peripheral)); };
+  noble.stopScanningAsync = async () => {};
+
+  const client = new CpsBikeClient(noble);
+  const disconnects = [];
+  client.on('disconnect', e => disconnects.push(e));
+  await client.connect().then(() => t.fail('should reject'), err => t.match(err.message, /characteristic not found/));
+  t.equal(client.state, 'disconnected', 'no longer connecting');
+  t.equal(peripheral.disconnects, 1, 'peripheral disconnected');
+  t.equal(peripheral.listenerCount('disconnect'), 0, 'disconnect listener removed');
+  t.equal(disconnects.length, 0, 'a failed connect is not reported as a disconnect');
+  t.equal(client.peripheral, null);
+  t.end();
+});
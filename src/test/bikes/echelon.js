@@ -0,0 +1,66 @@
+import test from '../support/tape.js';
+import {parse, encodeCommand, estimateEchelonPower, matchesEchelonName, EchelonBikeClient} from '../../bikes/echelon.js';
+
+// Captured notifications (0xf0, command, length, payload..., checksum)
+const METRICS_PKT = 'f0d10900003c00000100552c88'; // cadence 85 rpm
+const RESISTANCE_PKT = 'f0d2010ccf'; // resistance level 12
+const OTHER_PKT = 'f0d0020102c5';
+
+test('parse() decodes Echelon cadence notifications', t => {
+  const {type, payload} = parse(Buffer.from(METRICS_PKT, 'hex'));
+  t.equal(type, 'metrics', 'message type');
+  t.equal(payload.cadence, 85, 'cadence (rpm)');
+  t.end();
+});
+
+test('parse() decodes Echelon resistance notifications', t => {
+  const {type, payload} = parse(Buffer.from(RESISTANCE_PKT, 'hex'));
+  t.equal(type, 'resistance', 'message type');
+  t.equal(payload.resistance, 12, 'resistance level');
+  t.equal(parse(Buffer.from(OTHER_PKT, 'hex')).type, 'other', 'unrelated notifications are tagged other');
+  t.end();
+});
+
+test('parse() rejects bad headers, truncation and checksums', t => {
+  t.throws(() => parse(Buffer.from('f1d2010ccf', 'hex')), /unable to parse message/, 'bad header');
+  t.throws(() => parse(Buffer.from('f0d2010c', 'hex')), /unable to parse message/, 'missing checksum');
+  t.throws(() => parse(Buffer.from('f0d2010cce', 'hex')), /unable to parse message/, 'bad checksum');
+  t.end();
+});
+
+test('encodeCommand() frames commands with a checksum', t => {
+  t.equal(encodeCommand(0xa1).toString('hex'), 'f0a10091', 'device info request');
+  t.equal(encodeCommand(0xb0, [0x01]).toString('hex'), 'f0b00101a2', 'enable sensor notifications');
+  t.end();
+});
+
+test('estimateEchelonPower() interpolates the resistance/cadence table', t => {
+  t.equal(estimateEchelonPower(0, 20), 0, 'no power without cadence');
+  t.equal(estimateEchelonPower(80, 16), 150, 'table entry');
+  t.equal(estimateEchelonPower(70, 16), 123, 'between cadences');
+  t.equal(estimateEchelonPower(80, 20), 188, 'between resistance levels');
+  t.ok(estimateEchelonPower(90, 32) > estimateEchelonPower(90, 1), 'more resistance means more power');
+  t.end();
+});
+
+test('matchesEchelonName() recognises Echelon advertising names', t => {
+  t.ok(matchesEchelonName({advertisement: {localName: 'ECH-SPORT-1C6A'}}), 'sport console');
+  t.ok(matchesEchelonName({advertisement: {localName: 'ECHEX-5S'}}), 'EX series');
+  t.notOk(matchesEchelonName({advertisement: {localName: 'IC Bike'}}), 'other bikes');
+  t.notOk(matchesEchelonName({advertisement: {localName: 'Echo Dot-7K2'}}), 'other devices starting with ech');
+  t.notOk(matchesEchelonName({advertisement: {localName: 'ECHOTEC'}}), 'no dash after the prefix');
+  t.notOk(matchesEchelonName({advertisement: {}}), 'no name');
+  t.end();
+});
+
+test('EchelonBikeClient emits stats combining cadence and resistance', t => {
+  const client = new EchelonBikeClient({});
+  const stats = [];
+  client.on('stats', s => stats.push(s));
+  client.onReceive(Buffer.from(RESISTANCE_PKT, 'hex'));
+  client.onReceive(Buffer.from(METRICS_PKT, 'hex'));
+  client.onReceive(Buffer.from(OTHER_PKT, 'hex'));
+  t.equal(stats.length, 2, 'one stats event per metrics/resistance notification');
+  t.deepEqual(stats[1], {power: estimateEchelonPower(85, 12), cadence: 85, resistance: 12}, 'latest stats');
+  t.end();
+});
@@ -1,5 +1,8 @@
 import test from '../support/tape.js';
-import {parse} from '../../bikes/flywheel.js';
+import {parse, FlywheelBikeClient} from '../../bikes/flywheel.js';
+
+// 200 W, 85 rpm, 142 bpm, 5230 m, 96 kcal, brake level 35
+const FULL_STATS = 'ff1f0c00c8000000000000005500008e0000146e0060000000000023000000013855';
 
 test('parse() parses Flywheel stats messages', t => {
   t.plan(3);
@@ -9,3 +12,62 @@ test('parse() parses Flywheel stats messages', t => {
   t.equal(power, 290, 'power (watts)');
   t.equal(cadence, 90, 'cadence (rpm)');
 });
+
+test('parse() decodes every field of a complete stats packet', t => {
+  const {type, payload} = parse(Buffer.from(FULL_STATS, 'hex'));
+  t.equal(type, 'stats', 'message type');
+  t.deepEqual(payload, {
+    power: 200,
+    cadence: 85,
+    heartRate: 142,
+    distance: 5230,
+    calories: 96,
+    resistance: 35,
+  }, 'all fields decoded');
+  t.end();
+});
+
+test('parse() omits heart rate when no strap is paired', t => {
+  const {payload} = parse(Buffer.from('ff1f0c0122000000000000005a00000000000000000000000000000a000000016155', 'hex'));
+  t.notOk('heartRate' in payload, 'zero heart rate omitted');
+  t.equal(payload.resistance, 10, 'brake level');
+  t.end();
+});
+
+test('parse() decodes power and cadence from a lone first fragment', t => {
+  const {payload} = parse(Buffer.from(FULL_STATS, 'hex').subarray(0, 20));
+  t.equal(payload.power, 200, 'power (watts)');
+  t.equal(payload.cadence, 85, 'cadence (rpm)');
+  t.equal(payload.heartRate, 142, 'heart rate fits in the first fragment');
+  t.notOk('calories' in payload, 'calories need the second fragment');
+  t.notOk('resistance' in payload, 'resistance needs the second fragment');
+  t.end();
+});
+
+test('parse() rejects complete packets with a bad checksum', t => {
+  const buf = Buffer.from(FULL_STATS, 'hex');
+  buf[32] ^= 0xff;
+  t.throws(() => parse(buf), /unable to parse message/, 'checksum mismatch');
+  t.end();
+});
+
+test('FlywheelBikeClient reassembles stats split across notifications', t => {
+  const client = new FlywheelBikeClient(null, null);
+  client.fixPowerDropout = ({power, cadence}) => ({power, cadence});
+  const stats = [];
+  client.on('stats', s => stats.push(s));
+  const full = Buffer.from(FULL_STATS, 'hex');
+
+  client.onReceive(full.subarray(0, 20));
+  t.equal(stats.length, 0, 'waits for the second fragment');
+  client.onReceive(full.subarray(20));
+  t.equal(stats.length, 1, 'one stats event per packet');
+  t.equal(stats[0].resistance, 35, 'fields from the second fragment');
+  t.equal(stats[0].calories, 96, 'calories');
+
+  client.onReceive(full.subarray(0, 20));
+  client.onReceive(full.subarray(0, 20));
+  t.equal(stats.length, 2, 'an uncontinued fragment is still reported');
+  t.equal(stats[1].power, 200, 'power from the lone fragment');
+  t.end();
+});
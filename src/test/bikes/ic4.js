@@ -1,5 +1,12 @@
 import test from '../support/tape.js';
-import {parse} from '../../bikes/ic4.js';
+import {parse, Ic4BikeClient} from '../../bikes/ic4.js';
+import {
+  encodeControlPointResponse,
+  OP_REQUEST_CONTROL,
+  OP_SET_TARGET_POWER,
+  OP_SET_TARGET_RESISTANCE,
+  RESULT_SUCCESS,
+} from '../../util/ftms-control-point.js';
 
 test('parse() parses Schwinn IC4 indoor bike data values', t => {
   t.plan(2);
@@ -8,3 +15,45 @@ test('parse() parses Schwinn IC4 indoor bike data values', t => {
   t.equal(power, 290, 'power (watts)');
   t.equal(cadence, 129, 'cadence (rpm)');
 });
+
+test('Ic4BikeClient merges Indoor Bike Data split over several notifications', t => {
+  const bike = new Ic4BikeClient(null, null);
+  const stats = [];
+  bike.on('stats', payload => stats.push(payload));
+  bike.onReceive(Buffer.from('0500a000', 'hex')); // More Data: cadence only
+  bike.onReceive(Buffer.from('4000c409c800', 'hex')); // last frame: speed and power
+  bike.onReceive(Buffer.from('0500a400', 'hex')); // next reading starts: cadence only
+  t.deepEqual(stats[0], {cadence: 80}, 'power not reported before the bike sends it');
+  t.equal(stats[1].power, 200, 'power (watts)');
+  t.equal(stats[1].cadence, 80, 'cadence carried from the first frame');
+  t.ok(Math.abs(stats[1].speed - 25 / 3.6) < 1e-9, 'speed (m/s)');
+  t.equal(stats[2].power, 200, 'power does not drop to zero on a cadence-only frame');
+  t.equal(stats[2].cadence, 82, 'cadence updated');
+  t.end();
+});
+
+test('Ic4BikeClient sends concurrent control commands one at a time', async t => {
+  const bike = new Ic4BikeClient(null, null);
+  const writes = [];
+  bike.controlPoint = {
+    async writeAsync(request) {
+      writes.push(request[0]);
+      const opCode = request[0];
+      setImmediate(() => bike.onControlPointResponse(encodeControlPointResponse(opCode, RESULT_SUCCESS)));
+    },
+  };
+  const ftms = bike.sendControlCommand({type: 'setTargetPower', power: 200});
+  const fec = bike.sendControlCommand({type: 'setTargetResistance', resistance: 10});
+  t.deepEqual(writes, [], 'nothing written synchronously');
+  t.deepEqual(await Promise.all([ftms, fec]), [RESULT_SUCCESS, RESULT_SUCCESS], 'both relays answered');
+  t.deepEqual(writes, [OP_REQUEST_CONTROL, OP_SET_TARGET_POWER, OP_SET_TARGET_RESISTANCE], 'control requested once, then each command after the previous response');
+
+  bike.controlPoint.writeAsync = async () => { throw new Error('write failed'); };
+  await bike.sendControlCommand({type: 'setTargetPower', power: 100}).then(
+    () => t.fail('should reject'), err => t.equal(err.message, 'write failed', 'write errors reach the caller'));
+  bike.controlPoint.writeAsync = async (request) => {
+    setImmediate(() => bike.onControlPointResponse(encodeControlPointResponse(request[0], RESULT_SUCCESS)));
+  };
+  t.equal(await bike.sendControlCommand({type: 'setTargetPower', power: 100}), RESULT_SUCCESS, 'and do not block the queue');
+  t.end();
+});
@@ -0,0 +1,16 @@
+import test from '../support/tape.js';
+import {Ic8BikeClient} from '../../bikes/ic8.js';
+
+test('Ic8BikeClient emits the resistance level once the bike reports it', t => {
+  const bike = new Ic8BikeClient({noble: {}});
+  const stats = [];
+  bike.on('stats', payload => stats.push(payload));
+  bike.onCscData(Buffer.from([0x02, 0x0a, 0x00, 0x00, 0x04]));
+  t.notOk('resistance' in stats[0], 'no resistance before the bike reports one');
+  bike.onResistance(Buffer.from([40]));
+  t.equal(stats[1].resistance, 40, 'raw resistance level');
+  bike.onCscData(Buffer.from([0x02, 0x0b, 0x00, 0x00, 0x08]));
+  t.equal(stats[2].resistance, 40, 'kept on cadence updates');
+  t.equal(stats[2].cadence, 60, 'cadence (rpm)');
+  t.end();
+});
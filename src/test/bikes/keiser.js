@@ -1,7 +1,9 @@
+import {EventEmitter} from 'events';
 import test from '../support/tape.js';
 import {parse} from '../../bikes/keiser.js';
 import {bikeVersion} from '../../bikes/keiser.js';
 import {KeiserBikeClient} from '../../bikes/keiser.js';
+import {estimateKeiserSpeed, keiserGearFactor} from '../../bikes/keiser.js';
 
 /**
  * See https://dev.keiser.com/mseries/direct/#data-parse-example for a
@@ -16,6 +18,60 @@ test('parse() parses Keiser indoor bike data values', t => {
   t.equal(cadence, 82, 'cadence (rpm)');
 });
 
+test('parse() decodes every realtime field from the legacy 0x02 0x01 frame', t => {
+  // Same frame as the Keiser parse example: ordinal 56, 135 bpm, 13 kcal,
+  // 4:39 elapsed, 0.1 miles, gear 10.
+  const buf = Buffer.from('0201063000383803460573000D00042701000A', 'hex');
+  const {type, payload} = parse(buf);
+  t.equal(type, 'stats', 'message type');
+  t.deepEqual(payload, {
+    power: 115,
+    cadence: 82,
+    ordinal: 56,
+    heartRate: 135,
+    calories: 13,
+    elapsedTime: 279,
+    distance: 161,
+    gear: 10,
+  }, 'all fields decoded');
+  t.end();
+});
+
+test('parse() decodes the newer 0x03 frame with metric distance and no heart rate', t => {
+  const buf = Buffer.from('0301064081070c0300009600200112300f8014', 'hex');
+  const {type, payload} = parse(buf);
+  t.equal(type, 'stats', 'realtime interval frame is stats');
+  t.equal(payload.power, 150, 'power (watts)');
+  t.equal(payload.cadence, 78, 'cadence (rpm)');
+  t.equal(payload.ordinal, 7, 'equipment ordinal');
+  t.notOk('heartRate' in payload, 'zero heart rate omitted');
+  t.equal(payload.calories, 288, 'calories (kcal)');
+  t.equal(payload.elapsedTime, 18 * 60 + 48, 'elapsed time (s)');
+  t.equal(payload.distance, 1500, 'distance (m) from tenths of a km');
+  t.equal(payload.gear, 20, 'gear');
+  t.end();
+});
+
+test('parse() omits trailing fields missing from short frames', t => {
+  const {payload} = parse(Buffer.from('0201063000383803460573000D00', 'hex'));
+  t.equal(payload.calories, 13, 'calories present');
+  t.notOk('elapsedTime' in payload, 'no duration');
+  t.notOk('distance' in payload, 'no distance');
+  t.notOk('gear' in payload, 'no gear');
+  t.end();
+});
+
+test('estimateKeiserSpeed() goes faster in higher gears', t => {
+  t.equal(keiserGearFactor(1), 1, 'lowest gear factor');
+  t.equal(keiserGearFactor(24), 4, 'highest gear factor');
+  t.equal(keiserGearFactor(40), 4, 'out-of-range gear clamped');
+  const low = estimateKeiserSpeed(90, 5);
+  const high = estimateKeiserSpeed(90, 20);
+  t.ok(high > low, 'higher gear, higher speed');
+  t.equal(estimateKeiserSpeed(0, 20), 0, 'no speed without cadence');
+  t.end();
+});
+
 test('bikeVersion() Tests Keiser bike version (6.40)', t => {
   t.plan(2);
   const bufver = Buffer.from('0201064000383803460573000D00042701000A', 'hex');
@@ -103,3 +159,75 @@ test('KeiserBikeClient.startScanWithFallback() rethrows non-state errors', async
     t.equal(String(error.message), 'Permission denied', 'non-state scan errors are preserved');
   }
 });
+
+test('KeiserBikeClient follows the requested ordinal across address changes', t => {
+  const client = new KeiserBikeClient({}, {ordinal: 56});
+  const advert = (address, ordinal) => {
+    const manufacturerData = Buffer.from('0201063000383803460573000D00042701000A', 'hex');
+    manufacturerData.writeUInt8(ordinal, 5);
+    return {address, advertisement: {localName: 'M3', manufacturerData}};
+  };
+  client.peripheral = {address: 'aa:aa:aa:aa:aa:01'};
+  client.peripheralAddress = 'aa:aa:aa:aa:aa:01';
+  t.ok(client.isMatchingPeripheral(advert('aa:aa:aa:aa:aa:01', 56)), 'matching ordinal accepted');
+  t.ok(client.isMatchingPeripheral(advert('bb:bb:bb:bb:bb:02', 56)), 'accepted after the address rotates');
+  t.notOk(client.isMatchingPeripheral(advert('aa:aa:aa:aa:aa:01', 12)), 'other ordinal rejected even on the same address');
+  client.isMatchingPeripheral(advert('cc:cc:cc:cc:cc:03', 12));
+  t.deepEqual([...client.seenOrdinals], [12], 'other ordinals remembered for logging');
+  t.end();
+});
+
+test('parse() decodes review-mode frames into a ride summary', t => {
+  // Review interval 1: 82 rpm / 135 bpm / 115 W averages, 13 kcal, 4:39, 0.1 miles.
+  const buf = Buffer.from('0201063001383803460573000D00042701000A', 'hex');
+  const {type, payload} = parse(buf);
+  t.equal(type, 'summary', 'message type');
+  t.deepEqual(payload, {
+    interval: 1,
+    ordinal: 56,
+    averagePower: 115,
+    averageCadence: 82,
+    calories: 13,
+    elapsedTime: 279,
+    distance: 161,
+    averageHeartRate: 135,
+  }, 'summary fields decoded');
+  t.throws(() => parse(Buffer.from('0201063001383803460573000D', 'hex')), /unable to parse message/, 'truncated review frame rejected');
+  t.end();
+});
+
+test('KeiserBikeClient emits each review summary once', t => {
+  const client = new KeiserBikeClient({});
+  const summaries = [];
+  client.on('summary', s => summaries.push(s));
+  client.peripheral = {address: 'aa:aa:aa:aa:aa:01'};
+  client.peripheralAddress = 'aa:aa:aa:aa:aa:01';
+  client.fixDropout = () => ({});
+  const peripheral = {
+    address: 'aa:aa:aa:aa:aa:01',
+    advertisement: {manufacturerData: Buffer.from('0201063001383803460573000D00042701000A', 'hex')},
+  };
+  client.onReceive(peripheral);
+  client.onReceive(peripheral);
+  t.equal(summaries.length, 1, 'repeated review frame emitted once');
+  t.equal(summaries[0].elapsedTime, 279, 'summary payload');
+
+  client.onReceive({...peripheral, advertisement: {manufacturerData: Buffer.from('0201063000383803460573000D00042701000A', 'hex')}});
+  client.onReceive(peripheral);
+  t.equal(summaries.length, 2, 'the same summary after riding again belongs to a new ride');
+  t.end();
+});
+
+test('KeiserBikeClient forgets review summaries on disconnect', async t => {
+  const noble = new EventEmitter();
+  noble.stopScanningAsync = async () => {};
+  const client = new KeiserBikeClient(noble);
+  const summaries = [];
+  client.on('summary', s => summaries.push(s));
+  client.onReviewSummary({interval: 1, elapsedTime: 279});
+  client.state = 'connected';
+  await client.disconnect();
+  client.onReviewSummary({interval: 1, elapsedTime: 279});
+  t.equal(summaries.length, 2, 'a summary seen before the disconnect is emitted again');
+  t.end();
+});
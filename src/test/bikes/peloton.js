@@ -1,5 +1,13 @@
 import test from '../support/tape.js';
-import {decodePeloton} from '../../bikes/peloton.js';
+import {EventEmitter} from 'events';
+import {
+  decodePeloton,
+  PelotonBikeClient,
+  PelotonStreamDecoder,
+  findPelotonPort,
+  resetRememberedPelotonPort,
+} from '../../bikes/peloton.js';
+import {createFakeFs} from '../support/fake-fs.js';
 
 test('decodePeloton() parses Peloton stats messages', t => {
   t.plan(2);
@@ -10,3 +18,147 @@ test('decodePeloton() parses Peloton stats messages', t => {
   t.equal(power, 233.6, 'power (watts)');
   t.equal(cadence, 92, 'cadence (rpm)');
 });
+
+// Recorded from a Y-split cable: tablet polls (f6 f5 ..) interleaved with bike
+// responses (f1 ..), each response followed by the 0xf6 terminator.
+const RECORDED_STREAM = Buffer.from([
+  'f6f54136', 'f14103323930d0f6', // cadence request/response: 92 rpm
+  'f6f54439', 'f14405363333323038f6', // power request/response: 233.6 W
+  'f6f54a3f', 'f14a023533a5f6', // resistance request/response
+].join(''), 'hex');
+
+test('PelotonStreamDecoder splits interleaved tablet requests and bike responses', t => {
+  const decoder = new PelotonStreamDecoder();
+  const frames = decoder.push(RECORDED_STREAM);
+  t.deepEqual(frames.map(f => `${f.type}:${f.metric.toString(16)}`), [
+    'request:41', 'response:41', 'request:44', 'response:44', 'request:4a', 'response:4a',
+  ], 'frame order and types');
+  t.equal(decodePeloton(frames[3].data, frames[3].data[2], true), 233.6, 'response frames decode with decodePeloton()');
+  t.end();
+});
+
+test('PelotonStreamDecoder reassembles frames split across chunks and skips noise', t => {
+  const decoder = new PelotonStreamDecoder();
+  const noisy = Buffer.concat([Buffer.from('00f1ff', 'hex'), RECORDED_STREAM]);
+  const frames = [];
+  for (let i = 0; i < noisy.length; i += 3) {
+    frames.push(...decoder.push(noisy.subarray(i, i + 3)));
+  }
+  t.equal(frames.filter(f => f.type === 'response').length, 3, 'all responses recovered');
+  t.equal(frames.filter(f => f.type === 'request').length, 3, 'all requests recovered');
+  t.end();
+});
+
+test('PelotonBikeClient passive mode emits stats from sniffed responses without writing', t => {
+  const client = new PelotonBikeClient('/dev/null', {mode: 'passive'});
+  const writes = [];
+  client._port = {path: '/dev/null', write: data => writes.push(data)};
+  const stats = [];
+  client.on('stats', s => stats.push({power: s.power, cadence: s.cadence}));
+  client.onSerialData(RECORDED_STREAM.subarray(0, 10));
+  client.onSerialData(RECORDED_STREAM.subarray(10));
+  client.statsTimeout.cancel();
+  t.deepEqual(stats, [{power: 0, cadence: 92}, {power: 233.6, cadence: 92}], 'stats on cadence and power responses');
+  t.equal(writes.length, 0, 'never writes to the serial port');
+  t.throws(() => new PelotonBikeClient('/dev/null', {mode: 'sniff'}), /Unknown Peloton mode/, 'rejects unknown modes');
+  t.end();
+});
+
+const PELOTON_BY_ID = '/dev/serial/by-id/usb-FTDI_FT232R_USB_UART_PELOTON-if00-port0';
+
+// Serial port double: devices listed in `bikes` answer a cadence request, and
+// in passive mode the tablet's polling is heard as soon as the port opens.
+function createFakeSerialPort(fs, bikes) {
+  const opened = [];
+  class FakeSerialPort extends EventEmitter {
+    constructor(path) {
+      super();
+      this.path = path;
+    }
+    isBike() {
+      try {
+        return bikes.includes(fs.realpathSync(this.path));
+      } catch (_err) {
+        return false;
+      }
+    }
+    open(callback) {
+      if (!fs.existsSync(this.path)) {
+        callback(new Error('ENOENT'));
+        return;
+      }
+      opened.push(this.path);
+      callback();
+      if (this.isBike()) {
+        setImmediate(() => this.emit('data', Buffer.from('f6f54439', 'hex')));
+      }
+    }
+    close(callback) {
+      callback();
+    }
+    write(data) {
+      if (this.isBike() && data.equals(Buffer.from('f6f54136', 'hex'))) {
+        setImmediate(() => this.emit('data', Buffer.from('f14103323930d0f6', 'hex')));
+      }
+    }
+  }
+  return {FakeSerialPort, opened};
+}
+
+test('findPelotonPort() probes candidates, skips ANT sticks and remembers the match', async t => {
+  resetRememberedPelotonPort();
+  const devices = ['/dev/ttyUSB0', '/dev/ttyUSB1', '/dev/ttyUSB2'];
+  const fs = createFakeFs({
+    devices,
+    links: {[PELOTON_BY_ID]: '/dev/ttyUSB2'},
+    files: {
+      '/sys/class/tty/ttyUSB0/device/../idVendor': '0fcf',
+      '/sys/class/tty/ttyUSB0/device/../idProduct': '1009',
+    },
+  });
+  const {FakeSerialPort, opened} = createFakeSerialPort(fs, ['/dev/ttyUSB2']);
+  const found = await findPelotonPort({preferred: '/dev/ttyUSB0', SerialPortClass: FakeSerialPort, fs});
+  t.equal(found, PELOTON_BY_ID, 'bike found via its by-id link');
+  t.notOk(opened.includes('/dev/ttyUSB0'), 'ANT stick never opened');
+
+  opened.length = 0;
+  await findPelotonPort({preferred: '/dev/ttyUSB9', SerialPortClass: FakeSerialPort, fs});
+  t.deepEqual(opened, [PELOTON_BY_ID], 'remembered device tried first');
+  resetRememberedPelotonPort();
+  t.end();
+});
+
+test('PelotonBikeClient reopens the serial device after USB re-enumeration', async t => {
+  resetRememberedPelotonPort();
+  const devices = ['/dev/ttyUSB0'];
+  const links = {[PELOTON_BY_ID]: '/dev/ttyUSB0'};
+  const fs = createFakeFs({devices, links});
+  const {FakeSerialPort} = createFakeSerialPort(fs, devices);
+  const client = new PelotonBikeClient('/dev/ttyUSB0', {mode: 'passive', SerialPortClass: FakeSerialPort, fs});
+  const disconnects = [];
+  client.on('disconnect', d => disconnects.push(d));
+
+  await client.connect();
+  t.equal(client.state, 'connected', 'connected to configured device');
+
+  // Power blip: ttyUSB0 disappears and comes back as ttyUSB1.
+  devices.splice(0, 1, '/dev/ttyUSB1');
+  links[PELOTON_BY_ID] = '/dev/ttyUSB1';
+  client._port.emit('close');
+  t.equal(client.state, 'reopening', 'waits for the device instead of disconnecting');
+  await client.tryReopen();
+  t.equal(client.state, 'connected', 'reopened');
+  t.equal(client.address, PELOTON_BY_ID, 'reopened through the stable by-id link');
+  t.equal(disconnects.length, 0, 'no disconnect reported');
+
+  // Device gone for good: report the disconnect once the window has passed.
+  devices.length = 0;
+  client._port.emit('close');
+  client.reopenDeadline = 0;
+  await client.tryReopen();
+  t.equal(client.state, 'disconnected', 'gave up');
+  t.equal(disconnects.length, 1, 'disconnect reported');
+  client.statsTimeout.cancel();
+  resetRememberedPelotonPort();
+  t.end();
+});
@@ -0,0 +1,72 @@
+import test from '../support/tape.js';
+import {createFakeStick, antMessage} from '../support/fake-ant-stick.js';
+import {parseAntHeartRatePage} from '../../util/ant-heart-rate.js';
+import {AntHeartRateClient} from '../../hr/ant-heart-rate-client.js';
+
+test('parseAntHeartRatePage() decodes beat time, count and heart rate', t => {
+  t.deepEqual(parseAntHeartRatePage(Buffer.from('00ffffff0004053c', 'hex')),
+    {page: 0, toggle: false, beatTime: 0x400, beatCount: 5, heartRate: 60}, 'page 0');
+  t.deepEqual(parseAntHeartRatePage(Buffer.from('840000040008063c', 'hex')),
+    {page: 4, toggle: true, beatTime: 0x800, beatCount: 6, heartRate: 60, previousBeatTime: 0x400}, 'page 4 with toggle');
+  t.throws(() => parseAntHeartRatePage(Buffer.from('000000000000', 'hex')), /unable to parse message/, 'short page');
+  t.end();
+});
+
+test('AntHeartRateClient opens a receive channel and emits heart rate per beat', t => {
+  const stick = createFakeStick();
+  const client = new AntHeartRateClient(stick, {channel: 2, deviceId: 4321});
+  const readings = [];
+  client.on('heartRate', (hr, measurement) => readings.push({hr, measurement}));
+
+  client.start();
+  t.ok(client.isRunning, 'running after start');
+  t.equal(stick.written.length, 6, 'channel setup messages written');
+
+  stick.emit('read', antMessage(0x4e, 2, '00ffffff0004053c'));
+  stick.emit('read', antMessage(0x4e, 2, '00ffffff0004053c')); // same beat repeated at 4hz
+  stick.emit('read', antMessage(0x4e, 1, '00ffffff00080650')); // another channel
+  stick.emit('read', antMessage(0x4e, 2, '00ffffff0008063e'));
+  stick.emit('read', antMessage(0x4e, 2, '8400000a000c0841')); // page 4 after a missed beat
+  t.deepEqual(readings, [
+    {hr: 60, measurement: {heartRate: 60}},
+    {hr: 62, measurement: {heartRate: 62, rrIntervals: [1]}},
+    {hr: 65, measurement: {heartRate: 65, rrIntervals: [0.5]}},
+  ], 'one reading per beat, RR from consecutive beats or page 4');
+  t.equal(stick.written.length, 6, 'pinned device is never re-requested');
+
+  client.stop();
+  t.notOk(client.isRunning, 'stopped');
+  t.equal(stick.written.length, 8, 'close and unassign written');
+  stick.emit('read', antMessage(0x4e, 2, '00ffffff000c0742'));
+  t.equal(readings.length, 3, 'no readings after stop');
+  t.end();
+});
+
+test('AntHeartRateClient reports the strap found by a wildcard search', t => {
+  const stick = createFakeStick();
+  const client = new AntHeartRateClient(stick);
+  const paired = [];
+  client.on('paired', deviceId => paired.push(deviceId));
+
+  client.start();
+  stick.emit('read', antMessage(0x4e, 2, '00ffffff0004053c'));
+  stick.emit('read', antMessage(0x4e, 2, '00ffffff0008063c'));
+  t.equal(stick.written.length, 7, 'channel id requested once');
+  stick.emit('read', antMessage(0x51, 2, 'd2047801'));
+  t.deepEqual(paired, [1234], 'device number reported');
+  t.equal(client.deviceId, 1234, 'device number kept for restarts');
+  stick.emit('read', antMessage(0x51, 2, 'd2047801'));
+  t.deepEqual(paired, [1234], 'reported once');
+  client.stop();
+  t.end();
+});
+
+test('AntHeartRateClient reopens the channel when the stick closes it', t => {
+  const stick = createFakeStick();
+  const client = new AntHeartRateClient(stick, {deviceId: 1234});
+  client.start();
+  stick.emit('read', antMessage(0x40, 2, '0107'));
+  t.equal(stick.written.length, 7, 'open channel written again');
+  client.stop();
+  t.end();
+});
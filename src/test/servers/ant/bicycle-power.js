@@ -0,0 +1,123 @@
+import test from '../../support/tape.js';
+import {createFakeStick, antMessage, broadcastPages} from '../../support/fake-ant-stick.js';
+import {
+  encodePowerOnlyPage,
+  encodeCrankTorquePage,
+  encodeCalibrationResponsePage,
+  parseCalibrationRequest,
+} from '../../../util/ant-bicycle-power.js';
+import {encodeBatteryStatusPage, encodeManufacturerInfoPage, encodeProductInfoPage} from '../../../util/ant-common-pages.js';
+import {AntServer} from '../../../servers/ant/index.js';
+
+function hex(page) {
+  return Buffer.from(page).toString('hex');
+}
+
+test('bicycle power pages encode power, crank torque and calibration responses', t => {
+  t.equal(hex(encodePowerOnlyPage({eventCount: 3, cadence: 90, accumulatedPower: 0x11234, power: 250})), '1003ff5a3412fa00',
+    'page 16: pedal power unused, accumulated power wrapped');
+  t.equal(hex(encodeCrankTorquePage({eventCount: 2, ticks: 300, cadence: 90, period: 0x1000, torque: 0x10500})), '12022c5a00100005',
+    'page 18: ticks and torque wrapped');
+  t.equal(hex(encodeCalibrationResponsePage({success: true})), '01acffffffff0000', 'manual zero success');
+  t.equal(hex(encodeCalibrationResponsePage({success: false, calibrationData: -1})), '01afffffffffffff', 'calibration failure');
+  t.deepEqual(parseCalibrationRequest(Buffer.from('01aaffffffffffff', 'hex')), {calibrationId: 0xaa}, 'manual zero request');
+  t.equal(parseCalibrationRequest(Buffer.from('10ffffffffffffff', 'hex')), null, 'other pages ignored');
+  t.throws(() => parseCalibrationRequest(Buffer.from('01aa', 'hex')), /unable to parse message/);
+  t.end();
+});
+
+test('encodeBatteryStatusPage() reports operating time with an invalid voltage', t => {
+  t.equal(hex(encodeBatteryStatusPage({operatingTime: 100})), '52ffff320000ffaf', '2 s units, good status');
+  t.equal(hex(encodeBatteryStatusPage({operatingTime: 2 * 0x1000000 + 4, batteryStatus: 4})), '52ffff020000ffcf', 'wrapped time, low status');
+  t.end();
+});
+
+test('AntServer interleaves common pages 80, 81 and 82 with power-only pages', t => {
+  const stick = createFakeStick();
+  const server = new AntServer(stick, {deviceId: 4321});
+  server.start();
+  server.broadcastInterval.cancel(); // drive broadcasts by hand
+  server.updateMeasurement({power: 200, cadence: 90});
+  for (let i = 0; i < 90; i++) {
+    server.onBroadcastInterval();
+  }
+  const pages = broadcastPages(stick, 1);
+  t.deepEqual([pages[29], pages[59], pages[89]].map(page => page[0]), [0x50, 0x51, 0x52], 'a common page every 30 messages');
+  t.equal(hex(pages[29]), hex(encodeManufacturerInfoPage()), 'development manufacturer');
+  t.equal(hex(pages[59]), hex(encodeProductInfoPage({serialNumber: 4321 * 0x10000 + 4321})), 'configured id in both halves of the serial');
+  const power = pages.filter(page => page[0] === 0x10);
+  t.equal(power.length, 87, 'every other message is power-only');
+  t.deepEqual([power[0][1], power[86][1]], [0, 86], 'event count only counts power pages');
+  t.equal(power[1].readUInt16LE(4), 400, 'accumulated power only counts power pages');
+  t.notOk(pages.some(page => page[0] === 0x12), 'no crank torque pages unless enabled');
+  server.stop();
+  t.end();
+});
+
+test('AntServer alternates crank torque pages derived from crank events', t => {
+  const stick = createFakeStick();
+  const server = new AntServer(stick, {deviceId: 4321, crankTorque: true});
+  server.start();
+  server.broadcastInterval.cancel();
+  server.updateMeasurement({power: 200, cadence: 120, crank: {revolutions: 10, timestamp: 100}});
+  server.updateMeasurement({power: 200, cadence: 120, crank: {revolutions: 11, timestamp: 100.5}});
+  server.updateMeasurement({power: 200, cadence: 120, crank: {revolutions: 11, timestamp: 100.5}});
+  server.onBroadcastInterval();
+  server.onBroadcastInterval();
+  const pages = broadcastPages(stick, 1);
+  t.deepEqual(pages.map(page => page[0]), [0x10, 0x12], 'power-only then crank torque');
+  t.equal(hex(pages[1]), hex(encodeCrankTorquePage({eventCount: 1, ticks: 1, cadence: 120, period: 1024, torque: 509})),
+    'one event: one tick, 0.5 s period, torque for 200 W at 120 rpm');
+
+  const torque = pages[1].readUInt16LE(6) / 32;
+  const angularVelocity = 2 * Math.PI * pages[1][2] / (pages[1].readUInt16LE(4) / 2048);
+  t.ok(Math.abs(torque * angularVelocity - 200) < 1, 'head units recover the broadcast power');
+
+  server.updateMeasurement({power: 200, cadence: 120, crank: {revolutions: 2, timestamp: 3}});
+  t.equal(server.torque.eventCount, 1, 'counter reset re-baselines instead of adding an event');
+  server.stop();
+  t.end();
+});
+
+test('AntServer crank torque period spans updates without a new revolution', t => {
+  const stick = createFakeStick();
+  const server = new AntServer(stick, {deviceId: 4321, crankTorque: true});
+  server.start();
+  server.broadcastInterval.cancel();
+  for (let i = 0; i <= 40; i++) { // 60 rpm, updated every 0.25 s
+    server.updateMeasurement({power: 150, cadence: 60, crank: {revolutions: Math.floor(i / 4), timestamp: i * 0.25}});
+  }
+  t.equal(server.torque.eventCount, 10, 'one event per revolution');
+  t.equal(server.torque.period, 10 * 2048, 'period covers the whole 10 s');
+  server.onBroadcastInterval();
+  server.onBroadcastInterval();
+  const page = broadcastPages(stick, 1)[1];
+  const seconds = page.readUInt16LE(4) / 2048;
+  t.equal(60 * page[1] / seconds, 60, 'head units compute 60 rpm');
+  const power = 2 * Math.PI * page.readUInt16LE(6) / 32 / seconds;
+  t.ok(Math.abs(power - 150) < 1, 'and the broadcast power');
+  server.stop();
+  t.end();
+});
+
+test('AntServer answers calibration requests on the power channel', t => {
+  const stick = createFakeStick();
+  const server = new AntServer(stick, {deviceId: 4321});
+  server.start();
+  server.broadcastInterval.cancel();
+
+  stick.emit('read', antMessage(0x4f, 2, '01aaffffffffffff')); // another channel
+  stick.emit('read', antMessage(0x4f, 1, '01aaffffffffffff'));
+  server.onBroadcastInterval();
+  server.onBroadcastInterval();
+  stick.emit('read', antMessage(0x4f, 1, '01abffffffffffff'));
+  server.onBroadcastInterval();
+  const pages = broadcastPages(stick, 1);
+  t.equal(hex(pages[0]), '01acffffffff0000', 'manual zero answered with success');
+  t.equal(pages[1][0], 0x10, 'answered once');
+  t.equal(pages[2][1], 0xaf, 'auto zero configuration is not supported');
+
+  server.stop();
+  t.equal(stick.listenerCount('read'), 0, 'stops listening with the channel');
+  t.end();
+});
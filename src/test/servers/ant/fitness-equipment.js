@@ -0,0 +1,140 @@
+import test from '../../support/tape.js';
+import {createFakeStick, antMessage, broadcastPages} from '../../support/fake-ant-stick.js';
+import {
+  encodeGeneralFePage,
+  encodeTrainerDataPage,
+  parseFeControlPage,
+  COMMAND_STATUS_PASS,
+  COMMAND_STATUS_NOT_SUPPORTED,
+  COMMAND_STATUS_PENDING,
+  FE_STATE_IN_USE,
+} from '../../../util/ant-fitness-equipment.js';
+import {AntFitnessEquipmentServer} from '../../../servers/ant/fitness-equipment.js';
+
+test('FE-C data pages encode general and trainer data', t => {
+  t.equal(Buffer.from(encodeGeneralFePage({elapsedTime: 10, distance: 300, speed: 8.333, heartRate: 140, state: FE_STATE_IN_USE})).toString('hex'),
+    '1019282c8d208c35', 'page 16: wrapping time/distance, speed in mm/s, HR and state');
+  t.equal(Buffer.from(encodeGeneralFePage({elapsedTime: 0, distance: 0, speed: 0})).toString('hex'),
+    '101900000000ff24', 'page 16: invalid heart rate, ready state');
+  t.equal(Buffer.from(encodeTrainerDataPage({eventCount: 5, cadence: 90, accumulatedPower: 0x1234, power: 1000, state: FE_STATE_IN_USE})).toString('hex'),
+    '19055a3412e80330', 'page 25: 12-bit power next to trainer status');
+  t.end();
+});
+
+test('parseFeControlPage() decodes control and request pages', t => {
+  t.deepEqual(parseFeControlPage(Buffer.from('31ffffffffffe803', 'hex')), {page: 0x31, targetPower: 250}, 'target power in 0.25 W');
+  t.deepEqual(parseFeControlPage(Buffer.from('33ffffffff145050', 'hex')), {page: 0x33, grade: 5, rollingResistance: 0.004},
+    'grade offset by -200 %');
+  t.deepEqual(parseFeControlPage(Buffer.from('33ffffffff5c44ff', 'hex')), {page: 0x33, grade: -25, rollingResistance: 0.004},
+    'downhill grade, default rolling resistance');
+  t.deepEqual(parseFeControlPage(Buffer.from('374c1dff850c4650', 'hex')),
+    {page: 0x37, userWeight: 75, bikeWeight: 10, wheelDiameter: 0.705, gearRatio: 2.4}, 'user configuration');
+  t.deepEqual(parseFeControlPage(Buffer.from('37ffffffffffff00', 'hex')),
+    {page: 0x37, userWeight: null, bikeWeight: null, wheelDiameter: null, gearRatio: null}, 'invalid user configuration fields');
+  t.deepEqual(parseFeControlPage(Buffer.from('46ffffffff024701', 'hex')),
+    {page: 0x46, requestedPage: 0x47, transmissions: 2, acknowledged: false, isDataPageRequest: true}, 'request data page');
+  t.deepEqual(parseFeControlPage(Buffer.from('30ffffffffffff64', 'hex')), {page: 0x30}, 'other pages only carry the page number');
+  t.throws(() => parseFeControlPage(Buffer.from('31ff', 'hex')), /unable to parse message/);
+  t.end();
+});
+
+test('AntFitnessEquipmentServer alternates data pages with common pages', t => {
+  const stick = createFakeStick();
+  const server = new AntFitnessEquipmentServer(stick, {channel: 6, deviceId: 4321});
+  server.start();
+  server.broadcastInterval.cancel(); // drive broadcasts by hand
+  t.equal(stick.written[1].readUInt8(6), 0x11, 'fitness equipment device type');
+
+  server.updateMeasurement({power: 200, cadence: 90, speed: 8, heartRate: 130});
+  for (let i = 0; i < 66 * 2; i++) {
+    server.onBroadcastInterval();
+  }
+  const pages = broadcastPages(stick);
+  t.deepEqual(pages.slice(0, 6).map(page => page[0]), [0x10, 0x10, 0x19, 0x19, 0x10, 0x10], 'pages 16 and 25 in pairs');
+  t.deepEqual(pages.slice(64, 66).map(page => page[0]), [0x50, 0x50], 'manufacturer info twice');
+  t.deepEqual(pages.slice(130, 132).map(page => page[0]), [0x51, 0x51], 'product info twice on the next cycle');
+  const trainer = pages.filter(page => page[0] === 0x19);
+  t.equal(trainer[1].readUInt16LE(3), 400, 'accumulated power adds up per update');
+  t.equal(trainer[1][1], 2, 'update event count');
+  t.equal(pages[131].readUInt32LE(4), 4321 * 0x10000 + 4326, 'serial number: configured id, then the FE-C device number');
+  t.equal(stick.written[1].readUInt16LE(4), 4326, 'FE-C device number');
+  server.stop();
+  t.end();
+});
+
+test('AntFitnessEquipmentServer surfaces control pages and reports their status', t => {
+  const stick = createFakeStick();
+  const server = new AntFitnessEquipmentServer(stick, {channel: 6, deviceId: 4321});
+  let now = 0;
+  server.now = () => now;
+  server.start();
+  server.broadcastInterval.cancel();
+
+  stick.emit('read', antMessage(0x4f, 6, '31ffffffffffe803'));
+  t.equal(server.commandStatus.status, COMMAND_STATUS_NOT_SUPPORTED, 'no listener: not supported');
+
+  now += 5000;
+  const commands = [];
+  server.on('control', (command, respond) => commands.push({command, respond}));
+  stick.emit('read', antMessage(0x4f, 5, '31ffffffffffe803')); // another channel
+  stick.emit('read', antMessage(0x4f, 6, '31ffffffffffe803'));
+  stick.emit('read', antMessage(0x4f, 6, '33ffffffff145050'));
+  stick.emit('read', antMessage(0x4f, 6, '374c1dff850c4650'));
+  t.deepEqual(commands.map(({command}) => command), [
+    {type: 'setTargetPower', power: 250},
+    {type: 'setIndoorBikeSimulation', simulation: {windSpeed: 0, grade: 5, crr: 0.004, cw: 0.51}},
+    {type: 'setUserConfiguration', userWeight: 75, bikeWeight: 10, wheelDiameter: 0.705, gearRatio: 2.4},
+  ], 'control pages mapped to control commands');
+
+  commands[1].respond(COMMAND_STATUS_PASS);
+  t.equal(server.commandStatus.status, COMMAND_STATUS_PENDING, 'stale response ignored once a newer command arrived');
+  commands[2].respond(COMMAND_STATUS_PASS);
+
+  stick.emit('read', antMessage(0x4f, 6, '46ffffffff024701'));
+  server.onBroadcastInterval();
+  server.onBroadcastInterval();
+  server.onBroadcastInterval();
+  const pages = broadcastPages(stick);
+  t.deepEqual(pages.slice(0, 2).map(page => page.toString('hex')), ['47370300850c4650', '47370300850c4650'],
+    'requested command status page sent twice: last command, sequence, pass, command data');
+  t.equal(pages[2][0], 0x19, 'then back to the regular rotation');
+
+  stick.emit('read', antMessage(0x4f, 6, '46ffffffff013601'));
+  server.onBroadcastInterval();
+  t.equal(broadcastPages(stick)[3].toString('hex'), '36ffffffffffff06', 'capabilities: target power and simulation');
+  server.stop();
+  t.end();
+});
+
+test('AntFitnessEquipmentServer ignores retransmits of a control page', t => {
+  const stick = createFakeStick();
+  const server = new AntFitnessEquipmentServer(stick, {channel: 6, deviceId: 4321});
+  let now = 0;
+  server.now = () => now;
+  server.start();
+  server.broadcastInterval.cancel();
+  const commands = [];
+  server.on('control', (command, respond) => {
+    commands.push(command);
+    respond(COMMAND_STATUS_PASS);
+  });
+
+  stick.emit('read', antMessage(0x4f, 6, '31ffffffffffe803'));
+  now += 250;
+  stick.emit('read', antMessage(0x4f, 6, '31ffffffffffe803'));
+  t.equal(commands.length, 1, 'acknowledged retransmit relayed once');
+  t.equal(server.commandStatus.sequence, 0, 'retransmit keeps the sequence number');
+
+  stick.emit('read', antMessage(0x4f, 6, '31ffffffffff2003'));
+  t.equal(commands.length, 2, 'a different payload is a new command');
+  now += 250;
+  stick.emit('read', antMessage(0x4f, 6, '31ffffffffffe803'));
+  t.equal(commands.length, 3, 'going back to the earlier payload is a new command');
+
+  now += 5000;
+  stick.emit('read', antMessage(0x4f, 6, '31ffffffffffe803'));
+  t.equal(commands.length, 4, 'the same page after the retransmit window is a new command');
+  t.equal(server.commandStatus.sequence, 3, 'sequence advances per relayed command');
+  server.stop();
+  t.end();
+});
@@ -0,0 +1,67 @@
+import test from '../../support/tape.js';
+import {createFakeStick, broadcastPages} from '../../support/fake-ant-stick.js';
+import {parseAntHeartRatePage, encodeAntHeartRatePage} from '../../../util/ant-heart-rate.js';
+import {AntHeartRateServer} from '../../../servers/ant/heart-rate.js';
+
+function heartRatePages(stick) {
+  return broadcastPages(stick).map(page => parseAntHeartRatePage(page));
+}
+
+test('encodeAntHeartRatePage() round-trips through parseAntHeartRatePage()', t => {
+  const bytes = encodeAntHeartRatePage({page: 4, toggle: true, beatTime: 0x10400, previousBeatTime: 0x0100, beatCount: 257, heartRate: 72});
+  t.deepEqual(Buffer.from(bytes).toString('hex'), '84ff000100040148', 'times and count wrap, byte 1 reserved');
+  t.deepEqual(parseAntHeartRatePage(Buffer.from(bytes)),
+    {page: 4, toggle: true, beatTime: 0x400, beatCount: 1, heartRate: 72, previousBeatTime: 0x100});
+  t.equal(Buffer.from(encodeAntHeartRatePage({page: 1, operatingTime: 3600, beatTime: 0, beatCount: 0, heartRate: 0})).toString('hex'),
+    '01080700' + '00000000', 'page 1: operating time in 2 s units');
+  t.equal(Buffer.from(encodeAntHeartRatePage({page: 2, manufacturerId: 255, serialNumber: 0x00021234, beatTime: 0, beatCount: 0, heartRate: 60})).toString('hex'),
+    '02ff0200' + '0000003c', 'page 2: manufacturer and upper serial number');
+  t.equal(Buffer.from(encodeAntHeartRatePage({page: 3, hardwareVersion: 1, softwareVersion: 2, modelNumber: 3, beatTime: 0, beatCount: 0, heartRate: 60})).toString('hex'),
+    '03010203' + '0000003c', 'page 3: product info');
+  t.end();
+});
+
+test('AntHeartRateServer broadcasts page 4 with interleaved background pages', t => {
+  const stick = createFakeStick();
+  const server = new AntHeartRateServer(stick, {channel: 3, deviceId: 4321});
+  server.start();
+  server.broadcastInterval.cancel(); // drive broadcasts by hand
+  t.equal(stick.written.length, 5, 'channel setup messages written');
+  t.equal(stick.written[1].readUInt16LE(4), 4325, 'device number offset from the configured id');
+
+  server.updateHeartRate(60);
+  for (let i = 0; i < 68 * 3; i++) {
+    server.onBroadcastInterval();
+  }
+  const pages = heartRatePages(stick);
+  t.ok(pages.slice(0, 64).every(page => page.page === 4), 'main data page 4');
+  t.deepEqual(pages.slice(64, 68).map(page => page.page), [1, 1, 1, 1], 'operating time background page');
+  t.deepEqual(pages.slice(132, 136).map(page => page.page), [2, 2, 2, 2], 'manufacturer background page');
+  t.equal(broadcastPages(stick)[132].readUInt16LE(2), 4321, 'upper serial number from the configured id');
+  t.equal(server.serialNumber, 4321 * 0x10000 + 4325, 'device number is the low half of the serial');
+  t.deepEqual(pages.slice(200, 204).map(page => page.page), [3, 3, 3, 3], 'product background page');
+  t.deepEqual(pages.slice(0, 9).map(page => page.toggle), [false, false, false, false, true, true, true, true, false],
+    'toggle bit flips every 4 messages');
+  t.ok(pages.every(page => page.heartRate === 60), 'heart rate on every page');
+
+  const beats = pages.filter((page, i) => page.page === 4 && i > 0 && page.beatCount !== pages[i - 1].beatCount);
+  t.ok(beats.length >= 45, 'about one beat per second');
+  t.ok(beats.every(page => page.beatTime - page.previousBeatTime === 1024 || page.beatTime < page.previousBeatTime),
+    'one second between beats at 60 bpm');
+
+  server.updateHeartRate(0);
+  const held = heartRatePages(stick).pop();
+  server.onBroadcastInterval();
+  server.onBroadcastInterval();
+  server.onBroadcastInterval();
+  server.onBroadcastInterval();
+  server.onBroadcastInterval();
+  const last = heartRatePages(stick).pop();
+  t.equal(last.beatCount, held.beatCount, 'no beats without a heart rate');
+  t.equal(last.heartRate, 0, 'heart rate reported as invalid');
+
+  server.stop();
+  t.notOk(server.isRunning, 'stopped');
+  t.deepEqual(stick.written.slice(-2).map(message => message.readUInt8(2)), [0x4c, 0x41], 'close and unassign written');
+  t.end();
+});
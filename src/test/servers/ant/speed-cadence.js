@@ -0,0 +1,81 @@
+import test from '../../support/tape.js';
+import {createFakeStick, broadcastPages} from '../../support/fake-ant-stick.js';
+import {encodeAntSpeedCadencePage, encodeAntRevolutionPage} from '../../../util/ant-speed-cadence.js';
+import {AntSpeedCadenceServer} from '../../../servers/ant/speed-cadence.js';
+import {AntServer} from '../../../servers/ant/index.js';
+
+test('encodeAntSpeedCadencePage() packs event times and counts little-endian', t => {
+  const page = encodeAntSpeedCadencePage({cadenceEventTime: 0x10400, cadenceRevolutions: 0x1234, speedEventTime: 0x0800, speedRevolutions: 0x12345});
+  t.equal(Buffer.from(page).toString('hex'), '0004341200084523', 'crank then wheel, wrapped to 16 bits');
+  t.equal(Buffer.from(encodeAntRevolutionPage({page: 0, toggle: true, eventTime: 0x0400, revolutions: 7})).toString('hex'),
+    '80ffffff00040700', 'page 0 with toggle and reserved bytes');
+  t.equal(Buffer.from(encodeAntRevolutionPage({page: 3, hardwareVersion: 1, softwareVersion: 2, modelNumber: 3, eventTime: 0, revolutions: 0})).toString('hex'),
+    '0301020300000000', 'background page 3');
+  t.end();
+});
+
+test('AntSpeedCadenceServer holds the event time until a new revolution', t => {
+  const stick = createFakeStick();
+  const server = new AntSpeedCadenceServer(stick, {channel: 4, deviceId: 4321, type: 'speed-cadence'});
+  server.start();
+  server.broadcastInterval.cancel(); // drive broadcasts by hand
+  t.equal(stick.written.length, 5, 'channel setup messages written');
+  t.equal(stick.written[1].readUInt8(6), 0x79, 'combined speed & cadence device type');
+
+  server.updateMeasurement({crank: {revolutions: 10, timestamp: 1}, wheel: {revolutions: 30, timestamp: 1}});
+  server.onBroadcastInterval();
+  server.updateMeasurement({crank: {revolutions: 10, timestamp: 1.5}, wheel: {revolutions: 32, timestamp: 1.5}});
+  server.onBroadcastInterval();
+  const [first, second] = broadcastPages(stick, 4).map(page => ({
+    cadenceEventTime: page.readUInt16LE(0),
+    cadenceRevolutions: page.readUInt16LE(2),
+    speedEventTime: page.readUInt16LE(4),
+    speedRevolutions: page.readUInt16LE(6),
+  }));
+  t.deepEqual(first, {cadenceEventTime: 1024, cadenceRevolutions: 10, speedEventTime: 1024, speedRevolutions: 30});
+  t.deepEqual(second, {cadenceEventTime: 1024, cadenceRevolutions: 10, speedEventTime: 1536, speedRevolutions: 32},
+    'crank event time held while the count is unchanged');
+
+  server.stop();
+  t.deepEqual(stick.written.slice(-2).map(message => message.readUInt8(2)), [0x4c, 0x41], 'close and unassign written');
+  t.throws(() => new AntSpeedCadenceServer(stick, {type: 'power'}), /unknown ANT\+ speed\/cadence channel type/);
+  t.end();
+});
+
+test('AntSpeedCadenceServer speed-only channel interleaves background pages', t => {
+  const stick = createFakeStick();
+  const server = new AntSpeedCadenceServer(stick, {channel: 4, deviceId: 4321, type: 'speed'});
+  server.start();
+  server.broadcastInterval.cancel();
+  t.equal(stick.written[1].readUInt8(6), 0x7b, 'speed device type');
+  server.updateMeasurement({crank: {revolutions: 5, timestamp: 2}, wheel: {revolutions: 40, timestamp: 2}});
+  for (let i = 0; i < 68; i++) {
+    server.onBroadcastInterval();
+  }
+  const pages = broadcastPages(stick, 4);
+  t.ok(pages.slice(0, 64).every(page => (page.readUInt8(0) & 0x7f) === 0), 'main page 0');
+  t.ok(pages.slice(64).every(page => (page.readUInt8(0) & 0x7f) === 1), 'then background page 1');
+  t.deepEqual(pages.slice(3, 5).map(page => page.readUInt8(0) >> 7), [0, 1], 'toggle flips after 4 messages');
+  t.ok(pages.every(page => page.readUInt16LE(4) === 2048 && page.readUInt16LE(6) === 40), 'wheel event on every page');
+  server.stop();
+  t.end();
+});
+
+test('AntServer opens speed/cadence channels next to the power channel', t => {
+  const stick = createFakeStick();
+  const server = new AntServer(stick, {deviceId: 4321, speedCadence: 'separate'});
+  t.deepEqual(server.speedCadenceServers.map(s => [s.type, s.channel]), [['speed', 4], ['cadence', 5]]);
+  server.start();
+  server.broadcastInterval.cancel();
+  t.ok(server.speedCadenceServers.every(s => s.isRunning), 'opened with the power channel');
+  server.updateMeasurement({power: 200, cadence: 90, crank: {revolutions: 3, timestamp: 1}, wheel: {revolutions: 9, timestamp: 1}});
+  t.deepEqual(server.speedCadenceServers.map(s => s.type === 'speed' ? s.wheel.revolutions : s.crank.revolutions), [9, 3],
+    'revolutions forwarded');
+  t.deepEqual(server.speedCadenceServers.map(s => s.deviceId), [4323, 4324], 'each channel has its own device number');
+  t.notOk(server.speedCadenceServers.some(s => s.deviceId === server.deviceId), 'apart from the power channel');
+  server.stop();
+  t.ok(server.speedCadenceServers.every(s => !s.isRunning), 'closed with the power channel');
+  t.equal(new AntServer(stick).speedCadenceServers.length, 0, 'off by default');
+  t.throws(() => new AntServer(stick, {speedCadence: 'both'}), /unknown ANT\+ speed\/cadence mode/);
+  t.end();
+});
@@ -0,0 +1,94 @@
+import test from '../../support/tape.js';
+import {encodeIndoorBikeData} from '../../../servers/ble/services/fitness-machine/characteristics/indoor-bike-data.js';
+import {createServices} from '../../../servers/ble/index.js';
+import {FitnessMachineService} from '../../../servers/ble/services/fitness-machine/index.js';
+import {
+  RESULT_SUCCESS,
+  RESULT_OP_CODE_NOT_SUPPORTED,
+  RESULT_INVALID_PARAMETER,
+  RESULT_OPERATION_FAILED,
+  RESULT_CONTROL_NOT_PERMITTED,
+} from '../../../util/ftms-control-point.js';
+
+test('encodeIndoorBikeData() encodes speed, cadence and power', t => {
+  t.plan(5);
+  const buf = encodeIndoorBikeData({speed: 10, cadence: 90, power: 250});
+  t.equal(buf.readUInt16LE(0), 0x0044, 'flags (cadence + power, speed implied)');
+  t.equal(buf.readUInt16LE(2), 3600, 'speed (0.01 km/h)');
+  t.equal(buf.readUInt16LE(4), 180, 'cadence (0.5 rpm)');
+  t.equal(buf.readInt16LE(6), 250, 'power (watts)');
+  t.equal(buf.length, 8, 'no optional fields beyond power');
+});
+
+test('encodeIndoorBikeData() includes resistance and heart rate when known', t => {
+  t.plan(5);
+  const buf = encodeIndoorBikeData({speed: 0, cadence: 80, power: 200, resistance: 35, heartRate: 142});
+  t.equal(buf.readUInt16LE(0), 0x0264, 'flags (cadence + resistance + power + heart rate)');
+  t.equal(buf.readInt16LE(6), 35, 'resistance level');
+  t.equal(buf.readInt16LE(8), 200, 'power (watts)');
+  t.equal(buf.readUInt8(10), 142, 'heart rate (bpm)');
+  t.equal(buf.length, 11, 'total length');
+});
+
+test('createServices() includes FTMS unless disabled', t => {
+  t.plan(2);
+  const withFtms = createServices({includeHeartRate: false}).map(service => service.uuid);
+  const withoutFtms = createServices({includeHeartRate: false, includeFitnessMachine: false}).map(service => service.uuid);
+  t.ok(withFtms.includes('1826'), 'FTMS present by default');
+  t.notOk(withoutFtms.includes('1826'), 'FTMS omitted when disabled');
+});
+
+function subscribeControlPoint(service) {
+  const indications = [];
+  service.controlPoint.onSubscribe(20, value => indications.push([...value]));
+  const statuses = [];
+  service.status.updateValueCallback = value => statuses.push([...value]);
+  return {indications, statuses};
+}
+
+test('FitnessMachineService control point requires Request Control before targets', async t => {
+  const commands = [];
+  const service = new FitnessMachineService({onControlRequest: async command => {
+    commands.push(command.type);
+    return RESULT_SUCCESS;
+  }});
+  const {indications, statuses} = subscribeControlPoint(service);
+
+  await service.controlPoint.handleRequest(Buffer.from([0x05, 0xc8, 0x00]));
+  t.deepEqual(indications.pop(), [0x80, 0x05, RESULT_CONTROL_NOT_PERMITTED], 'target rejected without control');
+
+  await service.controlPoint.handleRequest(Buffer.from([0x00]));
+  await service.controlPoint.handleRequest(Buffer.from([0x05, 0xc8, 0x00]));
+  t.deepEqual(indications, [[0x80, 0x00, RESULT_SUCCESS], [0x80, 0x05, RESULT_SUCCESS]], 'control granted then target accepted');
+  t.deepEqual(commands, ['requestControl', 'setTargetPower'], 'validated commands relayed');
+  t.deepEqual(statuses, [[0x08, 0xc8, 0x00]], 'target power change announced on status');
+  t.end();
+});
+
+test('FitnessMachineService control point validates parameters and unknown op codes', async t => {
+  const service = new FitnessMachineService({onControlRequest: async () => RESULT_SUCCESS});
+  const {indications} = subscribeControlPoint(service);
+  await service.controlPoint.handleRequest(Buffer.from([0x00]));
+  await service.controlPoint.handleRequest(Buffer.from([0x05, 0x70, 0x17])); // 6000 W exceeds supported range
+  await service.controlPoint.handleRequest(Buffer.from([0x11, 0x00])); // truncated simulation parameters
+  await service.controlPoint.handleRequest(Buffer.from([0x03, 0x10])); // target inclination is not offered
+  t.deepEqual(indications.slice(1), [
+    [0x80, 0x05, RESULT_INVALID_PARAMETER],
+    [0x80, 0x11, RESULT_INVALID_PARAMETER],
+    [0x80, 0x03, RESULT_OP_CODE_NOT_SUPPORTED],
+  ], 'error result codes');
+  t.end();
+});
+
+test('FitnessMachineService control point reports relay results', async t => {
+  const unsupported = new FitnessMachineService({onControlRequest: async () => RESULT_OP_CODE_NOT_SUPPORTED});
+  const a = subscribeControlPoint(unsupported);
+  await unsupported.controlPoint.handleRequest(Buffer.from([0x00]));
+  t.deepEqual(a.indications, [[0x80, 0x00, RESULT_OP_CODE_NOT_SUPPORTED]], 'non-controllable bike answers not supported');
+
+  const failing = new FitnessMachineService({onControlRequest: async () => { throw new Error('boom'); }});
+  const b = subscribeControlPoint(failing);
+  await failing.controlPoint.handleRequest(Buffer.from([0x00]));
+  t.deepEqual(b.indications, [[0x80, 0x00, RESULT_OPERATION_FAILED]], 'relay errors become operation failed');
+  t.end();
+});
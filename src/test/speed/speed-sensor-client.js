@@ -0,0 +1,99 @@
+import test from '../support/tape.js';
+import {SpeedSensorClient} from '../../speed/speed-sensor-client.js';
+import {CadenceSensorClient} from '../../cadence/cadence-sensor-client.js';
+import {CscSensorClaims} from '../../util/csc-sensor-client.js';
+
+const silentLogger = {log() {}, warn() {}, error() {}};
+
+function peripheral(address, localName, serviceUuids = ['1816']) {
+  return {address, advertisement: {localName, serviceUuids}};
+}
+
+test('SpeedSensorClient matches standard CSC sensors, optionally pinned by name or address', t => {
+  const any = new SpeedSensorClient(null, {logger: silentLogger});
+  t.ok(any.matchesFilter(peripheral('aa:bb:cc:dd:ee:01', 'Wahoo SPEED 1234')), 'advertises 0x1816');
+  t.notOk(any.matchesFilter(peripheral('aa:bb:cc:dd:ee:02', 'Legacy', ['181a'])), 'legacy service ignored');
+
+  const byAddress = new SpeedSensorClient(null, {logger: silentLogger, deviceAddress: 'AA-BB-CC-DD-EE-01'});
+  t.ok(byAddress.matchesFilter(peripheral('aa:bb:cc:dd:ee:01', 'Wahoo SPEED 1234')), 'pinned address');
+  t.notOk(byAddress.matchesFilter(peripheral('aa:bb:cc:dd:ee:02', 'Wahoo SPEED 5678')), 'other address');
+  t.ok(byAddress.matchesFilter(peripheral('aa:bb:cc:dd:ee:01', '', undefined)), 'address pin trusted without service list');
+
+  const byName = new SpeedSensorClient(null, {logger: silentLogger, deviceName: 'garmin'});
+  t.ok(byName.matchesFilter(peripheral('aa:bb:cc:dd:ee:03', 'Garmin Speed Sensor 2')), 'name filter');
+  t.notOk(byName.matchesFilter(peripheral('aa:bb:cc:dd:ee:01', 'Wahoo SPEED 1234')), 'name mismatch');
+  t.end();
+});
+
+test('SpeedSensorClient emits wheel stats and forwards combo crank data', t => {
+  const client = new SpeedSensorClient(null, {logger: silentLogger, statTimeout: 0});
+  const speed = [];
+  const cadence = [];
+  client.on('stats', stats => speed.push(stats));
+  client.on('cadence', stats => cadence.push(stats));
+
+  client.onMeasurement(Buffer.from('036400000000000a000000', 'hex'));
+  client.onMeasurement(Buffer.from('036600000000040b0000', 'hex')); // truncated: ignored
+  client.onMeasurement(Buffer.from('036600000000040b000004', 'hex'));
+  t.equal(speed.length, 2, 'wheel stats per measurement');
+  t.equal(speed[1].revolutionsSinceLastEvent, 2);
+  t.equal(speed[1].timeSinceLastEvent, 1);
+  t.equal(speed[1].wheelRevolutions, 102);
+  t.equal(cadence.length, 2, 'crank data forwarded');
+  t.equal(cadence[1].cadenceRpm, 60);
+
+  client.onMeasurement(Buffer.from('020d000008', 'hex'));
+  t.equal(speed.length, 2, 'crank-only measurement carries no wheel stats');
+  t.equal(cadence.length, 3);
+  t.end();
+});
+
+test('Speed and cadence clients never claim the same sensor', t => {
+  const claims = new CscSensorClaims();
+  const speed = new SpeedSensorClient(null, {logger: silentLogger, claims});
+  const cadence = new CadenceSensorClient(null, {logger: silentLogger, claims});
+  const combo = peripheral('aa:bb:cc:dd:ee:01', 'Wahoo CSC');
+  const other = peripheral('aa:bb:cc:dd:ee:02', 'Wahoo CADENCE');
+  t.ok(speed.claim(combo), 'first client claims the combo sensor');
+  t.notOk(cadence.claim(combo), 'second client skips it');
+  t.ok(cadence.claim(other), 'second client takes the next sensor');
+  speed.cleanupConnection();
+  t.ok(cadence.claim(combo), 'claim released on cleanup');
+  t.end();
+});
+
+test('Cadence client leaves a speed-only sensor to the speed client', t => {
+  const claims = new CscSensorClaims();
+  const speed = new SpeedSensorClient(null, {logger: silentLogger, claims});
+  const cadence = new CadenceSensorClient(null, {logger: silentLogger, claims});
+  const speedOnly = peripheral('aa:bb:cc:dd:ee:01', 'Wahoo SPEED');
+  t.ok(cadence.claim(speedOnly), 'features unknown before connecting');
+  claims.setFeatures('aa:bb:cc:dd:ee:01', {wheel: true, crank: false});
+  cadence.cleanupConnection();
+  t.notOk(cadence.claim(speedOnly), 'skipped once CSC Feature says it has no crank data');
+  t.ok(speed.claim(speedOnly), 'the speed client takes it');
+  t.end();
+});
+
+test('A combo sensor held by one client stops the other from scanning until released', t => {
+  const claims = new CscSensorClaims();
+  const speed = new SpeedSensorClient(null, {logger: silentLogger, claims});
+  const cadence = new CadenceSensorClient(null, {logger: silentLogger, claims});
+  let scans = 0;
+  cadence.connect = () => { scans++; };
+
+  t.ok(speed.claim(peripheral('aa:bb:cc:dd:ee:01', 'Wahoo CSC')));
+  claims.setFeatures('aa:bb:cc:dd:ee:01', {wheel: true, crank: true});
+  t.ok(cadence.isCovered(), 'crank data comes from the speed client\'s combo sensor');
+  t.notOk(speed.isCovered(), 'the owner is not covered by its own sensor');
+  cadence.scheduleReconnect();
+  t.ok(cadence.covered, 'idle instead of retrying');
+  t.equal(cadence.retryTimer, null, 'no reconnect scheduled');
+  t.notOk(cadence.claim(peripheral('aa:bb:cc:dd:ee:01', 'Wahoo CSC')), 'never claims the combo sensor itself');
+
+  speed.cleanupConnection();
+  t.notOk(cadence.covered, 'resumes when the combo sensor is released');
+  t.equal(scans, 1, 'and scans again');
+  t.equal(cadence.getStatus().covered, false, 'status shows it scanning for its own sensor');
+  t.end();
+});
@@ -0,0 +1,66 @@
+import {EventEmitter} from 'events';
+
+const CONFIG_MESSAGES = [0x41, 0x42, 0x43, 0x44, 0x45, 0x4b, 0x4c, 0x51];
+
+/**
+ * ANT+ stick double: records every message written and emits whatever the
+ * test feeds it on 'read'. With `autoRespond` it answers configuration
+ * messages with a channel response (code from stick.codes, default 0) the
+ * way a real stick does, and reports the channel closed after a close.
+ * `present`, `opened` and `closed` back is_present()/open()/close() for code
+ * that manages the stick itself. Like gd-ant-plus, open() returns true at
+ * once and 'startup' follows asynchronously; with `autoStartup: false` the
+ * test emits 'startup' itself.
+ */
+export function createFakeStick({autoRespond = false, autoStartup = true} = {}) {
+  const stick = new EventEmitter();
+  stick.written = [];
+  stick.codes = {};
+  stick.present = true;
+  stick.opened = 0;
+  stick.closed = 0;
+  stick.is_present = () => stick.present;
+  stick.open = () => {
+    stick.opened++;
+    if (autoStartup) {
+      setImmediate(() => stick.emit('startup'));
+    }
+    return true;
+  };
+  stick.close = () => { stick.closed++; };
+  stick.write = (message) => {
+    stick.written.push(message);
+    const id = message.readUInt8(2);
+    if (autoRespond && CONFIG_MESSAGES.includes(id)) {
+      setImmediate(() => emitChannelResponse(stick, message.readUInt8(3), id, stick.codes[id] ?? 0));
+      if (id === 0x4c) {
+        setImmediate(() => emitChannelResponse(stick, message.readUInt8(3), 0x01, 0x07)); // channel closed event
+      }
+    }
+  };
+  return stick;
+}
+
+/**
+ * Raw ANT message as the stick emits it on 'read': sync, length, id, channel, payload, checksum.
+ */
+export function antMessage(id, channel, payloadHex) {
+  const payload = Buffer.from(payloadHex, 'hex');
+  return Buffer.from([0xa4, payload.length + 1, id, channel, ...payload, 0x00]);
+}
+
+/**
+ * Have the stick report a channel response/event (message 0x40) for `messageId`.
+ */
+export function emitChannelResponse(stick, channel, messageId, code) {
+  stick.emit('read', Buffer.from([0xa4, 0x03, 0x40, channel, messageId, code, 0x00]));
+}
+
+/**
+ * The 8-byte pages broadcast (message 0x4e) so far, optionally on one channel only.
+ */
+export function broadcastPages(stick, channel) {
+  return stick.written
+    .filter(message => message.readUInt8(2) === 0x4e && (channel === undefined || message.readUInt8(3) === channel))
+    .map(message => message.subarray(4, 12));
+}
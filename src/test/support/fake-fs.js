@@ -0,0 +1,32 @@
+/**
+ * Tiny synchronous fs double for code that inspects /dev and /sys.
+ * `devices` are real device nodes, `links` maps symlinks (e.g. /dev/serial/by-id
+ * entries) to device nodes, and `files` holds plain file contents such as
+ * sysfs idVendor/idProduct values.
+ */
+export function createFakeFs({devices = [], links = {}, files = {}} = {}) {
+  const realpath = (p) => {
+    const target = links[p] ?? p;
+    if (!devices.includes(target)) {
+      throw new Error(`ENOENT: ${p}`);
+    }
+    return target;
+  };
+  return {
+    realpathSync: realpath,
+    existsSync: (p) => p in files || devices.includes(links[p] ?? p),
+    readFileSync: (p) => {
+      if (!(p in files)) throw new Error(`ENOENT: ${p}`);
+      return files[p];
+    },
+    readdirSync: (dir) => {
+      const prefix = `${dir}/`;
+      const names = [...devices, ...Object.keys(links)]
+        .filter(p => p.startsWith(prefix) && !p.slice(prefix.length).includes('/'))
+        .map(p => p.slice(prefix.length));
+      if (!names.length) throw new Error(`ENOENT: ${dir}`);
+      return [...new Set(names)];
+    },
+  };
+}
+
@@ -0,0 +1,19 @@
+import test from '../support/tape.js';
+import {profileDeviceId, profileSerialNumber} from '../../util/ant-device-id.js';
+
+test('profileDeviceId() gives each ANT+ broadcaster its own device number', t => {
+  const ids = ['power', 'speed-cadence', 'speed', 'cadence', 'heart-rate', 'fitness-equipment']
+    .map(profile => profileDeviceId(21234, profile));
+  t.equal(ids[0], 21234, 'power keeps the configured id');
+  t.equal(new Set(ids).size, ids.length, 'no two profiles share a device number');
+  t.equal(profileDeviceId(0xffff, 'speed'), 1, 'wraps at 16 bits');
+  t.equal(profileDeviceId(0xfffb, 'fitness-equipment'), 1, 'never the 0 wildcard');
+  t.throws(() => profileDeviceId(21234, 'rower'), /unknown ANT\+ profile "rower"/);
+  t.end();
+});
+
+test('profileSerialNumber() puts the configured id above the device number', t => {
+  t.equal(profileSerialNumber(21234, 'heart-rate'), 21234 * 0x10000 + 21238);
+  t.equal(profileSerialNumber(0xffff, 'power'), 0xffffffff, 'unsigned 32-bit');
+  t.end();
+});
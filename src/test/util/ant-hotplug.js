@@ -0,0 +1,49 @@
+import test from '../support/tape.js';
+import {AntHotplugWatcher} from '../../util/ant-hotplug.js';
+import {createFakeFs} from '../support/fake-fs.js';
+
+const STICK = '/sys/bus/usb/devices/1-1';
+const plugged = () => createFakeFs({devices: [STICK], files: {
+  [`${STICK}/idVendor`]: '0fcf\n',
+  [`${STICK}/idProduct`]: '1008\n',
+}});
+
+test('AntHotplugWatcher emits attach and detach as the stick comes and goes', t => {
+  const watcher = new AntHotplugWatcher({fs: createFakeFs(), interval: 60});
+  const events = [];
+  watcher.on('attach', stick => events.push(['attach', stick]));
+  watcher.on('detach', stick => events.push(['detach', stick]));
+  watcher.start();
+  try {
+    t.notOk(watcher.isPresent, 'no stick at start');
+    watcher.poll();
+    t.deepEqual(events, [], 'nothing changed');
+
+    watcher.fs = plugged();
+    watcher.poll();
+    watcher.poll();
+    t.deepEqual(events, [['attach', {path: STICK, id: '0fcf:1008'}]], 'stick plugged in, reported once');
+    t.ok(watcher.isPresent, 'present');
+
+    watcher.fs = createFakeFs();
+    watcher.poll();
+    t.deepEqual(events.slice(-1)[0], ['detach', {path: STICK, id: '0fcf:1008'}], 'stick removed');
+    t.notOk(watcher.isPresent, 'gone');
+  } finally {
+    watcher.stop();
+  }
+  t.end();
+});
+
+test('AntHotplugWatcher takes sticks present at start as the baseline', t => {
+  const watcher = new AntHotplugWatcher({fs: plugged(), interval: 60});
+  const events = [];
+  watcher.on('attach', () => events.push('attach'));
+  watcher.start();
+  watcher.poll();
+  watcher.stop();
+  t.ok(watcher.isPresent, 'present at start');
+  t.deepEqual(events, [], 'no attach for a stick that was already there');
+  t.notOk(watcher.isRunning, 'stopped');
+  t.end();
+});
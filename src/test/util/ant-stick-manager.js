@@ -0,0 +1,192 @@
+import test from '../support/tape.js';
+import {createFakeStick, emitChannelResponse} from '../support/fake-ant-stick.js';
+import {AntStickManager, allocateChannel} from '../../util/ant-stick-manager.js';
+import {AntHeartRateServer} from '../../servers/ant/heart-rate.js';
+
+function ids(stick) {
+  return stick.written.map(message => message.readUInt8(2));
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('AntStickManager allocates preferred channels and falls back to free ones', t => {
+  const manager = new AntStickManager(createFakeStick(), {maxChannels: 3});
+  t.equal(manager.allocateChannel('power', 1), 1, 'preferred channel');
+  t.equal(manager.allocateChannel('heart-rate', 1), 0, 'taken: first free channel');
+  t.equal(manager.allocateChannel('power', 2), 1, 'same owner keeps its channel');
+  t.equal(allocateChannel(manager, 'bike', 0), 2, 'profiles allocate through the manager');
+  t.equal(allocateChannel({write() {}}, 'bike', 5), 5, 'plain sticks keep the profile default');
+  t.throws(() => manager.allocateChannel('fec', 6), /no free ANT\+ channel for fec/);
+  manager.releaseChannel(0);
+  t.equal(manager.allocateChannel('fec', 6), 0, 'released channels are reused');
+  t.deepEqual(manager.getStatus().map(({channel, owner, state}) => [channel, owner, state]),
+    [[1, 'power', 'unassigned'], [2, 'bike', 'unassigned'], [0, 'fec', 'unassigned']], 'per-channel status');
+  t.end();
+});
+
+test('AntStickManager sends channel setup one message per acknowledgement', async t => {
+  const stick = createFakeStick();
+  const manager = new AntStickManager(stick);
+  const states = [];
+  manager.on('channel', ({channel, state}) => states.push([channel, state]));
+  const reads = [];
+  manager.on('read', data => reads.push(data));
+  const server = new AntHeartRateServer(manager, {channel: 3});
+  server.start();
+  server.broadcastInterval.cancel();
+  t.deepEqual(ids(stick), [0x42], 'only the assign is sent');
+
+  for (let expected of [[0x42, 0x51], [0x51, 0x45], [0x45, 0x43], [0x43, 0x4b]]) {
+    emitChannelResponse(stick, 3, expected[0], 0);
+    t.equal(ids(stick).slice(-1)[0], expected[1], `0x${expected[1].toString(16)} sent after 0x${expected[0].toString(16)} was acknowledged`);
+  }
+  emitChannelResponse(stick, 2, 0x4b, 0);
+  t.deepEqual(states.slice(-1)[0], [3, 'opening'], 'responses for other channels do not count');
+  emitChannelResponse(stick, 3, 0x4b, 0);
+  t.deepEqual(states, [[3, 'opening'], [3, 'open']], 'open once acknowledged');
+  t.equal(reads.length, 6, 'reads are passed on to the profiles');
+
+  server.onBroadcastInterval();
+  t.equal(ids(stick).slice(-1)[0], 0x4e, 'broadcasts go straight through');
+
+  server.stop();
+  t.deepEqual(ids(stick).slice(-1), [0x4c], 'close sent');
+  emitChannelResponse(stick, 3, 0x4c, 0);
+  t.equal(ids(stick).slice(-1)[0], 0x4c, 'unassign waits for the channel to close');
+  emitChannelResponse(stick, 3, 0x01, 0x07);
+  t.equal(ids(stick).slice(-1)[0], 0x41, 'then unassign');
+  emitChannelResponse(stick, 3, 0x41, 0);
+  t.deepEqual(states.slice(2), [[3, 'closing'], [3, 'closed'], [3, 'unassigned']], 'closing states');
+  t.end();
+});
+
+test('AntStickManager retries a failed channel setup with backoff', async t => {
+  const stick = createFakeStick({autoRespond: true});
+  stick.codes[0x4b] = 0x15; // channel in wrong state
+  const manager = new AntStickManager(stick, {retryDelay: 5, maxRetries: 2});
+  const states = [];
+  manager.on('channel', ({state, attempts}) => states.push([state, attempts]));
+  const server = new AntHeartRateServer(manager, {channel: 3});
+  server.start();
+  server.broadcastInterval.cancel();
+  await wait(10);
+  t.deepEqual(states.slice(0, 3), [['opening', 0], ['retrying', 1], ['opening', 1]], 'retried after the open was refused');
+  t.deepEqual(ids(stick).slice(5, 7), [0x41, 0x42], 'unassigned, then the setup replayed');
+
+  delete stick.codes[0x4b];
+  await wait(30);
+  t.deepEqual(states.slice(-1)[0], ['open', 2], 'opens once the stick accepts it');
+  t.equal(manager.getStatus()[0].lastError, 'message 0x4b failed: response code 0x15', 'last error kept for status');
+
+  server.stop();
+  await wait(5);
+  t.deepEqual(ids(stick).slice(-2), [0x4c, 0x41], 'closed and unassigned');
+  t.end();
+});
+
+test('AntStickManager gives up after maxRetries', async t => {
+  const stick = createFakeStick(); // never answers
+  const manager = new AntStickManager(stick, {responseTimeout: 5, retryDelay: 1, maxRetries: 1});
+  const states = [];
+  manager.on('channel', ({state}) => states.push(state));
+  const server = new AntHeartRateServer(manager, {channel: 3});
+  server.start();
+  server.broadcastInterval.cancel();
+  await wait(40);
+  t.deepEqual(states, ['opening', 'retrying', 'opening', 'failed'], 'one retry, then failed');
+  t.equal(manager.getStatus()[0].lastError, 'message 0x42 failed: no response', 'timeout recorded');
+  server.stop();
+  manager.close();
+  t.end();
+});
+
+test('AntStickManager opens the stick once and flushes on close', async t => {
+  const stick = createFakeStick({autoStartup: false});
+  const manager = new AntStickManager(stick);
+  stick.present = false;
+  await manager.open().then(() => t.fail('should not open'), err => t.match(err.message, /no ANT\+ stick found/));
+  t.notOk(manager.isOpen, 'a failed open can be retried');
+
+  stick.present = true;
+  let opened = false;
+  const first = manager.open().then(() => { opened = true; });
+  t.equal(manager.open(), manager.open(), 'callers share one open');
+  await tick();
+  t.notOk(opened, 'waits for startup');
+  stick.emit('startup');
+  await first;
+  t.ok(manager.isOpen, 'open');
+
+  const server = new AntHeartRateServer(manager, {channel: 3});
+  server.start();
+  server.broadcastInterval.cancel();
+  server.stop();
+  t.deepEqual(ids(stick), [0x42], 'setup still waiting for its acknowledgements');
+  manager.close();
+  t.deepEqual(ids(stick), [0x42, 0x4c, 0x41], 'close flushes the channel close/unassign without waiting');
+  t.equal(stick.closed, 1, 'stick closed');
+  t.notOk(manager.isOpen, 'and can be opened again');
+  t.equal(manager.getStatus()[0].state, 'unassigned', 'channels reset');
+  t.end();
+});
+
+test('AntStickManager holds channel setup until the stick reports startup', async t => {
+  const stick = createFakeStick({autoStartup: false});
+  const manager = new AntStickManager(stick);
+  let opened = false;
+  const opening = manager.open().then(() => { opened = true; });
+  t.equal(stick.opened, 1, 'stick.open() returned true at once');
+  const server = new AntHeartRateServer(manager, {channel: 3});
+  server.start();
+  server.broadcastInterval.cancel();
+  server.onBroadcastInterval();
+  await tick();
+  t.notOk(opened, 'open() waits for startup even though stick.open() returned true');
+  t.deepEqual(stick.written, [], 'nothing written before startup');
+  stick.emit('startup');
+  await opening;
+  t.deepEqual(ids(stick), [0x42], 'channel setup starts after startup');
+  server.stop();
+  manager.close();
+
+  stick.open = () => false;
+  await manager.open().then(() => t.fail('should not open'), err => t.match(err.message, /failed to open ANT\+ stick/));
+  t.equal(stick.listenerCount('startup'), 0, 'startup listener removed after a failed open');
+
+  stick.open = () => true;
+  const closing = manager.open();
+  manager.close();
+  await closing.then(() => t.fail('should not open'), err => t.match(err.message, /closed before startup/));
+  t.end();
+});
+
+test('AntStickManager drops writes to a removed stick until it is opened again', async t => {
+  const stick = createFakeStick();
+  const manager = new AntStickManager(stick);
+  await manager.open();
+  const server = new AntHeartRateServer(manager, {channel: 3});
+  server.start();
+  server.broadcastInterval.cancel();
+  manager.close({removed: true});
+  server.stop();
+  t.deepEqual(ids(stick), [0x42], 'queued setup and the channel close/unassign dropped');
+  t.equal(stick.closed, 1, 'stick released');
+  t.equal(manager.getStatus()[0].state, 'unassigned', 'channels reset');
+
+  const replacement = createFakeStick({autoRespond: true});
+  manager.replaceStick(replacement);
+  const reads = [];
+  manager.on('read', data => reads.push(data));
+  stick.emit('read', Buffer.from([0xa4, 0x03, 0x40, 3, 0x42, 0x00, 0x00]));
+  t.equal(reads.length, 0, 'the old stick is no longer heard');
+  await manager.open();
+  server.start();
+  server.broadcastInterval.cancel();
+  await wait(20);
+  t.deepEqual(ids(replacement), [0x42, 0x51, 0x45, 0x43, 0x4b], 'setup replayed on the new stick');
+  t.equal(manager.getStatus()[0].state, 'open', 'channel open again');
+  server.stop();
+  manager.close();
+  t.end();
+});
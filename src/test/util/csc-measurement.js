@@ -0,0 +1,55 @@
+import test from '../support/tape.js';
+import {
+  parseCscMeasurement,
+  parseCscFeature,
+  counterDelta,
+  RevolutionCounter,
+  WHEEL_REVOLUTIONS_MAX,
+  CRANK_REVOLUTIONS_MAX,
+  crankStats,
+} from '../../util/csc-measurement.js';
+
+test('parseCscMeasurement() decodes wheel, crank and combo payloads', t => {
+  t.deepEqual(parseCscMeasurement(Buffer.from('01e8030000a00f', 'hex')),
+    {wheel: {revolutions: 1000, eventTime: 4000}}, 'wheel only');
+  t.deepEqual(parseCscMeasurement(Buffer.from('022a000004', 'hex')),
+    {crank: {revolutions: 42, eventTime: 1024}}, 'crank only');
+  t.deepEqual(parseCscMeasurement(Buffer.from('03e8030000a00f2a000004', 'hex')), {
+    wheel: {revolutions: 1000, eventTime: 4000},
+    crank: {revolutions: 42, eventTime: 1024},
+  }, 'combo sensor');
+  t.deepEqual(parseCscMeasurement(Buffer.from('00', 'hex')), {}, 'no data');
+  t.throws(() => parseCscMeasurement(Buffer.from('03e8030000a00f2a00', 'hex')), /unable to parse message/, 'truncated crank data');
+  t.throws(() => parseCscMeasurement(Buffer.alloc(0)), /unable to parse message/, 'empty');
+  t.end();
+});
+
+test('parseCscFeature() reports wheel/crank support', t => {
+  t.deepEqual(parseCscFeature(Buffer.from('0300', 'hex')), {wheel: true, crank: true});
+  t.deepEqual(parseCscFeature(Buffer.from('0200', 'hex')), {wheel: false, crank: true});
+  t.throws(() => parseCscFeature(Buffer.from('03', 'hex')), /unable to parse message/);
+  t.end();
+});
+
+test('counterDelta() handles wrap-around', t => {
+  t.equal(counterDelta(10, 4, 0x10000), 6);
+  t.equal(counterDelta(2, 0xfffe, 0x10000), 4, '16-bit wrap');
+  t.equal(counterDelta(1, 0xffffffff, 0x100000000), 2, '32-bit wrap');
+  t.end();
+});
+
+test('RevolutionCounter turns cumulative readings into per-event deltas', t => {
+  const crank = new RevolutionCounter(CRANK_REVOLUTIONS_MAX);
+  t.deepEqual(crank.update({revolutions: 0xffff, eventTime: 0xfc00}),
+    {revolutions: 0xffff, revolutionsSinceLastEvent: 0, timeSinceLastEvent: 0}, 'first reading is the baseline');
+  const delta = crank.update({revolutions: 1, eventTime: 0x0200});
+  t.deepEqual(delta, {revolutions: 1, revolutionsSinceLastEvent: 2, timeSinceLastEvent: 1.5}, 'counter and event time wrap');
+  t.equal(crankStats(delta).cadenceRpm, 80, 'cadence from the delta');
+
+  const wheel = new RevolutionCounter(WHEEL_REVOLUTIONS_MAX);
+  wheel.update({revolutions: 0xfffffffe, eventTime: 100});
+  t.equal(wheel.update({revolutions: 3, eventTime: 1124}).revolutionsSinceLastEvent, 5, 'wheel counter wraps at 32 bits');
+  wheel.reset();
+  t.equal(wheel.update({revolutions: 10, eventTime: 2000}).revolutionsSinceLastEvent, 0, 'reset starts a new baseline');
+  t.end();
+});
@@ -0,0 +1,53 @@
+import test from '../support/tape.js';
+import {
+  OP_SET_TARGET_POWER,
+  OP_SET_INDOOR_BIKE_SIMULATION,
+  RESULT_SUCCESS,
+  parseControlPointRequest,
+  encodeControlPointRequest,
+  encodeControlPointResponse,
+  parseControlPointResponse,
+} from '../../util/ftms-control-point.js';
+
+test('parseControlPointRequest() decodes target power and simulation parameters', t => {
+  const power = parseControlPointRequest(Buffer.from([0x05, 0xfa, 0x00]));
+  t.equal(power.opCode, OP_SET_TARGET_POWER, 'op code');
+  t.equal(power.type, 'setTargetPower', 'command type');
+  t.equal(power.power, 250, 'target power (watts)');
+
+  // wind 1.5 m/s, grade -2.5 %, crr 0.0040, cw 0.51 kg/m
+  const sim = parseControlPointRequest(Buffer.from([0x11, 0xdc, 0x05, 0x06, 0xff, 0x28, 0x33]));
+  t.equal(sim.opCode, OP_SET_INDOOR_BIKE_SIMULATION, 'op code');
+  t.deepEqual(sim.simulation, {windSpeed: 1.5, grade: -2.5, crr: 0.004, cw: 0.51}, 'simulation parameters');
+  t.end();
+});
+
+test('parseControlPointRequest() flags unknown op codes and short parameters', t => {
+  t.deepEqual(parseControlPointRequest(Buffer.from([0x03, 0x10])), {opCode: 0x03}, 'unknown op code has no type');
+  t.throws(() => parseControlPointRequest(Buffer.from([0x05, 0xfa])), /invalid parameter/, 'truncated power');
+  t.throws(() => parseControlPointRequest(Buffer.alloc(0)), /unable to parse message/, 'empty write');
+  t.end();
+});
+
+test('encodeControlPointRequest() round-trips through the parser', t => {
+  const commands = [
+    {type: 'requestControl'},
+    {type: 'setTargetResistance', resistance: 12.5},
+    {type: 'setTargetPower', power: -20},
+    {type: 'setIndoorBikeSimulation', simulation: {windSpeed: -0.25, grade: 7.5, crr: 0.0033, cw: 0.6}},
+  ];
+  for (const command of commands) {
+    const decoded = parseControlPointRequest(encodeControlPointRequest(command));
+    delete decoded.opCode;
+    t.deepEqual(decoded, command, `${command.type} round-trips`);
+  }
+  t.end();
+});
+
+test('control point responses encode and decode', t => {
+  const buf = encodeControlPointResponse(OP_SET_TARGET_POWER, RESULT_SUCCESS);
+  t.deepEqual([...buf], [0x80, 0x05, 0x01], 'response bytes');
+  t.deepEqual(parseControlPointResponse(buf), {requestOpCode: 0x05, result: RESULT_SUCCESS}, 'parsed response');
+  t.equal(parseControlPointResponse(Buffer.from([0x05, 0x01])), null, 'non-response values ignored');
+  t.end();
+});
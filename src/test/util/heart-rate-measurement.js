@@ -0,0 +1,59 @@
+import {EventEmitter} from 'events';
+import test from '../support/tape.js';
+import {parseHeartRateMeasurement} from '../../util/heart-rate-measurement.js';
+import {encodeHeartRateMeasurement} from '../../servers/ble/services/heart-rate/characteristics/heart-rate-measurement.js';
+import {HeartRateClient} from '../../hr/heart-rate-client.js';
+
+// Notifications captured from chest straps and optical sensors.
+const CAPTURED = {
+  'polar h10, one RR interval': '10483403',
+  'polar h10, two RR intervals': '104a1e032503',
+  'wahoo tickr, contact detected': '163c0004f203',
+  'garmin hrm-dual, no skin contact': '0400',
+  'energy expended and RR': '185a3412a003',
+  '16-bit heart rate': '012c01',
+  'plain 8-bit heart rate': '0050',
+};
+
+test('parseHeartRateMeasurement() decodes every optional field', t => {
+  t.deepEqual(parseHeartRateMeasurement(Buffer.from(CAPTURED['polar h10, two RR intervals'], 'hex')),
+    {heartRate: 74, rrIntervals: [798 / 1024, 805 / 1024]}, 'RR intervals in seconds');
+  t.deepEqual(parseHeartRateMeasurement(Buffer.from(CAPTURED['wahoo tickr, contact detected'], 'hex')),
+    {heartRate: 60, sensorContact: true, rrIntervals: [1, 1010 / 1024]}, 'contact detected');
+  t.deepEqual(parseHeartRateMeasurement(Buffer.from(CAPTURED['garmin hrm-dual, no skin contact'], 'hex')),
+    {heartRate: 0, sensorContact: false}, 'contact supported but not detected');
+  t.deepEqual(parseHeartRateMeasurement(Buffer.from(CAPTURED['energy expended and RR'], 'hex')),
+    {heartRate: 90, energyExpended: 0x1234, rrIntervals: [928 / 1024]}, 'energy expended before RR');
+  t.deepEqual(parseHeartRateMeasurement(Buffer.from(CAPTURED['16-bit heart rate'], 'hex')), {heartRate: 300}, '16-bit format');
+  t.throws(() => parseHeartRateMeasurement(Buffer.from('012c', 'hex')), /unable to parse message/, 'truncated 16-bit value');
+  t.throws(() => parseHeartRateMeasurement(Buffer.from('085a34', 'hex')), /unable to parse message/, 'truncated energy');
+  t.throws(() => parseHeartRateMeasurement(Buffer.from('00', 'hex')), /unable to parse message/, 'no heart rate');
+  t.end();
+});
+
+test('encodeHeartRateMeasurement() round-trips captured payloads', t => {
+  for (const [label, hex] of Object.entries(CAPTURED)) {
+    const encoded = encodeHeartRateMeasurement(parseHeartRateMeasurement(Buffer.from(hex, 'hex')));
+    t.equal(encoded.toString('hex'), hex, label);
+  }
+  t.end();
+});
+
+test('encodeHeartRateMeasurement() accepts plain bpm and keeps notifications within the MTU', t => {
+  t.equal(encodeHeartRateMeasurement(128).toString('hex'), '0080', 'bare number');
+  const rrIntervals = Array.from({length: 12}, (_, i) => (800 + i) / 1024);
+  const encoded = encodeHeartRateMeasurement({heartRate: 75, rrIntervals});
+  t.equal(encoded.length, 20, 'capped at 20 bytes');
+  t.deepEqual(parseHeartRateMeasurement(encoded).rrIntervals, rrIntervals.slice(-9), 'most recent intervals kept');
+  t.end();
+});
+
+test('HeartRateClient emits the bpm together with the full measurement', t => {
+  const client = new HeartRateClient(new EventEmitter(), {connectionManager: {}});
+  const events = [];
+  client.on('heartRate', (hr, measurement) => events.push({hr, measurement}));
+  client.onCharData(Buffer.from(CAPTURED['polar h10, one RR interval'], 'hex'));
+  client.onCharData(Buffer.from('01', 'hex'));
+  t.deepEqual(events, [{hr: 72, measurement: {heartRate: 72, rrIntervals: [820 / 1024]}}], 'malformed packets dropped');
+  t.end();
+});
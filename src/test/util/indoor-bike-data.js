@@ -0,0 +1,63 @@
+import test from '../support/tape.js';
+import {parseIndoorBikeData, toBikeStats} from '../../util/indoor-bike-data.js';
+
+test('parseIndoorBikeData() decodes the legacy IC4 layout', t => {
+  const decoded = parseIndoorBikeData(Buffer.from('4402da020201220100', 'hex'));
+  t.ok(Math.abs(decoded.speed - 7.3 / 3.6) < 1e-9, 'speed converted from 0.01 km/h to m/s');
+  t.equal(decoded.cadence, 129, 'cadence (rpm)');
+  t.equal(decoded.power, 290, 'power (watts)');
+  t.equal(decoded.heartRate, 0, 'heart rate present but zero');
+  t.end();
+});
+
+test('parseIndoorBikeData() walks flags when resistance and elapsed time shift offsets', t => {
+  // flags 0x0864: speed, cadence, resistance, power, elapsed time
+  const buf = Buffer.from([
+    0x64, 0x08,
+    0xe8, 0x03, // speed 10.00 km/h
+    0xb4, 0x00, // cadence 90 rpm
+    0x0c, 0x00, // resistance 12
+    0xc8, 0x00, // power 200 W
+    0x2c, 0x01, // elapsed 300 s
+  ]);
+  const decoded = parseIndoorBikeData(buf);
+  t.equal(decoded.cadence, 90, 'cadence (rpm)');
+  t.equal(decoded.resistance, 12, 'resistance level');
+  t.equal(decoded.power, 200, 'power (watts)');
+  t.equal(decoded.elapsedTime, 300, 'elapsed time (s)');
+  t.notOk('heartRate' in decoded, 'absent fields are omitted');
+  t.end();
+});
+
+test('parseIndoorBikeData() handles more-data packets without speed and with averages/energy', t => {
+  // flags 0x01cf: more data (no speed), avg speed, cadence, avg cadence, power, avg power, energy
+  const buf = Buffer.from([
+    0xcf, 0x01,
+    0x10, 0x27, // avg speed 100.00 km/h
+    0x50, 0x00, // cadence 40 rpm
+    0x3c, 0x00, // avg cadence 30 rpm
+    0x9c, 0xff, // power -100 W (signed)
+    0x64, 0x00, // avg power 100 W
+    0x2a, 0x00, 0xff, 0xff, 0xff, // energy total 42 kcal, per hour/minute unavailable
+  ]);
+  const decoded = parseIndoorBikeData(buf);
+  t.notOk('speed' in decoded, 'no instantaneous speed when more-data flag set');
+  t.equal(decoded.averageCadence, 30, 'average cadence');
+  t.equal(decoded.power, -100, 'power is signed');
+  t.equal(decoded.averagePower, 100, 'average power');
+  t.deepEqual(decoded.energy, {total: 42, perHour: 0xffff, perMinute: 0xff}, 'energy fields');
+  t.end();
+});
+
+test('parseIndoorBikeData() rejects truncated values', t => {
+  t.throws(() => parseIndoorBikeData(Buffer.from([0x44])), /unable to parse message/, 'missing flags');
+  t.throws(() => parseIndoorBikeData(Buffer.from('4402da0202', 'hex')), /unable to parse message/, 'missing power');
+  t.end();
+});
+
+test('toBikeStats() keeps reported extras and drops zero speed/heart rate', t => {
+  const stats = toBikeStats({speed: 0, cadence: 80.5, power: 150, resistance: 7, heartRate: 0, distance: 1200, energy: {total: 30}});
+  t.deepEqual(stats, {power: 150, cadence: 81, resistance: 7, distance: 1200, calories: 30}, 'stats payload');
+  t.deepEqual(toBikeStats({cadence: 80}), {cadence: 80}, 'missing power left out rather than reported as zero');
+  t.end();
+});
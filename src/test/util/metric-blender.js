@@ -0,0 +1,68 @@
+import test from '../support/tape.js';
+import {MetricBlender, parsePriority, DEFAULT_PRIORITY} from '../../util/metric-blender.js';
+
+function createBlender(options = {}) {
+  const blender = new MetricBlender({...options, now: () => blender.clock});
+  blender.clock = 0;
+  return blender;
+}
+
+test('parsePriority() accepts comma lists and arrays', t => {
+  t.deepEqual(parsePriority('bike, Sensor,estimate', 'speed'), ['bike', 'sensor', 'estimate']);
+  t.deepEqual(parsePriority(['sensor', 'sensor', 'bike'], 'cadence'), ['sensor', 'bike'], 'duplicates dropped');
+  t.throws(() => parsePriority('sensor,gps', 'speed'), /unknown source "gps"/);
+  t.throws(() => parsePriority('', 'speed'), /expected at least one/);
+  t.end();
+});
+
+test('MetricBlender picks the first fresh source in priority order', t => {
+  const blender = createBlender();
+  t.deepEqual(blender.priority, DEFAULT_PRIORITY, 'defaults');
+  t.equal(blender.resolve('cadence'), null, 'nothing reported yet');
+  t.deepEqual(blender.resolve('speed', {estimate: 6}), {value: 6, source: 'estimate'}, 'estimate as last resort');
+
+  blender.update('speed', 'bike', 7);
+  t.deepEqual(blender.resolve('speed', {estimate: 6}), {value: 7, source: 'bike'});
+  blender.update('speed', 'sensor', 8);
+  t.deepEqual(blender.resolve('speed', {estimate: 6}), {value: 8, source: 'sensor'});
+
+  blender.clock = 3001;
+  t.deepEqual(blender.resolve('speed', {estimate: 6}), {value: 7, source: 'bike'}, 'stale sensor skipped');
+  blender.clock = 10001;
+  t.deepEqual(blender.resolve('speed', {estimate: 6}), {value: 6, source: 'estimate'}, 'stale bike skipped');
+  t.end();
+});
+
+test('MetricBlender honours configured priority and timeouts', t => {
+  const blender = createBlender({priority: {cadence: 'bike,sensor'}, staleMs: {bike: 500}});
+  blender.update('cadence', 'sensor', 90);
+  blender.update('cadence', 'bike', 85);
+  t.equal(blender.resolve('cadence').source, 'bike', 'bike first');
+  blender.clock = 501;
+  t.equal(blender.resolve('cadence').source, 'sensor', 'custom bike timeout');
+  blender.clear('cadence', 'sensor');
+  t.equal(blender.resolve('cadence'), null, 'cleared reading is gone');
+  t.end();
+});
+
+test('MetricBlender reports source changes and status', t => {
+  const blender = createBlender();
+  const changes = [];
+  blender.on('source', change => changes.push(change));
+  blender.update('cadence', 'bike', 80);
+  blender.resolve('cadence');
+  blender.resolve('cadence');
+  blender.clock = 250;
+  blender.update('cadence', 'sensor', 82);
+  blender.resolve('cadence');
+  t.deepEqual(changes, [
+    {metric: 'cadence', source: 'bike', previous: null},
+    {metric: 'cadence', source: 'sensor', previous: 'bike'},
+  ], 'one event per change');
+  t.deepEqual(blender.getStatus().cadence, {
+    source: 'sensor',
+    priority: ['sensor', 'bike'],
+    readings: {bike: {value: 80, ageMs: 250}, sensor: {value: 82, ageMs: 0}},
+  });
+  t.end();
+});
@@ -0,0 +1,82 @@
+import test from '../support/tape.js';
+import {
+  createCalibration,
+  validateCalibrationTable,
+  loadPowerCalibration,
+  selectPowerCalibration,
+} from '../../util/power-calibration.js';
+import {MetricsProcessor} from '../../util/metrics-processor.js';
+
+const GRID = {
+  type: 'grid',
+  cadence: [60, 90],
+  resistance: [20, 60],
+  watts: [
+    [70, 120],
+    [150, 260],
+  ],
+};
+
+const CURVE = {type: 'curve', points: [[0, 0], [100, 120], [300, 320]]};
+
+test('grid calibration interpolates bilinearly and clamps to the grid', t => {
+  const calibrate = createCalibration(GRID);
+  t.equal(calibrate({power: 999, cadence: 60, resistance: 20}), 70, 'grid corner');
+  t.equal(calibrate({power: 999, cadence: 75, resistance: 20}), 95, 'between cadences');
+  t.equal(calibrate({power: 999, cadence: 75, resistance: 40}), 150, 'centre of the cell');
+  t.equal(calibrate({power: 999, cadence: 120, resistance: 80}), 260, 'clamped above the grid');
+  t.equal(calibrate({power: 999, cadence: 0, resistance: 40}), 0, 'no watts without cadence');
+  t.equal(calibrate({power: 180, cadence: 80}), 180, 'power untouched when resistance is unknown');
+  t.ok(calibrate.needsResistance, 'flagged as needing resistance');
+  t.notOk(createCalibration(CURVE).needsResistance, 'curves do not');
+  t.end();
+});
+
+test('curve calibration maps watts piecewise and extends the end segments', t => {
+  const calibrate = createCalibration(CURVE);
+  t.equal(calibrate({power: 50}), 60, 'first segment');
+  t.equal(calibrate({power: 200}), 220, 'second segment');
+  t.equal(calibrate({power: 400}), 420, 'extrapolated along the last segment');
+  t.equal(calibrate({power: 0}), 0, 'zero stays zero');
+  t.end();
+});
+
+test('validateCalibrationTable() rejects malformed tables', t => {
+  t.throws(() => validateCalibrationTable({type: 'spline'}), /type: expected one of grid, curve/, 'unknown type');
+  t.throws(() => validateCalibrationTable({...GRID, cadence: [90, 60]}), /cadence: values must be strictly increasing/, 'unsorted axis');
+  t.throws(() => validateCalibrationTable({...GRID, watts: [[70, 120]]}), /watts: expected one row per resistance value/, 'missing row');
+  t.throws(() => validateCalibrationTable({...GRID, watts: [[70], [150, 260]]}), /watts\[0\]: expected 2 non-negative/, 'short row');
+  t.throws(() => validateCalibrationTable({type: 'curve', points: [[0, 0]]}), /at least two/, 'single point');
+  t.throws(() => validateCalibrationTable({type: 'curve', points: [[100, 0], [50, 10]]}), /strictly increasing/, 'unsorted points');
+  t.doesNotThrow(() => validateCalibrationTable(GRID), 'valid grid');
+  t.doesNotThrow(() => validateCalibrationTable(CURVE), 'valid curve');
+  t.end();
+});
+
+test('loadPowerCalibration() reads a file and prefers address entries over bike types', t => {
+  const files = {
+    '/etc/calibration.json': JSON.stringify({
+      bikes: {ic8: GRID},
+      addresses: {'AA-BB-CC-DD-EE-FF': CURVE},
+    }),
+  };
+  const fs = {readFileSync: (path) => files[path]};
+  const calibrations = loadPowerCalibration('/etc/calibration.json', {fs});
+  const byAddress = selectPowerCalibration(calibrations, {bikeType: 'ic8', address: 'aa:bb:cc:dd:ee:ff'});
+  t.equal(byAddress({power: 50}), 60, 'address match uses the curve');
+  const byType = selectPowerCalibration(calibrations, {bikeType: 'ic8', address: '11:22:33:44:55:66'});
+  t.equal(byType({power: 0, cadence: 60, resistance: 20}), 70, 'bike type match uses the grid');
+  t.equal(selectPowerCalibration(calibrations, {bikeType: 'keiser'}), null, 'no table for other bikes');
+  t.equal(loadPowerCalibration(undefined), null, 'no calibration configured');
+  t.throws(() => loadPowerCalibration({bikes: {ic8: {type: 'grid'}}}), /powerCalibration\.bikes\.ic8\.cadence/, 'errors name the offending table');
+  t.end();
+});
+
+test('MetricsProcessor applies the calibration before smoothing', t => {
+  const processor = new MetricsProcessor({smoothingFactor: 0.5, calibration: createCalibration(CURVE)});
+  t.equal(processor.process({power: 100, cadence: 80}).power, 120, 'first sample seeds the smoother with calibrated watts');
+  t.equal(processor.process({power: 200, cadence: 80}).power, 170, 'smoothing runs on calibrated watts');
+  processor.setCalibration(null);
+  t.equal(processor.process({power: 170, cadence: 80}).power, 170, 'calibration can be switched off');
+  t.end();
+});
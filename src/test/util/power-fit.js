@@ -0,0 +1,105 @@
+import test from '../support/tape.js';
+import {
+  pairSamples,
+  fitPolynomial,
+  evaluatePolynomial,
+  fitStats,
+  fitCalibration,
+  loadSampleFile,
+} from '../../util/power-fit.js';
+import {createCalibration} from '../../util/power-calibration.js';
+import {createFakeFs} from '../support/fake-fs.js';
+
+// Bike reads 10% low with a 5 W offset: reference = 1.1 * bike + 5.
+const LINEAR_PAIRS = [80, 120, 160, 200, 240, 300].map(bike => ({bike, reference: 1.1 * bike + 5}));
+
+test('pairSamples matches each reference reading with the latest bike reading', t => {
+  const bike = [
+    {t: 0, power: 100, cadence: 80},
+    {t: 1000, power: 110, cadence: 82},
+    {t: 2000, power: 0, cadence: 0},
+    {t: 3000, power: 150, cadence: 90},
+  ];
+  const reference = [
+    {t: 500, power: 105},
+    {t: 1200, power: 118},
+    {t: 2100, power: 40},
+    {t: 6000, power: 160},
+  ];
+  t.deepEqual(pairSamples(bike, reference), [
+    {t: 500, bike: 100, reference: 105, cadence: 80},
+    {t: 1200, bike: 110, reference: 118, cadence: 82},
+  ], 'coasting and stale readings are dropped');
+  t.equal(pairSamples(bike, reference, {maxSkewMs: 4000}).length, 3, 'maxSkewMs widens the window');
+  t.deepEqual(pairSamples([{t: 100, power: 100}], [{t: 50, power: 100}]), [], 'no bike reading before the reference one');
+  t.end();
+});
+
+test('fitPolynomial recovers a linear relationship', t => {
+  const [offset, scale] = fitPolynomial(LINEAR_PAIRS, 1);
+  t.ok(Math.abs(offset - 5) < 1e-6, 'offset');
+  t.ok(Math.abs(scale - 1.1) < 1e-9, 'scale');
+  t.equal(evaluatePolynomial([5, 2, 0.5], 10), 75, 'evaluates lowest power first');
+  t.end();
+});
+
+test('fitPolynomial recovers a quadratic relationship', t => {
+  const pairs = [50, 100, 150, 200, 250, 300, 350].map(bike => ({bike, reference: 10 + 0.9 * bike + 0.001 * bike ** 2}));
+  const coefficients = fitPolynomial(pairs, 2);
+  [10, 0.9, 0.001].forEach((expected, i) => {
+    t.ok(Math.abs(coefficients[i] - expected) < 1e-6, `coefficient ${i}`);
+  });
+  t.end();
+});
+
+test('fitPolynomial rejects bad input', t => {
+  t.throws(() => fitPolynomial(LINEAR_PAIRS, 4), /degree must be 1, 2 or 3/);
+  t.throws(() => fitPolynomial(LINEAR_PAIRS.slice(0, 2), 2), /need more than 2 paired samples/);
+  t.throws(() => fitPolynomial([{bike: 100, reference: 110}, {bike: 100, reference: 112}], 1), /distinct power levels/);
+  t.end();
+});
+
+test('fitStats reports bias, spread and goodness of fit', t => {
+  const stats = fitStats([{bike: 100, reference: 110}, {bike: 200, reference: 190}], (watts) => watts);
+  t.equal(stats.count, 2);
+  t.equal(stats.meanError, 0, 'errors cancel out');
+  t.equal(stats.meanAbsError, 10);
+  t.equal(stats.rmse, 10);
+  t.equal(stats.maxAbsError, 10);
+  t.ok(Math.abs(stats.r2 - (1 - 200 / 3200)) < 1e-9, 'r2');
+  t.equal(fitStats([], (watts) => watts).count, 0, 'empty input');
+  t.end();
+});
+
+test('fitCalibration maps a linear fit onto power scale and offset', t => {
+  const result = fitCalibration(LINEAR_PAIRS);
+  t.deepEqual(result.config, {powerScale: 1.1, powerOffset: 5});
+  t.ok(result.before.rmse > 20, 'uncorrected error');
+  t.ok(result.after.rmse < 1e-6, 'corrected error');
+  t.end();
+});
+
+test('fitCalibration turns a polynomial fit into a valid curve table', t => {
+  const pairs = [60, 120, 180, 240, 310].map(bike => ({bike, reference: Math.round(0.8 * bike + 0.0008 * bike ** 2)}));
+  const result = fitCalibration(pairs, {degree: 2});
+  t.equal(result.config.powerScale, 1, 'scale neutralized');
+  t.equal(result.config.powerOffset, 0, 'offset neutralized');
+  const {curve} = result.config;
+  t.equal(curve.type, 'curve');
+  t.deepEqual(curve.points.map(([watts]) => watts), [0, 50, 100, 150, 200, 250, 300, 350], 'points cover the recorded range');
+  const calibrate = createCalibration(curve);
+  t.ok(Math.abs(calibrate({power: 240}) - pairs[3].reference) <= 2, 'curve reproduces the fit');
+  t.end();
+});
+
+test('loadSampleFile reads recorded pairs', t => {
+  const fs = createFakeFs({files: {
+    '/tmp/ride.json': JSON.stringify({bikeType: 'keiser', pairs: LINEAR_PAIRS}),
+    '/tmp/bare.json': JSON.stringify(LINEAR_PAIRS),
+    '/tmp/bad.json': JSON.stringify({pairs: [{bike: 100}]}),
+  }});
+  t.deepEqual(loadSampleFile('/tmp/ride.json', {fs}), {bikeType: 'keiser', pairs: LINEAR_PAIRS});
+  t.deepEqual(loadSampleFile('/tmp/bare.json', {fs}), {bikeType: undefined, pairs: LINEAR_PAIRS}, 'bare array');
+  t.throws(() => loadSampleFile('/tmp/bad.json', {fs}), /expected \{"pairs"/);
+  t.end();
+});
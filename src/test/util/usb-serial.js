@@ -0,0 +1,47 @@
+import test from '../support/tape.js';
+import {listSerialCandidates, isAntUsbStick, stableSerialPath, listAntUsbSticks} from '../../util/usb-serial.js';
+import {createFakeFs} from '../support/fake-fs.js';
+
+const BY_ID = '/dev/serial/by-id/usb-FTDI_FT232R_USB_UART_A10KH3LQ-if00-port0';
+const ANT_FILES = {
+  '/sys/class/tty/ttyUSB0/device/../idVendor': '0fcf\n',
+  '/sys/class/tty/ttyUSB0/device/../idProduct': '1008\n',
+};
+
+test('listSerialCandidates() lists by-id links first and skips duplicate tty nodes', t => {
+  const fs = createFakeFs({devices: ['/dev/ttyUSB0', '/dev/ttyUSB10', '/dev/ttyUSB2'], links: {[BY_ID]: '/dev/ttyUSB2'}});
+  t.deepEqual(listSerialCandidates({fs}), [BY_ID, '/dev/ttyUSB0', '/dev/ttyUSB10'], 'candidate order');
+  t.deepEqual(listSerialCandidates({fs: createFakeFs()}), [], 'no devices');
+  t.end();
+});
+
+test('isAntUsbStick() reads the USB ids behind a tty', t => {
+  const fs = createFakeFs({devices: ['/dev/ttyUSB0', '/dev/ttyUSB1'], files: ANT_FILES});
+  t.ok(isAntUsbStick('/dev/ttyUSB0', {fs}), 'Garmin ANT stick');
+  t.notOk(isAntUsbStick('/dev/ttyUSB1', {fs}), 'unknown ids');
+  t.end();
+});
+
+test('stableSerialPath() prefers the by-id link for a tty', t => {
+  const fs = createFakeFs({devices: ['/dev/ttyUSB2', '/dev/ttyUSB3'], links: {[BY_ID]: '/dev/ttyUSB2'}});
+  t.equal(stableSerialPath('/dev/ttyUSB2', {fs}), BY_ID, 'by-id link');
+  t.equal(stableSerialPath('/dev/ttyUSB3', {fs}), '/dev/ttyUSB3', 'no link');
+  t.end();
+});
+
+test('listAntUsbSticks() finds ANT+ sticks in the sysfs USB device list', t => {
+  const fs = createFakeFs({
+    devices: ['/sys/bus/usb/devices/1-1', '/sys/bus/usb/devices/1-1:1.0', '/sys/bus/usb/devices/1-2', '/sys/bus/usb/devices/usb1'],
+    files: {
+      '/sys/bus/usb/devices/1-1/idVendor': '0fcf\n',
+      '/sys/bus/usb/devices/1-1/idProduct': '1009\n',
+      '/sys/bus/usb/devices/1-2/idVendor': '0403\n',
+      '/sys/bus/usb/devices/1-2/idProduct': '6001\n',
+      '/sys/bus/usb/devices/usb1/idVendor': '1d6b\n',
+      '/sys/bus/usb/devices/usb1/idProduct': '0002\n',
+    },
+  });
+  t.deepEqual(listAntUsbSticks({fs}), [{path: '/sys/bus/usb/devices/1-1', id: '0fcf:1009'}], 'only the ANT+ stick');
+  t.deepEqual(listAntUsbSticks({fs: createFakeFs()}), [], 'no USB devices');
+  t.end();
+});
@@ -0,0 +1,147 @@
+/**
+ * ANT+ Bicycle Power profile (device type 0x0B) pages.
+ *
+ * Broadcast pages:
+ *   Page 16 (0x10) Standard Power-Only:
+ *     Byte 1 Update Event Count, Byte 2 Pedal Power (0xFF = not used), Byte 3 Instantaneous Cadence,
+ *     Byte 4-5 Accumulated Power (W), Byte 6-7 Instantaneous Power (W)
+ *   Page 18 (0x12) Standard Crank Torque:
+ *     Byte 1 Update Event Count, Byte 2 Crank Ticks, Byte 3 Instantaneous Cadence,
+ *     Byte 4-5 Accumulated Crank Period (1/2048 s), Byte 6-7 Accumulated Torque (1/32 Nm)
+ *   Page 1 (0x01) Calibration Response:
+ *     Byte 1 0xAC (success) or 0xAF (failure), Byte 2 Auto Zero Status,
+ *     Byte 3-5 reserved, Byte 6-7 Calibration Data (int16 LE)
+ * Received pages (acknowledged messages from the display):
+ *   Page 1 (0x01) Calibration Request: Byte 1 0xAA (manual zero) or 0xAB (auto zero configuration)
+ *
+ * Pages 16 and 18 are event based: receivers average over the change in
+ * event count rather than trusting the instantaneous fields (see
+ * bikes/ant.js).
+ */
+
+export const POWER_DEVICE_TYPE = 0x0b;
+export const POWER_PERIOD = 8182; // 8182/32768 ~4hz
+
+export const PAGE_CALIBRATION = 0x01;
+export const PAGE_POWER_ONLY = 0x10;
+export const PAGE_CRANK_TORQUE = 0x12;
+
+export const CALIBRATION_MANUAL_ZERO = 0xaa;
+export const CALIBRATION_AUTO_ZERO_CONFIGURATION = 0xab;
+export const CALIBRATION_SUCCESS = 0xac;
+export const CALIBRATION_FAILURE = 0xaf;
+export const AUTO_ZERO_NOT_SUPPORTED = 0xff;
+
+const PAGE_LENGTH = 8;
+
+/**
+ * Encode page 16 (standard power-only).
+ * @param {object} data
+ * @param {number} data.eventCount - update event count (wraps at 256)
+ * @param {number} data.cadence - rpm
+ * @param {number} data.accumulatedPower - watts (wraps at 65536)
+ * @param {number} data.power - instantaneous watts
+ * @returns {number[]} 8-byte payload
+ */
+export function encodePowerOnlyPage({eventCount = 0, cadence = 0, accumulatedPower = 0, power = 0}) {
+  const data = Buffer.alloc(PAGE_LENGTH);
+  data.writeUInt8(PAGE_POWER_ONLY, 0);
+  data.writeUInt8(eventCount & 0xff, 1);
+  data.writeUInt8(0xff, 2); // pedal power not used
+  data.writeUInt8(clamp(Math.round(cadence), 0, 0xfe), 3);
+  data.writeUInt16LE(accumulatedPower & 0xffff, 4);
+  data.writeUInt16LE(clamp(Math.round(power), 0, 0xffff), 6);
+  return [...data];
+}
+
+/**
+ * Encode page 18 (standard crank torque).
+ * @param {object} data
+ * @param {number} data.eventCount - crank torque event count (wraps at 256)
+ * @param {number} data.ticks - cumulative crank revolutions (wraps at 256)
+ * @param {number} data.cadence - rpm
+ * @param {number} data.period - accumulated crank period (1/2048 s, wraps at 65536)
+ * @param {number} data.torque - accumulated torque (1/32 Nm, wraps at 65536)
+ * @returns {number[]} 8-byte payload
+ */
+export function encodeCrankTorquePage({eventCount = 0, ticks = 0, cadence = 0, period = 0, torque = 0}) {
+  const data = Buffer.alloc(PAGE_LENGTH);
+  data.writeUInt8(PAGE_CRANK_TORQUE, 0);
+  data.writeUInt8(eventCount & 0xff, 1);
+  data.writeUInt8(ticks & 0xff, 2);
+  data.writeUInt8(clamp(Math.round(cadence), 0, 0xfe), 3);
+  data.writeUInt16LE(period & 0xffff, 4);
+  data.writeUInt16LE(torque & 0xffff, 6);
+  return [...data];
+}
+
+/**
+ * Encode page 1 (calibration response).
+ * @param {object} response
+ * @param {boolean} response.success - 0xAC when true, 0xAF otherwise
+ * @param {number} [response.calibrationData] - signed offset reported to the display
+ * @returns {number[]} 8-byte payload
+ */
+export function encodeCalibrationResponsePage({success, calibrationData = 0}) {
+  const data = Buffer.alloc(PAGE_LENGTH, 0xff);
+  data.writeUInt8(PAGE_CALIBRATION, 0);
+  data.writeUInt8(success ? CALIBRATION_SUCCESS : CALIBRATION_FAILURE, 1);
+  data.writeUInt8(AUTO_ZERO_NOT_SUPPORTED, 2);
+  data.writeInt16LE(calibrationData, 6);
+  return [...data];
+}
+
+/**
+ * Parse a calibration request sent by the display.
+ * @param {buffer} data - 8-byte payload
+ * @returns {object|null} {calibrationId}, or null for any other page
+ */
+export function parseCalibrationRequest(data) {
+  if (!Buffer.isBuffer(data) || data.length < PAGE_LENGTH) {
+    throw new Error('unable to parse message');
+  }
+  if (data.readUInt8(0) !== PAGE_CALIBRATION) {
+    return null;
+  }
+  return {calibrationId: data.readUInt8(1)};
+}
+
+/**
+ * Parse a page broadcast by a power meter.
+ * @param {buffer} data - 8-byte payload
+ * @returns {object} {page, ...fields}; pages other than 16 and 18 only carry `page`.
+ *   Page 16: {eventCount, cadence (null = not sent), accumulatedPower, power}
+ *   Page 18: {eventCount, ticks, cadence (null = not sent), period, torque}
+ */
+export function parseBicyclePowerPage(data) {
+  if (!Buffer.isBuffer(data) || data.length < PAGE_LENGTH) {
+    throw new Error('unable to parse message');
+  }
+  const page = data.readUInt8(0);
+  const cadence = data.readUInt8(3) === 0xff ? null : data.readUInt8(3);
+  switch (page) {
+    case PAGE_POWER_ONLY:
+      return {
+        page,
+        eventCount: data.readUInt8(1),
+        cadence,
+        accumulatedPower: data.readUInt16LE(4),
+        power: data.readUInt16LE(6),
+      };
+    case PAGE_CRANK_TORQUE:
+      return {
+        page,
+        eventCount: data.readUInt8(1),
+        ticks: data.readUInt8(2),
+        cadence,
+        period: data.readUInt16LE(4),
+        torque: data.readUInt16LE(6),
+      };
+    default:
+      return {page};
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
@@ -0,0 +1,77 @@
+/**
+ * ANT+ common data pages, shared by the profiles that use the "new" page
+ * layout (bicycle power, fitness equipment):
+ *   Page 80 (0x50) Manufacturer's Information:
+ *     Byte 1-2 reserved, Byte 3 Hardware Revision,
+ *     Byte 4-5 Manufacturer ID (uint16 LE), Byte 6-7 Model Number (uint16 LE)
+ *   Page 81 (0x51) Product Information:
+ *     Byte 1 reserved, Byte 2 Software Revision (supplemental, 0xFF = none),
+ *     Byte 3 Software Revision (main), Byte 4-7 Serial Number (uint32 LE)
+ *   Page 82 (0x52) Battery Status:
+ *     Byte 1 reserved, Byte 2 Battery Identifier (0xFF = single battery),
+ *     Byte 3-5 Cumulative Operating Time (uint24 LE, 2 s units), Byte 6 Fractional Battery Voltage,
+ *     Byte 7 Coarse Battery Voltage (bits 0-3, 0xF = invalid) | Battery Status (bits 4-6) | 2 s resolution (bit 7)
+ */
+
+export const PAGE_MANUFACTURER_INFO = 0x50;
+export const PAGE_PRODUCT_INFO = 0x51;
+export const PAGE_BATTERY_STATUS = 0x52;
+
+export const MANUFACTURER_ID_DEVELOPMENT = 255;
+
+export const BATTERY_STATUS_NEW = 1;
+export const BATTERY_STATUS_GOOD = 2;
+export const BATTERY_STATUS_OK = 3;
+export const BATTERY_STATUS_LOW = 4;
+export const BATTERY_STATUS_CRITICAL = 5;
+export const BATTERY_STATUS_INVALID = 7;
+
+const PAGE_LENGTH = 8;
+
+/**
+ * Encode common page 80 (manufacturer's information).
+ * @param {object} info
+ * @param {number} [info.hardwareRevision=1]
+ * @param {number} [info.manufacturerId=255] - ANT+ manufacturer ID (255 = development)
+ * @param {number} [info.modelNumber=1]
+ * @returns {number[]} 8-byte payload
+ */
+export function encodeManufacturerInfoPage({hardwareRevision = 1, manufacturerId = MANUFACTURER_ID_DEVELOPMENT, modelNumber = 1} = {}) {
+  const data = Buffer.alloc(PAGE_LENGTH, 0xff);
+  data.writeUInt8(PAGE_MANUFACTURER_INFO, 0);
+  data.writeUInt8(hardwareRevision & 0xff, 3);
+  data.writeUInt16LE(manufacturerId & 0xffff, 4);
+  data.writeUInt16LE(modelNumber & 0xffff, 6);
+  return [...data];
+}
+
+/**
+ * Encode common page 81 (product information).
+ * @param {object} info
+ * @param {number} [info.softwareRevision=1] - main software revision
+ * @param {number} [info.serialNumber=0xffffffff] - 32-bit serial number (0xFFFFFFFF = none)
+ * @returns {number[]} 8-byte payload
+ */
+export function encodeProductInfoPage({softwareRevision = 1, serialNumber = 0xffffffff} = {}) {
+  const data = Buffer.alloc(PAGE_LENGTH, 0xff);
+  data.writeUInt8(PAGE_PRODUCT_INFO, 0);
+  data.writeUInt8(softwareRevision & 0xff, 3);
+  data.writeUInt32LE(serialNumber >>> 0, 4);
+  return [...data];
+}
+
+/**
+ * Encode common page 82 (battery status). Voltage is reported as invalid;
+ * mains-powered bridges only have a status and an operating time to give.
+ * @param {object} status
+ * @param {number} [status.operatingTime=0] - seconds since the channel opened
+ * @param {number} [status.batteryStatus=2] - BATTERY_STATUS_*
+ * @returns {number[]} 8-byte payload
+ */
+export function encodeBatteryStatusPage({operatingTime = 0, batteryStatus = BATTERY_STATUS_GOOD} = {}) {
+  const data = Buffer.alloc(PAGE_LENGTH, 0xff);
+  data.writeUInt8(PAGE_BATTERY_STATUS, 0);
+  data.writeUIntLE(Math.floor(operatingTime / 2) & 0xffffff, 3, 3);
+  data.writeUInt8(0x80 | ((batteryStatus & 0x07) << 4) | 0x0f, 7);
+  return [...data];
+}
@@ -0,0 +1,40 @@
+/**
+ * Device numbers and serial numbers for the ANT+ broadcasters. All of them
+ * derive from the one configured device id (--ant-device-id): each profile
+ * adds its own offset, so head units that pair by device number list every
+ * channel as a separate sensor, and the serial number carries the configured
+ * id in its upper half with the channel's device number as the lower half
+ * (ANT+ device numbers are the low 16 bits of the serial).
+ */
+
+export const DEVICE_ID_OFFSETS = {
+  'power': 0,
+  'speed-cadence': 1,
+  'speed': 2,
+  'cadence': 3,
+  'heart-rate': 4,
+  'fitness-equipment': 5,
+};
+
+/**
+ * Device number a broadcaster transmits on.
+ * @param {number} deviceId - configured ANT+ device id
+ * @param {string} profile - key of DEVICE_ID_OFFSETS
+ * @returns {number} 1-65535 (0 is the pairing wildcard)
+ */
+export function profileDeviceId(deviceId, profile) {
+  if (!(profile in DEVICE_ID_OFFSETS)) {
+    throw new Error(`unknown ANT+ profile "${profile}" (expected ${Object.keys(DEVICE_ID_OFFSETS).join(', ')})`);
+  }
+  return ((deviceId + DEVICE_ID_OFFSETS[profile]) & 0xffff) || 1;
+}
+
+/**
+ * 32-bit serial number a broadcaster reports on its product pages.
+ * @param {number} deviceId - configured ANT+ device id
+ * @param {string} profile - key of DEVICE_ID_OFFSETS
+ * @returns {number}
+ */
+export function profileSerialNumber(deviceId, profile) {
+  return (((deviceId & 0xffff) << 16) | profileDeviceId(deviceId, profile)) >>> 0;
+}
@@ -0,0 +1,191 @@
+/**
+ * ANT+ Fitness Equipment (FE-C, device type 0x11) data and control pages
+ * for a trainer/stationary bike.
+ *
+ * Broadcast pages:
+ *   Page 16 (0x10) General FE Data:
+ *     Byte 1 Equipment Type (25 = trainer/stationary bike), Byte 2 Elapsed Time (0.25 s, wraps at 64 s),
+ *     Byte 3 Distance Traveled (m, wraps at 256), Byte 4-5 Speed (0.001 m/s),
+ *     Byte 6 Heart Rate (0xFF = invalid), Byte 7 Capabilities (bits 0-3) | FE State (bits 4-6)
+ *   Page 25 (0x19) Specific Trainer/Stationary Bike Data:
+ *     Byte 1 Update Event Count, Byte 2 Instantaneous Cadence, Byte 3-4 Accumulated Power (W),
+ *     Byte 5-6 Instantaneous Power (12 bits) | Trainer Status (bits 4-7 of byte 6),
+ *     Byte 7 Flags (bits 0-3) | FE State (bits 4-6)
+ *   Page 54 (0x36) FE Capabilities: Byte 5-6 Maximum Resistance (N), Byte 7 supported modes
+ *   Page 71 (0x47) Command Status: Byte 1 last command page, Byte 2 sequence, Byte 3 status, Byte 4-7 command data
+ * Control pages (acknowledged messages from the display):
+ *   Page 49 (0x31) Target Power: Byte 6-7 target power (0.25 W)
+ *   Page 51 (0x33) Track Resistance: Byte 5-6 grade (0.01 %, offset -200 %),
+ *     Byte 7 coefficient of rolling resistance (5x10^-5, 0xFF = default)
+ *   Page 55 (0x37) User Configuration: Byte 1-2 user weight (0.01 kg), Byte 4-5 wheel diameter offset (mm, bits 0-3)
+ *     and bike weight (0.05 kg, 12 bits), Byte 6 wheel diameter (0.01 m), Byte 7 gear ratio (0.03)
+ *   Page 70 (0x46) Request Data Page: Byte 5 transmission response, Byte 6 requested page, Byte 7 command type
+ */
+
+export const FITNESS_EQUIPMENT_DEVICE_TYPE = 0x11;
+export const FITNESS_EQUIPMENT_PERIOD = 8192; // 8192/32768 = 4hz
+
+export const PAGE_GENERAL_FE_DATA = 0x10;
+export const PAGE_TRAINER_DATA = 0x19;
+export const PAGE_TARGET_POWER = 0x31;
+export const PAGE_TRACK_RESISTANCE = 0x33;
+export const PAGE_FE_CAPABILITIES = 0x36;
+export const PAGE_USER_CONFIGURATION = 0x37;
+export const PAGE_REQUEST_DATA_PAGE = 0x46;
+export const PAGE_COMMAND_STATUS = 0x47;
+
+export const EQUIPMENT_TYPE_TRAINER = 25;
+export const FE_STATE_READY = 2;
+export const FE_STATE_IN_USE = 3;
+
+export const COMMAND_STATUS_PASS = 0;
+export const COMMAND_STATUS_FAIL = 1;
+export const COMMAND_STATUS_NOT_SUPPORTED = 2;
+export const COMMAND_STATUS_REJECTED = 3;
+export const COMMAND_STATUS_PENDING = 4;
+export const COMMAND_STATUS_UNINITIALIZED = 0xff;
+
+export const CAPABILITY_BASIC_RESISTANCE = 0x01;
+export const CAPABILITY_TARGET_POWER = 0x02;
+export const CAPABILITY_SIMULATION = 0x04;
+
+export const DEFAULT_ROLLING_RESISTANCE = 0.004;
+
+const PAGE_LENGTH = 8;
+const CAPABILITY_DISTANCE = 0x04; // byte 7 of page 16: distance traveled is reported
+const HR_SOURCE_ANT = 0x01; // byte 7 of page 16: heart rate came from an ANT+ (or other) monitor
+const REQUEST_DATA_PAGE_COMMAND = 0x01;
+
+/**
+ * Encode page 16 (general FE data).
+ * @param {object} data
+ * @param {number} data.elapsedTime - seconds since the session started
+ * @param {number} data.distance - meters since the session started
+ * @param {number} data.speed - m/s
+ * @param {number} [data.heartRate] - bpm
+ * @param {number} [data.state] - FE_STATE_*
+ * @returns {number[]} 8-byte payload
+ */
+export function encodeGeneralFePage({elapsedTime = 0, distance = 0, speed = 0, heartRate, state = FE_STATE_READY}) {
+  const data = Buffer.alloc(PAGE_LENGTH);
+  const hasHeartRate = Number.isFinite(heartRate) && heartRate > 0;
+  data.writeUInt8(PAGE_GENERAL_FE_DATA, 0);
+  data.writeUInt8(EQUIPMENT_TYPE_TRAINER, 1);
+  data.writeUInt8(Math.floor(elapsedTime * 4) & 0xff, 2);
+  data.writeUInt8(Math.floor(distance) & 0xff, 3);
+  data.writeUInt16LE(clamp(Math.round(speed * 1000), 0, 0xfffe), 4);
+  data.writeUInt8(hasHeartRate ? clamp(Math.round(heartRate), 1, 0xfe) : 0xff, 6);
+  data.writeUInt8(((state & 0x07) << 4) | CAPABILITY_DISTANCE | (hasHeartRate ? HR_SOURCE_ANT : 0), 7);
+  return [...data];
+}
+
+/**
+ * Encode page 25 (specific trainer/stationary bike data).
+ * @param {object} data
+ * @param {number} data.eventCount - update event count (wraps at 256)
+ * @param {number} data.cadence - rpm
+ * @param {number} data.accumulatedPower - watts (wraps at 65536)
+ * @param {number} data.power - instantaneous watts (12 bits)
+ * @param {number} [data.state] - FE_STATE_*
+ * @returns {number[]} 8-byte payload
+ */
+export function encodeTrainerDataPage({eventCount = 0, cadence = 0, accumulatedPower = 0, power = 0, state = FE_STATE_READY}) {
+  const data = Buffer.alloc(PAGE_LENGTH);
+  const watts = clamp(Math.round(power), 0, 0xffe);
+  data.writeUInt8(PAGE_TRAINER_DATA, 0);
+  data.writeUInt8(eventCount & 0xff, 1);
+  data.writeUInt8(clamp(Math.round(cadence), 0, 0xfe), 2);
+  data.writeUInt16LE(accumulatedPower & 0xffff, 3);
+  data.writeUInt8(watts & 0xff, 5);
+  data.writeUInt8(watts >> 8, 6); // trainer status bits (4-7) clear: no calibration needed
+  data.writeUInt8((state & 0x07) << 4, 7); // flags clear: operating at target power (or no target)
+  return [...data];
+}
+
+/**
+ * Encode page 54 (FE capabilities).
+ * @param {object} capabilities
+ * @param {number} [capabilities.maxResistance] - newtons (0xFFFF = unknown)
+ * @param {number} [capabilities.modes] - CAPABILITY_* bits
+ * @returns {number[]} 8-byte payload
+ */
+export function encodeFeCapabilitiesPage({maxResistance = 0xffff, modes = 0} = {}) {
+  const data = Buffer.alloc(PAGE_LENGTH, 0xff);
+  data.writeUInt8(PAGE_FE_CAPABILITIES, 0);
+  data.writeUInt16LE(maxResistance & 0xffff, 5);
+  data.writeUInt8(modes & 0x07, 7);
+  return [...data];
+}
+
+/**
+ * Encode page 71 (command status).
+ * @param {object} status
+ * @param {number} [status.lastCommand] - page number of the last control page (0xFF = none)
+ * @param {number} [status.sequence] - sequence number of the last control page (0xFF = none)
+ * @param {number} [status.status] - COMMAND_STATUS_*
+ * @param {number[]} [status.data] - bytes 4-7 of the last control page
+ * @returns {number[]} 8-byte payload
+ */
+export function encodeCommandStatusPage({lastCommand = 0xff, sequence = 0xff, status = COMMAND_STATUS_UNINITIALIZED, data = [0xff, 0xff, 0xff, 0xff]} = {}) {
+  return [PAGE_COMMAND_STATUS, lastCommand & 0xff, sequence & 0xff, status & 0xff, ...data.slice(0, 4)];
+}
+
+/**
+ * Parse a page received from the display.
+ * @param {buffer} data - 8-byte payload
+ * @returns {object} {page, ...fields}; pages other than 49, 51, 55 and 70 only carry `page`
+ */
+export function parseFeControlPage(data) {
+  if (!Buffer.isBuffer(data) || data.length < PAGE_LENGTH) {
+    throw new Error('unable to parse message');
+  }
+  const page = data.readUInt8(0);
+  switch (page) {
+    case PAGE_TARGET_POWER:
+      return {page, targetPower: data.readUInt16LE(6) / 4};
+    case PAGE_TRACK_RESISTANCE: {
+      const rawGrade = data.readUInt16LE(5);
+      const rawCrr = data.readUInt8(7);
+      return {
+        page,
+        grade: rawGrade === 0xffff ? 0 : round(rawGrade / 100 - 200, 2),
+        rollingResistance: rawCrr === 0xff ? DEFAULT_ROLLING_RESISTANCE : round(rawCrr * 0.00005, 5),
+      };
+    }
+    case PAGE_USER_CONFIGURATION: {
+      const userWeight = data.readUInt16LE(1);
+      const wheelOffset = data.readUInt8(4) & 0x0f;
+      const bikeWeight = (data.readUInt8(4) >> 4) | (data.readUInt8(5) << 4);
+      const wheelDiameter = data.readUInt8(6);
+      const gearRatio = data.readUInt8(7);
+      return {
+        page,
+        userWeight: userWeight === 0xffff ? null : userWeight / 100, // kg
+        bikeWeight: bikeWeight === 0xfff ? null : round(bikeWeight * 0.05, 2), // kg
+        wheelDiameter: wheelDiameter === 0xff ? null : round(wheelDiameter / 100 + (wheelOffset === 0x0f ? 0 : wheelOffset / 1000), 3), // m
+        gearRatio: gearRatio === 0 ? null : round(gearRatio * 0.03, 2),
+      };
+    }
+    case PAGE_REQUEST_DATA_PAGE: {
+      const response = data.readUInt8(5);
+      return {
+        page,
+        requestedPage: data.readUInt8(6),
+        transmissions: Math.max(1, response & 0x7f), // 0 is invalid; send at least once
+        acknowledged: Boolean(response & 0x80),
+        isDataPageRequest: data.readUInt8(7) === REQUEST_DATA_PAGE_COMMAND,
+      };
+    }
+    default:
+      return {page};
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,84 @@
+/**
+ * ANT+ Heart Rate Monitor profile (device type 0x78) data pages.
+ *
+ * Every HRM page is 8 bytes:
+ *   Byte 0:   Page number (bits 0-6) and page change toggle (bit 7)
+ *   Byte 1-3: Page specific
+ *   Byte 4-5: Heart Beat Event Time (uint16 LE, 1/1024 s)
+ *   Byte 6:   Heart Beat Count (uint8, wraps at 256)
+ *   Byte 7:   Computed Heart Rate (bpm, 0 = invalid)
+ * Page 4 (previous heart beat) carries the Previous Heart Beat Event Time in
+ * bytes 2-3, which gives an RR interval even when a beat was missed.
+ * Background pages 1-3 are the common ones, see util/ant-sensor-pages.js.
+ */
+
+import {PAGE_OPERATING_TIME, PAGE_MANUFACTURER, PAGE_PRODUCT, writeBackgroundPage} from './ant-sensor-pages.js';
+
+export const HEART_RATE_DEVICE_TYPE = 0x78;
+export const HEART_RATE_PERIOD = 8070; // 8070/32768 ~4.06hz
+export const HEART_RATE_PAGE_DEFAULT = 0;
+export const HEART_RATE_PAGE_OPERATING_TIME = PAGE_OPERATING_TIME;
+export const HEART_RATE_PAGE_MANUFACTURER = PAGE_MANUFACTURER;
+export const HEART_RATE_PAGE_PRODUCT = PAGE_PRODUCT;
+export const HEART_RATE_PAGE_PREVIOUS_BEAT = 4;
+
+export const BEAT_COUNT_MAX = 0x100;
+export const BEAT_TIME_MAX = 0x10000;
+export const BEAT_TIME_UNIT = 1 / 1024; // seconds
+
+const PAGE_LENGTH = 8;
+
+/**
+ * Parse an ANT+ HRM data page.
+ * @param {buffer} data - 8-byte broadcast payload
+ * @returns {object} page
+ * @returns {number} page.page - page number
+ * @returns {boolean} page.toggle - page change toggle bit
+ * @returns {number} page.beatTime - heart beat event time (1/1024 s)
+ * @returns {number} page.beatCount - heart beat count
+ * @returns {number} page.heartRate - computed heart rate (bpm)
+ * @returns {number} [page.previousBeatTime] - previous heart beat event time (page 4 only)
+ */
+export function parseAntHeartRatePage(data) {
+  if (!Buffer.isBuffer(data) || data.length < PAGE_LENGTH) {
+    throw new Error('unable to parse message');
+  }
+  const page = {
+    page: data.readUInt8(0) & 0x7f,
+    toggle: Boolean(data.readUInt8(0) & 0x80),
+    beatTime: data.readUInt16LE(4),
+    beatCount: data.readUInt8(6),
+    heartRate: data.readUInt8(7),
+  };
+  if (page.page === HEART_RATE_PAGE_PREVIOUS_BEAT) {
+    page.previousBeatTime = data.readUInt16LE(2);
+  }
+  return page;
+}
+
+/**
+ * Encode an ANT+ HRM data page. Pages 1-3 also take the background page
+ * fields documented on writeBackgroundPage().
+ * @param {object} page
+ * @param {number} page.page - page number (0-4)
+ * @param {boolean} [page.toggle] - page change toggle bit
+ * @param {number} page.beatTime - heart beat event time (1/1024 s, wrapped to 16 bits)
+ * @param {number} page.beatCount - heart beat count (wrapped to 8 bits)
+ * @param {number} page.heartRate - computed heart rate (bpm, 0 = invalid)
+ * @param {number} [page.previousBeatTime] - page 4: previous heart beat event time
+ * @returns {number[]} 8-byte payload
+ */
+export function encodeAntHeartRatePage(page) {
+  const data = Buffer.alloc(PAGE_LENGTH, 0xff); // bytes 1-3 of page 0 are reserved (0xff)
+  data.writeUInt8((page.page & 0x7f) | (page.toggle ? 0x80 : 0), 0);
+  if (page.page === HEART_RATE_PAGE_PREVIOUS_BEAT) {
+    data.writeUInt8(0xff, 1); // manufacturer specific
+    data.writeUInt16LE((page.previousBeatTime || 0) & 0xffff, 2);
+  } else {
+    writeBackgroundPage(data, page); // pages 1-3; any other page keeps its reserved bytes
+  }
+  data.writeUInt16LE((page.beatTime || 0) & 0xffff, 4);
+  data.writeUInt8((page.beatCount || 0) & 0xff, 6);
+  data.writeUInt8(Math.max(0, Math.min(255, Math.round(page.heartRate || 0))), 7);
+  return [...data];
+}
@@ -0,0 +1,91 @@
+import {EventEmitter} from 'events';
+import fs from 'fs';
+import {Timer} from './timer.js';
+import {listAntUsbSticks} from './usb-serial.js';
+import {loadDependency, toDefaultExport} from './optional-deps.js';
+
+const debugModule = loadDependency('debug', '../stubs/debug.cjs', import.meta);
+const debuglog = toDefaultExport(debugModule)('gym:ant:hotplug');
+
+const defaults = {
+  interval: 2, // seconds between sysfs scans
+}
+
+/**
+ * Watches the USB bus for ANT+ sticks being plugged in and pulled out, by
+ * polling the sysfs device list against the same ids isAntUsbStick() knows.
+ * The sticks present when start() is called are the baseline; only changes
+ * after that are emitted.
+ */
+export class AntHotplugWatcher extends EventEmitter {
+  /**
+   * Create an AntHotplugWatcher instance.
+   * @param {object} [options]
+   * @param {number} [options.interval=2] - seconds between scans
+   * @param {object} [options.fs] - fs implementation (tests)
+   */
+  constructor(options = {}) {
+    super();
+    const opts = {...defaults, ...options};
+    this.fs = opts.fs || fs;
+    this.sticks = new Map(); // sysfs path -> {path, id}
+    this.pollInterval = new Timer(opts.interval);
+    this.pollInterval.on('timeout', this.poll.bind(this));
+    this._isRunning = false;
+  }
+
+  /**
+   * Take the baseline and start polling.
+   */
+  start() {
+    if (this._isRunning) {
+      return;
+    }
+    this.sticks = new Map(listAntUsbSticks({fs: this.fs}).map(stick => [stick.path, stick]));
+    debuglog(`ANT+ hot-plug watcher start [present=${[...this.sticks.keys()].join(',') || 'none'}]`);
+    this.pollInterval.reset();
+    this._isRunning = true;
+  }
+
+  /**
+   * Stop polling.
+   */
+  stop() {
+    this.pollInterval.cancel();
+    this._isRunning = false;
+  }
+
+  get isRunning() {
+    return this._isRunning;
+  }
+
+  /**
+   * Whether an ANT+ stick was on the bus at the last scan.
+   */
+  get isPresent() {
+    return this.sticks.size > 0;
+  }
+
+  /**
+   * Scan the bus once and emit what changed.
+   * @emits AntHotplugWatcher#attach {path, id} for each stick that appeared
+   * @emits AntHotplugWatcher#detach {path, id} for each stick that went away
+   */
+  poll() {
+    const current = new Map(listAntUsbSticks({fs: this.fs}).map(stick => [stick.path, stick]));
+    const previous = this.sticks;
+    this.sticks = current;
+    for (let [path, stick] of previous) {
+      if (!current.has(path)) {
+        debuglog(`ANT+ stick removed ${stick.id} at ${path}`);
+        this.emit('detach', stick);
+      }
+    }
+    for (let [path, stick] of current) {
+      if (!previous.has(path)) {
+        debuglog(`ANT+ stick attached ${stick.id} at ${path}`);
+        this.emit('attach', stick);
+      }
+    }
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Page scheduling and background pages shared by the ANT+ sensor profiles
+ * that use the "legacy" page layout (heart rate, bike speed, bike cadence).
+ *
+ * Each 8-byte page starts with the page number (bits 0-6) and a page change
+ * toggle (bit 7) that flips every 4 messages. Sensors send their main data
+ * page for 64 messages and then one background page for 4 messages,
+ * rotating through:
+ *   Page 1: Cumulative Operating Time (bytes 1-3, uint24 LE, 2 s units)
+ *   Page 2: Manufacturer ID (byte 1), Serial Number upper 16 bits (bytes 2-3)
+ *   Page 3: Hardware Version (byte 1), Software Version (byte 2), Model Number (byte 3)
+ * Bytes 4-7 always carry the profile's measurement.
+ */
+
+export const PAGE_OPERATING_TIME = 1;
+export const PAGE_MANUFACTURER = 2;
+export const PAGE_PRODUCT = 3;
+export const BACKGROUND_PAGES = [PAGE_OPERATING_TIME, PAGE_MANUFACTURER, PAGE_PRODUCT];
+
+const MAIN_PAGE_MESSAGES = 64;
+const BACKGROUND_PAGE_MESSAGES = 4;
+const TOGGLE_MESSAGES = 4;
+
+/**
+ * Pick the page to send for a message.
+ * @param {number} messageCount - messages sent on the channel so far
+ * @param {number} mainPage - the profile's main data page
+ * @returns {object} {page, toggle}
+ */
+export function pageForMessage(messageCount, mainPage) {
+  const cycle = MAIN_PAGE_MESSAGES + BACKGROUND_PAGE_MESSAGES;
+  const toggle = Math.floor(messageCount / TOGGLE_MESSAGES) % 2 === 1;
+  if (messageCount % cycle < MAIN_PAGE_MESSAGES) {
+    return {page: mainPage, toggle};
+  }
+  const background = Math.floor(messageCount / cycle) % BACKGROUND_PAGES.length;
+  return {page: BACKGROUND_PAGES[background], toggle};
+}
+
+/**
+ * Write bytes 1-3 of a background page.
+ * @param {buffer} data - 8-byte page being built
+ * @param {object} page
+ * @param {number} page.page - PAGE_OPERATING_TIME, PAGE_MANUFACTURER or PAGE_PRODUCT
+ * @param {number} [page.operatingTime] - page 1: cumulative operating time (seconds)
+ * @param {number} [page.manufacturerId] - page 2: ANT+ manufacturer ID
+ * @param {number} [page.serialNumber] - page 2: 32-bit serial number (upper 16 bits are sent)
+ * @param {number} [page.hardwareVersion] - page 3
+ * @param {number} [page.softwareVersion] - page 3
+ * @param {number} [page.modelNumber] - page 3
+ * @returns {boolean} false when page.page is not a background page
+ */
+export function writeBackgroundPage(data, page) {
+  switch (page.page) {
+    case PAGE_OPERATING_TIME: {
+      const units = Math.floor((page.operatingTime || 0) / 2) & 0xffffff; // 2 s resolution
+      data.writeUIntLE(units, 1, 3);
+      return true;
+    }
+    case PAGE_MANUFACTURER:
+      data.writeUInt8((page.manufacturerId ?? 0xff) & 0xff, 1);
+      data.writeUInt16LE(((page.serialNumber || 0) >>> 16) & 0xffff, 2);
+      return true;
+    case PAGE_PRODUCT:
+      data.writeUInt8((page.hardwareVersion ?? 1) & 0xff, 1);
+      data.writeUInt8((page.softwareVersion ?? 1) & 0xff, 2);
+      data.writeUInt8((page.modelNumber ?? 1) & 0xff, 3);
+      return true;
+    default:
+      return false;
+  }
+}
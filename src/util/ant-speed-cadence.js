@@ -0,0 +1,64 @@
+/**
+ * ANT+ Bike Speed and Cadence profiles.
+ *
+ * Combined Speed & Cadence sensor (device type 0x79) has a single page with
+ * no page number:
+ *   Byte 0-1: Bike Cadence Event Time (uint16 LE, 1/1024 s)
+ *   Byte 2-3: Cumulative Cadence Revolution Count (uint16 LE)
+ *   Byte 4-5: Bike Speed Event Time (uint16 LE, 1/1024 s)
+ *   Byte 6-7: Cumulative Speed Revolution Count (uint16 LE)
+ *
+ * Speed-only (0x7B) and cadence-only (0x7A) sensors use the legacy page
+ * layout (see util/ant-sensor-pages.js) with main page 0 and:
+ *   Byte 4-5: Event Time (uint16 LE, 1/1024 s)
+ *   Byte 6-7: Cumulative Revolution Count (uint16 LE)
+ */
+
+import {writeBackgroundPage} from './ant-sensor-pages.js';
+
+export const SPEED_CADENCE_DEVICE_TYPE = 0x79;
+export const SPEED_CADENCE_PERIOD = 8086; // 8086/32768 ~4.05hz
+export const SPEED_DEVICE_TYPE = 0x7b;
+export const SPEED_PERIOD = 8118; // ~4.04hz
+export const CADENCE_DEVICE_TYPE = 0x7a;
+export const CADENCE_PERIOD = 8102; // ~4.04hz
+export const SPEED_CADENCE_PAGE_DEFAULT = 0;
+
+const PAGE_LENGTH = 8;
+
+/**
+ * Encode the combined Speed & Cadence page.
+ * @param {object} measurement
+ * @param {number} measurement.cadenceEventTime - last crank event time (1/1024 s)
+ * @param {number} measurement.cadenceRevolutions - cumulative crank revolutions
+ * @param {number} measurement.speedEventTime - last wheel event time (1/1024 s)
+ * @param {number} measurement.speedRevolutions - cumulative wheel revolutions
+ * @returns {number[]} 8-byte payload
+ */
+export function encodeAntSpeedCadencePage({cadenceEventTime, cadenceRevolutions, speedEventTime, speedRevolutions}) {
+  const data = Buffer.alloc(PAGE_LENGTH);
+  data.writeUInt16LE((cadenceEventTime || 0) & 0xffff, 0);
+  data.writeUInt16LE((cadenceRevolutions || 0) & 0xffff, 2);
+  data.writeUInt16LE((speedEventTime || 0) & 0xffff, 4);
+  data.writeUInt16LE((speedRevolutions || 0) & 0xffff, 6);
+  return [...data];
+}
+
+/**
+ * Encode a speed-only or cadence-only page. Pages 1-3 also take the
+ * background page fields documented on writeBackgroundPage().
+ * @param {object} page
+ * @param {number} page.page - page number (0-3)
+ * @param {boolean} [page.toggle] - page change toggle bit
+ * @param {number} page.eventTime - last wheel or crank event time (1/1024 s)
+ * @param {number} page.revolutions - cumulative wheel or crank revolutions
+ * @returns {number[]} 8-byte payload
+ */
+export function encodeAntRevolutionPage(page) {
+  const data = Buffer.alloc(PAGE_LENGTH, 0xff); // bytes 1-3 of page 0 are reserved (0xff)
+  data.writeUInt8((page.page & 0x7f) | (page.toggle ? 0x80 : 0), 0);
+  writeBackgroundPage(data, page);
+  data.writeUInt16LE((page.eventTime || 0) & 0xffff, 4);
+  data.writeUInt16LE((page.revolutions || 0) & 0xffff, 6);
+  return [...data];
+}
@@ -0,0 +1,461 @@
+import {EventEmitter} from 'events';
+import {loadDependency, toDefaultExport} from './optional-deps.js';
+
+const antModule = loadDependency('gd-ant-plus', '../stubs/gd-ant-plus.cjs', import.meta);
+const Ant = toDefaultExport(antModule);
+const debugModule = loadDependency('debug', '../stubs/debug.cjs', import.meta);
+const debuglog = toDefaultExport(debugModule)('gym:ant:stick');
+
+const MAX_CHANNELS = 8; // USB-m and USB2 sticks
+
+const MESSAGE_CHANNEL_EVENT = 0x40; // channel response / event
+const MESSAGE_UNASSIGN_CHANNEL = 0x41;
+const MESSAGE_ASSIGN_CHANNEL = 0x42;
+const MESSAGE_CHANNEL_PERIOD = 0x43;
+const MESSAGE_SEARCH_TIMEOUT = 0x44;
+const MESSAGE_CHANNEL_FREQUENCY = 0x45;
+const MESSAGE_OPEN_CHANNEL = 0x4b;
+const MESSAGE_CLOSE_CHANNEL = 0x4c;
+const MESSAGE_CHANNEL_ID = 0x51;
+const CONFIG_MESSAGES = new Set([
+  MESSAGE_UNASSIGN_CHANNEL,
+  MESSAGE_ASSIGN_CHANNEL,
+  MESSAGE_CHANNEL_PERIOD,
+  MESSAGE_SEARCH_TIMEOUT,
+  MESSAGE_CHANNEL_FREQUENCY,
+  MESSAGE_OPEN_CHANNEL,
+  MESSAGE_CLOSE_CHANNEL,
+  MESSAGE_CHANNEL_ID,
+]);
+
+const RESPONSE_NO_ERROR = 0x00;
+const RESPONSE_IS_EVENT = 0x01; // message id field of a channel event (as opposed to a response)
+const EVENT_CHANNEL_CLOSED = 0x07;
+
+const defaults = {
+  maxChannels: MAX_CHANNELS,
+  responseTimeout: 1000, // ms to wait for a channel response
+  maxRetries: 3, // attempts after the first failed open
+  retryDelay: 1000, // ms before the first retry, doubled each time
+  maxRetryDelay: 30000,
+}
+
+/**
+ * Shares one ANT+ stick between the ANT+ profiles (AntServer and its extra
+ * channels, heart rate, the ANT+ bike).
+ *
+ * It looks like a stick to them (write(), 'read' events), so they keep
+ * writing the same gd-ant-plus messages, but:
+ *  - channels are handed out with allocateChannel() instead of hard-coded;
+ *  - configuration messages (assign, channel ID, period, frequency, search
+ *    timeout, open, close, unassign) are sent one at a time, each waiting
+ *    for its channel response (and close for the channel closed event);
+ *  - a channel whose setup fails is unassigned and its setup replayed with
+ *    exponential backoff, up to maxRetries times;
+ *  - per-channel state is tracked for status and emitted as 'channel'.
+ * Data messages (broadcast, acknowledged, requests) go straight through.
+ */
+export class AntStickManager extends EventEmitter {
+  /**
+   * Create an AntStickManager instance.
+   * @param {Ant.USBDevice} antStick - ANT+ device instance
+   * @param {object} [options]
+   * @param {number} [options.maxChannels=8]
+   * @param {number} [options.responseTimeout=1000] - ms to wait for each channel response
+   * @param {number} [options.maxRetries=3] - setup retries per channel
+   * @param {number} [options.retryDelay=1000] - ms before the first retry
+   * @param {number} [options.maxRetryDelay=30000] - backoff cap (ms)
+   */
+  constructor(antStick, options = {}) {
+    super();
+    const opts = {...defaults, ...options};
+    this.stick = antStick;
+    this.maxChannels = opts.maxChannels;
+    this.responseTimeout = opts.responseTimeout;
+    this.maxRetries = opts.maxRetries;
+    this.retryDelay = opts.retryDelay;
+    this.maxRetryDelay = opts.maxRetryDelay;
+
+    this.channels = new Map(); // channel -> {channel, owner, state, setup, attempts, lastError, retryTimer}
+    this.queue = [];
+    this.pending = null; // {message, channel, awaitEvent, timer}
+    this.ready = null;
+    this.removed = false; // the stick was unplugged: writes are dropped until it is opened again
+    this.starting = false; // open() is waiting for 'startup': configuration stays queued
+    this.cancelStartup = null;
+
+    this.onRead = this.onRead.bind(this);
+    if (typeof antStick.on === 'function') {
+      antStick.on('read', this.onRead);
+    }
+  }
+
+  /**
+   * Swap in a new stick instance, e.g. after the stick was unplugged and a
+   * different model plugged in. Channels and their owners are kept.
+   * @param {Ant.USBDevice} antStick - ANT+ device instance
+   */
+  replaceStick(antStick) {
+    if (typeof this.stick.removeListener === 'function') {
+      this.stick.removeListener('read', this.onRead);
+    }
+    this.stick = antStick;
+    if (typeof antStick.on === 'function') {
+      antStick.on('read', this.onRead);
+    }
+  }
+
+  /**
+   * Reserve a channel. Asking again with the same owner returns the same
+   * channel, so profiles can be recreated (e.g. on bike reconnect).
+   * @param {string} owner - profile name, shown in status
+   * @param {number} [preferred] - channel to use when it is free
+   * @returns {number} channel
+   */
+  allocateChannel(owner, preferred) {
+    for (let [channel, entry] of this.channels) {
+      if (entry.owner === owner) {
+        return channel;
+      }
+    }
+    const candidates = Number.isInteger(preferred) ? [preferred] : [];
+    for (let channel = 0; channel < this.maxChannels; channel++) {
+      candidates.push(channel);
+    }
+    const channel = candidates.find(c => c >= 0 && c < this.maxChannels && !this.channels.has(c));
+    if (channel === undefined) {
+      throw new Error(`no free ANT+ channel for ${owner} (${this.maxChannels} in use)`);
+    }
+    this.channels.set(channel, {channel, owner, state: 'unassigned', setup: [], attempts: 0, lastError: null, retryTimer: null});
+    debuglog(`ANT+ channel ${channel} allocated to ${owner}`);
+    return channel;
+  }
+
+  /**
+   * Give a channel back.
+   * @param {number} channel
+   */
+  releaseChannel(channel) {
+    const entry = this.channels.get(channel);
+    if (entry) {
+      clearTimeout(entry.retryTimer);
+      this.channels.delete(channel);
+    }
+  }
+
+  /**
+   * Open the stick and resolve when it is ready for channel setup. Later
+   * calls share the same promise until close(), because the USB interface
+   * can only be claimed once.
+   * @returns {Promise} rejects when no stick is present or it failed to open
+   */
+  open() {
+    if (!this.ready) {
+      const ready = new Promise((resolve, reject) => {
+        this.removed = false;
+        if (!this.stick.is_present()) {
+          reject(new Error('no ANT+ stick found'));
+          return;
+        }
+        const stick = this.stick;
+        if (typeof stick.on !== 'function') {
+          if (stick.open() === false) {
+            reject(new Error('failed to open ANT+ stick'));
+          } else {
+            resolve();
+          }
+          return;
+        }
+        // gd-ant-plus returns true right after resetting the stick and emits
+        // 'startup' once the network key is set; channel setup written
+        // before that would be lost, so it stays queued until then.
+        const onStartup = () => {
+          this.starting = false;
+          this.cancelStartup = null;
+          resolve();
+          this.sendNext();
+        };
+        const fail = (message) => {
+          this.starting = false;
+          this.cancelStartup = null;
+          stick.removeListener('startup', onStartup);
+          reject(new Error(message));
+        };
+        this.starting = true;
+        this.cancelStartup = () => fail('ANT+ stick closed before startup');
+        stick.once('startup', onStartup);
+        if (stick.open() === false) {
+          fail('failed to open ANT+ stick');
+        }
+      });
+      ready.catch(() => {
+        if (this.ready === ready) { // Let the next attempt probe the stick again.
+          this.ready = null;
+        }
+      });
+      this.ready = ready;
+    }
+    return this.ready;
+  }
+
+  /**
+   * Whether open() has been called and the stick not closed since.
+   */
+  get isOpen() {
+    return Boolean(this.ready);
+  }
+
+  /**
+   * Close the stick. Queued configuration messages (typically the channels'
+   * close/unassign) are flushed without waiting so the radio goes quiet.
+   * @param {object} [options]
+   * @param {boolean} [options.removed=false] - the stick was unplugged: drop
+   *   queued messages instead, and ignore writes until the next open()
+   */
+  close({removed = false} = {}) {
+    if (removed) {
+      this.removed = true;
+    }
+    if (removed || this.starting) {
+      this.queue = []; // no radio (or no open channel) to send them to
+    }
+    if (this.cancelStartup) {
+      this.cancelStartup();
+    }
+    this.flush();
+    for (let entry of this.channels.values()) {
+      clearTimeout(entry.retryTimer);
+      entry.retryTimer = null;
+      entry.setup = [];
+      this.setState(entry, 'unassigned');
+    }
+    this.ready = null;
+    if (typeof this.stick.close === 'function') {
+      this.stick.close();
+    }
+  }
+
+  /**
+   * Send a message. Configuration messages are queued; everything else is
+   * written straight away.
+   * @param {buffer} message - gd-ant-plus message
+   */
+  write(message) {
+    if (this.removed) {
+      return;
+    }
+    const messageId = Buffer.isBuffer(message) && message.length > 3 ? message.readUInt8(2) : null;
+    if (!CONFIG_MESSAGES.has(messageId)) {
+      if (!this.starting) { // no channel is open before startup
+        this.stick.write(message);
+      }
+      return;
+    }
+    const channel = message.readUInt8(3);
+    const entry = this.channels.get(channel);
+    if (entry) {
+      this.trackSetup(entry, messageId, message);
+    }
+    this.enqueue(message);
+  }
+
+  /**
+   * Per-channel state for status output.
+   * @returns {object[]} [{channel, owner, state, attempts, lastError}]
+   */
+  getStatus() {
+    return [...this.channels.values()].map(({channel, owner, state, attempts, lastError}) =>
+      ({channel, owner, state, attempts, lastError}));
+  }
+
+  /**
+   * @private
+   */
+  trackSetup(entry, messageId, message) {
+    if (messageId === MESSAGE_ASSIGN_CHANNEL) {
+      clearTimeout(entry.retryTimer);
+      entry.retryTimer = null;
+      entry.setup = [message];
+      entry.attempts = 0;
+      entry.lastError = null;
+      this.setState(entry, 'opening');
+    } else if (messageId === MESSAGE_CLOSE_CHANNEL || messageId === MESSAGE_UNASSIGN_CHANNEL) {
+      clearTimeout(entry.retryTimer); // the profile is stopping: no more retries
+      entry.retryTimer = null;
+      entry.setup = [];
+      this.dropQueued(message.readUInt8(3), [MESSAGE_CLOSE_CHANNEL, MESSAGE_UNASSIGN_CHANNEL]);
+      if (messageId === MESSAGE_CLOSE_CHANNEL) {
+        this.setState(entry, 'closing');
+      }
+    } else if (entry.state === 'opening') {
+      entry.setup.push(message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  enqueue(message, {ignoreErrors = false} = {}) {
+    if (!Buffer.isBuffer(message)) {
+      return;
+    }
+    this.queue.push({message, channel: message.readUInt8(3), messageId: message.readUInt8(2), ignoreErrors});
+    this.sendNext();
+  }
+
+  /**
+   * @private
+   */
+  sendNext() {
+    if (this.pending || this.starting || !this.queue.length) {
+      return;
+    }
+    this.pending = this.queue.shift();
+    this.pending.timer = setTimeout(() => this.onResponse(null), this.responseTimeout);
+    this.stick.write(this.pending.message);
+  }
+
+  /**
+   * Handle a message read from the stick: settle the pending configuration
+   * message and pass everything on to the profiles.
+   * @param {buffer} data - raw ANT message (sync, length, id, channel, payload..., checksum)
+   * @private
+   */
+  onRead(data) {
+    if (Buffer.isBuffer(data) && data.length > 5 && data.readUInt8(2) === MESSAGE_CHANNEL_EVENT) {
+      const channel = data.readUInt8(3);
+      const messageId = data.readUInt8(4);
+      const code = data.readUInt8(5);
+      const pending = this.pending;
+      if (pending && pending.channel === channel) {
+        if (pending.awaitEvent && messageId === RESPONSE_IS_EVENT && code === pending.awaitEvent) {
+          this.onResponse(RESPONSE_NO_ERROR);
+        } else if (!pending.awaitEvent && messageId === pending.messageId) {
+          this.onResponse(code);
+        }
+      }
+      if (messageId === RESPONSE_IS_EVENT && code === EVENT_CHANNEL_CLOSED) {
+        const entry = this.channels.get(channel);
+        if (entry && entry.state === 'closing') {
+          this.setState(entry, 'closed');
+        }
+      }
+    }
+    this.emit('read', data);
+  }
+
+  /**
+   * @param {number|null} code - response code, null on timeout
+   * @private
+   */
+  onResponse(code) {
+    const pending = this.pending;
+    if (!pending) {
+      return;
+    }
+    clearTimeout(pending.timer);
+    if (code === RESPONSE_NO_ERROR && pending.messageId === MESSAGE_CLOSE_CHANNEL && !pending.awaitEvent) {
+      pending.awaitEvent = EVENT_CHANNEL_CLOSED; // unassign is only accepted once the channel has closed
+      pending.timer = setTimeout(() => this.onResponse(null), this.responseTimeout);
+      return;
+    }
+    this.pending = null;
+    const entry = this.channels.get(pending.channel);
+    if (code === RESPONSE_NO_ERROR) {
+      if (entry && pending.messageId === MESSAGE_OPEN_CHANNEL && entry.state === 'opening') {
+        this.setState(entry, 'open');
+      } else if (entry && pending.messageId === MESSAGE_UNASSIGN_CHANNEL && entry.state !== 'opening') { // not the unassign before a replay
+        this.setState(entry, 'unassigned');
+      }
+    } else if (!pending.ignoreErrors) {
+      const reason = code === null ? 'no response' : `response code 0x${code.toString(16)}`;
+      this.onSetupFailed(pending, `message 0x${pending.messageId.toString(16)} failed: ${reason}`);
+    }
+    this.sendNext();
+  }
+
+  /**
+   * Abandon the rest of a failed setup and schedule a replay with backoff.
+   * @private
+   */
+  onSetupFailed({channel, messageId}, error) {
+    const entry = this.channels.get(channel);
+    debuglog(`ANT+ channel ${channel} ${error}`);
+    if (!entry || entry.state !== 'opening' || !entry.setup.some(m => m.readUInt8(2) === messageId)) {
+      if (entry && (messageId === MESSAGE_CLOSE_CHANNEL || messageId === MESSAGE_UNASSIGN_CHANNEL)) {
+        entry.lastError = error;
+        this.setState(entry, 'unassigned'); // best effort: the next assign starts over anyway
+      }
+      return;
+    }
+    this.dropQueued(channel);
+    entry.attempts++;
+    entry.lastError = error;
+    if (entry.attempts > this.maxRetries) {
+      this.setState(entry, 'failed');
+      return;
+    }
+    const delay = Math.min(this.retryDelay * Math.pow(2, entry.attempts - 1), this.maxRetryDelay);
+    this.setState(entry, 'retrying');
+    const setup = entry.setup;
+    entry.retryTimer = setTimeout(() => {
+      entry.retryTimer = null;
+      if (this.channels.get(channel) !== entry || entry.setup !== setup) {
+        return; // released or restarted in the meantime
+      }
+      this.setState(entry, 'opening');
+      this.enqueue(Ant.Messages.unassignChannel(channel), {ignoreErrors: true}); // clear whatever part of the setup stuck
+      for (let m of setup) {
+        this.enqueue(m);
+      }
+    }, delay);
+  }
+
+  /**
+   * @private
+   */
+  dropQueued(channel, keep = []) {
+    this.queue = this.queue.filter(item => item.channel !== channel || keep.includes(item.messageId));
+  }
+
+  /**
+   * Write out everything queued without waiting for responses.
+   * @private
+   */
+  flush() {
+    const items = this.queue;
+    this.queue = [];
+    if (this.pending) {
+      clearTimeout(this.pending.timer);
+      this.pending = null;
+    }
+    for (let {message} of items) {
+      this.stick.write(message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  setState(entry, state) {
+    if (entry.state === state) {
+      return;
+    }
+    entry.state = state;
+    const {channel, owner, attempts, lastError} = entry;
+    debuglog(`ANT+ channel ${channel} (${owner}) ${state}${lastError ? ` [${lastError}]` : ''}`);
+    this.emit('channel', {channel, owner, state, attempts, lastError});
+  }
+}
+
+/**
+ * Pick the channel for a profile: from the manager when the profile was
+ * given one, otherwise the profile's own default (plain stick, tests).
+ * @param {AntStickManager|Ant.USBDevice} stick
+ * @param {string} owner - profile name
+ * @param {number} preferred - channel to use when it is free
+ * @returns {number} channel
+ */
+export function allocateChannel(stick, owner, preferred) {
+  return typeof stick?.allocateChannel === 'function' ? stick.allocateChannel(owner, preferred) : preferred;
+}
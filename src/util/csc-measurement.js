@@ -0,0 +1,138 @@
+/**
+ * Cycling Speed and Cadence (CSC, service 0x1816) helpers shared by the
+ * external speed and cadence sensor clients.
+ *
+ * CSC Measurement (0x2A5B) layout:
+ *   Byte 0: Flags (bit 0 wheel data present, bit 1 crank data present)
+ *   Wheel:  Cumulative Wheel Revolutions (uint32 LE) + Last Wheel Event Time (uint16 LE)
+ *   Crank:  Cumulative Crank Revolutions (uint16 LE) + Last Crank Event Time (uint16 LE)
+ * Event times are in 1/1024 s and wrap every 64 s; the revolution counters
+ * wrap at 32 bits (wheel) and 16 bits (crank).
+ */
+
+export const CSC_SERVICE_UUID = '1816';
+export const CSC_MEASUREMENT_UUID = '2a5b';
+export const CSC_FEATURE_UUID = '2a5c';
+
+export const WHEEL_REVOLUTIONS_MAX = 0x100000000;
+export const CRANK_REVOLUTIONS_MAX = 0x10000;
+const EVENT_TIME_MAX = 0x10000;
+const EVENT_TIME_UNIT = 1 / 1024; // seconds
+
+const FLAG_WHEEL = 0x01;
+const FLAG_CRANK = 0x02;
+const WHEEL_DATA_LENGTH = 6;
+const CRANK_DATA_LENGTH = 4;
+
+/**
+ * Parse a CSC Measurement value.
+ * @param {buffer} data - raw characteristic value
+ * @returns {object} measurement
+ * @returns {object} [measurement.wheel] - {revolutions, eventTime} when wheel data is present
+ * @returns {object} [measurement.crank] - {revolutions, eventTime} when crank data is present
+ */
+export function parseCscMeasurement(data) {
+  if (!Buffer.isBuffer(data) || data.length < 1) {
+    throw new Error('unable to parse message');
+  }
+  const flags = data.readUInt8(0);
+  const expected = 1 + (flags & FLAG_WHEEL ? WHEEL_DATA_LENGTH : 0) + (flags & FLAG_CRANK ? CRANK_DATA_LENGTH : 0);
+  if (data.length < expected) {
+    throw new Error('unable to parse message');
+  }
+  const measurement = {};
+  let offset = 1;
+  if (flags & FLAG_WHEEL) {
+    measurement.wheel = {revolutions: data.readUInt32LE(offset), eventTime: data.readUInt16LE(offset + 4)};
+    offset += WHEEL_DATA_LENGTH;
+  }
+  if (flags & FLAG_CRANK) {
+    measurement.crank = {revolutions: data.readUInt16LE(offset), eventTime: data.readUInt16LE(offset + 2)};
+  }
+  return measurement;
+}
+
+/**
+ * Parse a CSC Feature value.
+ * @param {buffer} data - raw characteristic value
+ * @returns {object} {wheel, crank} - which data the sensor can report
+ */
+export function parseCscFeature(data) {
+  if (!Buffer.isBuffer(data) || data.length < 2) {
+    throw new Error('unable to parse message');
+  }
+  const features = data.readUInt16LE(0);
+  return {wheel: Boolean(features & FLAG_WHEEL), crank: Boolean(features & FLAG_CRANK)};
+}
+
+/**
+ * Difference between two readings of a wrapping counter.
+ * @param {number} current
+ * @param {number} previous
+ * @param {number} max - counter range (the value it wraps at)
+ * @returns {number}
+ */
+export function counterDelta(current, previous, max) {
+  if (!Number.isFinite(current) || !Number.isFinite(previous)) {
+    return 0;
+  }
+  if (current >= previous) {
+    return current - previous;
+  }
+  return (max - previous) + current;
+}
+
+/**
+ * Turns successive cumulative {revolutions, eventTime} readings into
+ * per-event deltas. The first reading only sets the baseline.
+ */
+export class RevolutionCounter {
+  /**
+   * @param {number} revolutionsMax - WHEEL_REVOLUTIONS_MAX or CRANK_REVOLUTIONS_MAX
+   */
+  constructor(revolutionsMax) {
+    this.revolutionsMax = revolutionsMax;
+    this.reset();
+  }
+
+  /**
+   * @param {object} reading - {revolutions, eventTime} from parseCscMeasurement()
+   * @returns {object} {revolutions, revolutionsSinceLastEvent, timeSinceLastEvent (seconds)}
+   */
+  update({revolutions, eventTime}) {
+    const hasPrevious = this.eventTime !== null;
+    const revolutionsSinceLastEvent = hasPrevious
+      ? counterDelta(revolutions, this.revolutions, this.revolutionsMax)
+      : 0;
+    const timeSinceLastEvent = hasPrevious
+      ? counterDelta(eventTime, this.eventTime, EVENT_TIME_MAX) * EVENT_TIME_UNIT
+      : 0;
+    this.revolutions = revolutions;
+    this.eventTime = eventTime;
+    return {revolutions, revolutionsSinceLastEvent, timeSinceLastEvent};
+  }
+
+  reset() {
+    this.revolutions = 0;
+    this.eventTime = null;
+  }
+}
+
+/**
+ * Build the 'stats' payload of SpeedSensorClient from a wheel delta.
+ * @param {object} delta - result of RevolutionCounter#update()
+ * @returns {object} {wheelRevolutions, revolutionsSinceLastEvent, timeSinceLastEvent, timestamp}
+ */
+export function wheelStats({revolutions, revolutionsSinceLastEvent, timeSinceLastEvent}) {
+  return {wheelRevolutions: revolutions, revolutionsSinceLastEvent, timeSinceLastEvent, timestamp: Date.now()};
+}
+
+/**
+ * Build the 'stats' payload of CadenceSensorClient from a crank delta.
+ * @param {object} delta - result of RevolutionCounter#update()
+ * @returns {object} {crankRevolutions, revolutionsSinceLastEvent, timeSinceLastEvent, cadenceRpm, timestamp}
+ */
+export function crankStats({revolutions, revolutionsSinceLastEvent, timeSinceLastEvent}) {
+  const cadenceRpm = timeSinceLastEvent > 0 ? Math.round((revolutionsSinceLastEvent / timeSinceLastEvent) * 60) : 0;
+  return {crankRevolutions: revolutions, revolutionsSinceLastEvent, timeSinceLastEvent, cadenceRpm, timestamp: Date.now()};
+}
@@ -0,0 +1,556 @@
+/**
+ * Cycling Speed and Cadence sensor client shared by the external speed and
+ * cadence sensor clients (speed/speed-sensor-client.js and
+ * cadence/cadence-sensor-client.js). A subclass says which data it is for
+ * ('wheel' or 'crank'); the data of the other kind from a combo sensor is
+ * forwarded under a second event name.
+ *
+ * When a CscSensorClaims instance is shared between the two clients, each
+ * physical sensor is only connected once: a sensor whose CSC Feature lacks a
+ * client's data is left to the other client, and while the other client's
+ * combo sensor already reports a client's data, that client stops scanning
+ * until the combo sensor goes away.
+ */
+
+import {EventEmitter} from 'events';
+import {scan} from './ble-scan.js';
+import {macAddress} from './mac-address.js';
+import {
+  CSC_SERVICE_UUID,
+  CSC_MEASUREMENT_UUID,
+  CSC_FEATURE_UUID,
+  WHEEL_REVOLUTIONS_MAX,
+  CRANK_REVOLUTIONS_MAX,
+  RevolutionCounter,
+  parseCscMeasurement,
+  parseCscFeature,
+  wheelStats,
+  crankStats,
+} from './csc-measurement.js';
+
+const STATS = {wheel: wheelStats, crank: crankStats};
+
+/**
+ * Which client connected which CSC sensor, and what each sensor reports.
+ * @emits CscSensorClaims#change when a sensor is released or its features become known
+ */
+export class CscSensorClaims extends EventEmitter {
+  constructor() {
+    super();
+    this.owners = new Map(); // address -> client
+    this.features = new Map(); // address -> {wheel, crank} from CSC Feature
+  }
+
+  /**
+   * Reserve a sensor for a client, releasing the client's previous sensor.
+   * @param {CscSensorClient} client
+   * @param {string} address - lower case
+   * @returns {boolean} false when another client already holds it
+   */
+  claim(client, address) {
+    const owner = this.owners.get(address);
+    if (owner && owner !== client) {
+      return false;
+    }
+    if (!owner) {
+      this.release(client);
+      this.owners.set(address, client);
+    }
+    return true;
+  }
+
+  /**
+   * Give up the sensor held by a client, if any.
+   * @param {CscSensorClient} client
+   */
+  release(client) {
+    for (const [address, owner] of this.owners) {
+      if (owner === client) {
+        this.owners.delete(address);
+        this.emit('change');
+      }
+    }
+  }
+
+  /**
+   * Remember what a sensor reports; kept across reconnects.
+   * @param {string} address - lower case
+   * @param {object} features - {wheel, crank} from parseCscFeature()
+   */
+  setFeatures(address, features) {
+    this.features.set(address, features);
+    this.emit('change');
+  }
+
+  /**
+   * Whether a sensor is known not to report `kind` data.
+   * @param {string} address - lower case
+   * @param {string} kind - 'wheel' or 'crank'
+   */
+  lacks(address, kind) {
+    const features = this.features.get(address);
+    return Boolean(features) && !features[kind];
+  }
+
+  /**
+   * The client, other than `client`, holding a sensor that reports `kind` data.
+   * @param {string} kind - 'wheel' or 'crank'
+   * @param {CscSensorClient} client
+   * @returns {CscSensorClient|null}
+   */
+  coveredBy(kind, client) {
+    for (const [address, owner] of this.owners) {
+      if (owner !== client && this.features.get(address)?.[kind]) {
+        return owner;
+      }
+    }
+    return null;
+  }
+}
+
+export class CscSensorClient extends EventEmitter {
+  /**
+   * @param {Noble} noble
+   * @param {object} options
+   * @param {object} profile - set by the subclass
+   * @param {string} profile.name - log prefix, e.g. 'SpeedSensorClient'
+   * @param {string} profile.label - 'speed' or 'cadence'
+   * @param {string} profile.kind - 'wheel' or 'crank': the data emitted as 'stats'
+   * @param {string} profile.forwardEvent - event for the other kind of data from combo sensors
+   */
+  constructor(noble, options = {}, {name, label, kind, forwardEvent}) {
+    super();
+    this.noble = noble;
+    this.logger = options.logger || console;
+    this.connectionManager = options.connectionManager;
+    this.name = name;
+    this.label = label;
+    this.kind = kind;
+    this.forwardEvent = forwardEvent;
+
+    // Search parameters
+    this.deviceName = options.deviceName;  // Optional: filter by name (e.g., "Wahoo Speed")
+    this.deviceAddress = options.deviceAddress ? macAddress(options.deviceAddress) : null;  // Optional: pin by MAC address
+    this.claims = options.claims || new CscSensorClaims();  // Shared with the other sensor client
+    this.serviceUuid = CSC_SERVICE_UUID;  // Cycling Speed and Cadence service
+    this.characteristicUuid = CSC_MEASUREMENT_UUID;  // CSC Measurement
+
+    // Connection parameters
+    this.connectTimeout = options.connectTimeout || 30;  // seconds
+    this.statTimeout = options.statTimeout || 5000;  // milliseconds between expected updates
+    this.maxConnectRetries = Number.isFinite(options.maxConnectRetries) ? options.maxConnectRetries : Infinity;
+    this.retryDelay = Number.isFinite(options.retryDelay) ? options.retryDelay : 1000;  // ms before retry
+    this.maxRetryDelay = Number.isFinite(options.maxRetryDelay) ? options.maxRetryDelay : 30000;
+
+    // State tracking
+    this.peripheral = null;
+    this.characteristic = null;
+    this.wheel = new RevolutionCounter(WHEEL_REVOLUTIONS_MAX);
+    this.crank = new RevolutionCounter(CRANK_REVOLUTIONS_MAX);
+    this.features = null;  // CSC Feature: which of wheel/crank data the sensor reports
+    this.isConnected = false;
+    this.connecting = false;
+    this.covered = false;  // Idle because the other client's combo sensor reports our data
+    this.shouldReconnect = true;
+
+    // Timers
+    this.connectTimer = null;
+    this.statTimer = null;
+    this.retryTimer = null;
+    this.retryCount = 0;
+
+    this.onDataBound = (data) => this.onMeasurement(data);
+    this.onDisconnectBound = () => this.onDisconnect();
+    this.onClaimsChangeBound = () => this.onClaimsChange();
+    this.claims.on('change', this.onClaimsChangeBound);
+  }
+
+  /**
+   * Start discovery and connection process.
+   * Emits 'connected' on success, 'connect-failed' on failure.
+   */
+  async connect() {
+    if (this.isConnected || this.connecting) {
+      return;
+    }
+    this.shouldReconnect = true;
+    if (this.isCovered()) {
+      this.idle();
+      return;
+    }
+    this.connecting = true;
+    this.logger.log(`[${this.name}] Starting ${this.label} sensor discovery...`);
+
+    try {
+      // Phase 1: Scan for a sensor; none match while a combo sensor covers us
+      const timeoutMs = Number.isFinite(this.connectTimeout) && this.connectTimeout > 0
+        ? Math.round(this.connectTimeout * 1000)
+        : 0;
+      this.peripheral = await scan(
+        this.noble,
+        [this.serviceUuid],
+        (peripheral) => !this.isCovered() && this.matchesFilter(peripheral) && this.claim(peripheral),
+        {
+          timeoutMs,
+          stopScanOnMatch: false,
+          stopScanOnTimeout: false,
+        }
+      );
+
+      if (!this.peripheral) {
+        this.connecting = false;
+        if (this.isCovered()) {
+          this.idle();
+          return;
+        }
+        this.emit('connect-failed', `${capitalize(this.label)} sensor not found`);
+        this.scheduleReconnect();
+        return;
+      }
+
+      if (typeof this.peripheral.connectAsync !== 'function') {
+        throw new Error(`${capitalize(this.label)} sensor discovery returned a non-connectable peripheral`);
+      }
+
+      const name = this.peripheral?.advertisement?.localName || 'Unknown';
+      this.logger.log(`[${this.name}] Found ${this.label} sensor: ${name}`);
+
+      // Phase 2: Connect to device
+      if (this.connectionManager) {
+        await this.connectionManager.connect(this.peripheral);
+      } else {
+        await this.peripheral.connectAsync();
+      }
+      this.logger.log(`[${this.name}] Connected to peripheral`);
+
+      // Phase 3: Discover services and characteristics
+      const {characteristics} = await this.peripheral.discoverServicesAndCharacteristicsAsync();
+
+      this.characteristic = characteristics.find(c =>
+        c.uuid === this.characteristicUuid.toLowerCase()
+      );
+
+      if (!this.characteristic) {
+        throw new Error(`Characteristic ${this.characteristicUuid} not found`);
+      }
+
+      this.logger.log(`[${this.name}] Discovered CSC measurement characteristic`);
+      await this.readFeatures(characteristics);
+      if (this.features && !this.features[this.kind]) {
+        // Leave it to the other client; the next scan skips it.
+        await this.peripheral.disconnectAsync().catch(() => {});
+        throw new Error(`Sensor reports no ${this.kind} data`);
+      }
+
+      // Phase 4: Subscribe to notifications
+      this.characteristic.on('data', this.onDataBound);
+      await this.characteristic.subscribeAsync();
+
+      this.isConnected = true;
+      this.connecting = false;
+      this.retryCount = 0;
+      this.emit('connected');
+      this.logger.log(`[${this.name}] Subscribed to ${this.label} notifications`);
+
+      // Handle disconnection
+      this.peripheral.once('disconnect', this.onDisconnectBound);
+
+    } catch (error) {
+      this.logger.error(`[${this.name}] Connection failed: ${error.message}`);
+      this.connecting = false;
+      this.cleanupConnection();
+      this.emit('connect-failed', error.message);
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Check if a peripheral matches our search criteria.
+   * Matches if: address matches (when pinned) AND device advertises the CSC
+   * service AND (no name filter OR name matches).
+   * If service UUIDs are missing (hcitool fallback), a name or address pin is trusted instead.
+   */
+  matchesFilter(peripheral) {
+    if (this.deviceAddress && !sameAddress(peripheral?.address, this.deviceAddress)) {
+      return false;
+    }
+    const localName = peripheral?.advertisement?.localName || '';
+    const nameMatches = this.deviceName
+      ? localName.toLowerCase().includes(this.deviceName.toLowerCase())
+      : false;
+    const serviceUuids = peripheral?.advertisement?.serviceUuids;
+    const hasService = Array.isArray(serviceUuids) && serviceUuids.some(
+      uuid => uuid?.toLowerCase() === this.serviceUuid.toLowerCase()
+    );
+
+    if (this.deviceName) {
+      return Array.isArray(serviceUuids) ? nameMatches && hasService : nameMatches;
+    }
+    if (this.deviceAddress) {
+      return Array.isArray(serviceUuids) ? hasService : true;
+    }
+    return Boolean(hasService);
+  }
+
+  /**
+   * Reserve a peripheral in the shared claims so the other sensor client
+   * does not connect to the same (combo) sensor.
+   * @returns {boolean} false when the other client already claimed it, or
+   *   the sensor is known not to report this client's data
+   */
+  claim(peripheral) {
+    const address = peripheral?.address?.toLowerCase();
+    if (!address) {
+      return true;
+    }
+    return !this.claims.lacks(address, this.kind) && this.claims.claim(this, address);
+  }
+
+  /**
+   * Whether the other client holds a combo sensor that reports our data.
+   */
+  isCovered() {
+    return Boolean(this.claims.coveredBy(this.kind, this));
+  }
+
+  /**
+   * Stop looking for a sensor of our own; onClaimsChange() resumes.
+   */
+  idle() {
+    this.clearRetryTimer();
+    if (!this.covered) {
+      this.covered = true;
+      this.logger.log(`[${this.name}] ${capitalize(this.label)} data comes from the combo sensor of the other client; not scanning`);
+    }
+  }
+
+  onClaimsChange() {
+    if (this.covered && this.shouldReconnect && !this.isCovered()) {
+      this.covered = false;
+      this.logger.log(`[${this.name}] Combo sensor released; scanning for a ${this.label} sensor`);
+      this.connect();
+    }
+  }
+
+  /**
+   * Read CSC Feature (when present) to learn what kind of sensor this is.
+   */
+  async readFeatures(characteristics) {
+    const feature = characteristics.find(c => c.uuid === CSC_FEATURE_UUID);
+    if (!feature || typeof feature.readAsync !== 'function') {
+      return;
+    }
+    try {
+      this.features = parseCscFeature(await feature.readAsync());
+      const kinds = [this.features.wheel && 'wheel', this.features.crank && 'crank'].filter(Boolean).join('+') || 'no';
+      this.logger.log(`[${this.name}] Sensor reports ${kinds} data`);
+    } catch (e) {
+      this.logger.warn(`[${this.name}] Unable to read CSC features: ${e.message}`);
+      return;
+    }
+    const address = this.peripheral?.address?.toLowerCase();
+    if (address) {
+      this.claims.setFeatures(address, this.features);
+    }
+  }
+
+  /**
+   * Parse a CSC Measurement notification. Data of our kind is emitted as
+   * 'stats'; the other kind from combo sensors is forwarded as forwardEvent.
+   */
+  onMeasurement(data) {
+    let measurement;
+    try {
+      measurement = parseCscMeasurement(data);
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Ignoring malformed CSC measurement: ${data?.length} bytes`);
+      return;
+    }
+    if (!measurement.wheel && !measurement.crank) {
+      this.logger.warn(`[${this.name}] CSC measurement has no wheel or crank data`);
+      return;
+    }
+
+    // Restart watchdog timer (we're getting data)
+    this.startStatTimer();
+
+    // Emit stats for app to consume
+    const other = this.kind === 'wheel' ? 'crank' : 'wheel';
+    if (measurement[this.kind]) {
+      this.emit('stats', STATS[this.kind](this[this.kind].update(measurement[this.kind])));
+    }
+    if (measurement[other]) {
+      this.emit(this.forwardEvent, STATS[other](this[other].update(measurement[other])));
+    }
+  }
+
+  /**
+   * Start or restart the watchdog timer.
+   * If we don't receive data within statTimeout, assume device disconnected.
+   */
+  startStatTimer() {
+    if (!Number.isFinite(this.statTimeout) || this.statTimeout <= 0) {
+      return;
+    }
+    if (this.statTimer) {
+      clearTimeout(this.statTimer);
+    }
+    this.statTimer = setTimeout(() => {
+      this.logger.warn(`[${this.name}] No ${this.label} data received - assuming disconnect`);
+      this.onDisconnect();
+    }, this.statTimeout);
+  }
+
+  /**
+   * Handle unexpected disconnection.
+   * Attempt to reconnect with exponential backoff.
+   */
+  onDisconnect() {
+    if (!this.isConnected && !this.connecting) return;  // Already handled
+    if (!this.shouldReconnect) {
+      this.cleanupConnection();
+      return;
+    }
+
+    this.isConnected = false;
+    this.connecting = false;
+    this.logger.warn(`[${this.name}] ${capitalize(this.label)} sensor disconnected`);
+    this.emit('disconnect-detected');
+
+    this.clearStatTimer();
+    this.cleanupConnection();
+
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Schedule reconnection attempt with exponential backoff.
+   */
+  scheduleReconnect() {
+    if (!this.shouldReconnect) return;
+    if (this.isCovered()) {
+      this.idle();
+      return;
+    }
+    if (Number.isFinite(this.maxConnectRetries) && this.retryCount >= this.maxConnectRetries) {
+      this.logger.error(`[${this.name}] Max reconnection attempts (${this.maxConnectRetries}) reached`);
+      this.emit('connection-failed');
+      return;
+    }
+
+    const delay = Math.min(this.retryDelay * Math.pow(2, this.retryCount), this.maxRetryDelay);
+    this.retryCount++;
+
+    const attemptLabel = Number.isFinite(this.maxConnectRetries)
+      ? `${this.retryCount}/${this.maxConnectRetries}`
+      : `${this.retryCount}`;
+    this.logger.log(`[${this.name}] Scheduling reconnect in ${delay}ms (attempt ${attemptLabel})`);
+
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+    }
+    this.retryTimer = setTimeout(() => this.reconnect(), Math.round(delay));
+  }
+
+  /**
+   * Attempt to reconnect after disconnect.
+   */
+  async reconnect() {
+    if (!this.shouldReconnect) return;
+    try {
+      await this.disconnect({reconnect: true});  // Clean up old connection
+      await this.connect();
+    } catch (error) {
+      this.logger.error(`[${this.name}] Reconnection failed: ${error.message}`);
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Disconnect and clean up.
+   */
+  async disconnect({reconnect = false} = {}) {
+    if (!reconnect) {
+      this.shouldReconnect = false;
+      this.covered = false;
+      this.claims.removeListener('change', this.onClaimsChangeBound);
+    }
+    this.clearStatTimer();
+    this.clearRetryTimer();
+
+    if (this.characteristic) {
+      try {
+        await this.characteristic.unsubscribeAsync();
+      } catch (e) {
+        this.logger.warn(`[${this.name}] Failed to unsubscribe: ${e.message}`);
+      }
+    }
+
+    if (this.peripheral && this.isConnected) {
+      try {
+        await this.peripheral.disconnectAsync();
+      } catch (e) {
+        this.logger.warn(`[${this.name}] Failed to disconnect: ${e.message}`);
+      }
+    }
+
+    this.cleanupConnection();
+  }
+
+  /**
+   * Get current connection status.
+   */
+  getStatus() {
+    return {
+      connected: this.isConnected,
+      [`${this.kind}Revolutions`]: this[this.kind].revolutions,
+      address: this.peripheral?.address,
+      features: this.features,
+      covered: this.covered,
+      deviceName: this.peripheral?.advertisement?.localName || 'Unknown',
+    };
+  }
+
+  clearStatTimer() {
+    if (this.statTimer) {
+      clearTimeout(this.statTimer);
+      this.statTimer = null;
+    }
+  }
+
+  clearRetryTimer() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  cleanupConnection() {
+    this.isConnected = false;
+    this.connecting = false;
+    this.wheel.reset();
+    this.crank.reset();
+    this.features = null;
+    if (this.characteristic) {
+      this.characteristic.removeListener('data', this.onDataBound);
+      this.characteristic = null;
+    }
+    if (this.peripheral) {
+      this.peripheral.removeListener('disconnect', this.onDisconnectBound);
+      this.peripheral = null;
+    }
+    this.claims.release(this);
+  }
+}
+
+function sameAddress(address, expected) {
+  try {
+    return macAddress(address) === expected;
+  } catch (_error) {
+    return false;
+  }
+}
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
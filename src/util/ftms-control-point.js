@@ -0,0 +1,150 @@
+// Encode/decode Fitness Machine Control Point (0x2AD9) messages.
+// The same wire format is used in both directions: apps write requests to our
+// FTMS server, and we write the same requests to controllable bikes.
+
+// Request op codes (FTMS spec 4.16.1)
+export const OP_REQUEST_CONTROL = 0x00;
+export const OP_RESET = 0x01;
+export const OP_SET_TARGET_RESISTANCE = 0x04;
+export const OP_SET_TARGET_POWER = 0x05;
+export const OP_START_OR_RESUME = 0x07;
+export const OP_STOP_OR_PAUSE = 0x08;
+export const OP_SET_INDOOR_BIKE_SIMULATION = 0x11;
+export const OP_RESPONSE_CODE = 0x80;
+
+// Result codes (FTMS spec 4.16.2.22)
+export const RESULT_SUCCESS = 0x01;
+export const RESULT_OP_CODE_NOT_SUPPORTED = 0x02;
+export const RESULT_INVALID_PARAMETER = 0x03;
+export const RESULT_OPERATION_FAILED = 0x04;
+export const RESULT_CONTROL_NOT_PERMITTED = 0x05;
+
+const COMMAND_TYPES = {
+  [OP_REQUEST_CONTROL]: 'requestControl',
+  [OP_RESET]: 'reset',
+  [OP_SET_TARGET_RESISTANCE]: 'setTargetResistance',
+  [OP_SET_TARGET_POWER]: 'setTargetPower',
+  [OP_START_OR_RESUME]: 'startOrResume',
+  [OP_STOP_OR_PAUSE]: 'stopOrPause',
+  [OP_SET_INDOOR_BIKE_SIMULATION]: 'setIndoorBikeSimulation',
+};
+
+const OP_CODES = Object.fromEntries(Object.entries(COMMAND_TYPES).map(([op, type]) => [type, Number(op)]));
+
+// Parameter length (bytes) expected after the op code.
+const PARAMETER_LENGTHS = {
+  [OP_REQUEST_CONTROL]: 0,
+  [OP_RESET]: 0,
+  [OP_SET_TARGET_RESISTANCE]: 1,
+  [OP_SET_TARGET_POWER]: 2,
+  [OP_START_OR_RESUME]: 0,
+  [OP_STOP_OR_PAUSE]: 1,
+  [OP_SET_INDOOR_BIKE_SIMULATION]: 6,
+};
+
+/**
+ * Decode a control point request.
+ * @param {Buffer} data - raw control point value written by the app.
+ * @returns {object} command
+ * @returns {number} command.opCode - request op code
+ * @returns {string} [command.type] - command name; undefined for op codes we do not handle
+ * @returns {number} [command.resistance] - target resistance level (unitless, 0.1 resolution)
+ * @returns {number} [command.power] - target power (watts)
+ * @returns {object} [command.simulation] - {windSpeed (m/s), grade (%), crr, cw (kg/m)}
+ * @throws {Error} 'invalid parameter' when the parameter length does not match the op code
+ * @throws {Error} 'unable to parse message' when the value is empty
+ */
+export function parseControlPointRequest(data) {
+  if (!Buffer.isBuffer(data) || data.length < 1) {
+    throw new Error('unable to parse message');
+  }
+  const opCode = data.readUInt8(0);
+  const type = COMMAND_TYPES[opCode];
+  if (!type) {
+    return {opCode};
+  }
+  if (data.length - 1 < PARAMETER_LENGTHS[opCode]) {
+    throw new Error('invalid parameter');
+  }
+  const command = {opCode, type};
+  switch (opCode) {
+    case OP_SET_TARGET_RESISTANCE:
+      command.resistance = data.readUInt8(1) / 10;
+      break;
+    case OP_SET_TARGET_POWER:
+      command.power = data.readInt16LE(1);
+      break;
+    case OP_STOP_OR_PAUSE:
+      command.control = data.readUInt8(1); // 0x01 stop, 0x02 pause
+      break;
+    case OP_SET_INDOOR_BIKE_SIMULATION:
+      command.simulation = {
+        windSpeed: data.readInt16LE(1) / 1000,
+        grade: data.readInt16LE(3) / 100,
+        crr: data.readUInt8(5) / 10000,
+        cw: data.readUInt8(6) / 100,
+      };
+      break;
+  }
+  return command;
+}
+
+/**
+ * Encode a control point request (inverse of parseControlPointRequest()).
+ * @param {object} command - command with a `type` and its parameters.
+ * @returns {Buffer} control point value
+ */
+export function encodeControlPointRequest(command) {
+  const opCode = OP_CODES[command.type];
+  if (opCode === undefined) {
+    throw new Error(`unsupported control point command: ${command.type}`);
+  }
+  const buf = Buffer.alloc(1 + PARAMETER_LENGTHS[opCode]);
+  buf.writeUInt8(opCode, 0);
+  switch (opCode) {
+    case OP_SET_TARGET_RESISTANCE:
+      buf.writeUInt8(clamp(Math.round(command.resistance * 10), 0, 0xff), 1);
+      break;
+    case OP_SET_TARGET_POWER:
+      buf.writeInt16LE(clamp(Math.round(command.power), -0x8000, 0x7fff), 1);
+      break;
+    case OP_STOP_OR_PAUSE:
+      buf.writeUInt8(command.control ?? 0x01, 1);
+      break;
+    case OP_SET_INDOOR_BIKE_SIMULATION: {
+      const {windSpeed = 0, grade = 0, crr = 0, cw = 0} = command.simulation ?? {};
+      buf.writeInt16LE(clamp(Math.round(windSpeed * 1000), -0x8000, 0x7fff), 1);
+      buf.writeInt16LE(clamp(Math.round(grade * 100), -0x8000, 0x7fff), 3);
+      buf.writeUInt8(clamp(Math.round(crr * 10000), 0, 0xff), 5);
+      buf.writeUInt8(clamp(Math.round(cw * 100), 0, 0xff), 6);
+      break;
+    }
+  }
+  return buf;
+}
+
+/**
+ * Encode a control point response indication.
+ * @param {number} requestOpCode - op code of the request being answered
+ * @param {number} result - one of the RESULT_* codes
+ * @returns {Buffer} response value
+ */
+export function encodeControlPointResponse(requestOpCode, result) {
+  return Buffer.from([OP_RESPONSE_CODE, requestOpCode & 0xff, result & 0xff]);
+}
+
+/**
+ * Decode a control point response indication.
+ * @param {Buffer} data - raw indication value
+ * @returns {object|null} {requestOpCode, result} or null when not a response
+ */
+export function parseControlPointResponse(data) {
+  if (!Buffer.isBuffer(data) || data.length < 3 || data[0] !== OP_RESPONSE_CODE) {
+    return null;
+  }
+  return {requestOpCode: data[1], result: data[2]};
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
@@ -0,0 +1,58 @@
+// Decode the Heart Rate Measurement characteristic (0x2A37).
+// A flags byte announces the heart rate format (8 or 16 bit), sensor contact
+// status, the optional Energy Expended field and a trailing list of RR
+// intervals in 1/1024 s units.
+
+// Flags bits (Heart Rate Service spec 3.1.1.1).
+export const FLAG_HEART_RATE_16BIT = 1 << 0;
+export const FLAG_CONTACT_DETECTED = 1 << 1;
+export const FLAG_CONTACT_SUPPORTED = 1 << 2;
+export const FLAG_ENERGY_EXPENDED = 1 << 3;
+export const FLAG_RR_INTERVALS = 1 << 4;
+
+export const RR_INTERVAL_UNIT = 1 / 1024; // seconds
+
+/**
+ * Parse a Heart Rate Measurement characteristic value.
+ * @param {Buffer} data - raw characteristic value.
+ * @returns {object} measurement
+ * @returns {number} measurement.heartRate - heart rate (bpm)
+ * @returns {boolean} [measurement.sensorContact] - skin contact, omitted when the strap does not report it
+ * @returns {number} [measurement.energyExpended] - cumulative energy (kJ)
+ * @returns {number[]} [measurement.rrIntervals] - RR intervals (seconds), oldest first
+ * @throws {Error} 'unable to parse message' when the value is truncated
+ */
+export function parseHeartRateMeasurement(data) {
+  if (!Buffer.isBuffer(data) || data.length < 2) {
+    throw new Error('unable to parse message');
+  }
+  const flags = data.readUInt8(0);
+  let offset = 1;
+  const read = (size, reader) => {
+    if (offset + size > data.length) {
+      throw new Error('unable to parse message');
+    }
+    const value = reader(offset);
+    offset += size;
+    return value;
+  };
+
+  const measurement = {
+    heartRate: flags & FLAG_HEART_RATE_16BIT
+      ? read(2, o => data.readUInt16LE(o))
+      : read(1, o => data.readUInt8(o)),
+  };
+  if (flags & FLAG_CONTACT_SUPPORTED) {
+    measurement.sensorContact = Boolean(flags & FLAG_CONTACT_DETECTED);
+  }
+  if (flags & FLAG_ENERGY_EXPENDED) {
+    measurement.energyExpended = read(2, o => data.readUInt16LE(o));
+  }
+  if (flags & FLAG_RR_INTERVALS) {
+    measurement.rrIntervals = [];
+    while (offset + 2 <= data.length) {
+      measurement.rrIntervals.push(read(2, o => data.readUInt16LE(o)) * RR_INTERVAL_UNIT);
+    }
+  }
+  return measurement;
+}
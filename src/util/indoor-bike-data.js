@@ -0,0 +1,143 @@
+// Decode the Fitness Machine Service Indoor Bike Data characteristic (0x2AD2).
+// The value is a 16-bit flags field followed by whichever optional fields the
+// flags announce, in spec order, so offsets shift depending on what the bike sends.
+
+const FLAG_MORE_DATA = 1 << 0; // When clear, instantaneous speed is present.
+const FLAG_AVERAGE_SPEED = 1 << 1;
+const FLAG_INSTANTANEOUS_CADENCE = 1 << 2;
+const FLAG_AVERAGE_CADENCE = 1 << 3;
+const FLAG_TOTAL_DISTANCE = 1 << 4;
+const FLAG_RESISTANCE_LEVEL = 1 << 5;
+const FLAG_INSTANTANEOUS_POWER = 1 << 6;
+const FLAG_AVERAGE_POWER = 1 << 7;
+const FLAG_EXPENDED_ENERGY = 1 << 8;
+const FLAG_HEART_RATE = 1 << 9;
+const FLAG_METABOLIC_EQUIVALENT = 1 << 10;
+const FLAG_ELAPSED_TIME = 1 << 11;
+const FLAG_REMAINING_TIME = 1 << 12;
+
+const KPH_TO_MPS = 1000 / 3600;
+
+/**
+ * Parse an Indoor Bike Data characteristic value by walking its flags field.
+ * Only the fields announced by the flags are present on the returned object.
+ * @param {Buffer} data - raw characteristic value.
+ * @returns {object} decoded fields
+ * @returns {number} [result.speed] - instantaneous speed (m/s)
+ * @returns {number} [result.averageSpeed] - average speed (m/s)
+ * @returns {number} [result.cadence] - instantaneous cadence (rpm)
+ * @returns {number} [result.averageCadence] - average cadence (rpm)
+ * @returns {number} [result.distance] - total distance (meters)
+ * @returns {number} [result.resistance] - resistance level (unitless)
+ * @returns {number} [result.power] - instantaneous power (watts)
+ * @returns {number} [result.averagePower] - average power (watts)
+ * @returns {object} [result.energy] - {total (kcal), perHour (kcal), perMinute (kcal)}
+ * @returns {number} [result.heartRate] - heart rate (bpm)
+ * @returns {number} [result.metabolicEquivalent] - metabolic equivalent (MET)
+ * @returns {number} [result.elapsedTime] - elapsed time (seconds)
+ * @returns {number} [result.remainingTime] - remaining time (seconds)
+ * @throws {Error} 'unable to parse message' when the value is truncated
+ */
+export function parseIndoorBikeData(data) {
+  if (!Buffer.isBuffer(data) || data.length < 2) {
+    throw new Error('unable to parse message');
+  }
+  const flags = data.readUInt16LE(0);
+  const result = {};
+  let offset = 2;
+
+  const read = (size, reader) => {
+    if (offset + size > data.length) {
+      throw new Error('unable to parse message');
+    }
+    const value = reader(offset);
+    offset += size;
+    return value;
+  };
+  const uint8 = () => read(1, o => data.readUInt8(o));
+  const uint16 = () => read(2, o => data.readUInt16LE(o));
+  const sint16 = () => read(2, o => data.readInt16LE(o));
+  const uint24 = () => read(3, o => data.readUIntLE(o, 3));
+
+  if (!(flags & FLAG_MORE_DATA)) {
+    result.speed = (uint16() / 100) * KPH_TO_MPS;
+  }
+  if (flags & FLAG_AVERAGE_SPEED) {
+    result.averageSpeed = (uint16() / 100) * KPH_TO_MPS;
+  }
+  if (flags & FLAG_INSTANTANEOUS_CADENCE) {
+    result.cadence = uint16() / 2;
+  }
+  if (flags & FLAG_AVERAGE_CADENCE) {
+    result.averageCadence = uint16() / 2;
+  }
+  if (flags & FLAG_TOTAL_DISTANCE) {
+    result.distance = uint24();
+  }
+  if (flags & FLAG_RESISTANCE_LEVEL) {
+    result.resistance = sint16();
+  }
+  if (flags & FLAG_INSTANTANEOUS_POWER) {
+    result.power = sint16();
+  }
+  if (flags & FLAG_AVERAGE_POWER) {
+    result.averagePower = sint16();
+  }
+  if (flags & FLAG_EXPENDED_ENERGY) {
+    const total = uint16();
+    const perHour = uint16();
+    const perMinute = uint8();
+    result.energy = {total, perHour, perMinute};
+  }
+  if (flags & FLAG_HEART_RATE) {
+    result.heartRate = uint8();
+  }
+  if (flags & FLAG_METABOLIC_EQUIVALENT) {
+    result.metabolicEquivalent = uint8() / 10;
+  }
+  if (flags & FLAG_ELAPSED_TIME) {
+    result.elapsedTime = uint16();
+  }
+  if (flags & FLAG_REMAINING_TIME) {
+    result.remainingTime = uint16();
+  }
+  return result;
+}
+
+/**
+ * Convert decoded Indoor Bike Data into the `stats` payload bike clients emit.
+ * Zero speed and heart rate are dropped because bikes that do not measure
+ * them report zero, and the App should fall back to its own estimates.
+ * Fields the frame did not carry (e.g. power in the first half of a reading
+ * split with the "More Data" flag) are left out rather than reported as zero.
+ * @param {object} decoded - result of parseIndoorBikeData()
+ * @returns {object} stats payload with power, cadence and optional extras
+ */
+export function toBikeStats(decoded) {
+  const stats = {};
+  if (Number.isFinite(decoded.power)) {
+    stats.power = decoded.power;
+  }
+  if (Number.isFinite(decoded.cadence)) {
+    stats.cadence = Math.round(decoded.cadence);
+  }
+  if (decoded.speed > 0) {
+    stats.speed = decoded.speed;
+  }
+  if (Number.isFinite(decoded.resistance)) {
+    stats.resistance = decoded.resistance;
+  }
+  if (decoded.heartRate > 0) {
+    stats.heartRate = decoded.heartRate;
+  }
+  if (Number.isFinite(decoded.distance)) {
+    stats.distance = decoded.distance;
+  }
+  if (Number.isFinite(decoded.elapsedTime)) {
+    stats.elapsedTime = decoded.elapsedTime;
+  }
+  if (decoded.energy && decoded.energy.total !== 0xffff) { // 0xffff means "not available" per spec.
+    stats.calories = decoded.energy.total;
+  }
+  return stats;
+}
@@ -0,0 +1,164 @@
+import {EventEmitter} from 'events';
+
+/**
+ * Metric blending.
+ *
+ * Speed and cadence can come from several places: the bike itself, an
+ * external speed/cadence sensor, or an estimate derived from other metrics.
+ * Each metric has a priority list of sources; the first source with a fresh
+ * reading wins. A reading goes stale after its source's timeout, at which
+ * point the next source in the list takes over.
+ *
+ *   const blender = new MetricBlender({priority: {speed: 'sensor,bike,estimate'}});
+ *   blender.update('speed', 'sensor', 8.3);
+ *   blender.resolve('speed', {estimate: 7.9}); // => {value: 8.3, source: 'sensor'}
+ */
+
+export const METRIC_SOURCES = ['sensor', 'bike', 'estimate'];
+
+export const DEFAULT_PRIORITY = {
+  speed: ['sensor', 'bike', 'estimate'],
+  cadence: ['sensor', 'bike'],
+};
+
+export const DEFAULT_STALE_MS = {
+  sensor: 3000, // CSC sensors notify about once a second while moving
+  bike: 10000,
+};
+
+/**
+ * Parse a priority list.
+ * @param {string|string[]} value - e.g. 'sensor,bike,estimate'
+ * @param {string} metric - metric name, used in error messages
+ * @returns {string[]} source names in priority order
+ */
+export function parsePriority(value, metric) {
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(source => String(source).trim().toLowerCase())
+    .filter(Boolean);
+  if (!list.length) {
+    throw new Error(`${metric} priority: expected at least one of ${METRIC_SOURCES.join(', ')}`);
+  }
+  for (const source of list) {
+    if (!METRIC_SOURCES.includes(source)) {
+      throw new Error(`${metric} priority: unknown source "${source}" (expected ${METRIC_SOURCES.join(', ')})`);
+    }
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * Chooses, per metric, which source to use.
+ */
+export class MetricBlender extends EventEmitter {
+  /**
+   * Create a MetricBlender instance.
+   * @param {object} [options]
+   * @param {object} [options.priority] - {metric: 'source,source'} overrides of DEFAULT_PRIORITY
+   * @param {object} [options.staleMs] - {source: ms} overrides of DEFAULT_STALE_MS
+   * @param {function} [options.now] - clock in ms (tests)
+   */
+  constructor({priority = {}, staleMs = {}, now = Date.now} = {}) {
+    super();
+    this.priority = {};
+    for (const [metric, defaultList] of Object.entries(DEFAULT_PRIORITY)) {
+      this.priority[metric] = parsePriority(priority[metric] ?? defaultList, metric);
+    }
+    this.staleMs = {...DEFAULT_STALE_MS};
+    for (const [source, ms] of Object.entries(staleMs)) {
+      if (Number.isFinite(ms) && ms > 0) {
+        this.staleMs[source] = ms;
+      }
+    }
+    this.now = now;
+    this.readings = {}; // metric => source => {value, at}
+    this.active = {}; // metric => source chosen by the last resolve()
+  }
+
+  /**
+   * Record a reading.
+   * @param {string} metric - 'speed' or 'cadence'
+   * @param {string} source - 'sensor' or 'bike'
+   * @param {number} value - reading; non-finite values are ignored
+   */
+  update(metric, source, value) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    this.readings[metric] = this.readings[metric] || {};
+    this.readings[metric][source] = {value: Math.max(0, value), at: this.now()};
+  }
+
+  /**
+   * Forget a source's reading (e.g. its sensor disconnected) so the next
+   * source takes over immediately instead of after the stale timeout.
+   * @param {string} metric - 'speed' or 'cadence'
+   * @param {string} source
+   */
+  clear(metric, source) {
+    delete this.readings[metric]?.[source];
+  }
+
+  /**
+   * Pick the value for a metric.
+   * @param {string} metric - 'speed' or 'cadence'
+   * @param {object} [computed] - {source: value} for sources computed on demand ('estimate')
+   * @returns {object|null} {value, source}, or null when no source has a fresh reading
+   * @emits MetricBlender#source when the chosen source changes
+   */
+  resolve(metric, computed = {}) {
+    let chosen = null;
+    for (const source of this.priority[metric] || []) {
+      const value = this.freshValue(metric, source, computed);
+      if (value !== null) {
+        chosen = {value, source};
+        break;
+      }
+    }
+    const source = chosen?.source ?? null;
+    const previous = this.active[metric] ?? null;
+    if (source !== previous) {
+      this.active[metric] = source;
+      /**
+       * Active source changed.
+       * @event MetricBlender#source
+       * @type {object}
+       * @property {string} metric
+       * @property {string|null} source - new source
+       * @property {string|null} previous - previous source
+       */
+      this.emit('source', {metric, source, previous});
+    }
+    return chosen;
+  }
+
+  /**
+   * Snapshot of the active source and latest readings per metric.
+   * @returns {object} {metric: {source, readings: {source: {value, ageMs}}}}
+   */
+  getStatus() {
+    const now = this.now();
+    const status = {};
+    for (const metric of Object.keys(this.priority)) {
+      const readings = {};
+      for (const [source, {value, at}] of Object.entries(this.readings[metric] || {})) {
+        readings[source] = {value, ageMs: now - at};
+      }
+      status[metric] = {source: this.active[metric] ?? null, priority: this.priority[metric], readings};
+    }
+    return status;
+  }
+
+  /** @private */
+  freshValue(metric, source, computed) {
+    if (Number.isFinite(computed[source])) {
+      return Math.max(0, computed[source]);
+    }
+    const reading = this.readings[metric]?.[source];
+    if (!reading) {
+      return null;
+    }
+    const staleMs = this.staleMs[source] ?? DEFAULT_STALE_MS.sensor;
+    return this.now() - reading.at <= staleMs ? reading.value : null;
+  }
+}
@@ -3,12 +3,26 @@ import { PowerSmoother } from './power-smoother.js';
 export class MetricsProcessor {
   constructor(options = {}) {
     this.powerSmoother = new PowerSmoother(options.smoothingFactor);
+    this.calibration = options.calibration || null;
+  }
+
+  /**
+   * Use a power calibration (see util/power-calibration.js) for subsequent
+   * samples; pass null to turn it off.
+   * @param {function|null} calibration - ({power, cadence, resistance}) => watts
+   */
+  setCalibration(calibration) {
+    this.calibration = calibration || null;
   }
 
   process(metrics = {}) {
-    const power = Number.isFinite(metrics.power) ? metrics.power : 0;
+    let power = Number.isFinite(metrics.power) ? metrics.power : 0;
     const cadence = Number.isFinite(metrics.cadence) ? metrics.cadence : 0;
     const speed = Number.isFinite(metrics.speed) ? metrics.speed : undefined;
+    if (this.calibration) {
+      // Calibrate the raw sample before smoothing so the smoother sees corrected watts.
+      power = this.calibration({ power, cadence, resistance: metrics.resistance });
+    }
     const smoothedPower = this.powerSmoother.smooth(power);
     return {
       power: smoothedPower,
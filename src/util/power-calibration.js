@@ -0,0 +1,208 @@
+import fs from 'fs';
+import {macAddress} from './mac-address.js';
+
+/**
+ * Power calibration tables.
+ *
+ * A calibration config maps bike types and/or bike addresses to a table:
+ *
+ *   {
+ *     "bikes": {
+ *       "ic8": {"type": "grid", "cadence": [60, 90], "resistance": [20, 60],
+ *               "watts": [[70, 120], [150, 260]]}
+ *     },
+ *     "addresses": {
+ *       "aa:bb:cc:dd:ee:ff": {"type": "curve", "points": [[0, 0], [100, 112], [300, 320]]}
+ *     }
+ *   }
+ *
+ * A "grid" replaces the bike's power with watts interpolated bilinearly from
+ * cadence x resistance (one `watts` row per resistance value). A "curve" maps
+ * bike watts to corrected watts along a piecewise-linear curve. An address
+ * entry wins over a bike type entry.
+ */
+
+export const CALIBRATION_TYPES = ['grid', 'curve'];
+
+/**
+ * Check a single calibration table, throwing a descriptive error when it is
+ * malformed.
+ * @param {object} table - grid or curve table
+ * @param {string} [label] - where the table came from, used in error messages
+ */
+export function validateCalibrationTable(table, label = 'calibration') {
+  if (!table || typeof table !== 'object') {
+    throw new Error(`${label}: table must be an object`);
+  }
+  if (table.type === 'grid') {
+    assertAxis(table.cadence, `${label}.cadence`);
+    assertAxis(table.resistance, `${label}.resistance`);
+    if (!Array.isArray(table.watts) || table.watts.length !== table.resistance.length) {
+      throw new Error(`${label}.watts: expected one row per resistance value (${table.resistance.length})`);
+    }
+    table.watts.forEach((row, i) => {
+      if (!Array.isArray(row) || row.length !== table.cadence.length || !row.every(isNonNegative)) {
+        throw new Error(`${label}.watts[${i}]: expected ${table.cadence.length} non-negative watt values`);
+      }
+    });
+    return;
+  }
+  if (table.type === 'curve') {
+    const points = table.points;
+    if (!Array.isArray(points) || points.length < 2) {
+      throw new Error(`${label}.points: expected at least two [wattsIn, wattsOut] points`);
+    }
+    points.forEach((point, i) => {
+      if (!Array.isArray(point) || point.length !== 2 || !point.every(isNonNegative)) {
+        throw new Error(`${label}.points[${i}]: expected [wattsIn, wattsOut] with non-negative numbers`);
+      }
+      if (i > 0 && point[0] <= points[i - 1][0]) {
+        throw new Error(`${label}.points: input watts must be strictly increasing`);
+      }
+    });
+    return;
+  }
+  throw new Error(`${label}.type: expected one of ${CALIBRATION_TYPES.join(', ')}`);
+}
+
+/**
+ * Build a calibration function from a table.
+ * @param {object} table - grid or curve table (validated here)
+ * @param {string} [label] - used in validation errors
+ * @returns {function} ({power, cadence, resistance}) => calibrated watts; grid
+ *   calibrations are flagged with `needsResistance`
+ */
+export function createCalibration(table, label) {
+  validateCalibrationTable(table, label);
+  if (table.type === 'grid') {
+    const grid = ({power, cadence, resistance}) => {
+      if (!Number.isFinite(cadence) || !Number.isFinite(resistance)) {
+        return power; // The grid needs both inputs; leave power alone for bikes that do not report resistance.
+      }
+      if (cadence <= 0) {
+        return 0;
+      }
+      return Math.round(Math.max(0, bilinear(table, cadence, resistance)));
+    };
+    grid.needsResistance = true; // Lets the App warn when the bike never reports resistance.
+    return grid;
+  }
+  return ({power}) => {
+    if (!Number.isFinite(power) || power <= 0) {
+      return 0;
+    }
+    return Math.round(Math.max(0, piecewise(table.points, power)));
+  };
+}
+
+/**
+ * Parse and validate a calibration config.
+ * @param {object|string} source - config object, or a path to a JSON file holding one
+ * @param {object} [options]
+ * @param {object} [options.fs] - fs implementation (tests)
+ * @returns {object|null} {bikes: {type: fn}, addresses: {address: fn}}, or null when unset
+ */
+export function loadPowerCalibration(source, {fs: fsImpl = fs} = {}) {
+  if (!source) {
+    return null;
+  }
+  let config = source;
+  if (typeof source === 'string') {
+    try {
+      config = JSON.parse(fsImpl.readFileSync(source, 'utf8'));
+    } catch (error) {
+      throw new Error(`power calibration: unable to read ${source}: ${error.message}`);
+    }
+  }
+  if (typeof config !== 'object') {
+    throw new Error('power calibration: expected an object with "bikes" and/or "addresses"');
+  }
+  const calibrations = {bikes: {}, addresses: {}};
+  for (const [bikeType, table] of Object.entries(config.bikes || {})) {
+    calibrations.bikes[bikeType] = createCalibration(table, `powerCalibration.bikes.${bikeType}`);
+  }
+  for (const [address, table] of Object.entries(config.addresses || {})) {
+    calibrations.addresses[normalizeAddress(address)] = createCalibration(table, `powerCalibration.addresses.${address}`);
+  }
+  return calibrations;
+}
+
+/**
+ * Pick the calibration for a connected bike.
+ * @param {object|null} calibrations - see loadPowerCalibration()
+ * @param {object} bike
+ * @param {string} [bike.bikeType] - bike type key (e.g. 'ic8', 'keiser')
+ * @param {string} [bike.address] - MAC address or serial path
+ * @returns {function|null} calibration function
+ */
+export function selectPowerCalibration(calibrations, {bikeType, address} = {}) {
+  if (!calibrations) {
+    return null;
+  }
+  if (address) {
+    const byAddress = calibrations.addresses[normalizeAddress(address)];
+    if (byAddress) {
+      return byAddress;
+    }
+  }
+  return (bikeType && calibrations.bikes[bikeType]) || null;
+}
+
+function normalizeAddress(address) {
+  try {
+    return macAddress(address);
+  } catch (_error) {
+    return String(address).toLowerCase(); // Serial paths (Peloton) are not MAC addresses.
+  }
+}
+
+function isNonNegative(value) {
+  return Number.isFinite(value) && value >= 0;
+}
+
+function assertAxis(axis, label) {
+  if (!Array.isArray(axis) || axis.length < 2 || !axis.every(Number.isFinite)) {
+    throw new Error(`${label}: expected at least two numbers`);
+  }
+  for (let i = 1; i < axis.length; i++) {
+    if (axis[i] <= axis[i - 1]) {
+      throw new Error(`${label}: values must be strictly increasing`);
+    }
+  }
+}
+
+// Locate value on an axis: index of the lower neighbour and the 0..1 weight
+// towards the upper one. Values outside the axis are clamped to its ends.
+function locate(axis, value) {
+  if (value <= axis[0]) {
+    return {i: 0, weight: 0};
+  }
+  const last = axis.length - 1;
+  if (value >= axis[last]) {
+    return {i: last - 1, weight: 1};
+  }
+  const i = axis.findIndex((v, idx) => value >= v && value < axis[idx + 1]);
+  return {i, weight: (value - axis[i]) / (axis[i + 1] - axis[i])};
+}
+
+function bilinear({cadence, resistance, watts}, c, r) {
+  const x = locate(cadence, c);
+  const y = locate(resistance, r);
+  const lower = watts[y.i][x.i] + (watts[y.i][x.i + 1] - watts[y.i][x.i]) * x.weight;
+  const upper = watts[y.i + 1][x.i] + (watts[y.i + 1][x.i + 1] - watts[y.i + 1][x.i]) * x.weight;
+  return lower + (upper - lower) * y.weight;
+}
+
+// Piecewise-linear interpolation; beyond the first/last point the end
+// segments are extended so the curve keeps its slope.
+function piecewise(points, value) {
+  let i = points.findIndex(([input]) => input >= value);
+  if (i === -1) {
+    i = points.length - 1;
+  } else if (i === 0) {
+    i = 1;
+  }
+  const [x0, y0] = points[i - 1];
+  const [x1, y1] = points[i];
+  return y0 + ((y1 - y0) * (value - x0)) / (x1 - x0);
+}
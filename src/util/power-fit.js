@@ -0,0 +1,202 @@
+import fs from 'fs';
+
+/**
+ * Fit bike power against a reference power meter.
+ *
+ * Samples are pairs of simultaneous readings: {bike, reference} in watts
+ * (plus optional cadence and timestamp). A linear fit maps directly onto
+ * --power-scale/--power-offset; higher-degree fits are turned into a "curve"
+ * table for util/power-calibration.js.
+ */
+
+const DEFAULT_MAX_SKEW_MS = 1500; // readings further apart than this are not considered simultaneous
+const CURVE_STEP_WATTS = 50; // spacing of the points written for a polynomial fit
+const FIT_SCALE_WATTS = 100;
+
+/**
+ * Pair bike readings with reference readings taken at the same time. Each
+ * reference reading is matched with the latest bike reading at or before it.
+ * Pairs where either side is coasting (0 W) are dropped.
+ * @param {object[]} bikeSeries - [{t, power, cadence}] sorted by t (ms)
+ * @param {object[]} referenceSeries - [{t, power}] sorted by t (ms)
+ * @param {object} [options]
+ * @param {number} [options.maxSkewMs] - largest accepted gap between the two readings
+ * @returns {object[]} [{t, bike, reference, cadence}]
+ */
+export function pairSamples(bikeSeries, referenceSeries, {maxSkewMs = DEFAULT_MAX_SKEW_MS} = {}) {
+  const pairs = [];
+  let i = 0;
+  for (const ref of referenceSeries) {
+    while (i + 1 < bikeSeries.length && bikeSeries[i + 1].t <= ref.t) {
+      i++;
+    }
+    const bike = bikeSeries[i];
+    if (!bike || bike.t > ref.t || ref.t - bike.t > maxSkewMs) {
+      continue;
+    }
+    if (!(bike.power > 0) || !(ref.power > 0)) {
+      continue;
+    }
+    pairs.push({t: ref.t, bike: bike.power, reference: ref.power, cadence: bike.cadence});
+  }
+  return pairs;
+}
+
+/**
+ * Least-squares polynomial fit of reference watts as a function of bike watts.
+ * @param {object[]} pairs - [{bike, reference}]
+ * @param {number} [degree=1] - 1 for linear, 2 or 3 for polynomial
+ * @returns {number[]} coefficients, lowest power first ([offset, scale, ...])
+ */
+export function fitPolynomial(pairs, degree = 1) {
+  if (!Number.isInteger(degree) || degree < 1 || degree > 3) {
+    throw new Error('fit degree must be 1, 2 or 3');
+  }
+  if (pairs.length <= degree) {
+    throw new Error(`need more than ${degree} paired samples to fit, got ${pairs.length}`);
+  }
+  // Normal equations: (X^T X) c = X^T y with X[i][j] = x_i^j. Watts are
+  // scaled down first so the cubic terms stay well conditioned.
+  const size = degree + 1;
+  const matrix = Array.from({length: size}, () => new Array(size + 1).fill(0));
+  for (const {bike, reference} of pairs) {
+    const x = bike / FIT_SCALE_WATTS;
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        matrix[row][col] += x ** (row + col);
+      }
+      matrix[row][size] += reference * x ** row;
+    }
+  }
+  return solve(matrix).map((c, power) => c / FIT_SCALE_WATTS ** power);
+}
+
+/**
+ * Evaluate a polynomial from fitPolynomial().
+ * @param {number[]} coefficients - lowest power first
+ * @param {number} x - bike watts
+ * @returns {number} corrected watts
+ */
+export function evaluatePolynomial(coefficients, x) {
+  return coefficients.reduce((sum, c, power) => sum + c * x ** power, 0);
+}
+
+/**
+ * Error statistics of a correction over paired samples.
+ * @param {object[]} pairs - [{bike, reference}]
+ * @param {function} correct - bike watts => corrected watts
+ * @returns {object} {count, meanError, meanAbsError, rmse, maxAbsError, r2}
+ */
+export function fitStats(pairs, correct) {
+  const count = pairs.length;
+  if (!count) {
+    return {count, meanError: 0, meanAbsError: 0, rmse: 0, maxAbsError: 0, r2: 0};
+  }
+  const meanReference = pairs.reduce((sum, p) => sum + p.reference, 0) / count;
+  let sumError = 0;
+  let sumAbs = 0;
+  let sumSquares = 0;
+  let maxAbsError = 0;
+  let totalSquares = 0;
+  for (const {bike, reference} of pairs) {
+    const error = correct(bike) - reference;
+    sumError += error;
+    sumAbs += Math.abs(error);
+    sumSquares += error * error;
+    maxAbsError = Math.max(maxAbsError, Math.abs(error));
+    totalSquares += (reference - meanReference) ** 2;
+  }
+  return {
+    count,
+    meanError: sumError / count,
+    meanAbsError: sumAbs / count,
+    rmse: Math.sqrt(sumSquares / count),
+    maxAbsError,
+    r2: totalSquares > 0 ? 1 - sumSquares / totalSquares : 0,
+  };
+}
+
+/**
+ * Fit paired samples and describe the result as config changes.
+ * @param {object[]} pairs - [{bike, reference}]
+ * @param {object} [options]
+ * @param {number} [options.degree=1] - polynomial degree
+ * @returns {object} {degree, coefficients, before, after, config}
+ *   where config is {powerScale, powerOffset} for a linear fit, or
+ *   {powerScale: 1, powerOffset: 0, curve} for a polynomial fit.
+ */
+export function fitCalibration(pairs, {degree = 1} = {}) {
+  const coefficients = fitPolynomial(pairs, degree);
+  const correct = (watts) => evaluatePolynomial(coefficients, watts);
+  const result = {
+    degree,
+    coefficients,
+    before: fitStats(pairs, (watts) => watts),
+    after: fitStats(pairs, correct),
+  };
+  if (degree === 1) {
+    const [offset, scale] = coefficients;
+    result.config = {powerScale: round(scale, 4), powerOffset: round(offset, 1)};
+  } else {
+    // The curve is applied to already scaled watts, so neutralize scale/offset.
+    const maxWatts = Math.max(...pairs.map(p => p.bike));
+    result.config = {powerScale: 1, powerOffset: 0, curve: polynomialCurve(correct, maxWatts)};
+  }
+  return result;
+}
+
+/**
+ * Read a recorded sample file, as written by `gymnasticon calibrate --calibrate-record`.
+ * @param {string} path - JSON file
+ * @param {object} [options]
+ * @param {object} [options.fs] - fs implementation (tests)
+ * @returns {object} {bikeType, pairs}
+ */
+export function loadSampleFile(path, {fs: fsImpl = fs} = {}) {
+  const data = JSON.parse(fsImpl.readFileSync(path, 'utf8'));
+  const pairs = Array.isArray(data) ? data : data.pairs;
+  if (!Array.isArray(pairs) || !pairs.every(p => Number.isFinite(p?.bike) && Number.isFinite(p?.reference))) {
+    throw new Error(`${path}: expected {"pairs": [{"bike": watts, "reference": watts}, ...]}`);
+  }
+  return {bikeType: data.bikeType, pairs};
+}
+
+function polynomialCurve(correct, maxWatts) {
+  const points = [];
+  for (let watts = 0; watts < maxWatts + CURVE_STEP_WATTS; watts += CURVE_STEP_WATTS) {
+    points.push([watts, Math.max(0, Math.round(correct(watts)))]);
+  }
+  return {type: 'curve', points};
+}
+
+// Gauss-Jordan elimination with partial pivoting on an augmented matrix.
+function solve(matrix) {
+  const size = matrix.length;
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(matrix[pivot][col]) < 1e-12) {
+      throw new Error('samples do not cover enough distinct power levels to fit');
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    for (let row = 0; row < size; row++) {
+      if (row === col) {
+        continue;
+      }
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k <= size; k++) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+    }
+  }
+  return matrix.map((row, i) => row[size] / row[i]);
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
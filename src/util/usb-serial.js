@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+
+const SERIAL_BY_ID_DIR = '/dev/serial/by-id';
+const DEV_DIR = '/dev';
+const TTY_USB_PATTERN = /^ttyUSB\d+$/;
+const USB_DEVICES_DIR = '/sys/bus/usb/devices';
+
+// USB vendor:product pairs of Garmin/Dynastream ANT+ sticks. These enumerate
+// as USB serial devices too, so serial discovery has to skip them.
+export const ANT_USB_IDS = new Set([
+  '0fcf:1008', // Garmin/ANT USB-m (common)
+  '0fcf:1009',
+  '0fcf:1019',
+  '0fcf:101f',
+  '0fcf:1021',
+  '0fcf:1025',
+  '0fcf:1031',
+]);
+
+/**
+ * Look up the USB vendor/product ids behind a tty device.
+ * @param {string} devicePath - e.g. /dev/ttyUSB0 or a /dev/serial/by-id link
+ * @param {object} [options]
+ * @param {object} [options.fs] - fs implementation (tests)
+ * @returns {string|null} 'vvvv:pppp' in lower case, or null when unknown
+ */
+export function usbIdForTty(devicePath, {fs: fsImpl = fs} = {}) {
+  try {
+    const real = fsImpl.realpathSync(devicePath); // Resolve /dev/serial/by-id links when present.
+    const tty = real.replace('/dev/', '');
+    const devDir = `/sys/class/tty/${tty}/device`;
+    const vendorPath = `${devDir}/../idVendor`;
+    const productPath = `${devDir}/../idProduct`;
+    if (!fsImpl.existsSync(vendorPath) || !fsImpl.existsSync(productPath)) {
+      return null;
+    }
+    const vendor = fsImpl.readFileSync(vendorPath, 'utf8').trim().toLowerCase();
+    const product = fsImpl.readFileSync(productPath, 'utf8').trim().toLowerCase();
+    return `${vendor}:${product}`;
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Heuristic to avoid misclassifying ANT+ sticks as serial bike consoles.
+ * @param {string} devicePath - tty device path
+ * @param {object} [options] - see usbIdForTty()
+ * @returns {boolean}
+ */
+export function isAntUsbStick(devicePath, options) {
+  return ANT_USB_IDS.has(usbIdForTty(devicePath, options));
+}
+
+/**
+ * List the ANT+ sticks currently enumerated on the USB bus, whether or not
+ * anything has claimed them.
+ * @param {object} [options]
+ * @param {object} [options.fs] - fs implementation (tests)
+ * @returns {object[]} [{path, id}] with the sysfs device path and 'vvvv:pppp' id
+ */
+export function listAntUsbSticks({fs: fsImpl = fs} = {}) {
+  const sticks = [];
+  for (const name of readdir(fsImpl, USB_DEVICES_DIR).sort()) {
+    const devicePath = path.join(USB_DEVICES_DIR, name);
+    try {
+      const vendor = fsImpl.readFileSync(`${devicePath}/idVendor`, 'utf8').trim().toLowerCase();
+      const product = fsImpl.readFileSync(`${devicePath}/idProduct`, 'utf8').trim().toLowerCase();
+      const id = `${vendor}:${product}`;
+      if (ANT_USB_IDS.has(id)) {
+        sticks.push({path: devicePath, id});
+      }
+    } catch (_err) {
+      // interfaces and root hubs have no ids; devices can vanish mid-scan
+    }
+  }
+  return sticks;
+}
+
+/**
+ * List USB serial devices that could be a bike console. Stable
+ * /dev/serial/by-id links come first; bare /dev/ttyUSB* nodes are only added
+ * when no by-id link points at them.
+ * @param {object} [options]
+ * @param {object} [options.fs] - fs implementation (tests)
+ * @returns {string[]} device paths
+ */
+export function listSerialCandidates({fs: fsImpl = fs} = {}) {
+  const candidates = [];
+  const seen = new Set();
+  const add = (devicePath) => {
+    let real = devicePath;
+    try {
+      real = fsImpl.realpathSync(devicePath);
+    } catch (_err) {
+      return; // dangling link: the device just went away
+    }
+    if (!seen.has(real)) {
+      seen.add(real);
+      candidates.push(devicePath);
+    }
+  };
+  for (const name of readdir(fsImpl, SERIAL_BY_ID_DIR).sort()) {
+    add(path.join(SERIAL_BY_ID_DIR, name));
+  }
+  for (const name of readdir(fsImpl, DEV_DIR).filter(n => TTY_USB_PATTERN.test(n)).sort(byTrailingNumber)) {
+    add(path.join(DEV_DIR, name));
+  }
+  return candidates;
+}
+
+/**
+ * Prefer the /dev/serial/by-id link for a device so a remembered path keeps
+ * working when the kernel renumbers ttyUSB nodes.
+ * @param {string} devicePath - tty device path
+ * @param {object} [options]
+ * @param {object} [options.fs] - fs implementation (tests)
+ * @returns {string} by-id link when one exists, otherwise devicePath
+ */
+export function stableSerialPath(devicePath, {fs: fsImpl = fs} = {}) {
+  try {
+    const real = fsImpl.realpathSync(devicePath);
+    for (const name of readdir(fsImpl, SERIAL_BY_ID_DIR)) {
+      const link = path.join(SERIAL_BY_ID_DIR, name);
+      if (fsImpl.realpathSync(link) === real) {
+        return link;
+      }
+    }
+  } catch (_err) {
+    // fall through to the original path
+  }
+  return devicePath;
+}
+
+function readdir(fsImpl, dir) {
+  try {
+    return fsImpl.readdirSync(dir);
+  } catch (_err) {
+    return [];
+  }
+}
+
+function byTrailingNumber(a, b) {
+  return Number(a.match(/\d+$/)[0]) - Number(b.match(/\d+$/)[0]);
+}
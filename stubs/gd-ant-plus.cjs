@@ -1,11 +1,13 @@
 class Messages {
   static assignChannel() {}
   static setDevice() {}
+  static searchChannel() {}
   static setFrequency() {}
   static setPeriod() {}
   static openChannel() {}
   static closeChannel() {}
   static unassignChannel() {}
+  static requestMessage() {}
   static broadcastData() {
     return Buffer.alloc(0);
   }